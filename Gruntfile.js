@@ -41,7 +41,7 @@ module.exports = function(grunt) {
         jshintrc: '.jshintrc',
       },
       main: {
-        src: ['Gruntfile.js', 'index.js', 'lib/**/*.js'],
+        src: ['Gruntfile.js', 'index.js', 'bin/**/*.js', 'lib/**/*.js'],
       },
       test: {
         options: {
@@ -52,7 +52,13 @@ module.exports = function(grunt) {
     },
     watch: {
       all: {
-        files: ['Gruntfile.js', 'index.js', 'lib/**/*.js', 'test/**/*.js'],
+        files: [
+          'Gruntfile.js',
+          'index.js',
+          'bin/**/*.js',
+          'lib/**/*.js',
+          'test/**/*.js',
+        ],
         tasks: ['default'],
       },
     },
@@ -0,0 +1,126 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * @name emis-questionnaire
+ * @description Command line tool to manage indicators, questions and
+ * questionnaires seeds. Database is set using `MONGODB_URI`.
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @license MIT
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * emis-questionnaire seed --path ./seeds
+ * emis-questionnaire export --path ./backup
+ * emis-questionnaire diff --path ./seeds
+ * emis-questionnaire migrate
+ */
+
+/* dependencies */
+const _ = require('lodash');
+const { include } = require('@lykmapipo/include');
+const { connect, disconnect } = require('@lykmapipo/mongoose-common');
+const { seed, exportSeeds, diffSeeds } = include(
+  __dirname,
+  '..',
+  'lib',
+  'seed'
+);
+const { migrate } = include(__dirname, '..', 'lib', 'migrate');
+
+/* usage */
+const USAGE = `Usage: emis-questionnaire <command> [--path <seeds directory>]
+
+Commands:
+  seed    seed database from seeds directory
+  export  dump database into seeds directory
+  diff    show what seed would insert or update
+  migrate localize plain text fields stored before localization
+
+Seeds directory defaults to SEEDS_PATH or ./seeds`;
+
+/* commands */
+const COMMANDS = { seed, export: exportSeeds, diff: diffSeeds, migrate };
+
+/**
+ * @function parseArgs
+ * @name parseArgs
+ * @description obtain command and options from command line arguments
+ * @param {String[]} args valid command line arguments
+ * @return {Object} command and options
+ * @since 1.6.0
+ * @version 0.1.0
+ * @private
+ */
+const parseArgs = args => {
+  const [command, ...rest] = args;
+  const index = _.findIndex(rest, arg => arg === '--path' || arg === '-p');
+  const path = index >= 0 ? rest[index + 1] : undefined;
+  return { command, options: _.omitBy({ path }, _.isUndefined) };
+};
+
+/**
+ * @function printResults
+ * @name printResults
+ * @description print command results
+ * @param {String} command valid command
+ * @param {Object[]} results valid command results
+ * @since 1.6.0
+ * @version 0.1.0
+ * @private
+ */
+const printResults = (command, results) => {
+  _.forEach(results, ({ model, total, file, changes, indexes }) => {
+    // print diff changes
+    if (command === 'diff') {
+      const counts = _.countBy(changes, 'action');
+      const summary = _.map(counts, (count, action) => `${count} ${action}`);
+      console.log(`${model}: ${summary.join(', ') || 'no seeds'}`);
+      _.forEach(changes, ({ action, criteria, paths }) => {
+        if (action !== 'unchanged') {
+          const detail = _.isEmpty(paths) ? '' : ` (${paths.join(', ')})`;
+          console.log(`  ${action} ${JSON.stringify(criteria)}${detail}`);
+        }
+      });
+    }
+
+    // print migrated totals and dropped indexes
+    else if (command === 'migrate') {
+      const dropped = _.isEmpty(indexes) ? '' : ` (${indexes.join(', ')})`;
+      console.log(`${model}: ${total}${dropped}`);
+    }
+
+    // print seed and export totals
+    else {
+      console.log(`${model}: ${total}${file ? ` -> ${file}` : ''}`);
+    }
+  });
+};
+
+/* run */
+const { command, options } = parseArgs(process.argv.slice(2));
+const run = COMMANDS[command];
+if (!run) {
+  console.error(USAGE);
+  process.exit(1);
+}
+
+connect(error => {
+  if (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+  run(options, (error, results) => {
+    disconnect(() => {
+      if (error) {
+        console.error(error.message);
+        process.exit(1);
+      }
+      printResults(command, results);
+      process.exit(0);
+    });
+  });
+});
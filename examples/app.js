@@ -1,21 +1,12 @@
 'use strict';
 
 /* dependencies */
-const _ = require('lodash');
-const { waterfall } = require('async');
 const { include } = require('@lykmapipo/include');
 const { connect } = require('@lykmapipo/mongoose-common');
 const { get, mount, start } = require('@lykmapipo/express-common');
-const { Indicator, Question, Questionnaire } = include(__dirname, '..');
-const { info, indicatorRouter, questionRouter, questionnaireRouter } = include(
-  __dirname,
-  '..'
-);
-
-// seeds
-const seedIndicators = next => Indicator.seed(error => next(error));
-const seedQuestions = next => Question.seed(error => next(error));
-const seedQuestionnaires = next => Questionnaire.seed(error => next(error));
+const { seed } = include(__dirname, '..', 'lib', 'seed');
+const { info, indicatorRouter, questionRouter } = include(__dirname, '..');
+const { questionnaireRouter, responseRouter } = include(__dirname, '..');
 
 // establish mongodb connection
 connect(error => {
@@ -25,27 +16,24 @@ connect(error => {
   }
 
   // seed features
-  waterfall(
-    [seedIndicators, seedQuestions, seedQuestionnaires],
-    (error, results) => {
-      // re-throw if error
-      if (error) {
-        throw error;
-      }
+  seed({}, error => {
+    // re-throw if error
+    if (error) {
+      throw error;
+    }
 
-      // expose module info
-      get('/', (request, response) => {
-        response.status(200);
-        response.json(info);
-      });
+    // expose module info
+    get('/', (request, response) => {
+      response.status(200);
+      response.json(info);
+    });
 
-      // mount routers
-      mount(indicatorRouter, questionRouter, questionnaireRouter);
+    // mount routers
+    mount(indicatorRouter, questionRouter, questionnaireRouter, responseRouter);
 
-      // fire the app
-      start((error, env) => {
-        console.log(`visit http://0.0.0.0:${env.PORT}`);
-      });
-    }
-  );
+    // fire the app
+    start((error, env) => {
+      console.log(`visit http://0.0.0.0:${env.PORT}`);
+    });
+  });
 });
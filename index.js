@@ -25,6 +25,12 @@ const pkg = include(__dirname, 'package.json');
 const Indicator = include(__dirname, 'lib', 'indicator.model');
 const Question = include(__dirname, 'lib', 'question.model');
 const Questionnaire = include(__dirname, 'lib', 'questionnaire.model');
+const QuestionnaireVersion = include(
+  __dirname,
+  'lib',
+  'questionnaire.version.model'
+);
+const ResponseModel = include(__dirname, 'lib', 'response.model');
 const indicatorRouter = include(__dirname, 'lib', 'indicator.http.router');
 const questionRouter = include(__dirname, 'lib', 'question.http.router');
 const questionnaireRouter = include(
@@ -32,6 +38,8 @@ const questionnaireRouter = include(
   'lib',
   'questionnaire.http.router'
 );
+const responseRouter = include(__dirname, 'lib', 'response.http.router');
+const { authenticate, authorize } = include(__dirname, 'lib', 'auth');
 
 /**
  * @name info
@@ -90,6 +98,28 @@ exports.Question = Question;
  */
 exports.Questionnaire = Questionnaire;
 
+/**
+ * @name QuestionnaireVersion
+ * @description Questionnaire version model
+ * @type {mongoose.Model}
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ */
+exports.QuestionnaireVersion = QuestionnaireVersion;
+
+/**
+ * @name Response
+ * @description Response model
+ * @type {mongoose.Model}
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ */
+exports.Response = ResponseModel;
+
 /**
  * @name indicatorRouter
  * @description indicator http router
@@ -123,6 +153,39 @@ exports.questionRouter = questionRouter;
  */
 exports.questionnaireRouter = questionnaireRouter;
 
+/**
+ * @name responseRouter
+ * @description response http router
+ * @type {express.Router}
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ */
+exports.responseRouter = responseRouter;
+
+/**
+ * @name authenticate
+ * @description http middleware to verify request JWT bearer token
+ * @type {Function}
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ */
+exports.authenticate = authenticate;
+
+/**
+ * @name authorize
+ * @description create http middleware to ensure request has resource scope
+ * @type {Function}
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ */
+exports.authorize = authorize;
+
 /**
  * @name apiVersion
  * @description http router api version
@@ -145,10 +208,10 @@ exports.apiVersion = indicatorRouter.version;
  */
 Object.defineProperty(exports, 'app', {
   get() {
-    /* @todo bind oauth middlewares authenticate, token, authorize */
     mount(indicatorRouter);
     mount(questionRouter);
     mount(questionnaireRouter);
+    mount(responseRouter);
     return app;
   },
 });
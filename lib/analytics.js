@@ -0,0 +1,385 @@
+'use strict';
+
+/**
+ * @module Analytics
+ * @name Analytics
+ * @description Summaries of responses collected using a questionnaire i.e
+ * choice frequencies of select questions and statistics of numeric
+ * questions, rolled up by indicator subject and topic.
+ *
+ * Answers are counted per distinct value within the database and
+ * summarized from those counts, so summaries are exact without loading
+ * responses into memory.
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @license MIT
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * const { summaryOf, rollup } = include(__dirname, 'analytics');
+ * summaryOf(question, [{ _id: 'yes', count: 4 }, { _id: 'no', count: 1 }]);
+ */
+
+/* dependencies */
+const _ = require('lodash');
+const { include } = require('@lykmapipo/include');
+const { Types } = require('@lykmapipo/mongoose-common');
+const { SELECT_TYPES } = include(__dirname, 'config');
+
+/* question types summarized */
+const NUMERIC_TYPES = ['integer', 'decimal'];
+const ANALYZABLE_TYPES = [...SELECT_TYPES, ...NUMERIC_TYPES];
+
+/* mean earth radius in meters used to convert distance into radians */
+const EARTH_RADIUS = 6378100;
+
+/**
+ * @function httpError
+ * @name httpError
+ * @description create http error with a given status
+ * @param {String} message valid error message
+ * @param {Number} status valid http status code
+ * @return {Error} http error
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @private
+ */
+const httpError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * @function numbersOf
+ * @name numbersOf
+ * @description parse comma separated numbers i.e coordinates
+ * @param {String|Number[]} value valid comma separated numbers
+ * @param {Number} size expected count of numbers
+ * @return {Number[]|undefined} numbers or undefined if invalid
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @private
+ */
+const numbersOf = (value, size) => {
+  const parts = _.isArray(value) ? value : _.split(value, ',');
+  const numbers = _.map(parts, part => Number(_.trim(part)));
+  const isValid = _.size(numbers) === size && _.every(numbers, _.isFinite);
+  return isValid ? numbers : undefined;
+};
+
+/**
+ * @function matchOf
+ * @name matchOf
+ * @description build criteria used to select responses to summarize
+ * @param {Object} optns valid analytics options
+ * @param {String} optns.questionnaire valid questionnaire id
+ * @param {Date|String} [optns.from] minimum submission date
+ * @param {Date|String} [optns.to] maximum submission date
+ * @param {String} [optns.near] longitude and latitude i.e `39.2083,-6.7924`
+ * @param {Number} [optns.radius] distance in meters from `near`
+ * @param {String} [optns.bbox] bounding box i.e `minLng,minLat,maxLng,maxLat`
+ * @return {Object|Error} match criteria or error if options are invalid
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * matchOf({ questionnaire: '5c07...', from: '2019-05-01' });
+ * //=> { questionnaire: ObjectId(...), submittedAt: { $gte: Date }, ... }
+ */
+const matchOf = optns => {
+  const { questionnaire, from, to, near, radius, bbox } = _.merge({}, optns);
+
+  // ensure questionnaire
+  if (!Types.ObjectId.isValid(_.toString(questionnaire))) {
+    return httpError('Invalid Questionnaire', 400);
+  }
+  const match = {
+    questionnaire: new Types.ObjectId(_.toString(questionnaire)),
+    deletedAt: null,
+  };
+
+  // filter by submission date range
+  const dates = _.omitBy({ $gte: from, $lte: to }, _.isEmpty);
+  if (!_.isEmpty(dates)) {
+    match.submittedAt = _.mapValues(dates, date => new Date(date));
+    if (_.some(match.submittedAt, date => _.isNaN(date.getTime()))) {
+      return httpError('Invalid Date Range', 400);
+    }
+  }
+
+  // filter by distance from a location
+  if (near) {
+    const center = numbersOf(near, 2);
+    const distance = Number(radius);
+    if (!center || !_.isFinite(distance) || distance <= 0) {
+      return httpError('Invalid Location', 400);
+    }
+    const centerSphere = [center, distance / EARTH_RADIUS];
+    match.location = { $geoWithin: { $centerSphere: centerSphere } };
+  }
+
+  // filter by bounding box
+  if (bbox) {
+    const box = numbersOf(bbox, 4);
+    if (!box) {
+      return httpError('Invalid Location', 400);
+    }
+    const [minLng, minLat, maxLng, maxLat] = box;
+    const coordinates = [
+      [
+        [minLng, minLat],
+        [maxLng, minLat],
+        [maxLng, maxLat],
+        [minLng, maxLat],
+        [minLng, minLat],
+      ],
+    ];
+    const geometry = { type: 'Polygon', coordinates };
+    const within = { location: { $geoWithin: { $geometry: geometry } } };
+    if (match.location) {
+      match.$and = [_.pick(match, 'location'), within];
+      delete match.location;
+    } else {
+      _.merge(match, within);
+    }
+  }
+
+  return match;
+};
+
+/**
+ * @function countsPipelineOf
+ * @name countsPipelineOf
+ * @description build aggregation pipeline which count matched responses per
+ * distinct answer of a question. Answers of a question in a repeatable
+ * section are counted per section entry.
+ * @param {Object} match valid responses criteria
+ * @param {Object} question valid question
+ * @param {String} question.name valid question name
+ * @param {String} [question.repeat] name of repeatable section of question
+ * @return {Object[]} aggregation pipeline
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * countsPipelineOf(match, { name: 'member_age', repeat: 'members' });
+ * //=> [{ $match: {...} }, { $unwind: '$answers.members' }, { $group: {...} }]
+ */
+const countsPipelineOf = (match, { name, repeat }) => {
+  const unwind = repeat ? [{ $unwind: `$answers.${repeat}` }] : [];
+  const path = _.compact(['$answers', repeat, name]).join('.');
+  const group = { _id: path, count: { $sum: 1 } };
+  return [{ $match: match }, ...unwind, { $group: group }];
+};
+
+/**
+ * @function valuesOf
+ * @name valuesOf
+ * @description obtain values of an answer. Multiple selections are either
+ * arrays or space separated choice names.
+ * @param {String} type valid question type
+ * @param {Mixed} answer valid answer
+ * @return {Mixed[]} answer values
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @private
+ */
+const valuesOf = (type, answer) => {
+  if (type === 'select_multiple' && _.isString(answer)) {
+    return _.compact(answer.split(/\s+/));
+  }
+  return _.isNil(answer) || answer === '' ? [] : [].concat(answer);
+};
+
+/**
+ * @function frequenciesOf
+ * @name frequenciesOf
+ * @description count selections of each choice of a select question.
+ * Choices are kept in question order and unknown values are appended.
+ * @param {Object} question valid select question
+ * @param {Object[]} counts count of responses per distinct answer i.e
+ * `{ _id: 'yes', count: 4 }`
+ * @return {Object[]} choice frequencies
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * frequenciesOf(question, [{ _id: 'yes', count: 4 }, { _id: 'no', count: 1 }]);
+ * //=> [{ name: 'yes', label: {...}, count: 4 }, { name: 'no', count: 1 }]
+ */
+const frequenciesOf = (question, counts) => {
+  const { type, choices } = question;
+  const frequencies = {};
+  _.forEach(counts, ({ _id, count }) => {
+    _.forEach(_.uniq(valuesOf(type, _id)), value => {
+      const name = _.toString(value);
+      frequencies[name] = (frequencies[name] || 0) + count;
+    });
+  });
+  const known = _.map(choices, ({ name, label }) => {
+    return { name, label, count: frequencies[name] || 0 };
+  });
+  const unknown = _.difference(_.keys(frequencies), _.map(choices, 'name'));
+  const others = _.map(unknown, name => ({ name, count: frequencies[name] }));
+  return [...known, ...others];
+};
+
+/**
+ * @function statisticsOf
+ * @name statisticsOf
+ * @description compute minimum, maximum, mean and median of numeric answers
+ * @param {Object[]} counts count of responses per distinct answer i.e
+ * `{ _id: 5, count: 2 }`
+ * @return {Object} answers statistics
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * statisticsOf([{ _id: 2, count: 1 }, { _id: 4, count: 2 }]);
+ * //=> { count: 3, min: 2, max: 4, mean: 3.3333, median: 4 }
+ */
+const statisticsOf = counts => {
+  // merge counts of equal numbers i.e 5 and '5'
+  const byValue = {};
+  _.forEach(counts, ({ _id, count }) => {
+    const value = _.isNil(_id) || _id === '' ? NaN : Number(_id);
+    if (_.isFinite(value)) {
+      byValue[value] = (byValue[value] || 0) + count;
+    }
+  });
+  const toPair = (times, value) => [Number(value), times];
+  const values = _.sortBy(_.map(byValue, toPair), 0);
+  const count = _.sumBy(values, 1);
+  if (count === 0) {
+    return { count };
+  }
+
+  // find value at a sorted position
+  const valueAt = position => {
+    let seen = 0;
+    const found = _.find(values, ([, times]) => {
+      seen = seen + times;
+      return seen > position;
+    });
+    return found[0];
+  };
+  const middle = Math.floor(count / 2);
+  const isEven = count % 2 === 0;
+  const lower = isEven ? valueAt(middle - 1) : valueAt(middle);
+  const median = (lower + valueAt(middle)) / 2;
+
+  return {
+    count,
+    min: _.first(values)[0],
+    max: _.last(values)[0],
+    mean: _.sumBy(values, ([value, times]) => value * times) / count,
+    median,
+  };
+};
+
+/**
+ * @function summaryOf
+ * @name summaryOf
+ * @description summarize answers of a question. Question of a repeatable
+ * section keeps its section name as `repeat`.
+ * @param {Object} question valid select or numeric question
+ * @param {Object[]} counts count of responses per distinct answer
+ * @return {Object} question summary
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * summaryOf(question, [{ _id: 'yes', count: 4 }, { _id: null, count: 1 }]);
+ * //=> { question: {...}, indicator: {...}, answered: 4, frequencies: [...] }
+ */
+const summaryOf = (question, counts) => {
+  const { _id, name, label, type, repeat, indicator } = question;
+  const isAnswered = count => !_.isEmpty(valuesOf(type, count._id));
+  const answers = _.filter(counts, isAnswered);
+  const hasIndicator = !_.isEmpty(_.get(indicator, 'subject'));
+  const indicated = _.pick(indicator, '_id', 'subject', 'topic');
+  const summary = {
+    question: _.omitBy({ _id, name, label, type, repeat }, _.isUndefined),
+    indicator: hasIndicator ? indicated : undefined,
+    answered: _.sumBy(answers, 'count'),
+  };
+  if (_.includes(SELECT_TYPES, type)) {
+    summary.frequencies = frequenciesOf(question, answers);
+  }
+  if (_.includes(NUMERIC_TYPES, type)) {
+    summary.statistics = statisticsOf(answers);
+  }
+  return _.omitBy(summary, _.isUndefined);
+};
+
+/**
+ * @function rollup
+ * @name rollup
+ * @description group question summaries by indicator subject and topic.
+ * Summaries of questions without indicator are left out.
+ * @param {Object[]} summaries valid question summaries
+ * @return {Object[]} summaries grouped by subject and topic
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * rollup(summaries);
+ * //=> [{ subject: 'Water', topics: [{ topic: {...}, questions: [...] }] }]
+ */
+const rollup = summaries => {
+  const indicated = _.filter(summaries, 'indicator');
+  const bySubject = _.groupBy(indicated, 'indicator.subject');
+  const subjects = _.map(bySubject, (questions, subject) => {
+    const byTopic = _.groupBy(questions, ({ indicator }) => {
+      return _.toString(indicator._id);
+    });
+    const topics = _.map(byTopic, questions => {
+      const { _id, topic } = _.first(questions).indicator;
+      const omitIndicator = summary => _.omit(summary, 'indicator');
+      return {
+        indicator: _id,
+        topic,
+        questions: _.map(questions, omitIndicator),
+      };
+    });
+    return { subject, topics };
+  });
+  return _.sortBy(subjects, 'subject');
+};
+
+/* expose */
+exports.NUMERIC_TYPES = NUMERIC_TYPES;
+exports.ANALYZABLE_TYPES = ANALYZABLE_TYPES;
+exports.matchOf = matchOf;
+exports.countsPipelineOf = countsPipelineOf;
+exports.frequenciesOf = frequenciesOf;
+exports.statisticsOf = statisticsOf;
+exports.summaryOf = summaryOf;
+exports.rollup = rollup;
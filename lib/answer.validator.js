@@ -0,0 +1,509 @@
+'use strict';
+
+/**
+ * @module AnswerValidator
+ * @name AnswerValidator
+ * @description Validation of raw answer values collected by field data
+ * collection tools against question type, choices, required flag, range and
+ * constraint.
+ *
+ * @see {@link http://xlsform.org/en/#question-types}
+ * @see {@link https://getodk.github.io/xforms-spec/#data-types}
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @license MIT
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ */
+
+/* dependencies */
+const _ = require('lodash');
+const { include } = require('@lykmapipo/include');
+const { copyInstance } = require('@lykmapipo/mongoose-common');
+const { evaluate, relevantQuestionsOf } = include(__dirname, 'expression');
+const { DATE_TYPES, RANGE_TYPES } = include(__dirname, 'config');
+
+/* constants */
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const DATE_TIME_PATTERN = /^(\d{4})-(\d{2})-(\d{2})T([01]\d|2[0-3]):[0-5]\d(:[0-5]\d(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/;
+const POINT_SEPARATOR = ';';
+const MIN_GEOTRACE_POINTS = 2;
+const MIN_GEOSHAPE_POINTS = 4;
+
+/**
+ * @function isNumeric
+ * @name isNumeric
+ * @description check if a given value is a finite number or numeric string
+ * @param {Mixed} value value to check
+ * @return {Boolean} whether value is numeric
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @private
+ */
+const isNumeric = value => {
+  if (_.isNumber(value)) {
+    return _.isFinite(value);
+  }
+  if (_.isString(value) && !_.isEmpty(_.trim(value))) {
+    return _.isFinite(Number(value));
+  }
+  return false;
+};
+
+/**
+ * @function isDate
+ * @name isDate
+ * @description check if a given value is a valid date or date string. Date
+ * strings must match a pattern whose year, month and day exist in calendar
+ * i.e `2021-02-29` is invalid.
+ * @param {Mixed} value value to check
+ * @param {RegExp} pattern string format, capturing year, month and day, to
+ * check against
+ * @return {Boolean} whether value is a valid date
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @private
+ */
+const isDate = (value, pattern) => {
+  if (_.isDate(value)) {
+    return !_.isNaN(value.getTime());
+  }
+  const parts = _.isString(value) ? pattern.exec(value) : null;
+  if (!parts || _.isNaN(Date.parse(value))) {
+    return false;
+  }
+  const [year, month, day] = _.map(parts.slice(1, 4), Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return (
+    date.getUTCFullYear() === year &&
+    date.getUTCMonth() === month - 1 &&
+    date.getUTCDate() === day
+  );
+};
+
+/**
+ * @function toPoint
+ * @name toPoint
+ * @description normalize geopoint value to coordinates array
+ * @param {Mixed} value geopoint as array or `lat lon [alt] [accuracy]` string
+ * @return {Number[]|undefined} geopoint coordinates
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @private
+ */
+const toPoint = value => {
+  let point = value;
+  if (_.isString(value)) {
+    point = _.compact(_.trim(value).split(/\s+/));
+  }
+  return _.isArray(point) ? point : undefined;
+};
+
+/**
+ * @function toPoints
+ * @name toPoints
+ * @description normalize geotrace or geoshape value to array of coordinates
+ * @param {Mixed} value points as array or `;` separated geopoint string
+ * @return {Array[]|undefined} points coordinates
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @private
+ */
+const toPoints = value => {
+  let points = value;
+  if (_.isString(value)) {
+    points = _.compact(_.map(value.split(POINT_SEPARATOR), _.trim));
+  }
+  return _.isArray(points) ? _.map(points, toPoint) : undefined;
+};
+
+/**
+ * @function isPoint
+ * @name isPoint
+ * @description check if a given value is a valid `[lat, lon, alt, accuracy]`
+ * geopoint coordinates
+ * @param {Mixed} value value to check
+ * @return {Boolean} whether value is a valid geopoint
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @private
+ */
+const isPoint = value => {
+  const point = toPoint(value);
+  if (!point || point.length < 2 || point.length > 4) {
+    return false;
+  }
+  if (!_.every(point, isNumeric)) {
+    return false;
+  }
+  const [lat, lon] = _.map(point, Number);
+  return Math.abs(lat) <= 90 && Math.abs(lon) <= 180;
+};
+
+/**
+ * @function isTrace
+ * @name isTrace
+ * @description check if a given value is a valid geotrace coordinates
+ * @param {Mixed} value value to check
+ * @return {Boolean} whether value is a valid geotrace
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @private
+ */
+const isTrace = value => {
+  const points = toPoints(value);
+  return (
+    !_.isEmpty(points) &&
+    points.length >= MIN_GEOTRACE_POINTS &&
+    _.every(points, isPoint)
+  );
+};
+
+/**
+ * @function isShape
+ * @name isShape
+ * @description check if a given value is a valid closed geoshape coordinates
+ * @param {Mixed} value value to check
+ * @return {Boolean} whether value is a valid geoshape
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @private
+ */
+const isShape = value => {
+  const points = toPoints(value);
+  if (!isTrace(value) || points.length < MIN_GEOSHAPE_POINTS) {
+    return false;
+  }
+  const first = _.take(_.map(_.first(points), Number), 2);
+  const last = _.take(_.map(_.last(points), Number), 2);
+  return _.isEqual(first, last);
+};
+
+/* question type to answer checker and error message */
+const CHECKS = {
+  integer: {
+    check: value => isNumeric(value) && Number.isInteger(Number(value)),
+    message: 'must be a whole number',
+  },
+  decimal: {
+    check: isNumeric,
+    message: 'must be a number',
+  },
+  text: {
+    check: value => _.isString(value) || _.isNumber(value),
+    message: 'must be a text',
+  },
+  date: {
+    check: value => isDate(value, DATE_PATTERN),
+    message: 'must be a valid date(YYYY-MM-DD)',
+  },
+  time: {
+    check: value => _.isString(value) && TIME_PATTERN.test(value),
+    message: 'must be a valid time(HH:mm:ss)',
+  },
+  dateTime: {
+    check: value => isDate(value, DATE_TIME_PATTERN),
+    message: 'must be a valid date and time',
+  },
+  geopoint: {
+    check: isPoint,
+    message: 'must be a valid [latitude, longitude, altitude, accuracy]',
+  },
+  geotrace: {
+    check: isTrace,
+    message: `must have at least ${MIN_GEOTRACE_POINTS} valid points`,
+  },
+  geoshape: {
+    check: isShape,
+    message: `must be closed and have at least ${MIN_GEOSHAPE_POINTS} valid points`,
+  },
+};
+
+/**
+ * @function isEmptyAnswer
+ * @name isEmptyAnswer
+ * @description check if a given answer value is considered not answered
+ * @param {Mixed} value raw answer value
+ * @return {Boolean} whether answer is empty
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @private
+ */
+const isEmptyAnswer = value => {
+  if (_.isNil(value)) {
+    return true;
+  }
+  if (_.isString(value) || _.isArray(value)) {
+    return _.isEmpty(value);
+  }
+  return false;
+};
+
+/**
+ * @function toComparable
+ * @name toComparable
+ * @description convert answer or bound value to number used to check
+ * question min and max
+ * @param {String} type valid question type
+ * @param {Mixed} value answer or bound value
+ * @return {Number} comparable value
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @private
+ */
+const toComparable = (type, value) => {
+  if (_.includes(DATE_TYPES, type)) {
+    return _.isDate(value) ? value.getTime() : Date.parse(value);
+  }
+  return Number(value);
+};
+
+/**
+ * @function validateAnswer
+ * @name validateAnswer
+ * @description validate a raw answer value against a question type, choices,
+ * min, max and constraint. Empty answers are considered valid.
+ * @param {Object} question valid question
+ * @param {Mixed} value raw answer value
+ * @param {Object} [answers] other answers keyed by question name used to
+ * evaluate question constraint
+ * @return {Object|undefined} answer error or undefined if answer is valid
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * validateAnswer({ type: 'integer', name: 'household_size' }, 5.5);
+ * //=> { name: 'household_size', type: 'integer', value: 5.5, message: '...' }
+ */
+const validateAnswer = (question, value, answers) => {
+  // obtain plain question
+  const { name, type, choices, min, max } = copyInstance(question);
+  const { constraint, constraintMessage } = copyInstance(question);
+
+  // prepare answer error
+  const errorOf = message => {
+    return { name, type, value, message: `${name} ${message}` };
+  };
+
+  // ignore empty answer
+  if (isEmptyAnswer(value)) {
+    return undefined;
+  }
+
+  // check select answer
+  const names = _.map(choices, 'name');
+  if (type === 'select_one' && !_.includes(names, value)) {
+    return errorOf(`must be one of ${names.join(', ')}`);
+  }
+  if (type === 'select_multiple') {
+    const values = _.isString(value) ? _.compact(value.split(/\s+/)) : value;
+    const isValid = _.isArray(values) && _.isEmpty(_.difference(values, names));
+    if (!isValid) {
+      return errorOf(`must be any of ${names.join(', ')}`);
+    }
+  }
+
+  // check other answer
+  const { check, message } = CHECKS[type] || {};
+  if (check && !check(value)) {
+    return errorOf(message);
+  }
+
+  // check answer range
+  const isRanged = _.includes(RANGE_TYPES, type);
+  const comparable = toComparable(type, value);
+  if (isRanged && !_.isNil(min) && comparable < toComparable(type, min)) {
+    return errorOf(`must be greater than or equal to ${min}`);
+  }
+  if (isRanged && !_.isNil(max) && comparable > toComparable(type, max)) {
+    return errorOf(`must be less than or equal to ${max}`);
+  }
+
+  // check answer constraint
+  if (!_.isEmpty(constraint)) {
+    let satisfied;
+    try {
+      satisfied = evaluate(constraint, answers, value);
+    } catch (error) {
+      return errorOf(`constraint can not be evaluated: ${error.message}`);
+    }
+    if (!satisfied) {
+      const error = errorOf('does not satisfy constraint');
+      error.message = constraintMessage || error.message;
+      return error;
+    }
+  }
+
+  // answer is valid
+  return undefined;
+};
+
+/**
+ * @function validateAnswers
+ * @name validateAnswers
+ * @description validate raw answers keyed by question name against given
+ * questions. Required questions must be answered only when are relevant.
+ * @param {Object[]} questions valid questions
+ * @param {Object} answers raw answers keyed by question name
+ * @param {Object} [optns] validation options
+ * @param {Boolean} [optns.strict=true] whether to reject answers of unknown
+ * questions
+ * @param {Object} [optns.context] other answers used to evaluate relevance
+ * and constraint but not validated i.e answers outside a repeat
+ * @return {Object[]} answers errors or empty if all answers are valid
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * validateAnswers(questions, { household_size: 5.5 });
+ * //=> [{ name: 'household_size', type: 'integer', value: 5.5, message: '...' }]
+ */
+const validateAnswers = (questions, answers, optns) => {
+  // normalize options
+  const { strict, context } = _.merge({ strict: true }, optns);
+  const values = _.assign({}, answers);
+  const scope = _.assign({}, context, values);
+
+  // prepare questions keyed by name
+  const plains = _.map(questions, copyInstance);
+  const questionsByName = _.keyBy(plains, 'name');
+
+  // check each answer
+  const errors = _.map(values, (value, name) => {
+    const question = questionsByName[name];
+    if (!question) {
+      const message = `${name} is not a question of the questionnaire`;
+      return strict ? { name, value, message } : undefined;
+    }
+    return validateAnswer(question, value, scope);
+  });
+
+  // obtain relevant questions
+  let relevants = [];
+  try {
+    relevants = relevantQuestionsOf(plains, scope);
+  } catch (error) {
+    const name = error.question;
+    const message = `${name} relevant can not be evaluated: ${error.message}`;
+    errors.push({ name, message });
+  }
+
+  // check required relevant questions are answered
+  _.forEach(relevants, question => {
+    const { name, type, required } = question;
+    if (required && isEmptyAnswer(values[name])) {
+      const value = values[name];
+      errors.push({ name, type, value, message: `${name} is required` });
+    }
+  });
+
+  // return answers errors
+  return _.compact(errors);
+};
+
+/**
+ * @function validateSections
+ * @name validateSections
+ * @description validate raw answers against given questionnaire sections.
+ * Answers of repeatable section are array of answers keyed by question name
+ * stored under section name, others are keyed by question name.
+ * @param {Object[]} sections valid sections with their questions
+ * @param {Object} answers raw answers keyed by question or section name
+ * @param {Object} [optns] validation options
+ * @param {Boolean} [optns.strict=true] whether to reject answers of unknown
+ * questions
+ * @return {Object[]} answers errors or empty if all answers are valid
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * validateSections(sections, { members: [{ member_age: 5.5 }] });
+ * //=> [{ name: 'members[0].member_age', type: 'integer', ... }]
+ */
+const validateSections = (sections, answers, optns) => {
+  // normalize sections and answers
+  const plains = _.map(sections, copyInstance);
+  const isRepeat = section => section.repeatable && !_.isEmpty(section.name);
+  const [repeats, others] = _.partition(plains, isRepeat);
+  const values = _.assign({}, answers);
+  const repeatNames = _.map(repeats, 'name');
+
+  // validate non repeat answers
+  const questions = _.flatMap(others, section => _.compact(section.questions));
+  const errors = validateAnswers(questions, _.omit(values, repeatNames), optns);
+
+  // validate repeat answers
+  _.forEach(repeats, section => {
+    const { name, minCount, maxCount } = section;
+    const value = values[name];
+    const items = _.isNil(value) ? [] : value;
+    const count = _.size(items);
+
+    // check repeat answers shape and counts
+    if (!_.isArray(items)) {
+      const message = `${name} must be a list of answers`;
+      return errors.push({ name, value, message });
+    }
+    if (!_.isNil(minCount) && count < minCount) {
+      const message = `${name} must have at least ${minCount} entries`;
+      errors.push({ name, value, message });
+    }
+    if (!_.isNil(maxCount) && count > maxCount) {
+      const message = `${name} must have at most ${maxCount} entries`;
+      errors.push({ name, value, message });
+    }
+
+    // check each repeat answers, in context of non repeat answers
+    const repeated = _.compact(section.questions);
+    const context = _.omit(values, repeatNames);
+    const itemOptns = _.merge({}, optns, { context });
+    _.forEach(items, (item, index) => {
+      const itemErrors = validateAnswers(repeated, item, itemOptns);
+      _.forEach(itemErrors, error => {
+        const path = `${name}[${index}].${error.name}`;
+        errors.push(_.merge({}, error, { name: path }));
+      });
+    });
+  });
+
+  // return answers errors
+  return errors;
+};
+
+/* expose */
+exports.DATE_PATTERN = DATE_PATTERN;
+exports.TIME_PATTERN = TIME_PATTERN;
+exports.MIN_GEOTRACE_POINTS = MIN_GEOTRACE_POINTS;
+exports.MIN_GEOSHAPE_POINTS = MIN_GEOSHAPE_POINTS;
+exports.validateAnswer = validateAnswer;
+exports.validateAnswers = validateAnswers;
+exports.validateSections = validateSections;
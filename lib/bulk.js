@@ -0,0 +1,399 @@
+'use strict';
+
+/**
+ * @module Bulk
+ * @name Bulk
+ * @description Mongoose plugin to insert, patch and delete many instances of
+ * a model in one batch.
+ *
+ * Each item is validated and reported on its own. Batch is either applied
+ * item by item, where valid items are saved even if others fail, or atomic,
+ * where nothing is saved unless all items are valid and written within a
+ * MongoDB transaction. Atomic batches require a replica set or sharded
+ * deployment.
+ *
+ * @see {@link https://docs.mongodb.com/manual/core/transactions/}
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @license MIT
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * QuestionSchema.plugin(bulk);
+ *
+ * const batch = { inserts: [...], patches: [...], deletes: [...] };
+ * Question.bulk(batch, (error, report) => { ... });
+ */
+
+/* dependencies */
+const _ = require('lodash');
+const { mapSeries, waterfall } = require('async');
+
+/* batch operations keyed by their batch field */
+const OPERATION_INSERT = 'insert';
+const OPERATION_PATCH = 'patch';
+const OPERATION_DELETE = 'delete';
+const OPERATIONS = {
+  inserts: OPERATION_INSERT,
+  patches: OPERATION_PATCH,
+  deletes: OPERATION_DELETE,
+};
+
+/* result statuses */
+const STATUS_OK = 'ok';
+const STATUS_FAILED = 'failed';
+const STATUS_SKIPPED = 'skipped';
+
+/**
+ * @function httpError
+ * @name httpError
+ * @description create http error with a given status
+ * @param {String} message valid error message
+ * @param {Number} status valid http status code
+ * @return {Error} http error
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @private
+ */
+const httpError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * @function toItems
+ * @name toItems
+ * @description flatten batch into ordered items. Each item is tagged with
+ * its operation and index within its operation array.
+ * @param {Object} batch valid batch
+ * @param {Object[]} [batch.inserts] instances data to insert
+ * @param {Object[]} [batch.patches] instances updates including `_id`
+ * @param {String[]|Object[]} [batch.deletes] instances ids to delete
+ * @return {Object[]} batch items
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * toItems({ inserts: [{ name: 'water_supply' }], deletes: ['5c07...'] });
+ * //=> [
+ * //  { operation: 'insert', index: 0, data: { name: 'water_supply' } },
+ * //  { operation: 'delete', index: 0, data: { _id: '5c07...' } }
+ * //]
+ */
+const toItems = batch => {
+  return _.flatMap(OPERATIONS, (operation, key) => {
+    return _.map(_.get(batch, key), (data, index) => {
+      const isId = operation === OPERATION_DELETE && !_.isPlainObject(data);
+      return { operation, index, data: isId ? { _id: data } : data };
+    });
+  });
+};
+
+/**
+ * @function errorOf
+ * @name errorOf
+ * @description convert item error into light weight object
+ * @param {Error} error valid item error
+ * @return {Object} item error
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @private
+ */
+const errorOf = error => {
+  const { name, message } = error;
+  const errors = _.mapValues(error.errors, 'message');
+  return _.omitBy({ name, message, errors }, _.isEmpty);
+};
+
+/**
+ * @function toReport
+ * @name toReport
+ * @description build batch report from processed items
+ * @param {Object[]} items processed batch items
+ * @param {Object} [optns] valid report options
+ * @param {Boolean} [optns.atomic=false] whether batch is atomic
+ * @return {Object} batch report
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * toReport(items);
+ * //=> { atomic: false, committed: true, total: 2, ok: 1, failed: 1, ... }
+ */
+const toReport = (items, optns) => {
+  const { atomic } = _.merge({ atomic: false }, optns);
+  const resultOf = ({ operation, index, data, instance, error }) => {
+    const _id = _.get(instance, '_id', _.get(data, '_id'));
+    const skipped = atomic && !error && !instance;
+    const status = error ? STATUS_FAILED : STATUS_OK;
+    const result = {
+      operation,
+      index,
+      _id,
+      status: skipped ? STATUS_SKIPPED : status,
+      error: error ? errorOf(error) : undefined,
+    };
+    return _.omitBy(result, _.isUndefined);
+  };
+  const results = _.map(items, resultOf);
+  const counts = _.countBy(results, 'status');
+  const failed = counts[STATUS_FAILED] || 0;
+  return {
+    atomic,
+    committed: !atomic || failed === 0,
+    total: _.size(results),
+    ok: counts[STATUS_OK] || 0,
+    failed,
+    skipped: counts[STATUS_SKIPPED] || 0,
+    results,
+  };
+};
+
+/**
+ * @function bulk
+ * @name bulk
+ * @description mongoose plugin to add batch insert, patch and delete
+ * @param {Schema} schema valid mongoose schema
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * IndicatorSchema.plugin(bulk);
+ */
+const bulk = schema => {
+  /**
+   * @name prepareBulkItem
+   * @function prepareBulkItem
+   * @description obtain and validate instance of a batch item. Item error
+   * is set on the item instead of being returned.
+   * @param {Object} item valid batch item
+   * @param {Function} done callback to invoke on success or error
+   * @return {Object} prepared item
+   * @since 1.6.0
+   * @version 0.1.0
+   * @public
+   */
+  schema.statics.prepareBulkItem = function prepareBulkItem(item, done) {
+    // ref
+    const Model = this;
+    const { operation, data } = item;
+    const failed = error => done(null, _.assign(item, { error }));
+    const prepared = instance => done(null, _.assign(item, { instance }));
+    const validate = instance => {
+      instance.validate(error => (error ? failed(error) : prepared(instance)));
+    };
+
+    // instantiate new instance
+    if (operation === OPERATION_INSERT) {
+      return validate(new Model(data));
+    }
+
+    // ensure existing instance
+    const id = _.get(data, '_id');
+    if (!id) {
+      return failed(httpError('Missing Instance Id', 400));
+    }
+    return Model.findById(id)
+      .orFail()
+      .exec((error, instance) => {
+        if (error) {
+          return failed(error);
+        }
+
+        // delete as is
+        if (operation === OPERATION_DELETE) {
+          return prepared(instance);
+        }
+
+        // apply and validate patch updates
+        instance.set(_.omit(data, '_id', 'createdAt', 'updatedAt'));
+        return validate(instance);
+      });
+  };
+
+  /**
+   * @name applyBulkItem
+   * @function applyBulkItem
+   * @description write validated batch item. Delete policy and soft delete
+   * of a model are honored, and dependents changed by delete policy are
+   * written within the same transaction session.
+   * @param {Object} item valid prepared batch item
+   * @param {Object} [session] valid transaction session
+   * @param {Function} done callback to invoke on success or error
+   * @since 1.6.0
+   * @version 0.1.0
+   * @public
+   */
+  schema.statics.applyBulkItem = function applyBulkItem(item, session, done) {
+    // ref
+    const Model = this;
+    const { operation, instance } = item;
+
+    // bind instance to transaction
+    if (session) {
+      instance.$session(session);
+    }
+
+    // delete instance
+    if (operation === OPERATION_DELETE) {
+      const soft = Model.SOFT_DELETE === true;
+      return instance.del({ soft }, error => done(error, item));
+    }
+
+    // save already validated instance
+    return instance.save({ validateBeforeSave: false }, (error, saved) => {
+      done(error, _.assign(item, { instance: saved || instance }));
+    });
+  };
+
+  /**
+   * @name supportsTransactions
+   * @function supportsTransactions
+   * @description check if connected deployment supports transactions i.e
+   * replica set or sharded cluster
+   * @param {Function} done callback to invoke on success or error
+   * @return {Boolean|Error} whether transactions are supported or error
+   * @since 1.6.0
+   * @version 0.1.0
+   * @public
+   */
+  schema.statics.supportsTransactions = function supportsTransactions(done) {
+    // ref
+    const Model = this;
+
+    return Model.db.db.command({ isMaster: 1 }, (error, info) => {
+      const isReplicaSet = !_.isEmpty(_.get(info, 'setName'));
+      const isSharded = _.get(info, 'msg') === 'isdbgrid';
+      done(error, isReplicaSet || isSharded);
+    });
+  };
+
+  /**
+   * @name bulk
+   * @function bulk
+   * @description insert, patch and delete many instances in one batch
+   * @param {Object} optns valid batch
+   * @param {Object[]} [optns.inserts] instances data to insert
+   * @param {Object[]} [optns.patches] instances updates including `_id`
+   * @param {String[]} [optns.deletes] instances ids to delete
+   * @param {Boolean} [optns.atomic=false] whether to apply all or nothing
+   * using a transaction
+   * @param {Function} done callback to invoke on success or error
+   * @return {Object|Error} batch report or error
+   * @since 1.6.0
+   * @version 0.1.0
+   * @public
+   * @example
+   *
+   * const batch = { inserts: [...], deletes: [...], atomic: true };
+   * Question.bulk(batch, (error, report) => { ... });
+   * //=> { atomic: true, committed: true, total: 2, ok: 2, results: [...] }
+   */
+  schema.statics.bulk = function bulk(optns, done) {
+    // ref
+    const Model = this;
+
+    // normalize options
+    const options = _.merge({}, optns);
+    const atomic = options.atomic === true || options.atomic === 'true';
+    const items = toItems(options);
+    if (_.isEmpty(items)) {
+      return done(httpError('Empty Batch', 400));
+    }
+
+    // ensure transactions are supported
+    const ensureTransactions = next => {
+      if (!atomic) {
+        return next();
+      }
+      return Model.supportsTransactions((error, supported) => {
+        const unsupported = httpError('Transactions Not Supported', 400);
+        next(error || (supported ? undefined : unsupported));
+      });
+    };
+
+    // validate all items
+    const prepareItems = next => {
+      const prepare = (item, then) => Model.prepareBulkItem(item, then);
+      mapSeries(items, prepare, error => next(error));
+    };
+
+    // write valid items one by one
+    const applyItems = next => {
+      const apply = (item, then) => {
+        if (item.error) {
+          return then();
+        }
+        return Model.applyBulkItem(item, null, error => {
+          _.assign(item, { error: error || undefined });
+          then();
+        });
+      };
+      mapSeries(items, apply, error => next(error));
+    };
+
+    // write all items within a transaction or none
+    const applyAtomic = next => {
+      // skip writes if some items are invalid
+      if (_.some(items, 'error')) {
+        _.forEach(items, item => _.assign(item, { instance: undefined }));
+        return next();
+      }
+
+      return Model.startSession((error, session) => {
+        if (error) {
+          return next(error);
+        }
+
+        // stop on first failed write
+        const apply = (item, then) => {
+          Model.applyBulkItem(item, session, error => {
+            _.assign(item, { error: error || undefined });
+            then(error);
+          });
+        };
+
+        // commit if all written otherwise rollback
+        session.startTransaction();
+        return mapSeries(items, apply, error => {
+          const finish = error ? 'abortTransaction' : 'commitTransaction';
+          session[finish](failed => {
+            session.endSession();
+            if (error) {
+              _.forEach(items, item => _.assign(item, { instance: undefined }));
+            }
+            next(failed);
+          });
+        });
+      });
+    };
+
+    // do bulk
+    return waterfall(
+      [ensureTransactions, prepareItems, atomic ? applyAtomic : applyItems],
+      error => done(error, error ? undefined : toReport(items, { atomic }))
+    );
+  };
+};
+
+/* expose */
+exports.OPERATIONS = OPERATIONS;
+exports.toItems = toItems;
+exports.toReport = toReport;
+exports.bulk = bulk;
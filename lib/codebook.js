@@ -0,0 +1,362 @@
+'use strict';
+
+/**
+ * @module Codebook
+ * @name Codebook
+ * @description Generate codebook(data dictionary) of a questionnaire as
+ * Markdown, HTML or CSV.
+ *
+ * Codebook list each question name, label, type, help, indicator subject and
+ * topic, choice codes and labels and dataset columns used when responses
+ * are exported.
+ *
+ * @see {@link https://en.wikipedia.org/wiki/Codebook}
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @license MIT
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * const { toCodebook, writeCodebook } = include(__dirname, 'codebook');
+ * writeCodebook(toCodebook(questionnaire), 'md');
+ * //=> { filename: 'flood_situation_analysis_codebook.md', ... }
+ */
+
+/* dependencies */
+const _ = require('lodash');
+const { include } = require('@lykmapipo/include');
+const { copyInstance } = require('@lykmapipo/mongoose-common');
+const { translate } = include(__dirname, 'locale');
+const { formIdOf, sectionsOf } = include(__dirname, 'xlsform');
+const { columnsOf, toCsvLine } = include(__dirname, 'export');
+
+/* supported formats */
+const FORMATS = {
+  md: { contentType: 'text/markdown; charset=utf-8' },
+  html: { contentType: 'text/html; charset=utf-8' },
+  csv: { contentType: 'text/csv; charset=utf-8' },
+};
+
+/* csv columns */
+const CSV_COLUMNS = [
+  'section',
+  'name',
+  'label',
+  'type',
+  'help',
+  'subject',
+  'topic',
+  'choices',
+  'columns',
+];
+
+/**
+ * @function escapeHtml
+ * @name escapeHtml
+ * @description escape html special characters of a given value
+ * @param {String} value valid value
+ * @return {String} escaped value
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @private
+ */
+const escapeHtml = value => {
+  return _.toString(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+};
+
+/**
+ * @function escapeMarkdown
+ * @name escapeMarkdown
+ * @description escape markdown table separators and line breaks of a given
+ * value
+ * @param {String} value valid value
+ * @return {String} escaped value
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @private
+ */
+const escapeMarkdown = value => {
+  return _.toString(value)
+    .replace(/\|/g, '\\|')
+    .replace(/\s*[\r\n]+\s*/g, ' ');
+};
+
+/**
+ * @function toCodebook
+ * @name toCodebook
+ * @description build codebook entries of a given questionnaire
+ * @param {Object} questionnaire valid questionnaire with populated questions
+ * @param {Object} [optns] valid options
+ * @param {String} [optns.locale] locale of labels. Default to default
+ * locale.
+ * @param {Object} [optns.counts] number of entries keyed by repeatable
+ * section name, used to list export columns. Default to one entry.
+ * @return {Object} valid codebook
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * toCodebook(questionnaire, { locale: 'sw' });
+ * //=> { formId: 'flood_situation_analysis', title: '...', sections: [...] }
+ */
+const toCodebook = (questionnaire, optns) => {
+  const { locale, counts } = _.merge({}, optns);
+  const plain = copyInstance(questionnaire);
+  const text = value => translate(value, locale);
+
+  // derive export columns of each question
+  const repeatOf = ({ name, repeatable }) => {
+    return repeatable && name ? name : undefined;
+  };
+  const questions = _.flatMap(sectionsOf(plain), section => {
+    const repeat = repeatOf(section);
+    return _.map(section.questions, question => {
+      return repeat ? _.assign({}, question, { repeat }) : question;
+    });
+  });
+  const repeats = _.keyBy(_.compact(_.map(questions, 'repeat')));
+  const entries = _.merge(_.mapValues(repeats, _.constant(1)), counts);
+  const columns = _.groupBy(columnsOf(questions, entries), 'question');
+
+  // map question to codebook entry
+  const toEntry = question => {
+    const { name, type, indicator } = question;
+    const choices = _.map(question.choices, choice => {
+      return { name: choice.name, label: text(choice.label) };
+    });
+    return {
+      name,
+      label: text(question.label),
+      type,
+      help: text(question.help),
+      subject: _.get(indicator, 'subject'),
+      topic: text(_.get(indicator, 'topic')),
+      choices,
+      columns: _.map(columns[name], 'header'),
+    };
+  };
+
+  // map sections and their questions
+  const sections = _.map(sectionsOf(plain), section => {
+    const title = text(section.title);
+    return { title, questions: _.map(section.questions, toEntry) };
+  });
+
+  return {
+    formId: formIdOf(plain),
+    title: text(plain.title),
+    description: text(plain.description),
+    sections,
+  };
+};
+
+/**
+ * @function toMarkdown
+ * @name toMarkdown
+ * @description format codebook as markdown document
+ * @param {Object} codebook valid codebook
+ * @return {String} markdown document
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * toMarkdown(codebook);
+ * //=> '# Flood Situation Analysis Codebook\n\n...'
+ */
+const toMarkdown = codebook => {
+  const { title, description, sections } = codebook;
+
+  // format question entry
+  const toQuestion = question => {
+    const { name, label, type, help, subject, topic, choices } = question;
+    const columns = _.map(question.columns, column => `\`${column}\``);
+    const details = _.compact([
+      `- **Label:** ${escapeMarkdown(label)}`,
+      `- **Type:** ${type}`,
+      help ? `- **Help:** ${escapeMarkdown(help)}` : undefined,
+      subject ? `- **Subject:** ${escapeMarkdown(subject)}` : undefined,
+      topic ? `- **Topic:** ${escapeMarkdown(topic)}` : undefined,
+      `- **Columns:** ${columns.join(', ')}`,
+    ]);
+    const rows = _.map(choices, choice => {
+      const cells = [choice.name, choice.label];
+      return `| ${_.map(cells, escapeMarkdown).join(' | ')} |`;
+    });
+    const table = ['| Code | Label |', '| --- | --- |', ...rows];
+    const lines = [`### ${name}`, '', ...details];
+    return _.isEmpty(choices) ? lines : [...lines, '', ...table];
+  };
+
+  // format sections
+  const blocks = _.flatMap(sections, section => {
+    const questions = _.map(section.questions, toQuestion);
+    const heading = section.title ? [[`## ${section.title}`]] : [];
+    return [...heading, ...questions];
+  });
+
+  // format document
+  const header = _.compact([`# ${title} Codebook`, description]);
+  const document = _.map([...header, ...blocks], block => {
+    return [].concat(block).join('\n');
+  });
+  return `${document.join('\n\n')}\n`;
+};
+
+/**
+ * @function toHtml
+ * @name toHtml
+ * @description format codebook as html document
+ * @param {Object} codebook valid codebook
+ * @return {String} html document
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * toHtml(codebook);
+ * //=> '<!DOCTYPE html><html>...</html>'
+ */
+const toHtml = codebook => {
+  const { title, description, sections } = codebook;
+  const cell = (tag, value) => `<${tag}>${escapeHtml(value)}</${tag}>`;
+
+  // format question row
+  const toRow = question => {
+    const choices = _.map(question.choices, choice => {
+      const code = `<code>${escapeHtml(choice.name)}</code>`;
+      return `<li>${code} ${escapeHtml(choice.label)}</li>`;
+    });
+    const columns = _.map(question.columns, column => {
+      return `<code>${escapeHtml(column)}</code>`;
+    });
+    const cells = [
+      `<td><code>${escapeHtml(question.name)}</code></td>`,
+      cell('td', question.label),
+      cell('td', question.type),
+      cell('td', question.help),
+      cell('td', question.subject),
+      cell('td', question.topic),
+      `<td>${_.isEmpty(choices) ? '' : `<ul>${choices.join('')}</ul>`}</td>`,
+      `<td>${columns.join(' ')}</td>`,
+    ];
+    return `<tr>${cells.join('')}</tr>`;
+  };
+
+  // format section table
+  const headers = [
+    'Name',
+    'Label',
+    'Type',
+    'Help',
+    'Subject',
+    'Topic',
+    'Choices',
+    'Columns',
+  ];
+  const ths = _.map(headers, header => cell('th', header)).join('');
+  const head = `<thead><tr>${ths}</tr></thead>`;
+  const toTable = section => {
+    const heading = section.title ? cell('h2', section.title) : '';
+    const rows = _.map(section.questions, toRow).join('');
+    return `${heading}<table>${head}<tbody>${rows}</tbody></table>`;
+  };
+
+  // format document
+  const body = [
+    cell('h1', `${title} Codebook`),
+    description ? cell('p', description) : '',
+    ..._.map(sections, toTable),
+  ].join('');
+  return [
+    '<!DOCTYPE html>',
+    '<html>',
+    `<head><meta charset="utf-8">${cell('title', `${title} Codebook`)}</head>`,
+    `<body>${body}</body>`,
+    '</html>',
+    '',
+  ].join('\n');
+};
+
+/**
+ * @function toCsv
+ * @name toCsv
+ * @description format codebook as csv with one line per question. Choices
+ * are listed as `code=label` separated by `;`.
+ * @param {Object} codebook valid codebook
+ * @return {String} csv document
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * toCsv(codebook);
+ * //=> 'section,name,label,...\r\n,water_supply,Water Supply,...\r\n'
+ */
+const toCsv = codebook => {
+  const lines = _.flatMap(codebook.sections, section => {
+    return _.map(section.questions, question => {
+      const choices = _.map(question.choices, ({ name, label }) => {
+        return `${name}=${label}`;
+      });
+      const values = _.assign({}, question, {
+        section: section.title,
+        choices: choices.join('; '),
+        columns: question.columns.join(' '),
+      });
+      return toCsvLine(_.map(CSV_COLUMNS, column => values[column]));
+    });
+  });
+  return [toCsvLine(CSV_COLUMNS), ...lines].join('');
+};
+
+/**
+ * @function writeCodebook
+ * @name writeCodebook
+ * @description format codebook in a given format
+ * @param {Object} codebook valid codebook
+ * @param {String} [format=md] valid format i.e `md`, `html` or `csv`
+ * @return {Object} codebook filename, content type and content
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * writeCodebook(codebook, 'html');
+ * //=> { filename: '..._codebook.html', contentType: '...', content: '...' }
+ */
+const writeCodebook = (codebook, format = 'md') => {
+  const writers = { md: toMarkdown, html: toHtml, csv: toCsv };
+  const filename = `${codebook.formId}_codebook.${format}`;
+  const { contentType } = FORMATS[format];
+  return { filename, contentType, content: writers[format](codebook) };
+};
+
+/* expose */
+exports.FORMATS = FORMATS;
+exports.toCodebook = toCodebook;
+exports.toMarkdown = toMarkdown;
+exports.toHtml = toHtml;
+exports.toCsv = toCsv;
+exports.writeCodebook = writeCodebook;
@@ -13,7 +13,10 @@
  */
 
 /* dependencies */
+const { include } = require('@lykmapipo/include');
 const { Schema, SUB_SCHEMA_OPTIONS } = require('@lykmapipo/mongoose-common');
+const localize = require('mongoose-locale-schema');
+const { localized } = include(__dirname, 'locale');
 
 /**
  * @name ChoiceSchema
@@ -30,11 +33,12 @@ exports.Choice = new Schema(
      * @description Human readable option(or answer choice) of a question.
      *
      * @type {object}
-     * @property {object} type - schema(data) type
+     * @property {object} type - localized schema(data) type
      * @property {boolean} trim - force trimming
      * @property {boolean} index - ensure database index
      * @property {boolean} searchable - allow for searching
      * @property {object} fake - fake data generator options
+     * @property {function} set - allow plain text of default locale
      *
      * @since 1.0.0
      * @version 0.1.0
@@ -43,6 +47,37 @@ exports.Choice = new Schema(
      * Yes
      */
     label: {
+      type: localize({
+        trim: true,
+        index: true,
+        searchable: true,
+        fake: {
+          generator: 'lorem',
+          type: 'word',
+        },
+      }),
+      set: localized,
+    },
+
+    /**
+     * @name name
+     * @description Unique value(or variable) of a question
+     * option(or answer choice).
+     *
+     * @type {object}
+     * @property {object} type - schema(data) type
+     * @property {boolean} trim - force trimming
+     * @property {boolean} index - ensure database index
+     * @property {boolean} searchable - allow for searching
+     * @property {object} fake - fake data generator options
+     *
+     * @since 1.0.0
+     * @version 0.1.0
+     * @instance
+     * @example
+     * yes
+     */
+    name: {
       type: String,
       trim: true,
       index: true,
@@ -52,11 +87,77 @@ exports.Choice = new Schema(
         type: 'word',
       },
     },
+  },
+  SUB_SCHEMA_OPTIONS
+);
+
+/**
+ * @name PointSchema
+ * @description Definition of geojson point used to represent location.
+ * @type {Schema}
+ * @see {@link https://tools.ietf.org/html/rfc7946#section-3.1.2}
+ * @since 1.6.0
+ * @version 0.1.0
+ * @private
+ */
+exports.Point = new Schema(
+  {
+    /**
+     * @name type
+     * @description GeoJSON type of a location.
+     *
+     * @type {object}
+     * @property {object} type - schema(data) type
+     * @property {string[]} enum - collection of allowed values
+     * @property {boolean} default - default value set when none provided
+     *
+     * @since 1.6.0
+     * @version 0.1.0
+     * @instance
+     * @example
+     * Point
+     */
+    type: {
+      type: String,
+      enum: ['Point'],
+      default: 'Point',
+    },
 
+    /**
+     * @name coordinates
+     * @description Longitude and latitude of a location.
+     *
+     * @type {object}
+     * @property {object} type - schema(data) type
+     * @property {boolean} default - default value set when none provided
+     *
+     * @since 1.6.0
+     * @version 0.1.0
+     * @instance
+     * @example
+     * [39.2083, -6.7924]
+     */
+    coordinates: {
+      type: [Number],
+      default: undefined,
+    },
+  },
+  SUB_SCHEMA_OPTIONS
+);
+
+/**
+ * @name RespondentSchema
+ * @description Definition of a party who respond to a questionnaire.
+ * @type {Schema}
+ * @since 1.6.0
+ * @version 0.1.0
+ * @private
+ */
+exports.Respondent = new Schema(
+  {
     /**
      * @name name
-     * @description Unique value(or variable) of a question
-     * option(or answer choice).
+     * @description Full name of a respondent.
      *
      * @type {object}
      * @property {object} type - schema(data) type
@@ -65,11 +166,11 @@ exports.Choice = new Schema(
      * @property {boolean} searchable - allow for searching
      * @property {object} fake - fake data generator options
      *
-     * @since 1.0.0
+     * @since 1.6.0
      * @version 0.1.0
      * @instance
      * @example
-     * yes
+     * Juma Shaban
      */
     name: {
       type: String,
@@ -77,8 +178,66 @@ exports.Choice = new Schema(
       index: true,
       searchable: true,
       fake: {
-        generator: 'lorem',
-        type: 'word',
+        generator: 'name',
+        type: 'findName',
+      },
+    },
+
+    /**
+     * @name mobile
+     * @description Mobile phone number of a respondent.
+     *
+     * @type {object}
+     * @property {object} type - schema(data) type
+     * @property {boolean} trim - force trimming
+     * @property {boolean} index - ensure database index
+     * @property {boolean} searchable - allow for searching
+     * @property {object} fake - fake data generator options
+     *
+     * @since 1.6.0
+     * @version 0.1.0
+     * @instance
+     * @example
+     * 255714989796
+     */
+    mobile: {
+      type: String,
+      trim: true,
+      index: true,
+      searchable: true,
+      fake: {
+        generator: 'phone',
+        type: 'phoneNumber',
+      },
+    },
+
+    /**
+     * @name email
+     * @description Email address of a respondent.
+     *
+     * @type {object}
+     * @property {object} type - schema(data) type
+     * @property {boolean} trim - force trimming
+     * @property {boolean} lowercase - force lower-casing
+     * @property {boolean} index - ensure database index
+     * @property {boolean} searchable - allow for searching
+     * @property {object} fake - fake data generator options
+     *
+     * @since 1.6.0
+     * @version 0.1.0
+     * @instance
+     * @example
+     * juma@example.com
+     */
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      index: true,
+      searchable: true,
+      fake: {
+        generator: 'internet',
+        type: 'email',
       },
     },
   },
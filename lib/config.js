@@ -0,0 +1,254 @@
+'use strict';
+
+/**
+ * @module Config
+ * @name Config
+ * @description Environment configurations shared by models, routers and
+ * validations.
+ *
+ * Model and collection names are namespaced per model i.e
+ * `QUESTION_MODEL_NAME` and `INDICATOR_COLLECTION_NAME`. Enums i.e question
+ * types, assessment types, stages and disaster phases are defined once here.
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @license MIT
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * const { QUESTION_MODEL_NAME, PHASES } = include(__dirname, 'config');
+ */
+
+/* dependencies */
+const path = require('path');
+const _ = require('lodash');
+const { sortedUniq } = require('@lykmapipo/common');
+const { getBoolean, getNumber } = require('@lykmapipo/env');
+const { getString, getStrings } = require('@lykmapipo/env');
+
+/* http */
+const API_VERSION = getString('API_VERSION', '1.0.0');
+const BODY_PARSER_LIMIT = getString('BODY_PARSER_LIMIT', '2mb');
+
+/* auth */
+const AUTH_DISABLED = getBoolean('AUTH_DISABLED', false);
+const JWT_SECRET = getString('JWT_SECRET', '');
+const JWT_PUBLIC_KEY = getString('JWT_PUBLIC_KEY', '').replace(/\\n/g, '\n');
+const JWT_ALGORITHMS = getStrings('JWT_ALGORITHMS', []);
+const JWT_AUDIENCE = getString('JWT_AUDIENCE', '');
+const JWT_ISSUER = getString('JWT_ISSUER', '');
+
+/* seeds */
+const BASE_PATH = getString('BASE_PATH', process.cwd());
+const SEEDS_PATH = getString('SEEDS_PATH', path.join(BASE_PATH, 'seeds'));
+
+/* locales */
+const DEFAULT_LOCALE = getString('DEFAULT_LOCALE', 'en');
+const LOCALES = _.uniq([DEFAULT_LOCALE, ...getStrings('LOCALES', ['en'])]);
+
+/* models and collections */
+const INDICATOR_MODEL_NAME = getString('INDICATOR_MODEL_NAME', 'Indicator');
+const INDICATOR_COLLECTION_NAME = getString(
+  'INDICATOR_COLLECTION_NAME',
+  'indicators'
+);
+const QUESTION_MODEL_NAME = getString('QUESTION_MODEL_NAME', 'Question');
+const QUESTION_COLLECTION_NAME = getString(
+  'QUESTION_COLLECTION_NAME',
+  'questions'
+);
+const QUESTIONNAIRE_MODEL_NAME = getString(
+  'QUESTIONNAIRE_MODEL_NAME',
+  'Questionnaire'
+);
+const QUESTIONNAIRE_COLLECTION_NAME = getString(
+  'QUESTIONNAIRE_COLLECTION_NAME',
+  'questionnaires'
+);
+const QUESTIONNAIRE_VERSION_MODEL_NAME = getString(
+  'QUESTIONNAIRE_VERSION_MODEL_NAME',
+  'QuestionnaireVersion'
+);
+const QUESTIONNAIRE_VERSION_COLLECTION_NAME = getString(
+  'QUESTIONNAIRE_VERSION_COLLECTION_NAME',
+  'questionnaireversions'
+);
+const RESPONSE_MODEL_NAME = getString('RESPONSE_MODEL_NAME', 'Response');
+const RESPONSE_COLLECTION_NAME = getString(
+  'RESPONSE_COLLECTION_NAME',
+  'responses'
+);
+
+/* delete policies */
+const DELETE_POLICY_RESTRICT = 'restrict';
+const DELETE_POLICY_CASCADE = 'cascade';
+const DELETE_POLICY_NULLIFY = 'nullify';
+const DELETE_POLICIES = [
+  DELETE_POLICY_RESTRICT,
+  DELETE_POLICY_CASCADE,
+  DELETE_POLICY_NULLIFY,
+];
+const INDICATOR_DELETE_POLICY = getString(
+  'INDICATOR_DELETE_POLICY',
+  DELETE_POLICY_RESTRICT
+);
+const INDICATOR_SOFT_DELETE = getBoolean('INDICATOR_SOFT_DELETE', false);
+const QUESTION_DELETE_POLICY = getString(
+  'QUESTION_DELETE_POLICY',
+  DELETE_POLICY_RESTRICT
+);
+const QUESTION_SOFT_DELETE = getBoolean('QUESTION_SOFT_DELETE', false);
+
+/* indicator subjects */
+const SUBJECTS = sortedUniq(
+  getStrings('ASSESSMENT_INDICATOR_SUBJECTS', [
+    'Population',
+    'Geography',
+    'Health',
+    'Water',
+    'Sanitation',
+    'Food & Nutrition',
+    'Shelter',
+    'Livelihood',
+    'Income',
+    'Protection',
+    'Education',
+    'Basic Needs',
+    'Transportation',
+    'Communication',
+    'Energy',
+  ])
+);
+
+/* indicator hierarchy */
+const INDICATOR_MAX_DEPTH = getNumber('INDICATOR_MAX_DEPTH', 5);
+
+/* question types */
+const DEFAULT_TYPE = 'text';
+const TYPES = getStrings('ASSESSMENT_QUESTION_TYPES', [
+  'integer',
+  'decimal',
+  'text',
+  'select_one',
+  'select_multiple',
+  'geopoint',
+  'geotrace',
+  'geoshape',
+  'date',
+  'time',
+  'dateTime',
+  'image',
+  'audio',
+  'video',
+  'file',
+]);
+const SELECT_TYPES = ['select_one', 'select_multiple'];
+const DATE_TYPES = ['date', 'dateTime'];
+const RANGE_TYPES = ['integer', 'decimal', ...DATE_TYPES];
+
+/* assess */
+const DEFAULT_ASSESS = 'Other';
+const ASSESS = getStrings('ASSESSMENT_ASSESS', [
+  'Need',
+  'Situation',
+  DEFAULT_ASSESS,
+]);
+
+/* stages */
+const DEFAULT_STAGE = 'Other';
+const STAGES = getStrings('ASSESSMENT_STAGES', [
+  'Before',
+  'During',
+  'After',
+  DEFAULT_STAGE,
+]);
+
+/* phases */
+const DEFAULT_PHASE = 'Response';
+const PHASES = getStrings('DISASTER_PHASES', [
+  'Mitigation',
+  'Preparedness',
+  'Response',
+  'Recovery',
+]);
+
+/* questionnaire statuses */
+const STATUS_DRAFT = 'Draft';
+const STATUS_PUBLISHED = 'Published';
+const STATUSES = [STATUS_DRAFT, STATUS_PUBLISHED];
+
+/* questionnaire sections */
+const DEFAULT_SECTION_TITLE = getString(
+  'ASSESSMENT_DEFAULT_SECTION_TITLE',
+  'General'
+);
+
+/* xlsform */
+const XLSFORM_INDICATOR_COLUMN = getString(
+  'XLSFORM_INDICATOR_COLUMN',
+  'indicator'
+);
+
+/* expose */
+exports.API_VERSION = API_VERSION;
+exports.BODY_PARSER_LIMIT = BODY_PARSER_LIMIT;
+
+exports.AUTH_DISABLED = AUTH_DISABLED;
+exports.JWT_SECRET = JWT_SECRET;
+exports.JWT_PUBLIC_KEY = JWT_PUBLIC_KEY;
+exports.JWT_ALGORITHMS = JWT_ALGORITHMS;
+exports.JWT_AUDIENCE = JWT_AUDIENCE;
+exports.JWT_ISSUER = JWT_ISSUER;
+
+exports.BASE_PATH = BASE_PATH;
+exports.SEEDS_PATH = SEEDS_PATH;
+
+exports.DEFAULT_LOCALE = DEFAULT_LOCALE;
+exports.LOCALES = LOCALES;
+
+exports.INDICATOR_MODEL_NAME = INDICATOR_MODEL_NAME;
+exports.INDICATOR_COLLECTION_NAME = INDICATOR_COLLECTION_NAME;
+exports.QUESTION_MODEL_NAME = QUESTION_MODEL_NAME;
+exports.QUESTION_COLLECTION_NAME = QUESTION_COLLECTION_NAME;
+exports.QUESTIONNAIRE_MODEL_NAME = QUESTIONNAIRE_MODEL_NAME;
+exports.QUESTIONNAIRE_COLLECTION_NAME = QUESTIONNAIRE_COLLECTION_NAME;
+exports.QUESTIONNAIRE_VERSION_MODEL_NAME = QUESTIONNAIRE_VERSION_MODEL_NAME;
+exports.QUESTIONNAIRE_VERSION_COLLECTION_NAME = QUESTIONNAIRE_VERSION_COLLECTION_NAME;
+exports.RESPONSE_MODEL_NAME = RESPONSE_MODEL_NAME;
+exports.RESPONSE_COLLECTION_NAME = RESPONSE_COLLECTION_NAME;
+
+exports.DELETE_POLICY_RESTRICT = DELETE_POLICY_RESTRICT;
+exports.DELETE_POLICY_CASCADE = DELETE_POLICY_CASCADE;
+exports.DELETE_POLICY_NULLIFY = DELETE_POLICY_NULLIFY;
+exports.DELETE_POLICIES = DELETE_POLICIES;
+exports.INDICATOR_DELETE_POLICY = INDICATOR_DELETE_POLICY;
+exports.INDICATOR_SOFT_DELETE = INDICATOR_SOFT_DELETE;
+exports.QUESTION_DELETE_POLICY = QUESTION_DELETE_POLICY;
+exports.QUESTION_SOFT_DELETE = QUESTION_SOFT_DELETE;
+
+exports.SUBJECTS = SUBJECTS;
+exports.INDICATOR_MAX_DEPTH = INDICATOR_MAX_DEPTH;
+
+exports.DEFAULT_TYPE = DEFAULT_TYPE;
+exports.TYPES = TYPES;
+exports.SELECT_TYPES = SELECT_TYPES;
+exports.DATE_TYPES = DATE_TYPES;
+exports.RANGE_TYPES = RANGE_TYPES;
+
+exports.DEFAULT_ASSESS = DEFAULT_ASSESS;
+exports.ASSESS = ASSESS;
+
+exports.DEFAULT_STAGE = DEFAULT_STAGE;
+exports.STAGES = STAGES;
+
+exports.DEFAULT_PHASE = DEFAULT_PHASE;
+exports.PHASES = PHASES;
+
+exports.STATUS_DRAFT = STATUS_DRAFT;
+exports.STATUS_PUBLISHED = STATUS_PUBLISHED;
+exports.STATUSES = STATUSES;
+
+exports.DEFAULT_SECTION_TITLE = DEFAULT_SECTION_TITLE;
+
+exports.XLSFORM_INDICATOR_COLUMN = XLSFORM_INDICATOR_COLUMN;
@@ -0,0 +1,351 @@
+'use strict';
+
+/**
+ * @module DeletePolicy
+ * @name DeletePolicy
+ * @description Mongoose plugin to keep references consistent when deleting
+ * an instance which other instances still reference i.e indicator of
+ * questions.
+ *
+ * Each relation is handled using delete policy of the deleted model:
+ * - `restrict` fail with `409` listing dependents
+ * - `cascade` delete dependents too, using their own delete policies
+ * - `nullify` unset single references and pull array references. Required
+ *   references can not be unset, so their dependents are restricted instead
+ *
+ * Dependents which are already soft deleted(i.e have `deletedAt`) are
+ * ignored. Cascaded dependents are deleted one by one, applying their own
+ * delete policies, and are soft deleted when soft delete is used.
+ *
+ * Dependents are found, updated and deleted within the session of the
+ * deleted instance, if any, so that they are rolled back with it.
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @license MIT
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * const relations = [{ modelName: 'Question', path: 'indicator' }];
+ * IndicatorSchema.plugin(deletePolicy, { policy: 'restrict', relations });
+ */
+
+/* dependencies */
+const _ = require('lodash');
+const { mapSeries, waterfall } = require('async');
+const { include } = require('@lykmapipo/include');
+const { model } = require('@lykmapipo/mongoose-common');
+const { translate } = include(__dirname, 'locale');
+const {
+  DELETE_POLICY_RESTRICT,
+  DELETE_POLICY_CASCADE,
+  DELETE_POLICY_NULLIFY,
+  DELETE_POLICIES,
+} = include(__dirname, 'config');
+
+/* fields used to describe a dependent */
+const LABEL_FIELDS = ['name', 'title', 'topic', 'label'];
+
+/**
+ * @function labelOf
+ * @name labelOf
+ * @description obtain human readable label of a dependent
+ * @param {Object} dependent valid dependent instance
+ * @return {String|undefined} dependent label
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @private
+ */
+const labelOf = dependent => {
+  const field = _.find(LABEL_FIELDS, path => _.has(dependent, path));
+  return field ? translate(_.get(dependent, field)) : undefined;
+};
+
+/**
+ * @function pullPathOf
+ * @name pullPathOf
+ * @description obtain update path used to pull array reference. Paths within
+ * sub documents are updated using all positional operator.
+ * @param {String} path valid reference path
+ * @return {String} update path
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * pullPathOf('sections.questions');
+ * //=> 'sections.$[].questions'
+ */
+const pullPathOf = path => _.join(_.split(path, '.'), '.$[].');
+
+/**
+ * @function sessionOptionsOf
+ * @name sessionOptionsOf
+ * @description obtain query options to run within session of an instance
+ * @param {Object} instance valid model instance
+ * @return {Object} session options or empty object
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * sessionOptionsOf(instance.$session(session));
+ * //=> { session: ClientSession {...} }
+ */
+const sessionOptionsOf = instance => {
+  const session = instance.$session();
+  return session ? { session } : {};
+};
+
+/**
+ * @function isRequiredRelation
+ * @name isRequiredRelation
+ * @description check if dependents of a relation must keep their single
+ * reference i.e required indicator of a question
+ * @param {Object} relation valid relation
+ * @param {String} relation.modelName valid dependents model name
+ * @param {String} relation.path valid reference path
+ * @param {Boolean} [relation.array] whether reference is an array
+ * @return {Boolean} whether reference is required
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * isRequiredRelation({ modelName: 'Question', path: 'indicator' });
+ * //=> true
+ */
+const isRequiredRelation = ({ modelName, path, array }) => {
+  const schemaType = array ? undefined : model(modelName).schema.path(path);
+  return _.get(schemaType, 'isRequired') === true;
+};
+
+/**
+ * @function dependentsError
+ * @name dependentsError
+ * @description create error raised when restricted instance has dependents
+ * @param {Object[]} dependents valid dependents
+ * @return {Error} dependents error
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * dependentsError(dependents);
+ * //=> { status: 409, errors: { 'Question.5c07...': {...} } }
+ */
+const dependentsError = dependents => {
+  const error = new Error('Has Dependents');
+  error.status = 409;
+  error.errors = {};
+  _.forEach(dependents, ({ modelName, path, _id, label }) => {
+    const value = _.toString(_id);
+    const message = label || value;
+    const kind = DELETE_POLICY_RESTRICT;
+    const name = modelName;
+    error.errors[`${modelName}.${value}`] = {
+      message,
+      name,
+      kind,
+      path,
+      value,
+    };
+  });
+  return error;
+};
+
+/**
+ * @function deletePolicy
+ * @name deletePolicy
+ * @description mongoose plugin to apply delete policy on relations of a
+ * model before its instance is deleted
+ * @param {Schema} schema valid mongoose schema
+ * @param {Object} optns valid plugin options
+ * @param {String} [optns.policy=restrict] delete policy of the model
+ * @param {Boolean} [optns.soft=false] whether model is soft deleted
+ * @param {Object[]} optns.relations dependents model name and their
+ * reference path i.e `{ modelName: 'Question', path: 'indicator' }`. Array
+ * references are marked with `array: true`.
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * const relations = [{ modelName: 'Question', path: 'indicator' }];
+ * IndicatorSchema.plugin(deletePolicy, { policy: 'cascade', relations });
+ */
+const deletePolicy = (schema, optns) => {
+  // normalize options
+  const { policy, soft, relations } = _.merge(
+    { policy: DELETE_POLICY_RESTRICT, soft: false, relations: [] },
+    optns
+  );
+  if (!_.includes(DELETE_POLICIES, policy)) {
+    throw new Error(`Unknown Delete Policy ${policy}`);
+  }
+
+  /* expose policy */
+  schema.statics.DELETE_POLICY = policy;
+  schema.statics.SOFT_DELETE = soft;
+  schema.statics.DELETE_RELATIONS = relations;
+
+  /**
+   * @name findDependents
+   * @function findDependents
+   * @description find instances which are not deleted and still reference
+   * an instance
+   * @param {Function} done callback to invoke on success or error
+   * @return {Object[]|Error} dependents or error
+   * @since 1.6.0
+   * @version 0.1.0
+   * @instance
+   */
+  schema.methods.findDependents = function findDependents(done) {
+    const { _id } = this;
+    const options = _.assign({ autopopulate: false }, sessionOptionsOf(this));
+    const findRelated = ({ modelName, path, array }, next) => {
+      const Related = model(modelName);
+      Related.find({ [path]: _id, deletedAt: null })
+        .setOptions(options)
+        .lean()
+        .exec((error, found) => {
+          const dependents = _.map(found, dependent => {
+            const label = labelOf(dependent);
+            return { modelName, path, array, _id: dependent._id, label };
+          });
+          next(error, dependents);
+        });
+    };
+    return mapSeries(relations, findRelated, (error, dependents) => {
+      const uniques = _.uniqBy(_.flatten(dependents), ({ modelName, _id }) => {
+        return `${modelName}.${_id}`;
+      });
+      done(error, uniques);
+    });
+  };
+
+  /**
+   * @name cascadeDependents
+   * @function cascadeDependents
+   * @description delete dependents of an instance one by one so that they
+   * apply their own delete policies. Dependents are soft deleted when soft
+   * delete is used or is their own default.
+   *
+   * Each dependent is deleted within session of the instance, which is also
+   * passed on to its own dependents.
+   * @param {Object[]} dependents valid dependents
+   * @param {Function} done callback to invoke on success or error
+   * @since 1.6.0
+   * @version 0.1.0
+   * @instance
+   */
+  schema.methods.cascadeDependents = function cascadeDependents(
+    dependents,
+    done
+  ) {
+    const byModel = _.groupBy(dependents, 'modelName');
+    const options = _.assign({ autopopulate: false }, sessionOptionsOf(this));
+    const cascade = (modelName, next) => {
+      const Related = model(modelName);
+      const ids = _.map(byModel[modelName], '_id');
+      const softly = soft || Related.SOFT_DELETE === true;
+      const deleteOne = (id, then) => {
+        Related.findById(id)
+          .setOptions(options)
+          .orFail()
+          .exec((error, dependent) => {
+            if (error) {
+              return then(error);
+            }
+            if (options.session) {
+              dependent.$session(options.session);
+            }
+            return dependent.del({ soft: softly }, then);
+          });
+      };
+      return mapSeries(ids, deleteOne, next);
+    };
+    return mapSeries(_.keys(byModel), cascade, error => done(error));
+  };
+
+  /**
+   * @name nullifyDependents
+   * @function nullifyDependents
+   * @description remove references of an instance from its dependents,
+   * within session of the instance
+   * @param {Function} done callback to invoke on success or error
+   * @since 1.6.0
+   * @version 0.1.0
+   * @instance
+   */
+  schema.methods.nullifyDependents = function nullifyDependents(done) {
+    const { _id } = this;
+    const options = sessionOptionsOf(this);
+    const nullify = ({ modelName, path, array }, next) => {
+      const Related = model(modelName);
+      const pull = { $pull: { [pullPathOf(path)]: _id } };
+      const updates = array ? pull : { $unset: { [path]: '' } };
+      Related.updateMany({ [path]: _id }, updates, options, next);
+    };
+    return mapSeries(relations, nullify, error => done(error));
+  };
+
+  /**
+   * @name beforeDelete
+   * @function beforeDelete
+   * @description apply delete policy on dependents before delete
+   * @param {Function} done callback to invoke on success or error
+   * @since 1.6.0
+   * @version 0.1.0
+   * @instance
+   */
+  schema.methods.beforeDelete = function beforeDelete(done) {
+    // ref
+    const instance = this;
+
+    // apply policy on found dependents
+    const applyPolicy = (dependents, next) => {
+      if (_.isEmpty(dependents)) {
+        return next();
+      }
+      if (policy === DELETE_POLICY_CASCADE) {
+        return instance.cascadeDependents(dependents, next);
+      }
+      if (policy === DELETE_POLICY_NULLIFY) {
+        // required references can not be unset
+        const restricted = _.filter(dependents, isRequiredRelation);
+        if (!_.isEmpty(restricted)) {
+          return next(dependentsError(restricted));
+        }
+        return instance.nullifyDependents(next);
+      }
+      return next(dependentsError(dependents));
+    };
+
+    // do apply
+    return waterfall(
+      [next => instance.findDependents(next), applyPolicy],
+      error => done(error, instance)
+    );
+  };
+};
+
+/* expose */
+exports.pullPathOf = pullPathOf;
+exports.sessionOptionsOf = sessionOptionsOf;
+exports.isRequiredRelation = isRequiredRelation;
+exports.dependentsError = dependentsError;
+exports.deletePolicy = deletePolicy;
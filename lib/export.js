@@ -0,0 +1,426 @@
+'use strict';
+
+/**
+ * @module Export
+ * @name Export
+ * @description Flatten responses collected using a questionnaire into
+ * tabular rows and stream them as CSV, XLSX or JSON Lines.
+ *
+ * Each question is exported as a column named after the question. Multiple
+ * selections are expanded into one `0`/`1` column per choice and geopoints
+ * into latitude, longitude, altitude and accuracy columns. Response details
+ * are exported first using `_` prefixed columns. Answers of repeatable
+ * sections are exported last with a column per entry and question i.e
+ * `members[0].member_age`.
+ *
+ * Rows are streamed as responses are read, so exports of any size are
+ * written without holding responses in memory.
+ *
+ * @see {@link https://jsonlines.org/}
+ * @see {@link https://tools.ietf.org/html/rfc4180}
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @license MIT
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * const { columnsOf, writeResponses } = include(__dirname, 'export');
+ * const columns = columnsOf(questions);
+ * writeResponses({ format: 'csv', columns, cursor, stream }, done);
+ */
+
+/* dependencies */
+const _ = require('lodash');
+const { PassThrough, Transform } = require('stream');
+const { WorkbookWriter } = require('exceljs').stream.xlsx;
+
+/* supported formats */
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8' },
+  xlsx: {
+    contentType:
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  },
+  jsonl: { contentType: 'application/x-ndjson; charset=utf-8' },
+};
+
+/* geopoint parts columns suffixes */
+const GEOPOINT_PARTS = ['lat', 'lon', 'alt', 'accuracy'];
+
+/* xlsx worksheet name */
+const SHEET_RESPONSES = 'responses';
+
+/* leading characters spreadsheets evaluate as formula */
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * @function toPoint
+ * @name toPoint
+ * @description normalize geopoint answer to array of numbers i.e
+ * `-6.7924 39.2083 0 5` to `[-6.7924, 39.2083, 0, 5]`
+ * @param {Mixed} value geopoint as array or space separated string
+ * @return {Number[]} geopoint parts
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @private
+ */
+const toPoint = value => {
+  const parts = _.isString(value) ? _.trim(value).split(/\s+/) : value;
+  return _.map(_.compact(_.isArray(parts) ? parts : []), Number);
+};
+
+/**
+ * @function toSelections
+ * @name toSelections
+ * @description normalize multiple selections answer to choice names
+ * @param {Mixed} value selections as array or space separated string
+ * @return {String[]} selected choice names
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @private
+ */
+const toSelections = value => {
+  const names = _.isString(value) ? value.split(/\s+/) : value;
+  return _.map(_.compact(_.isArray(names) ? names : []), _.toString);
+};
+
+/**
+ * @function questionColumnsOf
+ * @name questionColumnsOf
+ * @description derive export columns of a question. Multiple selections
+ * have a column per choice and geopoints a column per geopoint part. Each
+ * column keep name of its question.
+ * @param {Object} question valid question
+ * @return {Object[]} question export columns
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * _.map(questionColumnsOf(question), 'header');
+ * //=> ['water_sources_tap', 'water_sources_well']
+ */
+const questionColumnsOf = ({ name, type, choices }) => {
+  const answerOf = response => _.get(response, ['answers', name]);
+  const isAnswered = value => !_.isNil(value) && value !== '';
+
+  // expand selections into choice columns
+  if (type === 'select_multiple') {
+    return _.map(choices, choice => {
+      const header = `${name}_${choice.name}`;
+      const value = response => {
+        const answer = answerOf(response);
+        const selected = _.includes(toSelections(answer), choice.name);
+        const flag = selected ? 1 : 0;
+        return isAnswered(answer) ? flag : undefined;
+      };
+      return { header, question: name, value };
+    });
+  }
+
+  // expand geopoint into its parts columns
+  if (type === 'geopoint') {
+    return _.map(GEOPOINT_PARTS, (part, index) => {
+      const header = `${name}_${part}`;
+      const value = response => toPoint(answerOf(response))[index];
+      return { header, question: name, value };
+    });
+  }
+
+  // use answer as is
+  return [{ header: name, question: name, value: answerOf }];
+};
+
+/**
+ * @function repeatColumnsOf
+ * @name repeatColumnsOf
+ * @description derive export columns of a repeatable section. Each entry
+ * has its own question columns, prefixed by section name and entry index.
+ * @param {String} name valid repeatable section name
+ * @param {Object[]} questions valid section questions
+ * @param {Number} count number of entries to export
+ * @return {Object[]} repeatable section export columns
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * _.map(repeatColumnsOf('members', questions, 2), 'header');
+ * //=> ['members[0].member_age', 'members[1].member_age']
+ */
+const repeatColumnsOf = (name, questions, count) => {
+  const columns = _.flatMap(questions, questionColumnsOf);
+  return _.flatMap(_.range(count), index => {
+    return _.map(columns, column => {
+      const header = `${name}[${index}].${column.header}`;
+      const value = response => {
+        const entry = _.get(response, ['answers', name, index]);
+        return _.isPlainObject(entry) ? column.value({ answers: entry }) : null;
+      };
+      return { header, question: column.question, value };
+    });
+  });
+};
+
+/**
+ * @function columnsOf
+ * @name columnsOf
+ * @description derive export columns of questions. Each column has a
+ * header and a function to obtain its value from a response. Questions with
+ * `repeat` belong to the repeatable section of that name.
+ * @param {Object[]} questions valid questions in questionnaire order
+ * @param {Object} [counts] number of entries to export keyed by repeatable
+ * section name
+ * @return {Object[]} export columns
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * _.map(columnsOf(questions, { members: 2 }), 'header');
+ * //=> ['_id', ..., 'water_supply', ..., 'members[1].member_age']
+ */
+const columnsOf = (questions, counts) => {
+  // response details columns
+  const details = [
+    { header: '_id', value: response => _.toString(response._id) },
+    { header: '_version', value: response => response.version },
+    { header: '_started_at', value: response => response.startedAt },
+    { header: '_submitted_at', value: response => response.submittedAt },
+    { header: '_respondent_name', path: 'respondent.name' },
+    { header: '_respondent_mobile', path: 'respondent.mobile' },
+    { header: '_respondent_email', path: 'respondent.email' },
+    { header: '_latitude', path: 'location.coordinates[1]' },
+    { header: '_longitude', path: 'location.coordinates[0]' },
+  ];
+
+  // answers columns with repeatable sections last
+  const [repeated, others] = _.partition(questions, 'repeat');
+  const repeats = _.map(_.groupBy(repeated, 'repeat'), (questions, name) => {
+    return repeatColumnsOf(name, questions, _.get(counts, name, 0));
+  });
+  const answers = [
+    ..._.flatMap(others, questionColumnsOf),
+    ..._.flatten(repeats),
+  ];
+
+  // normalize columns
+  const columns = [...details, ...answers];
+  return _.map(columns, ({ header, question, path, value }) => {
+    const valueOf = value || (response => _.get(response, path));
+    return _.omitBy({ header, question, value: valueOf }, _.isUndefined);
+  });
+};
+
+/**
+ * @function toRow
+ * @name toRow
+ * @description flatten response into export row keyed by column header
+ * @param {Object[]} columns valid export columns
+ * @param {Object} response valid response
+ * @return {Object} export row
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * toRow(columns, response);
+ * //=> { _id: '5cf0...', water_supply: 'yes', water_sources_tap: 1, ... }
+ */
+const toRow = (columns, response) => {
+  const row = {};
+  _.forEach(columns, column => {
+    const value = column.value(response);
+    row[column.header] = _.isNil(value) ? null : value;
+  });
+  return row;
+};
+
+/**
+ * @function toCell
+ * @name toCell
+ * @description convert row value to spreadsheet cell value. Dates are kept,
+ * nested values i.e repeats are converted to json and texts that would be
+ * evaluated as formula are prefixed with `'`.
+ * @param {Mixed} value valid row value
+ * @return {Mixed} cell value
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @private
+ */
+const toCell = value => {
+  if (_.isString(value) && FORMULA_PREFIX.test(value)) {
+    return `'${value}`;
+  }
+  if (_.isDate(value) || !_.isObject(value)) {
+    return value;
+  }
+  return JSON.stringify(value);
+};
+
+/**
+ * @function toCsvLine
+ * @name toCsvLine
+ * @description convert values into csv line. Values with separators, quotes
+ * or line breaks are quoted and formula like values are escaped.
+ * @param {Mixed[]} values valid line values
+ * @return {String} csv line
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * toCsvLine(['water_supply', 'Yes, "piped"', 1]);
+ * //=> 'water_supply,"Yes, ""piped""",1\r\n'
+ */
+const toCsvLine = values => {
+  const cells = _.map(values, value => {
+    const cell = toCell(value);
+    const text = _.isDate(cell) ? cell.toISOString() : _.toString(cell);
+    const isQuoted = /[",\r\n]/.test(text);
+    return isQuoted ? `"${text.replace(/"/g, '""')}"` : text;
+  });
+  return `${cells.join(',')}\r\n`;
+};
+
+/**
+ * @function closeCursor
+ * @name closeCursor
+ * @description stop reading responses and release database cursor. Mongoose
+ * opens its driver cursor lazily, hence close once it is ready.
+ * @param {Object} cursor valid responses cursor
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @private
+ */
+const closeCursor = cursor => {
+  const close = () => cursor.close(_.noop);
+  cursor.destroy();
+  if (_.isFunction(cursor.close) && cursor.cursor) {
+    close();
+  } else if (_.isFunction(cursor.close)) {
+    cursor.once('cursor', close);
+  }
+};
+
+/**
+ * @function writeXlsx
+ * @name writeXlsx
+ * @description stream responses as xlsx workbook. Each row is committed as
+ * soon as its response is read and reading pause while the output is
+ * behind.
+ * @param {Object[]} columns valid export columns
+ * @param {Object} cursor valid responses cursor
+ * @return {Stream} xlsx stream
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @private
+ */
+const writeXlsx = (columns, cursor) => {
+  // prepare streamed workbook
+  const output = new PassThrough();
+  const workbook = new WorkbookWriter({ stream: output });
+  const sheet = workbook.addWorksheet(SHEET_RESPONSES);
+  sheet.columns = _.map(columns, ({ header }) => ({ header, key: header }));
+  const fail = error => output.emit('error', error);
+
+  // commit rows while respecting output backpressure
+  const addRow = response => {
+    sheet.addRow(_.mapValues(toRow(columns, response), toCell)).commit();
+    const isBehind = output.writableLength > output.writableHighWaterMark;
+    if (isBehind && !cursor.isPaused()) {
+      cursor.pause();
+      output.once('drain', () => cursor.resume());
+    }
+  };
+
+  // commit worksheet and workbook once all rows are added
+  const commitWorkbook = () => {
+    sheet.commit();
+    workbook.commit().catch(fail);
+  };
+  cursor.on('data', addRow);
+  cursor.on('error', fail);
+  cursor.on('end', commitWorkbook);
+  output.once('close', () => closeCursor(cursor));
+
+  return output;
+};
+
+/**
+ * @function writeResponses
+ * @name writeResponses
+ * @description stream responses in a given format. Responses cursor is
+ * closed once export stream is closed i.e destroyed on client disconnect.
+ * @param {Object} optns valid export options
+ * @param {String} optns.format valid export format i.e `csv`, `xlsx` or
+ * `jsonl`
+ * @param {Object[]} optns.columns valid export columns
+ * @param {Object} optns.cursor valid responses cursor
+ * @return {Stream} export stream
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * const cursor = Response.find(criteria).lean().cursor();
+ * writeResponses({ format: 'csv', columns, cursor }).pipe(response);
+ */
+const writeResponses = optns => {
+  const { format, columns, cursor } = optns;
+
+  // stream xlsx workbook
+  if (format === 'xlsx') {
+    return writeXlsx(columns, cursor);
+  }
+
+  // stream lines
+  const toLine = response => {
+    const row = toRow(columns, response);
+    const isCsv = format === 'csv';
+    return isCsv ? toCsvLine(_.values(row)) : `${JSON.stringify(row)}\n`;
+  };
+  const lines = new Transform({
+    writableObjectMode: true,
+    transform: (response, encoding, next) => next(null, toLine(response)),
+  });
+  if (format === 'csv') {
+    lines.push(toCsvLine(_.map(columns, 'header')));
+  }
+  cursor.on('error', error => lines.emit('error', error));
+  lines.once('close', () => closeCursor(cursor));
+  return cursor.pipe(lines);
+};
+
+/* expose */
+exports.FORMATS = FORMATS;
+exports.questionColumnsOf = questionColumnsOf;
+exports.repeatColumnsOf = repeatColumnsOf;
+exports.columnsOf = columnsOf;
+exports.toRow = toRow;
+exports.toCsvLine = toCsvLine;
+exports.writeResponses = writeResponses;
@@ -0,0 +1,593 @@
+'use strict';
+
+/**
+ * @module Expression
+ * @name Expression
+ * @description Parsing and evaluation of XLSForm style expressions used
+ * on question skip logic(relevant) and constraint i.e
+ * `${water_supply} = 'yes'` or `. >= 0`.
+ *
+ * Supported syntax includes question references(`${name}`), current
+ * answer(`.`), number and string literals, arithmetic(`+ - * div mod`),
+ * comparison(`= != < <= > >=`), logical(`and or`) operators and
+ * `not`, `selected`, `count-selected`, `string-length`, `regex`, `if`,
+ * `coalesce`, `number`, `string`, `concat`, `date`, `today`, `true` and
+ * `false` functions.
+ *
+ * @see {@link http://xlsform.org/en/#relevant}
+ * @see {@link https://docs.getodk.org/form-operators-functions/}
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @license MIT
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ */
+
+/* dependencies */
+const _ = require('lodash');
+
+/* constants */
+const REFERENCE_PATTERN = /\$\{\s*([^}\s]+)\s*\}/g;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}/;
+const TOKEN_PATTERN = /\s*(\$\{\s*[^}\s]+\s*\}|\d+(?:\.\d+)?|\.\d+|'[^']*'|"[^"]*"|!=|<=|>=|[=<>+\-*(),.]|[A-Za-z_][\w-]*)/y;
+
+/**
+ * @function toList
+ * @name toList
+ * @description normalize multiple choices answer to list of choices
+ * @param {Mixed} value answer value
+ * @return {String[]} list of choices
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @private
+ */
+const toList = value => {
+  if (_.isArray(value)) {
+    return _.map(value, _.toString);
+  }
+  return _.compact(_.split(_.toString(value), /\s+/));
+};
+
+/**
+ * @function toValue
+ * @name toValue
+ * @description normalize answer value for comparison and arithmetic
+ * @param {Mixed} value answer value
+ * @return {String|Number|Boolean} normalized value
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @private
+ */
+const toValue = value => {
+  if (_.isNil(value)) {
+    return '';
+  }
+  if (_.isArray(value)) {
+    return value.join(' ');
+  }
+  if (_.isDate(value)) {
+    return value.toISOString();
+  }
+  return value;
+};
+
+/**
+ * @function toNumber
+ * @name toNumber
+ * @description convert expression value to number. Date values are
+ * converted to milliseconds since epoch.
+ * @param {Mixed} value expression value
+ * @return {Number} number value
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @private
+ */
+const toNumber = value => {
+  const normalized = toValue(value);
+  if (_.isString(normalized) && DATE_PATTERN.test(normalized)) {
+    return Date.parse(normalized);
+  }
+  return Number(normalized);
+};
+
+/**
+ * @function toBoolean
+ * @name toBoolean
+ * @description convert expression value to boolean using xpath rules
+ * @param {Mixed} value expression value
+ * @return {Boolean} boolean value
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @private
+ */
+const toBoolean = value => {
+  if (_.isBoolean(value)) {
+    return value;
+  }
+  if (_.isNumber(value)) {
+    return value !== 0 && !_.isNaN(value);
+  }
+  return !_.isEmpty(_.toString(toValue(value)));
+};
+
+/**
+ * @function compare
+ * @name compare
+ * @description compare two expression values using a given operator. Values
+ * are compared as numbers if either is a number or operator is relational.
+ * @param {String} operator valid comparison operator
+ * @param {Mixed} left left value
+ * @param {Mixed} right right value
+ * @return {Boolean} comparison result
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @private
+ */
+const compare = (operator, left, right) => {
+  let [a, b] = [toValue(left), toValue(right)];
+  const isEquality = operator === '=' || operator === '!=';
+  if (!isEquality || _.isNumber(a) || _.isNumber(b)) {
+    const isEmpty = a === '' || b === '';
+    [a, b] = [toNumber(a), toNumber(b)];
+    if (isEmpty || _.isNaN(a) || _.isNaN(b)) {
+      return operator === '!=';
+    }
+  } else {
+    [a, b] = [_.toString(a), _.toString(b)];
+  }
+  switch (operator) {
+    case '=':
+      return a === b;
+    case '!=':
+      return a !== b;
+    case '<':
+      return a < b;
+    case '<=':
+      return a <= b;
+    case '>':
+      return a > b;
+    default:
+      return a >= b;
+  }
+};
+
+/**
+ * @function isPattern
+ * @name isPattern
+ * @description check if a given value compiles to a regular expression
+ * @param {String} pattern value to check
+ * @return {Boolean} whether value is a valid pattern
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @private
+ */
+const isPattern = pattern => {
+  try {
+    return _.isRegExp(new RegExp(pattern));
+  } catch (error) {
+    return false;
+  }
+};
+
+/* supported functions */
+const FUNCTIONS = {
+  not: value => !toBoolean(value),
+  true: () => true,
+  false: () => false,
+  selected: (value, choice) => _.includes(toList(value), _.toString(choice)),
+  'count-selected': value => toList(value).length,
+  'string-length': value => _.toString(toValue(value)).length,
+  regex: (value, pattern) => new RegExp(pattern).test(toValue(value)),
+  if: (condition, then, otherwise) => (toBoolean(condition) ? then : otherwise),
+  coalesce: (...values) => _.find(values, toBoolean) || '',
+  number: value => Number(toValue(value)),
+  string: value => _.toString(toValue(value)),
+  concat: (...values) => _.map(values, toValue).join(''),
+  date: value => _.toString(toValue(value)),
+  today: () => new Date().toISOString().slice(0, 10),
+};
+
+/* binary operators */
+const OPERATORS = {
+  '+': (a, b) => Number(toValue(a)) + Number(toValue(b)),
+  '-': (a, b) => Number(toValue(a)) - Number(toValue(b)),
+  '*': (a, b) => Number(toValue(a)) * Number(toValue(b)),
+  div: (a, b) => Number(toValue(a)) / Number(toValue(b)),
+  mod: (a, b) => Number(toValue(a)) % Number(toValue(b)),
+};
+
+/**
+ * @function tokenize
+ * @name tokenize
+ * @description split expression into tokens
+ * @param {String} expression valid expression
+ * @return {String[]} expression tokens
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @private
+ */
+const tokenize = expression => {
+  const tokens = [];
+  const source = _.trim(expression);
+  TOKEN_PATTERN.lastIndex = 0;
+  while (TOKEN_PATTERN.lastIndex < source.length) {
+    const position = TOKEN_PATTERN.lastIndex;
+    const match = TOKEN_PATTERN.exec(source);
+    if (!match) {
+      const error = new Error(`Invalid Expression Near ${position}`);
+      error.status = 400;
+      throw error;
+    }
+    tokens.push(match[1]);
+  }
+  return tokens;
+};
+
+/**
+ * @function parse
+ * @name parse
+ * @description parse expression into an evaluator function
+ * @param {String} expression valid expression
+ * @return {Function} evaluator which accept answers and current value
+ * @throws {Error} if expression is not valid
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * const evaluate = parse("${water_supply} = 'yes'");
+ * evaluate({ water_supply: 'yes' });
+ * //=> true
+ */
+const parse = expression => {
+  const tokens = tokenize(expression);
+  let index = 0;
+
+  // helpers
+  const peek = () => tokens[index];
+  const next = () => tokens[index++];
+  const fail = message => {
+    const error = new Error(`${message} In Expression ${expression}`);
+    error.status = 400;
+    throw error;
+  };
+  const expect = token => {
+    if (next() !== token) {
+      fail(`Expected ${token}`);
+    }
+  };
+
+  // ensure regex literal pattern compiles
+  const ensurePattern = (token, args) => {
+    const pattern = _.get(args, [1, 'literal']);
+    const isLiteral = token === 'regex' && !_.isUndefined(pattern);
+    if (isLiteral && !isPattern(pattern)) {
+      fail(`Invalid Pattern ${pattern}`);
+    }
+  };
+
+  // binary operation of given operators and operand parser
+  const operation = (apply, operator, a, b) => {
+    return (answers, current) => apply(operator, a, b, answers, current);
+  };
+  const binary = (operators, operand, apply) => {
+    return () => {
+      let left = operand();
+      while (_.includes(operators, peek())) {
+        left = operation(apply, next(), left, operand());
+      }
+      return left;
+    };
+  };
+
+  // forward declaration of lowest precedence parser
+  let parseOr;
+
+  // primary: literal, reference, current, function call and grouping
+  const parsePrimary = () => {
+    const token = next();
+    if (_.isUndefined(token)) {
+      return fail('Unexpected End');
+    }
+    if (token === '(') {
+      const inner = parseOr();
+      expect(')');
+      return inner;
+    }
+    if (token === '.') {
+      return (answers, current) => current;
+    }
+    if (/^(\d|\.\d)/.test(token)) {
+      const number = Number(token);
+      return () => number;
+    }
+    if (/^['"]/.test(token)) {
+      const string = token.slice(1, -1);
+      return _.assign(() => string, { literal: string });
+    }
+    if (_.startsWith(token, '${')) {
+      const name = token.replace(REFERENCE_PATTERN, '$1');
+      return answers => answers[name];
+    }
+    if (_.has(FUNCTIONS, token) && peek() === '(') {
+      next();
+      const args = [];
+      while (peek() !== ')') {
+        args.push(parseOr());
+        if (peek() === ',') {
+          next();
+        } else if (peek() !== ')') {
+          fail('Expected )');
+        }
+      }
+      next();
+      ensurePattern(token, args);
+      const fn = FUNCTIONS[token];
+      return (answers, current) => {
+        return fn(..._.map(args, arg => arg(answers, current)));
+      };
+    }
+    return fail(`Unexpected ${token}`);
+  };
+
+  // unary: negation
+  const parseUnary = () => {
+    if (peek() === '-') {
+      next();
+      const operand = parseUnary();
+      return (answers, current) => -Number(toValue(operand(answers, current)));
+    }
+    return parsePrimary();
+  };
+
+  // arithmetic
+  const arithmetic = (operator, a, b, answers, current) => {
+    return OPERATORS[operator](a(answers, current), b(answers, current));
+  };
+  const parseMultiplicative = binary(
+    ['*', 'div', 'mod'],
+    parseUnary,
+    arithmetic
+  );
+  const parseAdditive = binary(['+', '-'], parseMultiplicative, arithmetic);
+
+  // comparison
+  const parseComparison = binary(
+    ['=', '!=', '<', '<=', '>', '>='],
+    parseAdditive,
+    (operator, a, b, answers, current) => {
+      return compare(operator, a(answers, current), b(answers, current));
+    }
+  );
+
+  // logical
+  const parseAnd = binary(['and'], parseComparison, (o, a, b, ans, cur) => {
+    return toBoolean(a(ans, cur)) && toBoolean(b(ans, cur));
+  });
+  parseOr = binary(['or'], parseAnd, (o, a, b, ans, cur) => {
+    return toBoolean(a(ans, cur)) || toBoolean(b(ans, cur));
+  });
+
+  // parse whole expression
+  const evaluator = parseOr();
+  if (index < tokens.length) {
+    fail(`Unexpected ${peek()}`);
+  }
+  return evaluator;
+};
+
+/**
+ * @function referencesOf
+ * @name referencesOf
+ * @description obtain unique question names referenced in an expression
+ * @param {String} expression valid expression
+ * @return {String[]} referenced question names
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * referencesOf("${water_supply} = 'yes' and ${household_size} > 2");
+ * //=> ['water_supply', 'household_size']
+ */
+const referencesOf = expression => {
+  const references = [];
+  _.toString(expression).replace(REFERENCE_PATTERN, (match, name) => {
+    references.push(name);
+    return match;
+  });
+  return _.uniq(references);
+};
+
+/**
+ * @function renameReferences
+ * @name renameReferences
+ * @description replace question names referenced in an expression using
+ * given old to new names map. Unmapped references are left as is.
+ * @param {String} expression valid expression
+ * @param {Object} renames new question names keyed by old names
+ * @return {String} expression with renamed references
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * renameReferences("${water_supply} = 'yes'", { water_supply: 'supply' });
+ * //=> "${supply} = 'yes'"
+ */
+const renameReferences = (expression, renames) => {
+  if (_.isNil(expression)) {
+    return expression;
+  }
+  return _.toString(expression).replace(REFERENCE_PATTERN, (match, name) => {
+    return _.has(renames, name) ? `\${${renames[name]}}` : match;
+  });
+};
+
+/**
+ * @function evaluate
+ * @name evaluate
+ * @description evaluate expression against given answers
+ * @param {String} expression valid expression
+ * @param {Object} [answers] answers keyed by question name
+ * @param {Mixed} [current] current answer value referenced by `.`
+ * @return {Mixed} expression value
+ * @throws {Error} if expression is not valid or can not be evaluated i.e
+ * invalid referenced regex pattern
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * evaluate("${household_size} > 2", { household_size: 5 });
+ * //=> true
+ */
+const evaluate = (expression, answers, current) => {
+  const evaluator = parse(expression);
+  try {
+    return evaluator(_.merge({}, answers), current);
+  } catch (cause) {
+    const message = `Invalid Expression ${expression}: ${cause.message}`;
+    const error = new Error(message);
+    error.status = 400;
+    throw error;
+  }
+};
+
+/**
+ * @function isRelevant
+ * @name isRelevant
+ * @description check if a question is relevant(applicable) for given
+ * answers. Question without relevant expression is always relevant.
+ * @param {Object} question valid question
+ * @param {Object} [answers] answers keyed by question name
+ * @return {Boolean} whether question is relevant
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * isRelevant(question, { water_supply: 'yes' });
+ * //=> true
+ */
+const isRelevant = (question, answers) => {
+  const relevant = _.trim(_.get(question, 'relevant'));
+  return _.isEmpty(relevant) || toBoolean(evaluate(relevant, answers));
+};
+
+/**
+ * @function relevantQuestionsOf
+ * @name relevantQuestionsOf
+ * @description obtain questions which are relevant(applicable) for a given
+ * partial set of answers. Answers of non relevant questions are ignored when
+ * evaluating the questions that follow them.
+ * @param {Object[]} questions valid questions
+ * @param {Object} [answers] answers keyed by question name
+ * @return {Object[]} relevant questions
+ * @throws {Error} if relevant expression of a question can not be
+ * evaluated. Error `question` is the name of that question.
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * relevantQuestionsOf(questions, { water_supply: 'no' });
+ * //=> [{ name: 'water_supply', ... }, ...]
+ */
+const relevantQuestionsOf = (questions, answers) => {
+  const applicable = _.merge({}, answers);
+  return _.filter(questions, question => {
+    let relevant;
+    try {
+      relevant = isRelevant(question, applicable);
+    } catch (error) {
+      error.question = question.name;
+      throw error;
+    }
+    if (!relevant) {
+      delete applicable[question.name];
+    }
+    return relevant;
+  });
+};
+
+/**
+ * @function validateReferences
+ * @name validateReferences
+ * @description check that expressions of given questions are valid and
+ * reference only names of the given questions
+ * @param {Object[]} questions valid questions
+ * @param {String} [field='relevant'] question expression field to check
+ * @return {Object[]} expression errors or empty if all are valid
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * validateReferences(questions);
+ * //=> [{ name: 'water_quality', field: 'relevant', message: '...' }]
+ */
+const validateReferences = (questions, field = 'relevant') => {
+  const names = _.map(questions, 'name');
+  const errors = _.map(questions, question => {
+    const expression = _.trim(_.get(question, field));
+    if (_.isEmpty(expression)) {
+      return undefined;
+    }
+    const { name } = question;
+    try {
+      parse(expression);
+    } catch (error) {
+      return { name, field, message: error.message };
+    }
+    const references = referencesOf(expression);
+    if (_.includes(references, name)) {
+      return { name, field, message: `${name} ${field} references itself` };
+    }
+    const unknowns = _.difference(references, names);
+    if (!_.isEmpty(unknowns)) {
+      const message = `${name} ${field} references unknown ${unknowns}`;
+      return { name, field, message };
+    }
+    return undefined;
+  });
+  return _.compact(errors);
+};
+
+/* expose */
+exports.parse = parse;
+exports.referencesOf = referencesOf;
+exports.renameReferences = renameReferences;
+exports.evaluate = evaluate;
+exports.isRelevant = isRelevant;
+exports.relevantQuestionsOf = relevantQuestionsOf;
+exports.validateReferences = validateReferences;
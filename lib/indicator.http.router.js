@@ -6,6 +6,9 @@
  * @apiDescription A representation of measure that is used to assess need,
  * situation and characteristics of disaster(or emergency) event.
  *
+ * Indicator topic and description are localized(i.e `en`, `sw`) unless
+ * a language is requested using `locale` or `Accept-Language`.
+ *
  * @see {@link https://en.wikipedia.org/wiki/Disaster}
  * @see {@link https://www.med.or.jp/english/journal/pdf/2013_01/019_024.pdf}
  * @see {@link https://www.spherestandards.org/handbook/}
@@ -25,8 +28,8 @@
  * @apiSuccess {String} [base] Top(generic or main) indicator under which
  * specific indicator(s) is derived.
  * @apiSuccess {String} subject Human readable subject of an indicator(s).
- * @apiSuccess {String} topic Human readable topic of an indicator(s).
- * @apiSuccess {String} [description] A brief summary(definition) about an
+ * @apiSuccess {Object} topic Human readable topic of an indicator(s).
+ * @apiSuccess {Object} [description] A brief summary(definition) about an
  * indicator if available i.e additional details that clarify about
  * an indicator.
  * @apiSuccess {String} [color] A color code(in hexadecimal format) used to
@@ -44,8 +47,8 @@
  * @apiSuccess {String} [data.base] Top(generic or main) indicator under which
  * specific indicator(s) is derived.
  * @apiSuccess {String} data.subject Human readable subject of an indicator(s).
- * @apiSuccess {String} data.topic Human readable topic of an indicator(s).
- * @apiSuccess {String} [data.description] A brief summary(definition) about an
+ * @apiSuccess {Object} data.topic Human readable topic of an indicator(s).
+ * @apiSuccess {Object} [data.description] A brief summary(definition) about an
  * indicator if available i.e additional details that clarify about
  * an indicator.
  * @apiSuccess {String} [data.color] A color code(in hexadecimal format) used to
@@ -104,22 +107,40 @@
 
 /* dependencies */
 const _ = require('lodash');
-const { getString } = require('@lykmapipo/env');
 const { include } = require('@lykmapipo/include');
 const Router = require('@lykmapipo/express-common').Router;
 
 /* constants */
-const API_VERSION = getString('API_VERSION', '1.0.0');
 const PATH_LIST = '/indicators';
 const PATH_SINGLE = '/indicators/:id';
 const PATH_SCHEMA = '/indicators/schema/';
+const PATH_BULK = '/indicators/bulk';
+const PATH_SCOPED = /^\/indicators(?!\/bulk\/?$)/;
+const PATH_TREE = '/indicators/tree';
+const PATH_CHILDREN = '/indicators/:id/children';
+const PATH_DESCENDANTS = '/indicators/:id/descendants';
+const PATH_ANCESTORS = '/indicators/:id/ancestors';
+const PATH_QUESTIONS = '/indicators/:id/questions';
+const PATH_QUESTIONNAIRES = '/indicators/:id/questionnaires';
 
 /* declarations */
 const Indicator = include(__dirname, 'indicator.model');
+const Question = include(__dirname, 'question.model');
+const Questionnaire = include(__dirname, 'questionnaire.model');
+const { localize } = include(__dirname, 'locale');
+const { API_VERSION } = include(__dirname, 'config');
+const { authenticate, authorize, authorizeBulk } = include(__dirname, 'auth');
 const router = new Router({
   version: API_VERSION,
 });
 
+/* authenticate request and authorize its scope except bulk batch */
+router.use(PATH_LIST, authenticate);
+router.use(PATH_SCOPED, authorize('indicator'));
+
+/* negotiate request locale and translate response */
+router.use(PATH_LIST, localize(Indicator, Question, Questionnaire));
+
 /**
  * @api {get} /indicators List Indicators
  * @apiVersion 1.0.0
@@ -204,6 +225,122 @@ router.post(PATH_LIST, function postIndicator(request, response, next) {
   });
 });
 
+/**
+ * @api {get} /indicators/tree Get Indicators Tree
+ * @apiVersion 1.0.0
+ * @apiName GetIndicatorsTree
+ * @apiGroup Indicator
+ * @apiDescription Returns indicators hierarchy tree. Indicators without base
+ * are roots and each indicator has its derived indicators as `children`.
+ * Deleted indicators are excluded.
+ * @apiUse RequestHeaders
+ *
+ * @apiSuccess {Object[]} data Root indicators
+ * @apiSuccess {Object[]} data.children Indicators derived from an indicator
+ *
+ * @apiUse RequestHeadersExample
+ * @apiUse JWTError
+ * @apiUse JWTErrorExample
+ * @apiUse AuthorizationHeaderError
+ * @apiUse AuthorizationHeaderErrorExample
+ */
+router.get(PATH_TREE, function getIndicatorsTree(request, response, next) {
+  // obtain request options
+  const options = _.pick(request.mquery, 'filter');
+
+  Indicator.getTree(options, function onGetTree(error, tree) {
+    // forward error
+    if (error) {
+      next(error);
+    }
+
+    // handle response
+    else {
+      response.status(200);
+      response.json({ data: tree });
+    }
+  });
+});
+
+/**
+ * @api {post} /indicators/bulk Bulk Create, Update And Delete Indicators
+ * @apiVersion 1.0.0
+ * @apiName PostBulkIndicators
+ * @apiGroup Indicator
+ * @apiDescription Create, patch and delete many indicators in one batch. Each
+ * item is validated on its own and reported using its operation and index.
+ * Atomic batch writes nothing unless all items succeed, using a transaction
+ * which requires a replica set or sharded deployment.
+ * @apiUse RequestHeaders
+ *
+ * @apiParam {Object[]} [inserts] Indicators to create.
+ * @apiParam {Object[]} [patches] Indicators updates, each with its `_id`.
+ * @apiParam {String[]} [deletes] Ids of indicators to delete.
+ * @apiParam {Boolean} [atomic=false] Whether to apply all or nothing.
+ *
+ * @apiSuccess {Boolean} atomic Whether batch was atomic
+ * @apiSuccess {Boolean} committed Whether batch writes were kept
+ * @apiSuccess {Number} total Number of batch items
+ * @apiSuccess {Number} ok Number of succeeded items
+ * @apiSuccess {Number} failed Number of failed items
+ * @apiSuccess {Number} skipped Number of items not written
+ * @apiSuccess {Object[]} results Per item operation, index, `_id`, status
+ * and error
+ *
+ * @apiSuccessExample {json} Success-Response:
+ * {
+ *   "atomic": false,
+ *   "committed": true,
+ *   "total": 2,
+ *   "ok": 1,
+ *   "failed": 1,
+ *   "skipped": 0,
+ *   "results": [
+ *     {
+ *       "operation": "insert",
+ *       "index": 0,
+ *       "_id": "5bcda2c073dd0700048fb846",
+ *       "status": "ok"
+ *     },
+ *     {
+ *       "operation": "delete",
+ *       "index": 0,
+ *       "_id": "5bcda2c073dd0700048fb847",
+ *       "status": "failed",
+ *       "error": { "name": "DocumentNotFoundError", "message": "..." }
+ *     }
+ *   ]
+ * }
+ *
+ * @apiUse RequestHeadersExample
+ * @apiUse JWTError
+ * @apiUse JWTErrorExample
+ * @apiUse AuthorizationHeaderError
+ * @apiUse AuthorizationHeaderErrorExample
+ */
+router.post(PATH_BULK, authorizeBulk('indicator'), function postBulkIndicators(
+  request,
+  response,
+  next
+) {
+  // obtain batch
+  const batch = _.merge({}, request.body);
+
+  Indicator.bulk(batch, function onBulk(error, report) {
+    // forward error
+    if (error) {
+      next(error);
+    }
+
+    // handle response
+    else {
+      const status = report.committed && report.failed === 0 ? 200 : 207;
+      response.status(status);
+      response.json(report);
+    }
+  });
+});
+
 /**
  * @api {get} /indicators/:id Get Existing Indicators
  * @apiVersion 1.0.0
@@ -323,7 +460,10 @@ router.put(PATH_SINGLE, function putIndicator(request, response, next) {
  * @apiVersion 1.0.0
  * @apiName DeleteIndicator
  * @apiGroup Indicator
- * @apiDescription Delete existing indicator
+ * @apiDescription Delete existing indicator. Referencing sub indicators and
+ * questions are handled using `INDICATOR_DELETE_POLICY` i.e `restrict` fails
+ * with `409` listing them, `cascade` deletes them and `nullify` removes their
+ * references.
  * @apiUse RequestHeaders
  * @apiUse Indicator
  *
@@ -338,8 +478,9 @@ router.put(PATH_SINGLE, function putIndicator(request, response, next) {
 router.delete(PATH_SINGLE, function deleteIndicator(request, response, next) {
   // obtain indicator id
   const { id } = request.params;
+  const options = { _id: id, soft: Indicator.SOFT_DELETE };
 
-  Indicator.del(id, function onDeleteIndicator(error, deleted) {
+  Indicator.del(options, function onDeleteIndicator(error, deleted) {
     // forward error
     if (error) {
       next(error);
@@ -353,5 +494,213 @@ router.delete(PATH_SINGLE, function deleteIndicator(request, response, next) {
   });
 });
 
+/**
+ * @api {get} /indicators/:id/children List Indicator Children
+ * @apiVersion 1.0.0
+ * @apiName GetIndicatorChildren
+ * @apiGroup Indicator
+ * @apiDescription Returns a list of indicators, not deleted, derived
+ * directly from an indicator
+ * @apiUse RequestHeaders
+ * @apiUse Indicators
+ *
+ *
+ * @apiUse RequestHeadersExample
+ * @apiUse IndicatorsSuccessResponse
+ * @apiUse JWTError
+ * @apiUse JWTErrorExample
+ * @apiUse AuthorizationHeaderError
+ * @apiUse AuthorizationHeaderErrorExample
+ */
+router.get(PATH_CHILDREN, function getIndicatorChildren(
+  request,
+  response,
+  next
+) {
+  // obtain request options
+  const options = _.merge({}, request.mquery);
+
+  // restrict to indicator children, not deleted
+  const criteria = { base: request.params.id, deletedAt: null };
+  options.filter = _.merge({}, options.filter, criteria);
+
+  Indicator.get(options, function onGetChildren(error, results) {
+    // forward error
+    if (error) {
+      next(error);
+    }
+
+    // handle response
+    else {
+      response.status(200);
+      response.json(results);
+    }
+  });
+});
+
+/**
+ * @api {get} /indicators/:id/descendants List Indicator Descendants
+ * @apiVersion 1.0.0
+ * @apiName GetIndicatorDescendants
+ * @apiGroup Indicator
+ * @apiDescription Returns all indicators derived from an indicator, ordered
+ * by their level below it. Deleted indicators are excluded. Respond with
+ * `404` if indicator does not exist or is deleted.
+ * @apiUse RequestHeaders
+ *
+ * @apiSuccess {Object[]} data Indicator descendants
+ *
+ * @apiUse RequestHeadersExample
+ * @apiUse JWTError
+ * @apiUse JWTErrorExample
+ * @apiUse AuthorizationHeaderError
+ * @apiUse AuthorizationHeaderErrorExample
+ */
+router.get(PATH_DESCENDANTS, function getIndicatorDescendants(
+  request,
+  response,
+  next
+) {
+  // obtain indicator id
+  const { id } = request.params;
+
+  Indicator.getDescendants(id, function onGetDescendants(error, descendants) {
+    // forward error
+    if (error) {
+      next(error);
+    }
+
+    // handle response
+    else {
+      response.status(200);
+      response.json({ data: descendants });
+    }
+  });
+});
+
+/**
+ * @api {get} /indicators/:id/ancestors List Indicator Ancestors
+ * @apiVersion 1.0.0
+ * @apiName GetIndicatorAncestors
+ * @apiGroup Indicator
+ * @apiDescription Returns indicators an indicator is derived from, ordered
+ * from its base up to the root. Deleted indicators are excluded. Respond
+ * with `404` if indicator does not exist or is deleted.
+ * @apiUse RequestHeaders
+ *
+ * @apiSuccess {Object[]} data Indicator ancestors
+ *
+ * @apiUse RequestHeadersExample
+ * @apiUse JWTError
+ * @apiUse JWTErrorExample
+ * @apiUse AuthorizationHeaderError
+ * @apiUse AuthorizationHeaderErrorExample
+ */
+router.get(PATH_ANCESTORS, function getIndicatorAncestors(
+  request,
+  response,
+  next
+) {
+  // obtain indicator id
+  const { id } = request.params;
+
+  Indicator.getAncestors(id, function onGetAncestors(error, ancestors) {
+    // forward error
+    if (error) {
+      next(error);
+    }
+
+    // handle response
+    else {
+      response.status(200);
+      response.json({ data: ancestors });
+    }
+  });
+});
+
+/**
+ * @api {get} /indicators/:id/questions List Indicator Questions
+ * @apiVersion 1.0.0
+ * @apiName GetIndicatorQuestions
+ * @apiGroup Indicator
+ * @apiDescription Returns a list of questions which measure an indicator.
+ * Deleted questions are excluded and unknown indicator is not found.
+ * @apiUse RequestHeaders
+ * @apiUse Questions
+ *
+ *
+ * @apiUse RequestHeadersExample
+ * @apiUse QuestionsSuccessResponse
+ * @apiUse JWTError
+ * @apiUse JWTErrorExample
+ * @apiUse AuthorizationHeaderError
+ * @apiUse AuthorizationHeaderErrorExample
+ */
+router.get(PATH_QUESTIONS, function getIndicatorQuestions(
+  request,
+  response,
+  next
+) {
+  // obtain request options
+  const options = _.merge({}, request.mquery, { indicator: request.params.id });
+
+  Question.getByIndicator(options, function onGetQuestions(error, results) {
+    // forward error
+    if (error) {
+      next(error);
+    }
+
+    // handle response
+    else {
+      response.status(200);
+      response.json(results);
+    }
+  });
+});
+
+/**
+ * @api {get} /indicators/:id/questionnaires List Indicator Questionnaires
+ * @apiVersion 1.0.0
+ * @apiName GetIndicatorQuestionnaires
+ * @apiGroup Indicator
+ * @apiDescription Returns a list of questionnaires which use questions of an
+ * indicator. Deleted questionnaires and questions are excluded and unknown
+ * indicator is not found.
+ * @apiUse RequestHeaders
+ * @apiUse Questionnaires
+ *
+ *
+ * @apiUse RequestHeadersExample
+ * @apiUse QuestionnairesSuccessResponse
+ * @apiUse JWTError
+ * @apiUse JWTErrorExample
+ * @apiUse AuthorizationHeaderError
+ * @apiUse AuthorizationHeaderErrorExample
+ */
+router.get(PATH_QUESTIONNAIRES, function getIndicatorQuestionnaires(
+  request,
+  response,
+  next
+) {
+  // obtain request options
+  const options = _.merge({}, request.mquery, { indicator: request.params.id });
+
+  Questionnaire.getByIndicator(options, function onGetQuestionnaires(
+    error,
+    results
+  ) {
+    // forward error
+    if (error) {
+      next(error);
+    }
+
+    // handle response
+    else {
+      response.status(200);
+      response.json(results);
+    }
+  });
+});
+
 /* expose indicator router */
 exports = module.exports = router;
@@ -21,49 +21,150 @@
 
 /* dependencies */
 const _ = require('lodash');
-const { sortedUniq } = require('@lykmapipo/common');
-const { getString, getStrings } = require('@lykmapipo/env');
 const {
   SCHEMA_OPTIONS,
   Schema,
   SchemaTypes,
   model,
   copyInstance,
+  MongooseError,
 } = require('@lykmapipo/mongoose-common');
+const { include } = require('@lykmapipo/include');
 const actions = require('mongoose-rest-actions');
+const localize = require('mongoose-locale-schema');
 const randomColor = require('randomcolor');
 const { ObjectId } = SchemaTypes;
-
-/* subjects */
-const SUBJECTS = sortedUniq(
-  getStrings('ASSESSMENT_INDICATOR_SUBJECTS', [
-    'Population',
-    'Geography',
-    'Health',
-    'Water',
-    'Sanitation',
-    'Food & Nutrition',
-    'Shelter',
-    'Livelihood',
-    'Income',
-    'Protection',
-    'Education',
-    'Basic Needs',
-    'Transportation',
-    'Communication',
-    'Energy',
-  ])
+const { ValidationError, ValidatorError } = MongooseError;
+const { localized, localizedPath, localizedPathsOf, translate } = include(
+  __dirname,
+  'locale'
 );
+const { deletePolicy } = include(__dirname, 'delete.policy');
+const { bulk } = include(__dirname, 'bulk');
+const {
+  INDICATOR_MODEL_NAME: MODEL_NAME,
+  INDICATOR_COLLECTION_NAME: COLLECTION_NAME,
+  SUBJECTS,
+  INDICATOR_MAX_DEPTH: MAX_DEPTH,
+  INDICATOR_DELETE_POLICY: DELETE_POLICY,
+  INDICATOR_SOFT_DELETE: SOFT_DELETE,
+  QUESTION_MODEL_NAME,
+} = include(__dirname, 'config');
 
 /* schema options */
 const POPULATION_MAX_DEPTH = 1;
-const MODEL_NAME = getString('MODEL_NAME', 'Indicator');
-const COLLECTION_NAME = getString('COLLECTION_NAME', 'indicators');
 const OPTION_AUTOPOPULATE = {
   select: { subject: 1, topic: 1, color: 1 },
   maxDepth: POPULATION_MAX_DEPTH,
 };
 
+/**
+ * @name idOf
+ * @function idOf
+ * @description obtain id of a given indicator or indicator id
+ * @param {Object|ObjectId|String} indicator valid indicator or its id
+ * @return {String} indicator id
+ * @since 1.6.0
+ * @version 0.1.0
+ * @private
+ */
+const idOf = indicator => _.toString(_.get(indicator, '_id', indicator));
+
+/**
+ * @name findExisting
+ * @function findExisting
+ * @description find existing indicator, failing with `404` if not found
+ * or deleted
+ * @param {Model} Indicator valid indicator model
+ * @param {ObjectId|String} id valid indicator id
+ * @param {Function} done callback to invoke on success or error
+ * @since 1.6.0
+ * @version 0.1.0
+ * @private
+ */
+const findExisting = (Indicator, id, done) => {
+  Indicator.findOne({ _id: id, deletedAt: null })
+    .select({ _id: 1 })
+    .lean()
+    .exec((error, found) => {
+      if (!error && !found) {
+        error = new Error('Not Found');
+        error.status = 404;
+      }
+      return done(error, found);
+    });
+};
+
+/**
+ * @name ancestorIdsOf
+ * @function ancestorIdsOf
+ * @description find ancestors ids of a given indicator ordered from its
+ * base up to the root. Stop on deleted ancestor, cycle or after maximum depth.
+ * @param {Model} Indicator valid indicator model
+ * @param {ObjectId|String} id valid indicator id
+ * @param {Function} done callback to invoke on success or error
+ * @since 1.6.0
+ * @version 0.1.0
+ * @private
+ */
+const ancestorIdsOf = (Indicator, id, done) => {
+  const ids = [];
+  const walk = current => {
+    Indicator.findOne({ _id: current, deletedAt: null })
+      .select({ base: 1 })
+      .lean()
+      .exec((error, found) => {
+        const base = _.get(found, 'base');
+        const visited = _.map([id, ...ids], idOf);
+        const isCycle = _.includes(visited, idOf(base));
+        if (error || !base || isCycle || ids.length >= MAX_DEPTH) {
+          return done(error, ids);
+        }
+        ids.push(base);
+        return walk(base);
+      });
+  };
+  return walk(id);
+};
+
+/**
+ * @name descendantIdsOf
+ * @function descendantIdsOf
+ * @description find descendants ids of a given indicator grouped by their
+ * level below it. Deleted indicators and their descendants are skipped. Stop
+ * on cycle or after maximum depth.
+ * @param {Model} Indicator valid indicator model
+ * @param {ObjectId|String} id valid indicator id
+ * @param {Function} done callback to invoke on success or error
+ * @since 1.6.0
+ * @version 0.1.0
+ * @private
+ */
+const descendantIdsOf = (Indicator, id, done) => {
+  const levels = [];
+  const walk = parents => {
+    if (_.isEmpty(parents) || levels.length >= MAX_DEPTH) {
+      return done(null, levels);
+    }
+    return Indicator.find({ base: { $in: parents }, deletedAt: null })
+      .select({ _id: 1 })
+      .lean()
+      .exec((error, children) => {
+        if (error) {
+          return done(error);
+        }
+        const visited = _.map([id, ..._.flatten(levels)], idOf);
+        const isVisited = child => _.includes(visited, idOf(child));
+        const ids = _.map(_.reject(children, isVisited), '_id');
+        if (!_.isEmpty(ids)) {
+          levels.push(ids);
+        }
+        return walk(ids);
+      });
+  };
+  return walk([id]);
+};
+
 /**
  * @name IndicatorSchema
  * @type {Schema}
@@ -143,13 +244,14 @@ const IndicatorSchema = new Schema(
      * @description Human readable topic of an indicator(s).
      *
      * @type {object}
-     * @property {object} type - schema(data) type
+     * @property {object} type - localized schema(data) type
      * @property {boolean} trim - force trimming
      * @property {boolean} required - mark required
      * @property {boolean} index - ensure database index
      * @property {boolean} searchable - allow for searching
      * @property {boolean} taggable - allow field use for tagging
      * @property {object} fake - fake data generator options
+     * @property {function} set - allow plain text of default locale
      *
      * @since 1.0.0
      * @version 0.1.0
@@ -158,16 +260,19 @@ const IndicatorSchema = new Schema(
      * Water Supply
      */
     topic: {
-      type: String,
-      trim: true,
+      type: localize({
+        trim: true,
+        required: true,
+        index: true,
+        searchable: true,
+        taggable: true,
+        fake: {
+          generator: 'hacker',
+          type: 'noun',
+        },
+      }),
       required: true,
-      index: true,
-      searchable: true,
-      taggable: true,
-      fake: {
-        generator: 'hacker',
-        type: 'noun',
-      },
+      set: localized,
     },
 
     /**
@@ -176,25 +281,28 @@ const IndicatorSchema = new Schema(
      * available i.e additional details that clarify about an indicator.
      *
      * @type {object}
-     * @property {object} type - schema(data) type
+     * @property {object} type - localized schema(data) type
      * @property {boolean} trim - force trimming
      * @property {boolean} index - ensure database index
      * @property {boolean} searchable - allow for searching
      * @property {object} fake - fake data generator options
+     * @property {function} set - allow plain text of default locale
      *
      * @since 1.0.0
      * @version 0.1.0
      * @instance
      */
     description: {
-      type: String,
-      trim: true,
-      index: true,
-      searchable: true,
-      fake: {
-        generator: 'lorem',
-        type: 'sentence',
-      },
+      type: localize({
+        trim: true,
+        index: true,
+        searchable: true,
+        fake: {
+          generator: 'lorem',
+          type: 'sentence',
+        },
+      }),
+      set: localized,
     },
 
     /**
@@ -244,7 +352,7 @@ const IndicatorSchema = new Schema(
       trim: true,
     },
   },
-  SCHEMA_OPTIONS
+  _.merge({}, SCHEMA_OPTIONS, { collection: COLLECTION_NAME })
 );
 
 /*
@@ -253,7 +361,7 @@ const IndicatorSchema = new Schema(
  *------------------------------------------------------------------------------
  */
 
-const uniqueIndex = { subject: 1, topic: 1 };
+const uniqueIndex = { subject: 1, [localizedPath('topic')]: 1 };
 IndicatorSchema.index(uniqueIndex, { unique: true });
 
 /*
@@ -287,8 +395,70 @@ IndicatorSchema.methods.preValidate = function preValidate(done) {
     this.color = randomColor({ luminosity: 'light' });
   }
 
-  // continue
-  return done();
+  // ensure valid hierarchy
+  return this.validateHierarchy(done);
+};
+
+/**
+ * @name validateHierarchy
+ * @function validateHierarchy
+ * @description ensure indicator is not its own ancestor and its hierarchy
+ * does not exceed maximum depth
+ * @param {function} done callback to invoke on success or error
+ * @since 1.6.0
+ * @version 0.1.0
+ * @instance
+ */
+IndicatorSchema.methods.validateHierarchy = function validateHierarchy(done) {
+  // ref
+  const indicator = this;
+  const Indicator = this.constructor;
+
+  // ignore if base not changed
+  if (!this.base || !this.isModified('base')) {
+    return done();
+  }
+
+  // prepare hierarchy error
+  const invalid = (type, message) => {
+    const error = new ValidationError(indicator);
+    const path = 'base';
+    const value = indicator.base;
+    error.addError(path, new ValidatorError({ path, message, type, value }));
+    return error;
+  };
+  const cyclic = () =>
+    invalid('cycle', 'Indicator can not be its own ancestor');
+  const deep = () => invalid('depth', `Exceed maximum depth of ${MAX_DEPTH}`);
+
+  // ensure not own base
+  const base = idOf(this.base);
+  if (base === idOf(this._id)) {
+    return done(cyclic());
+  }
+
+  // ensure not ancestor of own base
+  return ancestorIdsOf(Indicator, base, (error, ancestors) => {
+    if (error) {
+      return done(error);
+    }
+    const lineage = _.map([base, ...ancestors], idOf);
+    if (_.includes(lineage, idOf(indicator._id))) {
+      return done(cyclic());
+    }
+
+    // ensure maximum depth including descendants
+    const level = lineage.length + 1;
+    if (indicator.isNew) {
+      return done(level > MAX_DEPTH ? deep() : undefined);
+    }
+    return descendantIdsOf(Indicator, indicator._id, (error, levels) => {
+      if (error) {
+        return done(error);
+      }
+      return done(level + levels.length > MAX_DEPTH ? deep() : undefined);
+    });
+  });
 };
 
 /*
@@ -303,6 +473,8 @@ IndicatorSchema.statics.COLLECTION_NAME = COLLECTION_NAME;
 IndicatorSchema.statics.OPTION_AUTOPOPULATE = OPTION_AUTOPOPULATE;
 IndicatorSchema.statics.POPULATION_MAX_DEPTH = POPULATION_MAX_DEPTH;
 IndicatorSchema.statics.SUBJECTS = SUBJECTS;
+IndicatorSchema.statics.MAX_DEPTH = MAX_DEPTH;
+IndicatorSchema.statics.LOCALIZED_PATHS = localizedPathsOf(IndicatorSchema);
 
 /**
  * @name prepareSeedCriteria
@@ -324,10 +496,180 @@ IndicatorSchema.statics.prepareSeedCriteria = seed => {
      _.pick(criteria, '_id') : 
      _.pick(criteria, 'subject', 'topic')
   );
+  // query topic by its default locale text
+  if (criteria.topic) {
+    criteria[localizedPath('topic')] = translate(criteria.topic);
+    criteria = _.omit(criteria, 'topic');
+  }
   // return indicators upsert criteria
   return criteria;
 };
 
+/**
+ * @name toTree
+ * @function toTree
+ * @description build hierarchy tree of given indicators using their base.
+ * Indicators without base, or whose base is not given, are tree roots.
+ * @param {Object[]} indicators valid indicators
+ * @param {Number} [maxDepth=MAX_DEPTH] maximum depth of the tree
+ * @return {Object[]} root indicators with their nested children
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * Indicator.toTree(indicators);
+ * //=> [{ subject: 'Water', topic: 'Water', children: [{...}] }]
+ */
+IndicatorSchema.statics.toTree = (indicators, maxDepth = MAX_DEPTH) => {
+  // prepare lookups
+  const plains = _.map(indicators, copyInstance);
+  const ids = _.map(plains, idOf);
+  const childrenOf = _.groupBy(plains, plain => idOf(plain.base));
+  const isRoot = plain => !plain.base || !_.includes(ids, idOf(plain.base));
+
+  // build node with its children, skipping cycles
+  const toNode = (plain, path) => {
+    const isDeep = path.length >= maxDepth;
+    const isVisited = child => _.includes(path, idOf(child));
+    const children = isDeep ? [] : _.reject(childrenOf[idOf(plain)], isVisited);
+    return _.assign({}, plain, {
+      children: _.map(children, child => toNode(child, [...path, idOf(child)])),
+    });
+  };
+
+  // build tree from roots
+  return _.map(_.filter(plains, isRoot), root => toNode(root, [idOf(root)]));
+};
+
+/**
+ * @name getTree
+ * @function getTree
+ * @description obtain indicators hierarchy tree, without deleted indicators
+ * @param {Object} [optns] valid find options
+ * @param {Object} [optns.filter] valid indicators filter
+ * @param {Function} done callback to invoke on success or error
+ * @return {Object[]|Error} root indicators with their children or error
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * Indicator.getTree((error, tree) => { ... });
+ */
+IndicatorSchema.statics.getTree = function getTree(optns, done) {
+  // ref
+  const Indicator = this;
+
+  // normalize arguments
+  const cb = _.isFunction(optns) ? optns : done;
+  const options = _.merge({}, _.isFunction(optns) ? {} : optns);
+  const filter = _.merge({}, options.filter, { deletedAt: null });
+
+  // find indicators and build tree
+  return Indicator.find(filter)
+    .sort({ subject: 1, [localizedPath('topic')]: 1 })
+    .lean()
+    .exec((error, indicators) => {
+      if (error) {
+        error.status = error.status || 400;
+        return cb(error);
+      }
+      return cb(null, Indicator.toTree(indicators));
+    });
+};
+
+/**
+ * @name getAncestors
+ * @function getAncestors
+ * @description obtain ancestors of existing indicator ordered from its base
+ * up to the root. Fail with `404` if indicator does not exist.
+ * @param {ObjectId|String} id valid indicator id
+ * @param {Function} done callback to invoke on success or error
+ * @return {Object[]|Error} indicator ancestors or error
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * Indicator.getAncestors(_id, (error, ancestors) => { ... });
+ */
+IndicatorSchema.statics.getAncestors = function getAncestors(id, done) {
+  // ref
+  const Indicator = this;
+
+  // find ancestors in lineage order
+  const findAncestors = () => {
+    return ancestorIdsOf(Indicator, id, (error, ids) => {
+      if (error) {
+        return done(error);
+      }
+      const criteria = { _id: { $in: ids }, deletedAt: null };
+      return Indicator.find(criteria).exec((error, ancestors) => {
+        const ordered = _.sortBy(ancestors, ancestor => {
+          return _.indexOf(_.map(ids, idOf), idOf(ancestor));
+        });
+        return done(error, ordered);
+      });
+    });
+  };
+
+  // ensure indicator exists
+  return findExisting(Indicator, id, error => {
+    return error ? done(error) : findAncestors();
+  });
+};
+
+/**
+ * @name getDescendants
+ * @function getDescendants
+ * @description obtain descendants of existing indicator ordered by their
+ * level below it. Fail with `404` if indicator does not exist.
+ * @param {ObjectId|String} id valid indicator id
+ * @param {Function} done callback to invoke on success or error
+ * @return {Object[]|Error} indicator descendants or error
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * Indicator.getDescendants(_id, (error, descendants) => { ... });
+ */
+IndicatorSchema.statics.getDescendants = function getDescendants(id, done) {
+  // ref
+  const Indicator = this;
+
+  // find descendants in level order
+  const findDescendants = () => {
+    return descendantIdsOf(Indicator, id, (error, levels) => {
+      if (error) {
+        return done(error);
+      }
+      const ids = _.map(_.flatten(levels), idOf);
+      const criteria = { _id: { $in: ids }, deletedAt: null };
+      return Indicator.find(criteria).exec((error, descendants) => {
+        const ordered = _.sortBy(descendants, descendant => {
+          return _.indexOf(ids, idOf(descendant));
+        });
+        return done(error, ordered);
+      });
+    });
+  };
+
+  // ensure indicator exists
+  return findExisting(Indicator, id, error => {
+    return error ? done(error) : findDescendants();
+  });
+};
+
 /*
  *------------------------------------------------------------------------------
  * Plugins
@@ -337,5 +679,18 @@ IndicatorSchema.statics.prepareSeedCriteria = seed => {
 /* plug mongoose rest actions */
 IndicatorSchema.plugin(actions);
 
+/* plug delete policy of sub indicators and questions */
+IndicatorSchema.plugin(deletePolicy, {
+  policy: DELETE_POLICY,
+  soft: SOFT_DELETE,
+  relations: [
+    { modelName: MODEL_NAME, path: 'base' },
+    { modelName: QUESTION_MODEL_NAME, path: 'indicator' },
+  ],
+});
+
+/* plug bulk insert, patch and delete */
+IndicatorSchema.plugin(bulk);
+
 /* export indicator model */
 exports = module.exports = model(MODEL_NAME, IndicatorSchema);
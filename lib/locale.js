@@ -0,0 +1,276 @@
+'use strict';
+
+/**
+ * @module Locale
+ * @name Locale
+ * @description Helpers to work with multilingual(localized) fields i.e
+ * question label, choice label, questionnaire title and indicator topic.
+ *
+ * @see {@link https://github.com/lykmapipo/mongoose-locale-schema}
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/HTTP/Headers/Accept-Language}
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @license MIT
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ */
+
+/* dependencies */
+const _ = require('lodash');
+const { include } = require('@lykmapipo/include');
+const { DEFAULT_LOCALE, LOCALES } = include(__dirname, 'config');
+
+/**
+ * @function isLocalized
+ * @name isLocalized
+ * @description check if a given value is a localized value i.e plain object
+ * with text keyed by supported locales
+ * @param {Mixed} value value to check
+ * @return {Boolean} whether value is localized
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * isLocalized({ en: 'Yes', sw: 'Ndiyo' });
+ * //=> true
+ */
+const isLocalized = value => {
+  if (!_.isPlainObject(value) || _.isEmpty(value)) {
+    return false;
+  }
+  const isText = text => _.isNil(text) || _.isString(text);
+  return _.every(value, (text, locale) => {
+    return _.includes(LOCALES, locale) && isText(text);
+  });
+};
+
+/**
+ * @function localized
+ * @name localized
+ * @description normalize plain text to localized value of default locale.
+ * Used as setter of localized fields to allow plain text input.
+ * @param {String|Object} value plain text or localized value
+ * @return {Object} localized value
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * localized('Yes');
+ * //=> { en: 'Yes' }
+ */
+const localized = value => {
+  if (_.isString(value)) {
+    return { [DEFAULT_LOCALE]: value };
+  }
+  return value;
+};
+
+/**
+ * @function localizedPath
+ * @name localizedPath
+ * @description obtain default locale path of a localized field. Used to
+ * query and index localized fields.
+ * @param {String} path valid localized field path
+ * @return {String} default locale path
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * localizedPath('title');
+ * //=> 'title.en'
+ */
+const localizedPath = path => `${path}.${DEFAULT_LOCALE}`;
+
+/**
+ * @function localizedPathsOf
+ * @name localizedPathsOf
+ * @description obtain paths of localized fields of a given schema including
+ * localized fields of its sub schemas i.e `choices.label`
+ * @param {Schema} schema valid mongoose schema
+ * @param {String} [prefix] path of sub schema
+ * @return {String[]} localized field paths
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * localizedPathsOf(QuestionSchema);
+ * //=> ['label', 'help', 'choices.label']
+ */
+const localizedPathsOf = (schema, prefix) => {
+  const paths = [];
+  schema.eachPath((path, schemaType) => {
+    const current = prefix ? `${prefix}.${path}` : path;
+    if (_.get(schemaType, 'options.set') === localized) {
+      paths.push(current);
+    } else if (schemaType.schema) {
+      paths.push(...localizedPathsOf(schemaType.schema, current));
+    }
+  });
+  return paths;
+};
+
+/**
+ * @function translate
+ * @name translate
+ * @description obtain text of a localized value in a given locale. If not
+ * available default locale text will be used.
+ * @param {String|Object} value plain text, localized value or sub document
+ * @param {String} [locale=DEFAULT_LOCALE] preferred locale
+ * @return {String|undefined} translated text
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * translate({ en: 'Yes', sw: 'Ndiyo' }, 'sw');
+ * //=> 'Ndiyo'
+ */
+const translate = (value, locale = DEFAULT_LOCALE) => {
+  const isInstance = _.isFunction(_.get(value, 'toObject'));
+  const plain = isInstance ? value.toObject() : value;
+  if (!_.isPlainObject(plain)) {
+    return _.isNil(plain) ? undefined : plain;
+  }
+  return plain[locale] || plain[DEFAULT_LOCALE] || _.find(plain, _.identity);
+};
+
+/**
+ * @function translateDeep
+ * @name translateDeep
+ * @description recursively translate localized values of a given
+ * instance(s) into a given locale. Only values at given localized paths,
+ * also when nested i.e `indicator.topic`, are translated so that other
+ * values keyed by locales i.e answers are kept as they are.
+ * @param {Object|Object[]} instance valid instance(s) or plain object(s)
+ * @param {String} [locale=DEFAULT_LOCALE] preferred locale
+ * @param {String[]} [paths] localized field paths
+ * @return {Object|Object[]} plain object(s) with translated text
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * translateDeep(question, 'sw', Question.LOCALIZED_PATHS);
+ * //=> { name: 'water_supply', label: 'Kulikuwa na maji ...?', ... }
+ */
+const translateDeep = (instance, locale = DEFAULT_LOCALE, paths = []) => {
+  const isLocalizedPath = current => {
+    return _.some(paths, path => {
+      return current === path || _.endsWith(current, `.${path}`);
+    });
+  };
+  const translateValue = (value, current) => {
+    if (isLocalized(value) && isLocalizedPath(current)) {
+      return translate(value, locale);
+    }
+    if (_.isArray(value)) {
+      return _.map(value, item => translateValue(item, current));
+    }
+    if (_.isPlainObject(value)) {
+      return _.mapValues(value, (item, key) => {
+        return translateValue(item, current ? `${current}.${key}` : key);
+      });
+    }
+    return value;
+  };
+  const plain = JSON.parse(JSON.stringify(instance));
+  return translateValue(plain, '');
+};
+
+/**
+ * @function negotiateLocale
+ * @name negotiateLocale
+ * @description obtain supported locale requested using `locale` query
+ * parameter or `Accept-Language` header
+ * @param {Object} request valid http request
+ * @return {String|undefined} requested locale or undefined if no supported
+ * locale requested
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * // GET /questions?locale=sw
+ * negotiateLocale(request);
+ * //=> 'sw'
+ */
+const negotiateLocale = request => {
+  // use locale query parameter
+  const locale = _.get(request, 'query.locale');
+  if (_.includes(LOCALES, locale)) {
+    return locale;
+  }
+
+  // use accept language header
+  const hasHeader = !_.isEmpty(request.get('accept-language'));
+  const accepted = hasHeader ? request.acceptsLanguages(LOCALES) : undefined;
+  return accepted || undefined;
+};
+
+/**
+ * @function localize
+ * @name localize
+ * @description create http middleware to negotiate request locale and
+ * translate localized values of given models in json response into it.
+ * Response is sent with all translations if no supported locale requested.
+ * @param {...Model} models valid models with `LOCALIZED_PATHS`
+ * @return {Function} valid http middleware
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * router.use(PATH_LIST, localize(Question, Indicator));
+ */
+const localize = (...models) => {
+  const paths = _.union(..._.map(models, 'LOCALIZED_PATHS'));
+  return (request, response, next) => {
+    // negotiate request locale
+    request.locale = negotiateLocale(request);
+
+    // translate json response body
+    if (request.locale) {
+      const json = response.json.bind(response);
+      response.set('Content-Language', request.locale);
+      response.json = body => {
+        return json(translateDeep(body, request.locale, paths));
+      };
+    }
+
+    // continue
+    next();
+  };
+};
+
+/* expose */
+exports.DEFAULT_LOCALE = DEFAULT_LOCALE;
+exports.LOCALES = LOCALES;
+exports.isLocalized = isLocalized;
+exports.localized = localized;
+exports.localizedPath = localizedPath;
+exports.localizedPathsOf = localizedPathsOf;
+exports.translate = translate;
+exports.translateDeep = translateDeep;
+exports.negotiateLocale = negotiateLocale;
+exports.localize = localize;
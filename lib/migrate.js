@@ -0,0 +1,216 @@
+'use strict';
+
+/**
+ * @module Migrate
+ * @name Migrate
+ * @description Migrate existing indicators, questions and questionnaires
+ * stored before localization i.e plain text topic, label and title are
+ * converted into localized values of default locale and indexes of the
+ * plain text fields are replaced by indexes of their default locale paths.
+ *
+ * Migration works on raw collections as instances with plain text on
+ * localized fields can not be loaded. It is safe to run more than once.
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @license MIT
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * const { migrate } = include(__dirname, 'migrate');
+ * migrate({}, (error, results) => { ... });
+ */
+
+/* dependencies */
+const _ = require('lodash');
+const { mapSeries, waterfall } = require('async');
+const { include } = require('@lykmapipo/include');
+const { localized } = include(__dirname, 'locale');
+const Indicator = include(__dirname, 'indicator.model');
+const Question = include(__dirname, 'question.model');
+const Questionnaire = include(__dirname, 'questionnaire.model');
+
+/* models in migration order */
+const MIGRATE_MODELS = [Indicator, Question, Questionnaire];
+
+/* error code of missing collection */
+const NAMESPACE_NOT_FOUND = 26;
+
+/**
+ * @function legacyCriteriaOf
+ * @name legacyCriteriaOf
+ * @description obtain criteria to find documents with plain text on any of
+ * given localized paths
+ * @param {String[]} paths valid localized paths
+ * @return {Object} legacy documents criteria
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * legacyCriteriaOf(['label', 'choices.label']);
+ * //=> { $or: [{ label: { $type: 'string' } }, ...] }
+ */
+const legacyCriteriaOf = paths => {
+  return { $or: _.map(paths, path => ({ [path]: { $type: 'string' } })) };
+};
+
+/**
+ * @function localizeLegacy
+ * @name localizeLegacy
+ * @description obtain updates which convert plain text on given localized
+ * paths of a raw document into localized values. Arrays of sub documents
+ * are updated as a whole.
+ * @param {Object} doc valid raw document
+ * @param {String[]} paths valid localized paths
+ * @return {Object} updates keyed by top level paths
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * localizeLegacy({ label: 'Yes', choices: [] }, ['label', 'choices.label']);
+ * //=> { label: { en: 'Yes' } }
+ */
+const localizeLegacy = (doc, paths) => {
+  const localizeAt = (value, segments) => {
+    if (_.isArray(value)) {
+      return _.map(value, item => localizeAt(item, segments));
+    }
+    if (_.isEmpty(segments)) {
+      return localized(value);
+    }
+    const [field, ...rest] = segments;
+    if (!_.isPlainObject(value) || !_.has(value, field)) {
+      return value;
+    }
+    return _.assign({}, value, { [field]: localizeAt(value[field], rest) });
+  };
+  const updates = {};
+  _.forEach(paths, path => {
+    const [field, ...rest] = _.split(path, '.');
+    const current = _.has(updates, field) ? updates[field] : doc[field];
+    const value = localizeAt(current, rest);
+    if (!_.isUndefined(value) && !_.isEqual(value, doc[field])) {
+      updates[field] = value;
+    }
+  });
+  return updates;
+};
+
+/**
+ * @function isLegacyIndex
+ * @name isLegacyIndex
+ * @description check if an index is on plain text of given localized paths
+ * i.e `{ subject: 1, topic: 1 }` instead of `{ subject: 1, 'topic.en': 1 }`
+ * @param {Object} index valid collection index
+ * @param {String[]} paths valid localized paths
+ * @return {Boolean} whether index is legacy
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * isLegacyIndex({ name: 'title_1', key: { title: 1 } }, ['title']);
+ * //=> true
+ */
+const isLegacyIndex = (index, paths) => {
+  return !_.isEmpty(_.intersection(_.keys(_.get(index, 'key')), paths));
+};
+
+/**
+ * @function migrateModel
+ * @name migrateModel
+ * @description localize plain text values of a model, drop its legacy
+ * indexes and ensure its current indexes
+ * @param {Model} Model valid mongoose model with `LOCALIZED_PATHS`
+ * @param {Function} done callback to invoke on success or error
+ * @return {Object|Error} migrated count and dropped indexes or error
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * migrateModel(Indicator, (error, result) => { ... });
+ * //=> { model: 'Indicator', total: 10, indexes: ['subject_1_topic_1'] }
+ */
+const migrateModel = (Model, done) => {
+  const { collection, LOCALIZED_PATHS: paths } = Model;
+
+  // find documents with plain text values
+  const findLegacy = next => {
+    collection.find(legacyCriteriaOf(paths)).toArray(next);
+  };
+
+  // localize plain text values
+  const localizeDocs = (docs, next) => {
+    const localizeDoc = (doc, then) => {
+      const updates = localizeLegacy(doc, paths);
+      collection.updateOne({ _id: doc._id }, { $set: updates }, then);
+    };
+    mapSeries(docs, localizeDoc, error => next(error, _.size(docs)));
+  };
+
+  // drop indexes on plain text values
+  const dropLegacyIndexes = (total, next) => {
+    collection.indexes((error, indexes) => {
+      if (error && error.code !== NAMESPACE_NOT_FOUND) {
+        return next(error);
+      }
+      const legacy = _.map(
+        _.filter(indexes, index => isLegacyIndex(index, paths)),
+        'name'
+      );
+      const dropIndex = (name, then) => collection.dropIndex(name, then);
+      return mapSeries(legacy, dropIndex, error => next(error, total, legacy));
+    });
+  };
+
+  // ensure localized indexes
+  const ensureIndexes = (total, legacy, next) => {
+    Model.createIndexes(error => next(error, total, legacy));
+  };
+
+  return waterfall(
+    [findLegacy, localizeDocs, dropLegacyIndexes, ensureIndexes],
+    (error, total, legacy) => {
+      done(error, { model: Model.modelName, total, indexes: legacy });
+    }
+  );
+};
+
+/**
+ * @function migrate
+ * @name migrate
+ * @description migrate models, in order, to localized values
+ * @param {Object} [optns] valid migrate options
+ * @param {Function} done callback to invoke on success or error
+ * @return {Object[]|Error} migrated counts per model or error
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * migrate({}, (error, results) => { ... });
+ * //=> [{ model: 'Indicator', total: 10, indexes: [...] }, ...]
+ */
+const migrate = (optns, done) => mapSeries(MIGRATE_MODELS, migrateModel, done);
+
+/* expose */
+exports.MIGRATE_MODELS = MIGRATE_MODELS;
+exports.legacyCriteriaOf = legacyCriteriaOf;
+exports.localizeLegacy = localizeLegacy;
+exports.isLegacyIndex = isLegacyIndex;
+exports.migrateModel = migrateModel;
+exports.migrate = migrate;
@@ -0,0 +1,532 @@
+'use strict';
+
+/**
+ * @module Print
+ * @name Print
+ * @description Render print ready paper form of a questionnaire as HTML or
+ * PDF, to collect responses when devices or networks are not available.
+ *
+ * Select questions are rendered with a checkbox per choice, other questions
+ * with answer lines and question help as hint. Questions with relevance are
+ * rendered with skip instruction and repeatable sections once per entry.
+ * Form texts are localized and PDF is generated locally using optional
+ * `pdfkit` dependency.
+ *
+ * @see {@link https://pdfkit.org/}
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @license MIT
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * const { toPrintForm, toPrintHtml } = include(__dirname, 'print');
+ * toPrintHtml(toPrintForm(questionnaire, { locale: 'sw' }));
+ * //=> '<!DOCTYPE html><html>...</html>'
+ */
+
+/* dependencies */
+const _ = require('lodash');
+const { include } = require('@lykmapipo/include');
+const { copyInstance } = require('@lykmapipo/mongoose-common');
+const { translate } = include(__dirname, 'locale');
+const { formIdOf, sectionsOf } = include(__dirname, 'xlsform');
+const { SELECT_TYPES } = include(__dirname, 'config');
+
+/* supported formats */
+const FORMATS = {
+  html: { contentType: 'text/html; charset=utf-8' },
+  pdf: { contentType: 'application/pdf' },
+};
+
+/* localized answer lines and format hints per question type */
+const CONTROLS = {
+  text: { lines: 3 },
+  integer: { lines: 1 },
+  decimal: { lines: 1 },
+  date: {
+    lines: 1,
+    format: { en: 'DD / MM / YYYY', sw: 'Siku / Mwezi / Mwaka' },
+  },
+  time: { lines: 1, format: { en: 'HH : MM', sw: 'Saa : Dakika' } },
+  dateTime: {
+    lines: 1,
+    format: {
+      en: 'DD / MM / YYYY  HH : MM',
+      sw: 'Siku / Mwezi / Mwaka  Saa : Dakika',
+    },
+  },
+  geopoint: {
+    fields: [
+      { en: 'Latitude', sw: 'Latitudo' },
+      { en: 'Longitude', sw: 'Longitudo' },
+    ],
+  },
+};
+const DEFAULT_CONTROL = { lines: 2 };
+
+/* localized hints of select questions */
+const SELECT_HINTS = _.zipObject(SELECT_TYPES, [
+  { en: 'Tick one', sw: 'Weka alama moja' },
+  { en: 'Tick all that apply', sw: 'Weka alama kwa yote yanayohusika' },
+]);
+
+/* localized details of a response filled on each paper form */
+const RESPONSE_FIELDS = [
+  { en: 'Respondent', sw: 'Mhojiwa' },
+  { en: 'Mobile', sw: 'Simu' },
+  { en: 'Date', sw: 'Tarehe' },
+  { en: 'Location', sw: 'Mahali' },
+];
+
+/* localized skip and repeat instructions */
+const RELEVANT_HINT = {
+  en: 'Answer only if {condition}',
+  sw: 'Jibu tu kama {condition}',
+};
+const REPEAT_HINT = {
+  en: 'Fill this section once for each entry',
+  sw: 'Jaza sehemu hii mara moja kwa kila ingizo',
+};
+const ENTRY_TITLE = { en: 'Entry {number}', sw: 'Ingizo {number}' };
+
+/* default number of entries printed per repeatable section */
+const DEFAULT_ENTRIES = 3;
+
+/* question reference in an expression i.e ${water_supply} */
+const REFERENCE_PATTERN = /\$\{([^}]+)\}/g;
+
+/* pdf layout in points */
+const PDF_MARGIN = 50;
+const PDF_LINE_GAP = 22;
+const PDF_BOX_SIZE = 9;
+
+/**
+ * @function escapeHtml
+ * @name escapeHtml
+ * @description escape html special characters of a given value
+ * @param {String} value valid value
+ * @return {String} escaped value
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @private
+ */
+const escapeHtml = value => {
+  return _.toString(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+};
+
+/**
+ * @function toPrintForm
+ * @name toPrintForm
+ * @description build printable form of a given questionnaire. Questions are
+ * numbered in questionnaire order and referred by their numbers in skip
+ * instructions i.e `Answer only if Q1 = 'yes'`.
+ * @param {Object} questionnaire valid questionnaire with populated questions
+ * @param {Object} [optns] valid options
+ * @param {String} [optns.locale] locale of form texts. Default to default
+ * locale.
+ * @param {Number} [optns.entries=3] number of entries printed per repeatable
+ * section
+ * @return {Object} valid printable form
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * toPrintForm(questionnaire);
+ * //=> { formId: '...', title: '...', sections: [{ questions: [...] }] }
+ */
+const toPrintForm = (questionnaire, optns) => {
+  const { locale, entries = DEFAULT_ENTRIES } = _.merge({}, optns);
+  const plain = copyInstance(questionnaire);
+  const text = value => translate(value, locale);
+  const format = (value, params) => {
+    return _.reduce(
+      params,
+      (formatted, param, key) => _.replace(formatted, `{${key}}`, param),
+      text(value)
+    );
+  };
+
+  // number questions in questionnaire order
+  const sections = sectionsOf(plain);
+  const questions = _.flatMap(sections, 'questions');
+  const numbers = _.fromPairs(
+    _.map(questions, ({ name }, index) => [name, index + 1])
+  );
+  let number = 0;
+
+  // refer questions by their numbers in skip instruction
+  const skipOf = relevant => {
+    if (_.isEmpty(_.trim(relevant))) {
+      return undefined;
+    }
+    const condition = _.replace(relevant, REFERENCE_PATTERN, (match, name) => {
+      return numbers[name] ? `Q${numbers[name]}` : name;
+    });
+    return format(RELEVANT_HINT, { condition });
+  };
+
+  // map question to printable question
+  const toQuestion = question => {
+    const { name, type, required } = question;
+    const isSelect = _.includes(SELECT_TYPES, type);
+    const control = isSelect ? {} : _.get(CONTROLS, type, DEFAULT_CONTROL);
+    const hints = _.compact([
+      skipOf(question.relevant),
+      text(question.help),
+      text(SELECT_HINTS[type]),
+      text(control.format),
+    ]);
+    const choices = _.map(question.choices, choice => text(choice.label));
+    number = number + 1;
+    return {
+      number,
+      name,
+      type,
+      label: text(question.label),
+      required: required === true,
+      hints,
+      choices: isSelect ? choices : [],
+      fields: _.map(control.fields, text),
+      lines: control.lines || 0,
+    };
+  };
+
+  // map sections and their questions
+  const toSection = section => {
+    const repeatable = section.repeatable === true;
+    const titles = _.times(repeatable ? entries : 0, index => {
+      return format(ENTRY_TITLE, { number: index + 1 });
+    });
+    return {
+      title: text(section.title),
+      description: text(section.description),
+      repeatable,
+      hints: repeatable ? [text(REPEAT_HINT)] : [],
+      entries: titles,
+      questions: _.map(section.questions, toQuestion),
+    };
+  };
+
+  return {
+    formId: formIdOf(plain),
+    title: text(plain.title),
+    description: text(plain.description),
+    details: _.map(RESPONSE_FIELDS, text),
+    sections: _.map(sections, toSection),
+  };
+};
+
+/**
+ * @function toPrintHtml
+ * @name toPrintHtml
+ * @description format printable form as print ready html document
+ * @param {Object} form valid printable form
+ * @return {String} html document
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * toPrintHtml(form);
+ * //=> '<!DOCTYPE html><html>...</html>'
+ */
+const toPrintHtml = form => {
+  const { title, description, details, sections } = form;
+  const tag = (name, className, content) => {
+    return `<${name} class="${className}">${content}</${name}>`;
+  };
+  const textTag = (name, className, value) => {
+    return value ? tag(name, className, escapeHtml(value)) : '';
+  };
+  const line = tag('div', 'line', '');
+
+  // format response details
+  const fields = _.map(details, field => {
+    return tag('div', 'field', `${escapeHtml(field)}: ${line}`);
+  }).join('');
+
+  // format question
+  const toQuestion = question => {
+    const required = question.required ? ' *' : '';
+    const label = `${question.number}. ${escapeHtml(question.label)}`;
+    const hints = _.map(question.hints, hint => textTag('div', 'hint', hint));
+    const box = tag('span', 'box', '');
+    const choices = _.map(question.choices, choice => {
+      return tag('li', 'choice', `${box} ${escapeHtml(choice)}`);
+    });
+    const fields = _.map(question.fields, field => {
+      return tag('div', 'field', `${escapeHtml(field)}: ${line}`);
+    });
+    const lines = _.times(question.lines, () => line);
+    const answers = _.isEmpty(choices) ? [] : [choices.join('')];
+    const content = [
+      tag('div', 'label', `${label}${required}`),
+      ...hints,
+      ..._.map(answers, items => tag('ul', 'choices', items)),
+      ...fields,
+      ...lines,
+    ].join('');
+    return tag('div', 'question', content);
+  };
+
+  // format sections, repeatable ones once per entry
+  const toSection = section => {
+    const heading = textTag('h2', 'title', section.title);
+    const about = textTag('p', 'description', section.description);
+    const hints = _.map(section.hints, hint => textTag('p', 'hint', hint));
+    const questions = _.map(section.questions, toQuestion).join('');
+    const entries = _.map(section.entries, entry => {
+      return tag(
+        'div',
+        'entry',
+        `${textTag('h3', 'title', entry)}${questions}`
+      );
+    });
+    const content = _.isEmpty(entries) ? questions : entries.join('');
+    return tag(
+      'section',
+      'section',
+      `${heading}${about}${hints.join('')}${content}`
+    );
+  };
+
+  // format document
+  const style = [
+    '@page { size: A4; margin: 18mm; }',
+    'body { font-family: Arial, sans-serif; font-size: 11pt; color: #000; }',
+    'h1 { font-size: 18pt; margin: 0 0 4mm; }',
+    'h2 { font-size: 14pt; border-bottom: 1px solid #000; margin: 6mm 0 3mm; }',
+    'h3 { font-size: 12pt; margin: 5mm 0 2mm; }',
+    '.details { display: flex; flex-wrap: wrap; margin-bottom: 4mm; }',
+    '.details .field { width: 50%; }',
+    '.field { display: flex; align-items: flex-end; margin: 2mm 0; }',
+    '.field .line { flex: 1; margin-left: 2mm; }',
+    '.question { page-break-inside: avoid; break-inside: avoid; margin: 4mm 0; }',
+    '.label { font-weight: bold; }',
+    '.hint { font-style: italic; font-size: 9pt; color: #444; }',
+    '.choices { list-style: none; padding: 0; margin: 2mm 0; }',
+    '.choice { margin: 1.5mm 0; }',
+    '.box { display: inline-block; width: 3.5mm; height: 3.5mm; border: 1px solid #000; vertical-align: middle; margin-right: 2mm; }',
+    '.line { border-bottom: 1px solid #000; height: 7mm; }',
+  ].join('\n');
+  const body = [
+    textTag('h1', 'title', title),
+    textTag('p', 'description', description),
+    tag('div', 'details', fields),
+    ..._.map(sections, toSection),
+  ].join('\n');
+  return [
+    '<!DOCTYPE html>',
+    '<html>',
+    `<head><meta charset="utf-8"><title>${escapeHtml(title)}</title>`,
+    `<style>\n${style}\n</style></head>`,
+    `<body>\n${body}\n</body>`,
+    '</html>',
+    '',
+  ].join('\n');
+};
+
+/**
+ * @function writePrintPdf
+ * @name writePrintPdf
+ * @description render printable form as pdf document locally using
+ * optional `pdfkit` dependency
+ * @param {Object} form valid printable form
+ * @param {Function} done callback to invoke on success or error
+ * @return {Buffer|Error} pdf document or error if `pdfkit` is not installed
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * writePrintPdf(form, (error, pdf) => { ... });
+ */
+const writePrintPdf = (form, done) => {
+  // ensure pdf renderer
+  let PDFDocument;
+  try {
+    PDFDocument = require('pdfkit');
+  } catch (missing) {
+    const error = new Error('PDF Not Supported');
+    error.status = 501;
+    return done(error);
+  }
+
+  // prepare document
+  const { title, description, details, sections } = form;
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: PDF_MARGIN,
+    info: { Title: title },
+  });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('error', done);
+  doc.on('end', () => done(null, Buffer.concat(chunks)));
+  const left = doc.page.margins.left;
+  const right = doc.page.width - doc.page.margins.right;
+
+  // start new page if a block does not fit
+  const ensureSpace = height => {
+    const bottom = doc.page.height - doc.page.margins.bottom;
+    if (doc.y + height > bottom) {
+      doc.addPage();
+    }
+  };
+
+  // draw answer line with optional field name
+  const drawLine = field => {
+    ensureSpace(PDF_LINE_GAP);
+    const y = doc.y + PDF_LINE_GAP - 6;
+    let x = left;
+    if (field) {
+      doc
+        .font('Helvetica')
+        .fontSize(10)
+        .text(`${field}:`, left, y - 10);
+      x = left + doc.widthOfString(`${field}: `);
+    }
+    doc
+      .moveTo(x, y)
+      .lineTo(right, y)
+      .stroke();
+    doc.y = y + 4;
+    doc.x = left;
+  };
+
+  // draw choice with its checkbox
+  const drawChoice = choice => {
+    ensureSpace(PDF_LINE_GAP);
+    const y = doc.y + 4;
+    doc.rect(left + 4, y, PDF_BOX_SIZE, PDF_BOX_SIZE).stroke();
+    doc.font('Helvetica').fontSize(10);
+    doc.text(choice, left + 4 + PDF_BOX_SIZE + 6, y);
+    doc.x = left;
+  };
+
+  // draw hint
+  const drawHint = hint => {
+    doc
+      .font('Helvetica-Oblique')
+      .fontSize(9)
+      .fillColor('#444444');
+    doc.text(hint);
+    doc.fillColor('#000000');
+  };
+
+  // draw question
+  const drawQuestion = question => {
+    const answers = _.size(question.choices) + _.size(question.fields);
+    const height = 40 + (answers + question.lines) * PDF_LINE_GAP;
+    ensureSpace(Math.min(height, 200));
+    doc.moveDown(0.8);
+    const required = question.required ? ' *' : '';
+    doc.font('Helvetica-Bold').fontSize(11);
+    doc.text(`${question.number}. ${question.label}${required}`);
+    _.forEach(question.hints, drawHint);
+    _.forEach(question.choices, drawChoice);
+    _.forEach(question.fields, drawLine);
+    _.times(question.lines, () => drawLine());
+  };
+
+  // draw form
+  doc
+    .font('Helvetica-Bold')
+    .fontSize(18)
+    .text(title);
+  if (description) {
+    doc
+      .font('Helvetica')
+      .fontSize(11)
+      .text(description);
+  }
+  doc.moveDown(0.5);
+  _.forEach(details, drawLine);
+  _.forEach(sections, section => {
+    if (section.title) {
+      ensureSpace(80);
+      doc.moveDown(1);
+      doc
+        .font('Helvetica-Bold')
+        .fontSize(14)
+        .text(section.title);
+      const y = doc.y + 2;
+      doc
+        .moveTo(left, y)
+        .lineTo(right, y)
+        .stroke();
+      doc.y = y + 2;
+    }
+    if (section.description) {
+      doc
+        .font('Helvetica')
+        .fontSize(10)
+        .text(section.description);
+    }
+    _.forEach(section.hints, drawHint);
+    if (_.isEmpty(section.entries)) {
+      _.forEach(section.questions, drawQuestion);
+    } else {
+      _.forEach(section.entries, entry => {
+        ensureSpace(60);
+        doc.moveDown(0.8);
+        doc
+          .font('Helvetica-Bold')
+          .fontSize(12)
+          .text(entry);
+        _.forEach(section.questions, drawQuestion);
+      });
+    }
+  });
+  return doc.end();
+};
+
+/**
+ * @function writePrintForm
+ * @name writePrintForm
+ * @description render printable form in a given format
+ * @param {Object} form valid printable form
+ * @param {String} [format=html] valid format i.e `html` or `pdf`
+ * @param {Function} done callback to invoke on success or error
+ * @return {Object|Error} form filename, content type and content or error
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * writePrintForm(form, 'pdf', (error, { filename, content }) => { ... });
+ */
+const writePrintForm = (form, format, done) => {
+  const filename = `${form.formId}.${format}`;
+  const { contentType } = FORMATS[format];
+  if (format === 'pdf') {
+    return writePrintPdf(form, (error, content) => {
+      done(error, error ? undefined : { filename, contentType, content });
+    });
+  }
+  return done(null, { filename, contentType, content: toPrintHtml(form) });
+};
+
+/* expose */
+exports.FORMATS = FORMATS;
+exports.toPrintForm = toPrintForm;
+exports.toPrintHtml = toPrintHtml;
+exports.writePrintPdf = writePrintPdf;
+exports.writePrintForm = writePrintForm;
@@ -6,6 +6,10 @@
  * @apiDescription A representation of question that is used to assess need,
  * situation and characteristics of disaster(or emergency) event.
  *
+ * Question label, help and choices label are localized(i.e `en`, `sw`).
+ * Pass `locale` query parameter or `Accept-Language` header to receive them
+ * in a single language.
+ *
  * @see {@link https://en.wikipedia.org/wiki/Disaster}
  * @see {@link https://www.med.or.jp/english/journal/pdf/2013_01/019_024.pdf}
  * @see {@link https://www.spherestandards.org/handbook/}
@@ -31,12 +35,22 @@
  * applicable to assess an indicator.
  * @apiSuccess {String} type Human readable type of entry of a question.
  * @apiSuccess {String} name Unique variable name of a question.
- * @apiSuccess {String} label Human readable label of a question.
- * @apiSuccess {String} [help] A brief additional details that clarify about
+ * @apiSuccess {Object} label Human readable label of a question.
+ * @apiSuccess {Object} [help] A brief additional details that clarify about
  * a question.
+ * @apiSuccess {String} [relevant] Skip logic expression which decide if
+ * a question is applicable based on answers of other questions.
+ * @apiSuccess {Boolean} [required] Flag whether a question must be answered
+ * when relevant.
+ * @apiSuccess {String} [constraint] Expression which an answer of a question
+ * must satisfy.
+ * @apiSuccess {String} [constraintMessage] Message shown when an answer does
+ * not satisfy a question constraint.
+ * @apiSuccess {Number|Date} [min] Minimum allowed answer of a question.
+ * @apiSuccess {Number|Date} [max] Maximum allowed answer of a question.
  * @apiSuccess {Object[]} [choices] A set of allowed choices(or selection
  * options) of a question.
- * @apiSuccess {String} [choices.label] Human readable option(or answer choice)
+ * @apiSuccess {Object} [choices.label] Human readable option(or answer choice)
  * of a question.
  * @apiSuccess {String} [choices.name] Unique value(or variable) of a question
  * option(or answer choice).
@@ -57,12 +71,22 @@
  * question is applicable to assess an indicator.
  * @apiSuccess {String} data.type Human readable type of entry of a question.
  * @apiSuccess {String} data.name Unique variable name of a question.
- * @apiSuccess {String} data.label Human readable label of a question.
- * @apiSuccess {String} [data.help] A brief additional details that clarify about
+ * @apiSuccess {Object} data.label Human readable label of a question.
+ * @apiSuccess {Object} [data.help] A brief additional details that clarify about
  * a question.
+ * @apiSuccess {String} [data.relevant] Skip logic expression which decide
+ * if a question is applicable based on answers of other questions.
+ * @apiSuccess {Boolean} [data.required] Flag whether a question must be
+ * answered when relevant.
+ * @apiSuccess {String} [data.constraint] Expression which an answer of a
+ * question must satisfy.
+ * @apiSuccess {String} [data.constraintMessage] Message shown when an answer
+ * does not satisfy a question constraint.
+ * @apiSuccess {Number|Date} [data.min] Minimum allowed answer of a question.
+ * @apiSuccess {Number|Date} [data.max] Maximum allowed answer of a question.
  * @apiSuccess {Object[]} [data.choices] A set of allowed choices(or selection
  * options) of a question.
- * @apiSuccess {String} [data.choices.label] Human readable option(or answer choice)
+ * @apiSuccess {Object} [data.choices.label] Human readable option(or answer choice)
  * of a question.
  * @apiSuccess {String} [data.choices.name] Unique value(or variable) of a question
  * option(or answer choice).
@@ -150,22 +174,35 @@
 
 /* dependencies */
 const _ = require('lodash');
-const { getString } = require('@lykmapipo/env');
 const { include } = require('@lykmapipo/include');
 const Router = require('@lykmapipo/express-common').Router;
 
 /* constants */
-const API_VERSION = getString('API_VERSION', '1.0.0');
 const PATH_LIST = '/questions';
 const PATH_SINGLE = '/questions/:id';
 const PATH_SCHEMA = '/questions/schema/';
+const PATH_BULK = '/questions/bulk';
+const PATH_SCOPED = /^\/questions(?!\/bulk\/?$)/;
+const PATH_QUESTIONNAIRES = '/questions/:id/questionnaires';
 
 /* declarations */
+const Indicator = include(__dirname, 'indicator.model');
 const Question = include(__dirname, 'question.model');
+const Questionnaire = include(__dirname, 'questionnaire.model');
+const { localize } = include(__dirname, 'locale');
+const { API_VERSION } = include(__dirname, 'config');
+const { authenticate, authorize, authorizeBulk } = include(__dirname, 'auth');
 const router = new Router({
   version: API_VERSION,
 });
 
+/* authenticate request and authorize its scope except bulk batch */
+router.use(PATH_LIST, authenticate);
+router.use(PATH_SCOPED, authorize('question'));
+
+/* negotiate request locale and translate response */
+router.use(PATH_LIST, localize(Indicator, Question, Questionnaire));
+
 /**
  * @api {get} /questions List Questions
  * @apiVersion 1.0.0
@@ -250,6 +287,85 @@ router.post(PATH_LIST, function postQuestion(request, response, next) {
   });
 });
 
+/**
+ * @api {post} /questions/bulk Bulk Create, Update And Delete Questions
+ * @apiVersion 1.0.0
+ * @apiName PostBulkQuestions
+ * @apiGroup Question
+ * @apiDescription Create, patch and delete many questions in one batch. Each
+ * item is validated on its own and reported using its operation and index.
+ * Atomic batch writes nothing unless all items succeed, using a transaction
+ * which requires a replica set or sharded deployment.
+ * @apiUse RequestHeaders
+ *
+ * @apiParam {Object[]} [inserts] Questions to create.
+ * @apiParam {Object[]} [patches] Questions updates, each with its `_id`.
+ * @apiParam {String[]} [deletes] Ids of questions to delete.
+ * @apiParam {Boolean} [atomic=false] Whether to apply all or nothing.
+ *
+ * @apiSuccess {Boolean} atomic Whether batch was atomic
+ * @apiSuccess {Boolean} committed Whether batch writes were kept
+ * @apiSuccess {Number} total Number of batch items
+ * @apiSuccess {Number} ok Number of succeeded items
+ * @apiSuccess {Number} failed Number of failed items
+ * @apiSuccess {Number} skipped Number of items not written
+ * @apiSuccess {Object[]} results Per item operation, index, `_id`, status
+ * and error
+ *
+ * @apiSuccessExample {json} Success-Response:
+ * {
+ *   "atomic": false,
+ *   "committed": true,
+ *   "total": 2,
+ *   "ok": 1,
+ *   "failed": 1,
+ *   "skipped": 0,
+ *   "results": [
+ *     {
+ *       "operation": "insert",
+ *       "index": 0,
+ *       "_id": "5bcda2c073dd0700048fb846",
+ *       "status": "ok"
+ *     },
+ *     {
+ *       "operation": "delete",
+ *       "index": 0,
+ *       "_id": "5bcda2c073dd0700048fb847",
+ *       "status": "failed",
+ *       "error": { "name": "DocumentNotFoundError", "message": "..." }
+ *     }
+ *   ]
+ * }
+ *
+ * @apiUse RequestHeadersExample
+ * @apiUse JWTError
+ * @apiUse JWTErrorExample
+ * @apiUse AuthorizationHeaderError
+ * @apiUse AuthorizationHeaderErrorExample
+ */
+router.post(PATH_BULK, authorizeBulk('question'), function postBulkQuestions(
+  request,
+  response,
+  next
+) {
+  // obtain batch
+  const batch = _.merge({}, request.body);
+
+  Question.bulk(batch, function onBulk(error, report) {
+    // forward error
+    if (error) {
+      next(error);
+    }
+
+    // handle response
+    else {
+      const status = report.committed && report.failed === 0 ? 200 : 207;
+      response.status(status);
+      response.json(report);
+    }
+  });
+});
+
 /**
  * @api {get} /questions/:id Get Existing Questions
  * @apiVersion 1.0.0
@@ -369,7 +485,9 @@ router.put(PATH_SINGLE, function putQuestion(request, response, next) {
  * @apiVersion 1.0.0
  * @apiName DeleteQuestion
  * @apiGroup Question
- * @apiDescription Delete existing question
+ * @apiDescription Delete existing question. Referencing questionnaires are
+ * handled using `QUESTION_DELETE_POLICY` i.e `restrict` fails with `409`
+ * listing them, `cascade` deletes them and `nullify` removes their references.
  * @apiUse RequestHeaders
  * @apiUse Question
  *
@@ -384,8 +502,9 @@ router.put(PATH_SINGLE, function putQuestion(request, response, next) {
 router.delete(PATH_SINGLE, function deleteQuestion(request, response, next) {
   // obtain question id
   const { id } = request.params;
+  const options = { _id: id, soft: Question.SOFT_DELETE };
 
-  Question.del(id, function onDeleteQuestion(error, deleted) {
+  Question.del(options, function onDeleteQuestion(error, deleted) {
     // forward error
     if (error) {
       next(error);
@@ -399,5 +518,48 @@ router.delete(PATH_SINGLE, function deleteQuestion(request, response, next) {
   });
 });
 
+/**
+ * @api {get} /questions/:id/questionnaires List Question Questionnaires
+ * @apiVersion 1.0.0
+ * @apiName GetQuestionQuestionnaires
+ * @apiGroup Question
+ * @apiDescription Returns a list of questionnaires which use a question.
+ * Deleted questionnaires are excluded and unknown question is not found.
+ * @apiUse RequestHeaders
+ * @apiUse Questionnaires
+ *
+ *
+ * @apiUse RequestHeadersExample
+ * @apiUse QuestionnairesSuccessResponse
+ * @apiUse JWTError
+ * @apiUse JWTErrorExample
+ * @apiUse AuthorizationHeaderError
+ * @apiUse AuthorizationHeaderErrorExample
+ */
+router.get(PATH_QUESTIONNAIRES, function getQuestionQuestionnaires(
+  request,
+  response,
+  next
+) {
+  // obtain request options
+  const options = _.merge({}, request.mquery, { question: request.params.id });
+
+  Questionnaire.getByQuestion(options, function onGetQuestionnaires(
+    error,
+    results
+  ) {
+    // forward error
+    if (error) {
+      next(error);
+    }
+
+    // handle response
+    else {
+      response.status(200);
+      response.json(results);
+    }
+  });
+});
+
 /* expose question router */
 exports = module.exports = router;
@@ -21,77 +21,177 @@
 
 /* dependencies */
 const _ = require('lodash');
-const { getString, getStrings } = require('@lykmapipo/env');
+const { waterfall } = require('async');
 const { include } = require('@lykmapipo/include');
 const { SCHEMA_OPTIONS } = require('@lykmapipo/mongoose-common');
 const { Schema, SchemaTypes } = require('@lykmapipo/mongoose-common');
 const { model, copyInstance } = require('@lykmapipo/mongoose-common');
+const { MongooseError } = require('@lykmapipo/mongoose-common');
 const actions = require('mongoose-rest-actions');
-const { ObjectId } = SchemaTypes;
+const localize = require('mongoose-locale-schema');
+const { ObjectId, Mixed } = SchemaTypes;
+const { ValidationError, ValidatorError } = MongooseError;
 const { Choice } = include(__dirname, 'common.schema');
 const Indicator = include(__dirname, 'indicator.model');
-
-/* constants */
-
-/* types */
-const DEFAULT_TYPE = 'text';
-const TYPES = getStrings('ASSESSMENT_QUESTION_TYPES', [
-  'integer',
-  'decimal',
-  'text',
-  'select_one',
-  'select_multiple',
-  'geopoint',
-  'geotrace',
-  'geoshape',
-  'date',
-  'time',
-  'dateTime',
-  'image',
-  'audio',
-  'video',
-  'file',
-]);
-
-/* assess */
-const ASSESS_NEED = 'Need';
-const ASSESS_SITUATION = 'Situation';
-const DEFAULT_ASSESS = 'Other';
-const ASSESS = getStrings('ASSESSMENT_ASSESS', [
-  ASSESS_NEED,
-  ASSESS_SITUATION,
+const { parse, validateReferences } = include(__dirname, 'expression');
+const { localized, localizedPathsOf, translate } = include(__dirname, 'locale');
+const { deletePolicy, sessionOptionsOf } = include(
+  __dirname,
+  'delete.policy'
+);
+const { bulk } = include(__dirname, 'bulk');
+const {
+  QUESTION_MODEL_NAME: MODEL_NAME,
+  QUESTION_COLLECTION_NAME: COLLECTION_NAME,
+  QUESTION_DELETE_POLICY: DELETE_POLICY,
+  QUESTION_SOFT_DELETE: SOFT_DELETE,
+  QUESTIONNAIRE_MODEL_NAME,
+  DEFAULT_TYPE,
+  TYPES,
+  DATE_TYPES,
+  RANGE_TYPES,
   DEFAULT_ASSESS,
-]);
-
-/* stages */
-const STAGE_BEFORE = 'Before';
-const STAGE_DURING = 'During';
-const STAGE_AFTER = 'After';
-const DEFAULT_STAGE = 'Other';
-const STAGES = getStrings('ASSESSMENT_STAGES', [
-  STAGE_BEFORE,
-  STAGE_DURING,
-  STAGE_AFTER,
+  ASSESS,
   DEFAULT_STAGE,
-]);
-
-/* phases */
-const DEFAULT_PHASE = 'Response';
-const PHASES = getStrings('DISASTER_PHASES', [
-  'Mitigation',
-  'Preparedness',
-  'Response',
-  'Recovery',
-]);
+  STAGES,
+  DEFAULT_PHASE,
+  PHASES,
+} = include(__dirname, 'config');
 
 /* schema options */
 const POPULATION_MAX_DEPTH = 1;
-const MODEL_NAME = getString('MODEL_NAME', 'Question');
-const COLLECTION_NAME = getString('COLLECTION_NAME', 'questions');
 const OPTION_AUTOPOPULATE = {
   select: { access: 1, stage: 1, phase: 1, label: 1, name: 1 },
   maxDepth: POPULATION_MAX_DEPTH,
 };
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T[\d:.]+(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+/**
+ * @name isValidExpression
+ * @function isValidExpression
+ * @description check if a given value is a valid skip logic expression
+ * @param {String} value expression to check
+ * @return {Boolean} whether expression is valid
+ * @since 1.6.0
+ * @version 0.1.0
+ * @private
+ */
+const isValidExpression = value => {
+  try {
+    return _.isEmpty(value) || _.isFunction(parse(value));
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * @name findExisting
+ * @function findExisting
+ * @description find existing and not deleted instance of a given model,
+ * failing with `404` if not found
+ * @param {Model} Model valid model
+ * @param {ObjectId|String} id valid instance id
+ * @param {Function} done callback to invoke on success or error
+ * @since 1.6.0
+ * @version 0.1.0
+ * @private
+ */
+const findExisting = (Model, id, done) => {
+  Model.findOne({ _id: id, deletedAt: null })
+    .setOptions({ autopopulate: false })
+    .select({ _id: 1 })
+    .lean()
+    .exec((error, found) => {
+      if (!error && !found) {
+        error = new Error('Not Found');
+        error.status = 404;
+      }
+      return done(error, found);
+    });
+};
+
+/**
+ * @name toBound
+ * @function toBound
+ * @description cast min or max of a question to number for numeric
+ * questions or to ISO date string for date questions. Values which can not be
+ * cast are returned as they are.
+ * @param {String} type valid question type
+ * @param {Mixed} value min or max to cast
+ * @return {Mixed} casted min or max
+ * @since 1.6.0
+ * @version 0.1.0
+ * @private
+ */
+const toBound = (type, value) => {
+  const isString = _.isString(value) && !_.isEmpty(_.trim(value));
+
+  // cast date bound
+  if (_.includes(DATE_TYPES, type)) {
+    const isIso = isString && ISO_DATE_PATTERN.test(_.trim(value));
+    const date = _.isDate(value) || isIso ? new Date(value) : undefined;
+    if (!date || _.isNaN(date.getTime())) {
+      return value;
+    }
+    const iso = date.toISOString();
+    return type === 'date' ? iso.substring(0, 10) : iso;
+  }
+
+  // cast numeric bound
+  const number = isString ? Number(value) : value;
+  return _.isNumber(number) && _.isFinite(number) ? number : value;
+};
+
+/**
+ * @name comparableOf
+ * @function comparableOf
+ * @description convert casted min or max of a question to comparable number
+ * @param {String} type valid question type
+ * @param {Mixed} value casted min or max
+ * @return {Number} comparable number or NaN if invalid
+ * @since 1.6.0
+ * @version 0.1.0
+ * @private
+ */
+const comparableOf = (type, value) => {
+  if (!_.includes(RANGE_TYPES, type)) {
+    return NaN;
+  }
+  if (_.includes(DATE_TYPES, type)) {
+    return _.isString(value) ? Date.parse(value) : NaN;
+  }
+  return _.isNumber(value) ? value : NaN;
+};
+
+/**
+ * @name isValidBound
+ * @function isValidBound
+ * @description check if a min or max is valid for a question type
+ * @param {Mixed} value min or max to check
+ * @return {Boolean} whether min or max is valid
+ * @since 1.6.0
+ * @version 0.1.0
+ * @private
+ */
+const isValidBound = function isValidBound(value) {
+  return _.isNil(value) || _.isFinite(comparableOf(this.type, value));
+};
+
+/**
+ * @name isValidRange
+ * @function isValidRange
+ * @description check if max of a question is not less than its min
+ * @param {Mixed} value max to check
+ * @return {Boolean} whether range is valid
+ * @since 1.6.0
+ * @version 0.1.0
+ * @private
+ */
+const isValidRange = function isValidRange(value) {
+  const min = comparableOf(this.type, this.min);
+  const max = comparableOf(this.type, value);
+  return !_.isFinite(min) || !_.isFinite(max) || min <= max;
+};
 
 /**
  * @name QuestionSchema
@@ -312,13 +412,14 @@ const QuestionSchema = new Schema(
      * It is the actual question respondent(s) get asked.
      *
      * @type {object}
-     * @property {object} type - schema(data) type
+     * @property {object} type - localized schema(data) type
      * @property {boolean} trim - force trimming
      * @property {boolean} required - mark required
      * @property {boolean} index - ensure database index
      * @property {boolean} searchable - allow for searching
      * @property {boolean} taggable - allow field use for tagging
      * @property {object} fake - fake data generator options
+     * @property {function} set - allow plain text of default locale
      *
      * @since 1.0.0
      * @version 0.1.0
@@ -327,16 +428,19 @@ const QuestionSchema = new Schema(
      * Was there water supply before the disaster?
      */
     label: {
-      type: String,
-      trim: true,
+      type: localize({
+        trim: true,
+        required: true,
+        index: true,
+        searchable: true,
+        taggable: true,
+        fake: {
+          generator: 'lorem',
+          type: 'sentence',
+        },
+      }),
       required: true,
-      index: true,
-      searchable: true,
-      taggable: true,
-      fake: {
-        generator: 'lorem',
-        type: 'sentence',
-      },
+      set: localized,
     },
 
     /**
@@ -344,27 +448,177 @@ const QuestionSchema = new Schema(
      * @description A brief additional details that clarify about a question.
      *
      * @type {object}
-     * @property {object} type - schema(data) type
+     * @property {object} type - localized schema(data) type
      * @property {boolean} trim - force trimming
      * @property {boolean} index - ensure database index
      * @property {boolean} searchable - allow for searching
      * @property {object} fake - fake data generator options
+     * @property {function} set - allow plain text of default locale
      *
      * @since 1.0.0
      * @version 0.1.0
      * @instance
      */
     help: {
+      type: localize({
+        trim: true,
+        index: true,
+        searchable: true,
+        fake: {
+          generator: 'lorem',
+          type: 'sentence',
+        },
+      }),
+      set: localized,
+    },
+
+    /**
+     * @name relevant
+     * @description Skip logic expression which decide if a question is
+     * applicable based on answers of other questions in a questionnaire.
+     *
+     * Other questions are referenced by name using XLSForm `${name}` syntax.
+     *
+     * @type {object}
+     * @property {object} type - schema(data) type
+     * @property {boolean} trim - force trimming
+     * @property {object} validate - ensure valid expression
+     *
+     * @since 1.6.0
+     * @version 0.1.0
+     * @instance
+     * @example
+     * ${water_supply} = 'yes'
+     */
+    relevant: {
       type: String,
       trim: true,
+      validate: {
+        validator: isValidExpression,
+        message: 'Invalid {PATH} expression {VALUE}',
+      },
+    },
+
+    /**
+     * @name required
+     * @description Flag whether a question must be answered when relevant.
+     *
+     * @type {object}
+     * @property {object} type - schema(data) type
+     * @property {boolean} index - ensure database index
+     * @property {boolean} default - default value set when none provided
+     *
+     * @since 1.6.0
+     * @version 0.1.0
+     * @instance
+     * @example
+     * true
+     */
+    required: {
+      type: Boolean,
       index: true,
-      searchable: true,
-      fake: {
-        generator: 'lorem',
-        type: 'sentence',
+      default: false,
+    },
+
+    /**
+     * @name constraint
+     * @description Expression which an answer of a question must satisfy.
+     *
+     * Current answer is referenced using `.` and other questions are
+     * referenced by name using XLSForm `${name}` syntax.
+     *
+     * @type {object}
+     * @property {object} type - schema(data) type
+     * @property {boolean} trim - force trimming
+     * @property {object} validate - ensure valid expression
+     *
+     * @since 1.6.0
+     * @version 0.1.0
+     * @instance
+     * @example
+     * . <= ${household_size}
+     */
+    constraint: {
+      type: String,
+      trim: true,
+      validate: {
+        validator: isValidExpression,
+        message: 'Invalid {PATH} expression {VALUE}',
       },
     },
 
+    /**
+     * @name constraintMessage
+     * @description Human readable message shown when an answer does not
+     * satisfy a question constraint.
+     *
+     * @type {object}
+     * @property {object} type - schema(data) type
+     * @property {boolean} trim - force trimming
+     *
+     * @since 1.6.0
+     * @version 0.1.0
+     * @instance
+     * @example
+     * Must not exceed household size
+     */
+    constraintMessage: {
+      type: String,
+      trim: true,
+    },
+
+    /**
+     * @name min
+     * @description Minimum allowed answer of numeric(integer, decimal) or
+     * date(date, dateTime) question.
+     *
+     * @type {object}
+     * @property {object} type - schema(data) type
+     * @property {object} validate - ensure valid bound of question type
+     *
+     * @since 1.6.0
+     * @version 0.1.0
+     * @instance
+     * @example
+     * 0
+     */
+    min: {
+      type: Mixed,
+      validate: {
+        validator: isValidBound,
+        message: 'Invalid {PATH} {VALUE}',
+      },
+    },
+
+    /**
+     * @name max
+     * @description Maximum allowed answer of numeric(integer, decimal) or
+     * date(date, dateTime) question.
+     *
+     * @type {object}
+     * @property {object} type - schema(data) type
+     * @property {object} validate - ensure valid bound of question type
+     *
+     * @since 1.6.0
+     * @version 0.1.0
+     * @instance
+     * @example
+     * 100
+     */
+    max: {
+      type: Mixed,
+      validate: [
+        {
+          validator: isValidBound,
+          message: 'Invalid {PATH} {VALUE}',
+        },
+        {
+          validator: isValidRange,
+          message: 'Expected {PATH} {VALUE} not to be less than min',
+        },
+      ],
+    },
+
     /**
      * @name choices
      * @description A set of allowed choices(or selection options) of a question.
@@ -382,7 +636,7 @@ const QuestionSchema = new Schema(
       default: undefined,
     },
   },
-  SCHEMA_OPTIONS
+  _.merge({}, SCHEMA_OPTIONS, { collection: COLLECTION_NAME })
 );
 
 /*
@@ -420,13 +674,95 @@ QuestionSchema.pre('validate', function preValidate(next) {
  * @instance
  */
 QuestionSchema.methods.preValidate = function preValidate(done) {
-  // generate question name(variable)
+  // generate question name(variable) from default locale label
   if (_.isEmpty(this.name)) {
-    this.name = _.snakeCase(this.label);
+    this.name = _.snakeCase(translate(this.label));
+  }
+
+  // cast min and max to question type
+  if (!_.isNil(this.min)) {
+    this.min = toBound(this.type, this.min);
+  }
+  if (!_.isNil(this.max)) {
+    this.max = toBound(this.type, this.max);
+  }
+
+  // validate changed expressions against containing questionnaires
+  return this.validateExpressions(done);
+};
+
+/**
+ * @name validateExpressions
+ * @function validateExpressions
+ * @description validate that changed skip logic and constraint expressions
+ * of existing question reference only questions of each questionnaire which
+ * contains it
+ * @param {function} done callback to invoke on success or error
+ * @since 1.6.0
+ * @version 0.1.0
+ * @instance
+ */
+QuestionSchema.methods.validateExpressions = function validateExpressions(
+  done
+) {
+  // refs
+  const question = this;
+  const Question = this.constructor;
+  const Questionnaire = model(QUESTIONNAIRE_MODEL_NAME);
+  const options = _.assign({ autopopulate: false }, sessionOptionsOf(this));
+
+  // obtain changed expressions
+  const isChanged = field => !this.isNew && this.isModified(field);
+  const fields = _.filter(['relevant', 'constraint'], isChanged);
+  if (_.isEmpty(fields)) {
+    return done();
   }
 
-  // continue
-  done();
+  // find questionnaires containing question
+  const findQuestionnaires = next => {
+    const criteria = { questions: this._id, deletedAt: null };
+    Questionnaire.find(criteria)
+      .setOptions(options)
+      .select({ questions: 1 })
+      .lean()
+      .exec(next);
+  };
+
+  // find names of other questions of found questionnaires
+  const findNames = (questionnaires, next) => {
+    const ids = _.flatMap(questionnaires, 'questions');
+    const criteria = { _id: { $in: ids, $ne: this._id } };
+    Question.find(criteria)
+      .setOptions(options)
+      .select({ name: 1 })
+      .lean()
+      .exec((error, questions) => next(error, questionnaires, questions));
+  };
+
+  // validate expressions within each found questionnaire
+  const validate = (questionnaires, questions, next) => {
+    const names = _.mapValues(_.keyBy(questions, '_id'), 'name');
+    const current = _.pick(question, ['name', 'relevant', 'constraint']);
+    const errors = _.flatMap(questionnaires, questionnaire => {
+      const others = _.map(questionnaire.questions, id => {
+        return { name: names[_.toString(id)] };
+      });
+      const scoped = [..._.filter(others, 'name'), current];
+      return _.flatMap(fields, field => validateReferences(scoped, field));
+    });
+    if (_.isEmpty(errors)) {
+      return next();
+    }
+    const error = new ValidationError(question);
+    _.forEach(_.uniqBy(errors, 'field'), ({ field, message }) => {
+      const props = { path: field, message, type: field };
+      error.addError(field, new ValidatorError(props));
+    });
+    return next(error);
+  };
+
+  // do validate
+  return waterfall([findQuestionnaires, findNames, validate], done);
 };
 
 /*
@@ -453,6 +789,8 @@ QuestionSchema.statics.STAGES = STAGES;
 QuestionSchema.statics.DEFAULT_PHASE = DEFAULT_PHASE;
 QuestionSchema.statics.PHASES = PHASES;
 
+QuestionSchema.statics.LOCALIZED_PATHS = localizedPathsOf(QuestionSchema);
+
 /**
  * @name prepareSeedCriteria
  * @function prepareSeedCriteria
@@ -477,6 +815,48 @@ QuestionSchema.statics.prepareSeedCriteria = seed => {
   return criteria;
 };
 
+/**
+ * @name getByIndicator
+ * @function getByIndicator
+ * @description obtain paged questions, not deleted, which measure existing
+ * indicator. Fail with `404` if indicator does not exist.
+ * @param {Object} optns valid get options
+ * @param {String} optns.indicator valid indicator id
+ * @param {Function} done callback to invoke on success or error
+ * @return {Object|Error} paged questions or error
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * const optns = { indicator: _id, page: 1, limit: 10 };
+ * Question.getByIndicator(optns, (error, results) => { ... });
+ * //=> { data: [...], total: 2, size: 2, limit: 10, page: 1, pages: 1 }
+ */
+QuestionSchema.statics.getByIndicator = function getByIndicator(optns, done) {
+  // ref
+  const Question = this;
+
+  // normalize options
+  const { indicator } = _.merge({}, optns);
+  const options = _.omit(optns, 'indicator');
+
+  // ensure indicator exists
+  const findIndicator = next => findExisting(Indicator, indicator, next);
+
+  // find indicator questions
+  const findQuestions = (found, next) => {
+    const filter = { indicator, deletedAt: null };
+    options.filter = _.merge({}, options.filter, filter);
+    Question.get(options, next);
+  };
+
+  // do get
+  return waterfall([findIndicator, findQuestions], done);
+};
+
 
 /*
  *------------------------------------------------------------------------------
@@ -487,5 +867,22 @@ QuestionSchema.statics.prepareSeedCriteria = seed => {
 /* plug mongoose rest actions */
 QuestionSchema.plugin(actions);
 
+/* plug delete policy of questionnaires */
+QuestionSchema.plugin(deletePolicy, {
+  policy: DELETE_POLICY,
+  soft: SOFT_DELETE,
+  relations: [
+    { modelName: QUESTIONNAIRE_MODEL_NAME, path: 'questions', array: true },
+    {
+      modelName: QUESTIONNAIRE_MODEL_NAME,
+      path: 'sections.questions',
+      array: true,
+    },
+  ],
+});
+
+/* plug bulk insert, patch and delete */
+QuestionSchema.plugin(bulk);
+
 /* export question model */
 exports = module.exports = model(MODEL_NAME, QuestionSchema);
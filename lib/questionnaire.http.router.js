@@ -6,6 +6,10 @@
  * @apiDescription A representation of a set of questions that is used to
  * assess need, situation and characteristics of disaster(or emergency) event.
  *
+ * Questionnaire title, description and sections title are localized(i.e `en`,
+ * `sw`). Use `locale` query parameter or `Accept-Language` header to pick a
+ * language, also used for XForm labels.
+ *
  * @see {@link https://en.wikipedia.org/wiki/Disaster}
  * @see {@link https://www.med.or.jp/english/journal/pdf/2013_01/019_024.pdf}
  * @see {@link https://www.spherestandards.org/handbook/}
@@ -29,12 +33,28 @@
  * @apiSuccess {String} phase Disaster management phase under which a
  * questionnaire is used for assessment
  * @apiSuccess {String} type Human readable type of entry of a questionnaire.
- * @apiSuccess {String} titel Human readable title of the questionnaire
+ * @apiSuccess {Object} titel Human readable title of the questionnaire
  * @apiSuccess {String} label Human readable label of a questionnaire.
- * @apiSuccess {String} [descriptions] A brief summary(definition) about a
+ * @apiSuccess {Object} [descriptions] A brief summary(definition) about a
  * questionnaire to provide additional details that clarify about a questionnaire.
- * @apiSuccess {Question[]} questions A set of questions belongs to a
+ * @apiSuccess {Object[]} sections Ordered sections(or groups) of a
  * questionnaire.
+ * @apiSuccess {String} sections.name Unique name of a section.
+ * @apiSuccess {String} sections.title Human readable title of a section.
+ * @apiSuccess {String} [sections.description] A brief summary about a
+ * section.
+ * @apiSuccess {Boolean} sections.repeatable Whether a section is a repeat
+ * group.
+ * @apiSuccess {Number} [sections.minCount] Minimum repeat count.
+ * @apiSuccess {Number} [sections.maxCount] Maximum repeat count.
+ * @apiSuccess {Question[]} sections.questions A set of questions belongs
+ * to a section.
+ * @apiSuccess {Question[]} questions A set of questions belongs to a
+ * questionnaire, derived from sections.
+ * @apiSuccess {String} status Publication status of a questionnaire i.e
+ * `Draft` or `Published`.
+ * @apiSuccess {Number} version Number of latest published version.
+ * @apiSuccess {Date} [publishedAt] Date when latest version was published.
  * @apiSuccess {Date} createdAt Date when questionnaire was created.
  * @apiSuccess {Date} updatedAt Date when questionnaire was last updated.
  */
@@ -51,12 +71,29 @@
  * questionnaire is used for assessment
  * @apiSuccess {String} data.type Human readable type of entry of a
  * questionnaire.
- * @apiSuccess {String} data.titel Human readable title of the questionnaire
+ * @apiSuccess {Object} data.titel Human readable title of the questionnaire
  * @apiSuccess {String} data.label Human readable label of a questionnaire.
- * @apiSuccess {String} [data.descriptions] A brief summary(definition) about a
+ * @apiSuccess {Object} [data.descriptions] A brief summary(definition) about a
  * questionnaire to provide additional details that clarify about a questionnaire.
- * @apiSuccess {Question[]} data.questions A set of questions belongs to a
+ * @apiSuccess {Object[]} data.sections Ordered sections(or groups) of a
  * questionnaire.
+ * @apiSuccess {String} data.sections.name Unique name of a section.
+ * @apiSuccess {String} data.sections.title Human readable title of a section.
+ * @apiSuccess {String} [data.sections.description] A brief summary about a
+ * section.
+ * @apiSuccess {Boolean} data.sections.repeatable Whether a section is a repeat
+ * group.
+ * @apiSuccess {Number} [data.sections.minCount] Minimum repeat count.
+ * @apiSuccess {Number} [data.sections.maxCount] Maximum repeat count.
+ * @apiSuccess {Question[]} data.sections.questions A set of questions belongs
+ * to a section.
+ * @apiSuccess {Question[]} data.questions A set of questions belongs to a
+ * questionnaire, derived from sections.
+ * @apiSuccess {String} data.status Publication status of a questionnaire i.e
+ * `Draft` or `Published`.
+ * @apiSuccess {Number} data.version Number of latest published version.
+ * @apiSuccess {Date} [data.publishedAt] Date when latest version was
+ * published.
  * @apiSuccess {Date} createdAt Date when questionnaire was created.
  * @apiSuccess {Date} updatedAt Date when questionnaire was last updated.
  * @apiSuccess {Number} total Total number of questionnaire
@@ -78,6 +115,20 @@
  *   "stage": "During",
  *   "phase": "Response",
  *   "title": "Need Assessment",
+ *   "sections": [
+ *      {
+ *        "name": "water_supply",
+ *        "title": "Water Supply",
+ *        "repeatable": false,
+ *        "questions": [
+ *          {
+ *            "_id": "5c0777154797997c9dae8d7c",
+ *            "name": "water_supply_before",
+ *            "label": "Was there water supply before the disaster?"
+ *          }
+ *        ]
+ *      }
+ *   ],
  *   "questions": [
  *      {
  *        "_id": "5c0777154797997c9dae8d7c",
@@ -157,24 +208,117 @@
  *
  */
 
+/**
+ * @apiDefine QuestionnaireVersion
+ * @apiSuccess {String} _id Unique questionnaire version identifier
+ * @apiSuccess {String} questionnaire Questionnaire a version belongs to.
+ * @apiSuccess {Number} version Sequential number of a version.
+ * @apiSuccess {Object} snapshot Immutable full content of a questionnaire at
+ * time of publishing, with its sections questions and their indicators.
+ * @apiSuccess {Date} publishedAt Date when a version was published.
+ * @apiSuccess {Date} createdAt Date when a version was created.
+ */
+
+/**
+ * @apiDefine QuestionnaireVersionSuccessResponse
+ * @apiSuccessExample {json} Success-Response:
+ * {
+ *   "_id": "5c07af709404b82c5efdb439",
+ *   "questionnaire": "5c07af709404b82c5efdb438",
+ *   "version": 2,
+ *   "snapshot": {
+ *     "_id": "5c07af709404b82c5efdb438",
+ *     "title": "Need Assessment",
+ *     "status": "Published",
+ *     "version": 2,
+ *     "sections": [
+ *        {
+ *          "name": "water_supply",
+ *          "title": "Water Supply",
+ *          "questions": [
+ *            {
+ *              "_id": "5c0777154797997c9dae8d7c",
+ *              "name": "water_supply_before",
+ *              "label": "Was there water supply before the disaster?",
+ *              "indicator": {
+ *                "_id": "5c0777154797997c9dae8d72",
+ *                "subject": "Water",
+ *                "topic": "Water Supply"
+ *              }
+ *            }
+ *          ]
+ *        }
+ *     ]
+ *   },
+ *   "publishedAt": "2018-05-06T10:19:04.910Z"
+ * }
+ */
+
 /* dependencies */
 const _ = require('lodash');
-const { getString } = require('@lykmapipo/env');
+const bodyParser = require('body-parser');
 const { include } = require('@lykmapipo/include');
 const Router = require('@lykmapipo/express-common').Router;
 
 /* constants */
-const API_VERSION = getString('API_VERSION', '1.0.0');
 const PATH_LIST = '/questionnaires';
 const PATH_SINGLE = '/questionnaires/:id';
 const PATH_SCHEMA = '/questionnaires/schema/';
+const PATH_XLSFORM = '/questionnaires/:id/xlsform';
+const PATH_IMPORT_XLSFORM = '/questionnaires/xlsform';
+const PATH_XFORM = '/questionnaires/:id/xform';
+const PATH_FORM_LIST = '/formList';
+const PATH_BEARER = /^\/questionnaires(?!\/[^/]+\/xform\/?$)/;
+const PATH_PUBLISH = '/questionnaires/:id/publish';
+const PATH_VERSIONS = '/questionnaires/:id/versions';
+const PATH_VERSION = '/questionnaires/:id/versions/:version';
+const PATH_COVERAGE = '/questionnaires/:id/coverage';
+const PATH_GENERATE = '/questionnaires/generate';
+const PATH_CLONE = '/questionnaires/:id/clone';
+const PATH_ANALYTICS = '/questionnaires/:id/responses/analytics';
+const PATH_ANALYTICS_INDICATORS =
+  '/questionnaires/:id/responses/analytics/indicators';
+const PATH_EXPORT_RESPONSES = '/questionnaires/:id/responses/export';
+const PATH_CODEBOOK = '/questionnaires/:id/codebook';
+const PATH_PRINT = '/questionnaires/:id/print';
+const PATH_RESPONSE_SCHEMA = '/questionnaires/:id/response-schema';
 
 /* declarations */
+const Indicator = include(__dirname, 'indicator.model');
+const Question = include(__dirname, 'question.model');
 const Questionnaire = include(__dirname, 'questionnaire.model');
+const QuestionnaireVersion = include(__dirname, 'questionnaire.version.model');
+const ResponseModel = include(__dirname, 'response.model');
+const { CONTENT_TYPE } = include(__dirname, 'xlsform');
+const { rollup } = include(__dirname, 'analytics');
+const xform = include(__dirname, 'xform');
+const { localize } = include(__dirname, 'locale');
+const { API_VERSION, BODY_PARSER_LIMIT } = include(__dirname, 'config');
+const { authenticate, authenticateOpenRosa, authorize } = include(
+  __dirname,
+  'auth'
+);
+const parseWorkbook = bodyParser.raw({
+  type: [CONTENT_TYPE, 'application/octet-stream'],
+  limit: BODY_PARSER_LIMIT,
+});
 const router = new Router({
   version: API_VERSION,
 });
 
+/* authenticate request, OpenRosa clients may use basic credentials */
+router.use([PATH_XFORM, PATH_FORM_LIST], authenticateOpenRosa);
+router.use(PATH_BEARER, authenticate);
+
+/* authorize request scope */
+router.use([PATH_LIST, PATH_FORM_LIST], authorize('questionnaire'));
+
+/* negotiate request locale and translate response */
+router.use(
+  [PATH_LIST, PATH_FORM_LIST],
+  localize(Indicator, Question, Questionnaire)
+);
+
 /**
  * @api {get} /questionnaires List Questionnaires
  * @apiVersion 1.0.0
@@ -259,6 +403,65 @@ router.post(PATH_LIST, function postQuestionnaire(request, response, next) {
   });
 });
 
+/**
+ * @api {post} /questionnaires/generate Generate Questionnaire
+ * @apiVersion 1.0.0
+ * @apiName PostQuestionnaireGenerate
+ * @apiGroup Questionnaire
+ * @apiDescription Generate draft questionnaire from questions matching given
+ * criteria. Each matched indicator becomes a section. Indicators are ordered
+ * by subject and topic, and their questions by name.
+ * @apiUse RequestHeaders
+ * @apiUse Questionnaire
+ *
+ * @apiParam {Object} title Questionnaire title.
+ * @apiParam {Object} [description] Questionnaire description.
+ * @apiParam {String[]} [subjects] Indicator subjects i.e `Water`.
+ * @apiParam {String[]} [indicators] Indicator ids.
+ * @apiParam {String|String[]} [assess] Questions assessment type.
+ * @apiParam {String|String[]} [stage] Questions assessment stage.
+ * @apiParam {String|String[]} [phase] Questions disaster phase.
+ * @apiParam {Number} [limit] Maximum number of questions per indicator.
+ *
+ * @apiParamExample {json} Request-Example:
+ * {
+ *   "title": "Flood Situation Analysis",
+ *   "subjects": ["Water", "Shelter"],
+ *   "assess": "Situation",
+ *   "stage": "During",
+ *   "phase": "Response",
+ *   "limit": 5
+ * }
+ *
+ * @apiUse RequestHeadersExample
+ * @apiUse QuestionnaireSuccessResponse
+ * @apiUse JWTError
+ * @apiUse JWTErrorExample
+ * @apiUse AuthorizationHeaderError
+ * @apiUse AuthorizationHeaderErrorExample
+ */
+router.post(PATH_GENERATE, function postQuestionnaireGenerate(
+  request,
+  response,
+  next
+) {
+  // obtain generate criteria
+  const criteria = _.merge({}, request.body);
+
+  Questionnaire.generate(criteria, function onGenerate(error, generated) {
+    // forward error
+    if (error) {
+      next(error);
+    }
+
+    // handle response
+    else {
+      response.status(201);
+      response.json(generated);
+    }
+  });
+});
+
 /**
  * @api {get} /questionnaires/:id Get Existing Questionnaires
  * @apiVersion 1.0.0
@@ -415,5 +618,823 @@ router.delete(PATH_SINGLE, function deleteQuestionnaire(
   });
 });
 
+/**
+ * @api {get} /questionnaires/:id/xlsform Export Questionnaire As XLSForm
+ * @apiVersion 1.0.0
+ * @apiName GetQuestionnaireXLSForm
+ * @apiGroup Questionnaire
+ * @apiDescription Export existing questionnaire and its questions as XLSForm
+ * workbook with survey, choices and settings sheets
+ * @apiUse RequestHeaders
+ *
+ *
+ * @apiUse RequestHeadersExample
+ * @apiUse JWTError
+ * @apiUse JWTErrorExample
+ * @apiUse AuthorizationHeaderError
+ * @apiUse AuthorizationHeaderErrorExample
+ */
+router.get(PATH_XLSFORM, function getQuestionnaireXLSForm(
+  request,
+  response,
+  next
+) {
+  // obtain questionnaire id
+  const { id } = request.params;
+
+  Questionnaire.exportXLSForm(id, function onExportXLSForm(error, xlsform) {
+    // forward error
+    if (error) {
+      next(error);
+    }
+
+    // handle response
+    else {
+      response.status(200);
+      response.attachment(xlsform.filename);
+      response.send(xlsform.buffer);
+    }
+  });
+});
+
+/**
+ * @api {post} /questionnaires/xlsform Import Questionnaire From XLSForm
+ * @apiVersion 1.0.0
+ * @apiName PostQuestionnaireXLSForm
+ * @apiGroup Questionnaire
+ * @apiDescription Import XLSForm workbook as questionnaire. Questions are
+ * upserted by name and indicators are resolved or created from survey
+ * indicator column i.e `Water: Water Supply`. Survey rows with unsupported
+ * question type or missing indicator are reported as skipped.
+ * @apiUse RequestHeaders
+ *
+ * @apiParam (Query) {String} [indicatorColumn=indicator] Survey column which
+ * hold question indicator.
+ * @apiParam (Query) {String} [indicator] Fallback question indicator.
+ * @apiParam (Query) {String} [title] Questionnaire title.
+ * @apiParam (Query) {String} [assess] Assessment type of questionnaire.
+ * @apiParam (Query) {String} [stage] Assessment stage of questionnaire.
+ * @apiParam (Query) {String} [phase] Disaster phase of questionnaire.
+ *
+ * @apiSuccess {Questionnaire} questionnaire Imported questionnaire
+ * @apiSuccess {Question[]} questions Imported questions
+ * @apiSuccess {Indicator[]} indicators Resolved or created indicators
+ * @apiSuccess {Object[]} skipped Survey rows which were not imported
+ *
+ * @apiUse RequestHeadersExample
+ * @apiUse JWTError
+ * @apiUse JWTErrorExample
+ * @apiUse AuthorizationHeaderError
+ * @apiUse AuthorizationHeaderErrorExample
+ */
+router.post(
+  PATH_IMPORT_XLSFORM,
+  parseWorkbook,
+  function postQuestionnaireXLSForm(request, response, next) {
+    // obtain import options
+    const options = _.pick(
+      request.query,
+      'indicatorColumn',
+      'indicator',
+      'title',
+      'assess',
+      'stage',
+      'phase'
+    );
+
+    // obtain xlsform workbook
+    const buffer = request.body;
+
+    Questionnaire.importXLSForm(buffer, options, function onImportXLSForm(
+      error,
+      imported
+    ) {
+      // forward error
+      if (error) {
+        next(error);
+      }
+
+      // handle response
+      else {
+        response.status(201);
+        response.json(imported);
+      }
+    });
+  }
+);
+
+/**
+ * @api {get} /questionnaires/:id/xform Export Questionnaire As XForm
+ * @apiVersion 1.0.0
+ * @apiName GetQuestionnaireXForm
+ * @apiGroup Questionnaire
+ * @apiDescription Export latest published version of existing questionnaire
+ * and its questions as ODK XForm xml document. Respond with `404` if
+ * questionnaire was never published.
+ * OpenRosa clients(i.e ODK Collect) may authenticate using basic credentials
+ * with a token as password. Respond with `401` and basic challenge if not
+ * authenticated.
+ * @apiUse RequestHeaders
+ *
+ *
+ * @apiUse RequestHeadersExample
+ * @apiUse JWTError
+ * @apiUse JWTErrorExample
+ * @apiUse AuthorizationHeaderError
+ * @apiUse AuthorizationHeaderErrorExample
+ */
+router.get(PATH_XFORM, function getQuestionnaireXForm(request, response, next) {
+  // obtain questionnaire id and xform locale
+  const { id } = request.params;
+  const options = { _id: id, locale: request.locale };
+
+  Questionnaire.exportXForm(options, function onExportXForm(error, exported) {
+    // forward error
+    if (error) {
+      next(error);
+    }
+
+    // handle response
+    else {
+      response.status(200);
+      response.set('X-OpenRosa-Version', xform.OPENROSA_VERSION);
+      response.set('Content-Type', xform.CONTENT_TYPE);
+      response.send(exported.xml);
+    }
+  });
+});
+
+/**
+ * @api {post} /questionnaires/:id/publish Publish Questionnaire
+ * @apiVersion 1.0.0
+ * @apiName PostQuestionnairePublish
+ * @apiGroup Questionnaire
+ * @apiDescription Publish existing questionnaire by freezing its current
+ * content, including full questions and indicators, into a new immutable
+ * numbered version. Questionnaire revert to draft when its content changed.
+ * Latest version is returned if content did not change since it was
+ * published. Respond with `404` if questionnaire does not exist and `409` if
+ * same version is published concurrently.
+ * @apiUse RequestHeaders
+ * @apiUse QuestionnaireVersion
+ *
+ *
+ * @apiUse RequestHeadersExample
+ * @apiUse QuestionnaireVersionSuccessResponse
+ * @apiUse JWTError
+ * @apiUse JWTErrorExample
+ * @apiUse AuthorizationHeaderError
+ * @apiUse AuthorizationHeaderErrorExample
+ */
+router.post(PATH_PUBLISH, function postQuestionnairePublish(
+  request,
+  response,
+  next
+) {
+  // obtain questionnaire id
+  const { id } = request.params;
+
+  QuestionnaireVersion.publish(id, function onPublish(error, published) {
+    // forward error
+    if (error) {
+      next(error);
+    }
+
+    // handle response
+    else {
+      response.status(201);
+      response.json(published);
+    }
+  });
+});
+
+/**
+ * @api {post} /questionnaires/:id/clone Clone Questionnaire
+ * @apiVersion 1.0.0
+ * @apiName PostQuestionnaireClone
+ * @apiGroup Questionnaire
+ * @apiDescription Copy existing questionnaire into a new draft under a unique
+ * title. Referenced questions are shared with the source questionnaire unless
+ * forked, in which case they are copied under new unique names.
+ * @apiUse RequestHeaders
+ * @apiUse Questionnaire
+ *
+ * @apiParam {Object} [title] Clone title. Derived from source title i.e
+ * `Flood Situation Analysis (Copy)` if not provided.
+ * @apiParam {Boolean} [fork=false] Whether to copy referenced questions.
+ *
+ * @apiParamExample {json} Request-Example:
+ * {
+ *   "title": "Kinondoni Flood Situation Analysis",
+ *   "fork": true
+ * }
+ *
+ * @apiUse RequestHeadersExample
+ * @apiUse QuestionnaireSuccessResponse
+ * @apiUse JWTError
+ * @apiUse JWTErrorExample
+ * @apiUse AuthorizationHeaderError
+ * @apiUse AuthorizationHeaderErrorExample
+ */
+router.post(PATH_CLONE, function postQuestionnaireClone(
+  request,
+  response,
+  next
+) {
+  // obtain clone options
+  const { title, fork } = _.merge({}, request.body);
+  const forked = _.toString(fork) === 'true';
+  const options = { _id: request.params.id, title, fork: forked };
+
+  Questionnaire.clone(options, function onClone(error, cloned) {
+    // forward error
+    if (error) {
+      next(error);
+    }
+
+    // handle response
+    else {
+      response.status(201);
+      response.json(cloned);
+    }
+  });
+});
+
+/**
+ * @api {get} /questionnaires/:id/versions List Questionnaire Versions
+ * @apiVersion 1.0.0
+ * @apiName GetQuestionnaireVersions
+ * @apiGroup Questionnaire
+ * @apiDescription Returns a list of published versions of a questionnaire,
+ * latest first
+ * @apiUse RequestHeaders
+ * @apiUse QuestionnaireVersion
+ *
+ *
+ * @apiUse RequestHeadersExample
+ * @apiUse JWTError
+ * @apiUse JWTErrorExample
+ * @apiUse AuthorizationHeaderError
+ * @apiUse AuthorizationHeaderErrorExample
+ */
+router.get(PATH_VERSIONS, function getQuestionnaireVersions(
+  request,
+  response,
+  next
+) {
+  // obtain request options
+  const options = _.merge({}, request.mquery);
+
+  // restrict to questionnaire versions, latest first
+  options.sort = _.isEmpty(options.sort) ? { version: -1 } : options.sort;
+  options.filter = _.merge({}, options.filter, {
+    questionnaire: request.params.id,
+  });
+
+  QuestionnaireVersion.get(options, function onGetVersions(error, results) {
+    // forward error
+    if (error) {
+      next(error);
+    }
+
+    // handle response
+    else {
+      response.status(200);
+      response.json(results);
+    }
+  });
+});
+
+/**
+ * @api {get} /questionnaires/:id/versions/:version Get Questionnaire Version
+ * @apiVersion 1.0.0
+ * @apiName GetQuestionnaireVersion
+ * @apiGroup Questionnaire
+ * @apiDescription Get specific published version of a questionnaire
+ * @apiUse RequestHeaders
+ * @apiUse QuestionnaireVersion
+ *
+ *
+ * @apiUse RequestHeadersExample
+ * @apiUse QuestionnaireVersionSuccessResponse
+ * @apiUse JWTError
+ * @apiUse JWTErrorExample
+ * @apiUse AuthorizationHeaderError
+ * @apiUse AuthorizationHeaderErrorExample
+ */
+router.get(PATH_VERSION, function getQuestionnaireVersion(
+  request,
+  response,
+  next
+) {
+  // obtain questionnaire id and version number
+  const { id, version } = request.params;
+  const options = { questionnaire: id, version };
+
+  QuestionnaireVersion.getVersion(options, function onGetVersion(error, found) {
+    // forward error
+    if (error) {
+      next(error);
+    }
+
+    // handle response
+    else {
+      response.status(200);
+      response.json(found);
+    }
+  });
+});
+
+/**
+ * @api {get} /questionnaires/:id/coverage Get Questionnaire Coverage
+ * @apiVersion 1.0.0
+ * @apiName GetQuestionnaireCoverage
+ * @apiGroup Questionnaire
+ * @apiDescription Returns indicators coverage of existing questionnaire.
+ * Questions are grouped by indicator subject and topic, and counted by
+ * assessment type, stage and disaster phase. Indicator subjects without
+ * questions are listed as missing.
+ * @apiUse RequestHeaders
+ *
+ * @apiSuccess {Object} questionnaire Questionnaire id and title
+ * @apiSuccess {Number} total Number of questionnaire questions
+ * @apiSuccess {Object[]} subjects Questions grouped by indicator subject
+ * @apiSuccess {String} subjects.subject Indicator subject
+ * @apiSuccess {Number} subjects.total Number of subject questions
+ * @apiSuccess {Object[]} subjects.topics Subject questions grouped by
+ * indicator topic
+ * @apiSuccess {Object} assess Number of questions per assessment type
+ * @apiSuccess {Object} stages Number of questions per assessment stage
+ * @apiSuccess {Object} phases Number of questions per disaster phase
+ * @apiSuccess {String[]} covered Indicator subjects with questions
+ * @apiSuccess {String[]} missing Indicator subjects without questions
+ *
+ * @apiSuccessExample {json} Success-Response:
+ * {
+ *   "questionnaire": {
+ *     "_id": "5c07af709404b82c5efdb438",
+ *     "title": "Need Assessment"
+ *   },
+ *   "total": 2,
+ *   "subjects": [
+ *     {
+ *       "subject": "Water",
+ *       "total": 2,
+ *       "topics": [
+ *         {
+ *           "topic": "Water Supply",
+ *           "total": 2,
+ *           "questions": ["water_supply_before", "water_supply_after"]
+ *         }
+ *       ]
+ *     }
+ *   ],
+ *   "assess": { "Need": 2, "Situation": 0, "Other": 0 },
+ *   "stages": { "Before": 1, "During": 0, "After": 1, "Other": 0 },
+ *   "phases": { "Mitigation": 0, "Preparedness": 0, "Response": 2, ... },
+ *   "covered": ["Water"],
+ *   "missing": ["Basic Needs", "Communication", ...]
+ * }
+ *
+ * @apiUse RequestHeadersExample
+ * @apiUse JWTError
+ * @apiUse JWTErrorExample
+ * @apiUse AuthorizationHeaderError
+ * @apiUse AuthorizationHeaderErrorExample
+ */
+router.get(PATH_COVERAGE, function getQuestionnaireCoverage(
+  request,
+  response,
+  next
+) {
+  // obtain questionnaire id
+  const { id } = request.params;
+
+  Questionnaire.getCoverage(id, function onGetCoverage(error, coverage) {
+    // forward error
+    if (error) {
+      next(error);
+    }
+
+    // handle response
+    else {
+      response.status(200);
+      response.json(coverage);
+    }
+  });
+});
+
+/**
+ * @api {get} /questionnaires/:id/responses/analytics Get Questionnaire
+ * Responses Analytics
+ * @apiVersion 1.0.0
+ * @apiName GetQuestionnaireResponsesAnalytics
+ * @apiGroup Questionnaire
+ * @apiDescription Returns summary of existing questionnaire responses per
+ * question. Select questions are summarized by choice frequencies and
+ * numeric questions by minimum, maximum, mean and median. Answers of
+ * questions in repeatable sections are counted per section entry. Responses
+ * can be filtered by submission date range and location i.e
+ * `?from=2019-05-01&to=2019-05-31&near=39.2083,-6.7924&radius=5000` or
+ * `?bbox=39.1,-6.9,39.3,-6.7`. Require `response:view` scope.
+ * @apiUse RequestHeaders
+ * @apiParam {String} id Unique questionnaire identifier
+ * @apiParam {Date} [from] Minimum submission date
+ * @apiParam {Date} [to] Maximum submission date
+ * @apiParam {String} [near] Longitude and latitude of a location
+ * @apiParam {Number} [radius] Distance in meters from `near` location
+ * @apiParam {String} [bbox] Bounding box as
+ * `minLng,minLat,maxLng,maxLat`
+ * @apiSuccess {String} questionnaire Unique questionnaire identifier
+ * @apiSuccess {Number} total Number of responses summarized
+ * @apiSuccess {Object[]} questions Summary of each question
+ *
+ * @apiUse RequestHeadersExample
+ * @apiSuccessExample {json} Success-Response:
+ *  {
+ *    "questionnaire": "5c07af709404b82c5efdb438",
+ *    "total": 10,
+ *    "questions": [
+ *      {
+ *        "question": { "name": "water_supply", "type": "select_one" },
+ *        "indicator": { "subject": "Water", "topic": "Water Supply" },
+ *        "answered": 9,
+ *        "frequencies": [
+ *          { "name": "yes", "label": "Yes", "count": 6 },
+ *          { "name": "no", "label": "No", "count": 3 }
+ *        ]
+ *      },
+ *      {
+ *        "question": { "name": "household_size", "type": "integer" },
+ *        "answered": 10,
+ *        "statistics": {
+ *          "count": 10, "min": 1, "max": 9, "mean": 4.8, "median": 5
+ *        }
+ *      }
+ *    ]
+ *  }
+ * @apiUse JWTError
+ * @apiUse JWTErrorExample
+ * @apiUse AuthorizationHeaderError
+ * @apiUse AuthorizationHeaderErrorExample
+ */
+router.get(
+  PATH_ANALYTICS,
+  authorize('response'),
+  function getQuestionnaireAnalytics(request, response, next) {
+    // obtain analytics options
+    const options = _.merge({}, request.query);
+
+    // obtain questionnaire id
+    options.questionnaire = request.params.id;
+
+    ResponseModel.analyze(options, function onGetAnalytics(error, summary) {
+      // forward error
+      if (error) {
+        next(error);
+      }
+
+      // handle response
+      else {
+        response.status(200);
+        response.json(summary);
+      }
+    });
+  }
+);
+
+/**
+ * @api {get} /questionnaires/:id/responses/analytics/indicators Get
+ * Questionnaire Responses Indicators Analytics
+ * @apiVersion 1.0.0
+ * @apiName GetQuestionnaireResponsesIndicatorsAnalytics
+ * @apiGroup Questionnaire
+ * @apiDescription Returns summary of questionnaire responses per question
+ * rolled up by indicator subject and topic. Questions without indicator are
+ * left out. Accepts same filters as responses analytics. Require
+ * `response:view` scope.
+ * @apiUse RequestHeaders
+ * @apiParam {String} id Unique questionnaire identifier
+ * @apiSuccess {String} questionnaire Unique questionnaire identifier
+ * @apiSuccess {Number} total Number of responses summarized
+ * @apiSuccess {Object[]} subjects Summaries grouped by indicator subject
+ * @apiSuccess {Object[]} subjects.topics Summaries grouped by indicator
+ * topic
+ *
+ * @apiUse RequestHeadersExample
+ * @apiSuccessExample {json} Success-Response:
+ *  {
+ *    "questionnaire": "5c07af709404b82c5efdb438",
+ *    "total": 10,
+ *    "subjects": [
+ *      {
+ *        "subject": "Water",
+ *        "topics": [
+ *          {
+ *            "indicator": "5c07af709404b82c5efdb439",
+ *            "topic": "Water Supply",
+ *            "questions": [...]
+ *          }
+ *        ]
+ *      }
+ *    ]
+ *  }
+ * @apiUse JWTError
+ * @apiUse JWTErrorExample
+ * @apiUse AuthorizationHeaderError
+ * @apiUse AuthorizationHeaderErrorExample
+ */
+router.get(
+  PATH_ANALYTICS_INDICATORS,
+  authorize('response'),
+  function getIndicatorsAnalytics(request, response, next) {
+    // obtain analytics options
+    const options = _.merge({}, request.query);
+
+    // obtain questionnaire id
+    options.questionnaire = request.params.id;
+
+    ResponseModel.analyze(options, function onGetIndicatorsAnalytics(
+      error,
+      summary
+    ) {
+      // forward error
+      if (error) {
+        next(error);
+      }
+
+      // handle response
+      else {
+        const { questionnaire, total, questions } = summary;
+        response.status(200);
+        response.json({ questionnaire, total, subjects: rollup(questions) });
+      }
+    });
+  }
+);
+
+/**
+ * @api {get} /questionnaires/:id/responses/export Export Questionnaire
+ * Responses
+ * @apiVersion 1.0.0
+ * @apiName GetQuestionnaireResponsesExport
+ * @apiGroup Questionnaire
+ * @apiDescription Stream responses of existing questionnaire as CSV, XLSX or
+ * JSON Lines with one column per question name. Multiple selections are
+ * expanded into one `0`/`1` column per choice i.e `water_sources_tap` and
+ * geopoints into `_lat`, `_lon`, `_alt` and `_accuracy` columns. Answers of
+ * repeatable sections have columns per entry i.e `members[0].member_age`.
+ * Responses can be filtered same as responses analytics. Rows of all formats
+ * are streamed as responses are read. Require `response:view` scope.
+ * @apiUse RequestHeaders
+ *
+ * @apiParam (Query) {String=csv,xlsx,jsonl} [format=csv] Export format.
+ * @apiParam (Query) {Date} [from] Minimum submission date.
+ * @apiParam (Query) {Date} [to] Maximum submission date.
+ * @apiParam (Query) {String} [near] Longitude and latitude of a location.
+ * @apiParam (Query) {Number} [radius] Distance in meters from `near`.
+ * @apiParam (Query) {String} [bbox] Bounding box as
+ * `minLng,minLat,maxLng,maxLat`.
+ *
+ * @apiUse RequestHeadersExample
+ * @apiUse JWTError
+ * @apiUse JWTErrorExample
+ * @apiUse AuthorizationHeaderError
+ * @apiUse AuthorizationHeaderErrorExample
+ */
+router.get(
+  PATH_EXPORT_RESPONSES,
+  authorize('response'),
+  function getQuestionnaireResponsesExport(request, response, next) {
+    // obtain export options
+    const options = _.merge({}, request.query);
+
+    // obtain questionnaire id
+    options.questionnaire = request.params.id;
+
+    ResponseModel.exportResponses(options, function onExportResponses(
+      error,
+      exported
+    ) {
+      // forward error
+      if (error) {
+        next(error);
+      }
+
+      // handle response
+      else {
+        response.status(200);
+        response.attachment(exported.filename);
+        response.type(exported.contentType);
+
+        // stop reading responses on client disconnect
+        const abort = () => exported.stream.destroy();
+        request.once('aborted', abort);
+        response.once('close', abort);
+
+        exported.stream.on('error', next).pipe(response);
+      }
+    });
+  }
+);
+
+/**
+ * @api {get} /questionnaires/:id/codebook Get Questionnaire Codebook
+ * @apiVersion 1.0.0
+ * @apiName GetQuestionnaireCodebook
+ * @apiGroup Questionnaire
+ * @apiDescription Returns codebook(data dictionary) of latest published
+ * version of existing questionnaire, or of its current draft if it was never
+ * published. It list each question name, label, type, help, indicator
+ * subject and topic, choice codes and labels and columns used when
+ * responses are exported.
+ * @apiUse RequestHeaders
+ *
+ * @apiParam (Query) {String=md,html,csv} [format=md] Codebook format.
+ * @apiParam (Query) {String} [locale] Locale of codebook labels.
+ *
+ * @apiUse RequestHeadersExample
+ * @apiUse JWTError
+ * @apiUse JWTErrorExample
+ * @apiUse AuthorizationHeaderError
+ * @apiUse AuthorizationHeaderErrorExample
+ */
+router.get(PATH_CODEBOOK, function getQuestionnaireCodebook(
+  request,
+  response,
+  next
+) {
+  // obtain questionnaire id, codebook format and locale
+  const { id } = request.params;
+  const { format } = request.query;
+  const options = { _id: id, format, locale: request.locale };
+
+  Questionnaire.exportCodebook(options, function onExportCodebook(
+    error,
+    exported
+  ) {
+    // forward error
+    if (error) {
+      next(error);
+    }
+
+    // handle response
+    else {
+      response.status(200);
+      response.set('Content-Type', exported.contentType);
+      if (format === 'csv') {
+        response.attachment(exported.filename);
+      }
+      response.send(exported.content);
+    }
+  });
+});
+
+/**
+ * @api {get} /questionnaires/:id/print Print Questionnaire
+ * @apiVersion 1.0.0
+ * @apiName GetQuestionnairePrint
+ * @apiGroup Questionnaire
+ * @apiDescription Returns print ready paper form of latest published
+ * version of existing questionnaire, or of its current draft if it was never
+ * published. Select questions have a checkbox per choice, other questions
+ * have answer lines and question help is shown as hint. Questions with
+ * relevance have skip instruction and repeatable sections are printed once
+ * per entry. Form texts follow request locale. PDF is generated locally and
+ * respond with `501` if optional `pdfkit` dependency is not installed.
+ * @apiUse RequestHeaders
+ *
+ * @apiParam (Query) {String=html,pdf} [format=html] Form format.
+ * @apiParam (Query) {String} [locale] Locale of form texts.
+ *
+ * @apiUse RequestHeadersExample
+ * @apiUse JWTError
+ * @apiUse JWTErrorExample
+ * @apiUse AuthorizationHeaderError
+ * @apiUse AuthorizationHeaderErrorExample
+ */
+router.get(PATH_PRINT, function getQuestionnairePrint(request, response, next) {
+  // obtain questionnaire id, form format and locale
+  const { id } = request.params;
+  const { format } = request.query;
+  const options = { _id: id, format, locale: request.locale };
+
+  Questionnaire.exportPrintForm(options, function onExportPrintForm(
+    error,
+    exported
+  ) {
+    // forward error
+    if (error) {
+      next(error);
+    }
+
+    // handle response
+    else {
+      response.status(200);
+      response.set('Content-Type', exported.contentType);
+      if (format === 'pdf') {
+        response.attachment(exported.filename);
+      }
+      response.send(exported.content);
+    }
+  });
+});
+
+/**
+ * @api {get} /questionnaires/:id/response-schema Get Response Schema
+ * @apiVersion 1.0.0
+ * @apiName GetQuestionnaireResponseSchema
+ * @apiGroup Questionnaire
+ * @apiDescription Returns JSON Schema(draft-07) of a valid response
+ * submission of latest published version of existing questionnaire, or of
+ * its current draft if it was never published. Answers are keyed by
+ * question name, typed from question type with choices as enum, and required
+ * and range rules applied. Skip logic and constraint expressions are
+ * described in `$comment` of their answers.
+ * @apiUse RequestHeaders
+ *
+ * @apiParam (Query) {String} [locale] Locale of answers titles and
+ * descriptions.
+ *
+ * @apiUse RequestHeadersExample
+ * @apiUse JWTError
+ * @apiUse JWTErrorExample
+ * @apiUse AuthorizationHeaderError
+ * @apiUse AuthorizationHeaderErrorExample
+ */
+router.get(PATH_RESPONSE_SCHEMA, function getQuestionnaireResponseSchema(
+  request,
+  response,
+  next
+) {
+  // obtain questionnaire id and locale
+  const { id } = request.params;
+  const options = { _id: id, locale: request.locale };
+
+  Questionnaire.getResponseSchema(options, function onGetResponseSchema(
+    error,
+    schema
+  ) {
+    // forward error
+    if (error) {
+      next(error);
+    }
+
+    // handle response
+    else {
+      response.status(200);
+      response.json(schema);
+    }
+  });
+});
+
+/**
+ * @api {get} /formList List Questionnaires XForms
+ * @apiVersion 1.0.0
+ * @apiName GetFormList
+ * @apiGroup Questionnaire
+ * @apiDescription Returns OpenRosa form list of published questionnaires to
+ * allow OpenRosa compliant clients(i.e ODK Collect) to discover and download
+ * their latest published versions. Clients may authenticate using basic
+ * credentials with a token as password. Respond with `401` and basic challenge if not
+ * authenticated.
+ * @apiUse RequestHeaders
+ *
+ *
+ * @apiUse RequestHeadersExample
+ * @apiUse JWTError
+ * @apiUse JWTErrorExample
+ * @apiUse AuthorizationHeaderError
+ * @apiUse AuthorizationHeaderErrorExample
+ */
+router.get(PATH_FORM_LIST, function getFormList(request, response, next) {
+  // obtain xform download base url
+  const host = `${request.protocol}://${request.get('host')}`;
+  const baseUrl = `${host}${request.baseUrl}`;
+  const query = request.locale ? `?locale=${request.locale}` : '';
+  const options = { locale: request.locale };
+
+  Questionnaire.getFormList(options, function onGetFormList(error, xforms) {
+    // forward error
+    if (error) {
+      next(error);
+    }
+
+    // handle response
+    else {
+      const forms = _.map(xforms, form => {
+        const downloadUrl = `${baseUrl}/questionnaires/${
+          form._id
+        }/xform${query}`;
+        return _.merge({}, form, { downloadUrl });
+      });
+      response.status(200);
+      response.set('X-OpenRosa-Version', xform.OPENROSA_VERSION);
+      response.set('Content-Type', xform.CONTENT_TYPE);
+      response.send(xform.toFormList(forms));
+    }
+  });
+});
+
 /* expose questionnaire router */
 exports = module.exports = router;
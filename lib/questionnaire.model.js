@@ -21,57 +21,381 @@
 
 /* dependencies */
 const _ = require('lodash');
-const { getString, getStrings } = require('@lykmapipo/env');
+const { mapSeries, waterfall } = require('async');
 const { include } = require('@lykmapipo/include');
-const { SCHEMA_OPTIONS } = require('@lykmapipo/mongoose-common');
+const {
+  SCHEMA_OPTIONS,
+  SUB_SCHEMA_OPTIONS,
+} = require('@lykmapipo/mongoose-common');
 const { Schema, SchemaTypes } = require('@lykmapipo/mongoose-common');
 const { model, copyInstance } = require('@lykmapipo/mongoose-common');
+const { MongooseError } = require('@lykmapipo/mongoose-common');
 const actions = require('mongoose-rest-actions');
+const localize = require('mongoose-locale-schema');
 const { ObjectId } = SchemaTypes;
+const { ValidationError, ValidatorError } = MongooseError;
+const Indicator = include(__dirname, 'indicator.model');
 const Question = include(__dirname, 'question.model');
-
-/* constants */
-
-/* assess */
-const ASSESS_NEED = 'Need';
-const ASSESS_SITUATION = 'Situation';
-const DEFAULT_ASSESS = 'Other';
-const ASSESS = getStrings('ASSESSMENT_ASSESS', [
-  ASSESS_NEED,
-  ASSESS_SITUATION,
+const { localized, localizedPath, localizedPathsOf, translate } = include(
+  __dirname,
+  'locale'
+);
+const { formIdOf, toXLSForm, writeXLSForm, readXLSForm, fromXLSForm } = include(
+  __dirname,
+  'xlsform'
+);
+const { toXForm } = include(__dirname, 'xform');
+const codebook = include(__dirname, 'codebook');
+const printForm = include(__dirname, 'print');
+const { toResponseSchema } = include(__dirname, 'submission');
+const { renameReferences, validateReferences } = include(
+  __dirname,
+  'expression'
+);
+const {
+  QUESTIONNAIRE_MODEL_NAME: MODEL_NAME,
+  QUESTIONNAIRE_COLLECTION_NAME: COLLECTION_NAME,
+  QUESTIONNAIRE_VERSION_MODEL_NAME,
   DEFAULT_ASSESS,
-]);
-
-/* stages */
-const STAGE_BEFORE = 'Before';
-const STAGE_DURING = 'During';
-const STAGE_AFTER = 'After';
-const DEFAULT_STAGE = 'Other';
-const STAGES = getStrings('ASSESSMENT_STAGES', [
-  STAGE_BEFORE,
-  STAGE_DURING,
-  STAGE_AFTER,
+  ASSESS,
   DEFAULT_STAGE,
-]);
+  STAGES,
+  DEFAULT_PHASE,
+  PHASES,
+  STATUS_DRAFT,
+  STATUS_PUBLISHED,
+  STATUSES,
+  DEFAULT_SECTION_TITLE,
+  SUBJECTS,
+} = include(__dirname, 'config');
 
-/* phases */
-const DEFAULT_PHASE = 'Response';
-const PHASES = getStrings('DISASTER_PHASES', [
-  'Mitigation',
-  'Preparedness',
-  'Response',
-  'Recovery',
-]);
+/* paths which when changed require questionnaire to be re-published */
+const CONTENT_PATHS = ['title', 'description', 'sections', 'questions'];
+
+/* paths which are not copied when cloning */
+const CLONE_OMIT_PATHS = [
+  '_id',
+  'createdAt',
+  'updatedAt',
+  'deletedAt',
+  'populate',
+  '__v',
+];
 
 /* schema options */
 const POPULATION_MAX_DEPTH = 1;
-const MODEL_NAME = getString('MODEL_NAME', 'Questionnaire');
-const COLLECTION_NAME = getString('COLLECTION_NAME', 'questionnaires');
 const OPTION_AUTOPOPULATE = {
   select: { access: 1, stage: 1, phase: 1, title: 1 },
   maxDepth: POPULATION_MAX_DEPTH,
 };
 
+/**
+ * @name findOrBuild
+ * @function findOrBuild
+ * @description find existing instance using model seed criteria and update
+ * it with data or build new one. Instance is not saved.
+ * @param {Model} Model valid mongoose model
+ * @param {Object} data valid instance data
+ * @param {Function} done callback to invoke on success or error
+ * @since 1.6.0
+ * @version 0.1.0
+ * @private
+ */
+const findOrBuild = (Model, data, done) => {
+  const criteria = Model.prepareSeedCriteria(data);
+  Model.findOne(criteria, (error, found) => {
+    if (error) {
+      return done(error);
+    }
+    return done(null, found ? found.set(data) : new Model(data));
+  });
+};
+
+/**
+ * @name findExisting
+ * @function findExisting
+ * @description find existing and not deleted instance of a given model,
+ * failing with `404` if not found
+ * @param {Model} Model valid model
+ * @param {ObjectId|String} id valid instance id
+ * @param {Function} done callback to invoke on success or error
+ * @since 1.6.0
+ * @version 0.1.0
+ * @private
+ */
+const findExisting = (Model, id, done) => {
+  Model.findOne({ _id: id, deletedAt: null })
+    .setOptions({ autopopulate: false })
+    .select({ _id: 1 })
+    .lean()
+    .exec((error, found) => {
+      if (!error && !found) {
+        error = new Error('Not Found');
+        error.status = 404;
+      }
+      return done(error, found);
+    });
+};
+
+/**
+ * @name sequenceOf
+ * @function sequenceOf
+ * @description obtain first sequence number, starting at 1, whose candidate
+ * value is not already taken
+ * @param {Function} candidateOf derive candidate value of a sequence number
+ * @param {String[]} taken values already taken
+ * @return {Number} available sequence number
+ * @since 1.6.0
+ * @version 0.1.0
+ * @private
+ */
+const sequenceOf = (candidateOf, taken) => {
+  let sequence = 1;
+  while (_.includes(taken, candidateOf(sequence))) {
+    sequence = sequence + 1;
+  }
+  return sequence;
+};
+
+/**
+ * @name findSnapshot
+ * @function findSnapshot
+ * @description obtain snapshot of latest published version of a
+ * questionnaire. Questionnaire version model is resolved when needed as it
+ * depends on questionnaire model.
+ * @param {Object} questionnaire valid questionnaire
+ * @param {Function} done callback to invoke on success or error
+ * @since 1.6.0
+ * @version 0.1.0
+ * @private
+ */
+const findSnapshot = (questionnaire, done) => {
+  const { _id, version } = questionnaire;
+  if (!version) {
+    const error = new Error('Not Published');
+    error.status = 404;
+    return done(error);
+  }
+  const QuestionnaireVersion = model(QUESTIONNAIRE_VERSION_MODEL_NAME);
+  const optns = { questionnaire: _id, version };
+  return QuestionnaireVersion.getVersion(optns, (error, found) => {
+    return done(error, found ? found.snapshot : undefined);
+  });
+};
+
+/**
+ * @name findPublished
+ * @function findPublished
+ * @description obtain snapshot of latest published version of a
+ * questionnaire, falling back to its current draft when it has never been
+ * published.
+ * @param {Object} questionnaire valid questionnaire
+ * @param {Function} done callback to invoke on success or error
+ * @since 1.6.0
+ * @version 0.1.0
+ * @private
+ */
+const findPublished = (questionnaire, done) => {
+  if (!questionnaire.version) {
+    return done(null, questionnaire);
+  }
+  return findSnapshot(questionnaire, done);
+};
+
+/**
+ * @name SectionSchema
+ * @description Definition of an ordered group of questions within a
+ * questionnaire i.e page or repeat group.
+ * @type {Schema}
+ * @since 1.6.0
+ * @version 0.1.0
+ * @private
+ */
+const SectionSchema = new Schema(
+  {
+    /**
+     * @name name
+     * @description Unique variable name of a section within a questionnaire.
+     *
+     * If not provided it will be derived from section title.
+     *
+     * @type {object}
+     * @property {object} type - schema(data) type
+     * @property {boolean} trim - force trimming
+     * @property {boolean} index - ensure database index
+     * @property {boolean} searchable - allow for searching
+     *
+     * @since 1.6.0
+     * @version 0.1.0
+     * @instance
+     * @example
+     * household_members
+     */
+    name: {
+      type: String,
+      trim: true,
+      index: true,
+      searchable: true,
+    },
+
+    /**
+     * @name title
+     * @description Human readable title of a section.
+     *
+     * @type {object}
+     * @property {object} type - localized schema(data) type
+     * @property {boolean} trim - force trimming
+     * @property {boolean} required - mark required
+     * @property {boolean} index - ensure database index
+     * @property {boolean} searchable - allow for searching
+     * @property {object} fake - fake data generator options
+     * @property {function} set - allow plain text of default locale
+     *
+     * @since 1.6.0
+     * @version 0.1.0
+     * @instance
+     * @example
+     * Household Members
+     */
+    title: {
+      type: localize({
+        trim: true,
+        required: true,
+        index: true,
+        searchable: true,
+        fake: {
+          generator: 'lorem',
+          type: 'sentence',
+        },
+      }),
+      required: true,
+      set: localized,
+    },
+
+    /**
+     * @name description
+     * @description A brief summary about a section.
+     *
+     * @type {object}
+     * @property {object} type - localized schema(data) type
+     * @property {boolean} trim - force trimming
+     * @property {boolean} index - ensure database index
+     * @property {boolean} searchable - allow for searching
+     * @property {object} fake - fake data generator options
+     * @property {function} set - allow plain text of default locale
+     *
+     * @since 1.6.0
+     * @version 0.1.0
+     * @instance
+     */
+    description: {
+      type: localize({
+        trim: true,
+        index: true,
+        searchable: true,
+        fake: {
+          generator: 'lorem',
+          type: 'sentence',
+        },
+      }),
+      set: localized,
+    },
+
+    /**
+     * @name repeatable
+     * @description Flag whether a section questions are answered repeatedly
+     * i.e for each household member.
+     *
+     * @type {object}
+     * @property {object} type - schema(data) type
+     * @property {boolean} index - ensure database index
+     * @property {boolean} default - default value set when none provided
+     *
+     * @since 1.6.0
+     * @version 0.1.0
+     * @instance
+     * @example
+     * true
+     */
+    repeatable: {
+      type: Boolean,
+      index: true,
+      default: false,
+    },
+
+    /**
+     * @name minCount
+     * @description Minimum number of times a repeatable section must be
+     * answered.
+     *
+     * @type {object}
+     * @property {object} type - schema(data) type
+     * @property {number} min - minimum allowed value
+     *
+     * @since 1.6.0
+     * @version 0.1.0
+     * @instance
+     * @example
+     * 1
+     */
+    minCount: {
+      type: Number,
+      min: 0,
+    },
+
+    /**
+     * @name maxCount
+     * @description Maximum number of times a repeatable section may be
+     * answered.
+     *
+     * @type {object}
+     * @property {object} type - schema(data) type
+     * @property {number} min - minimum allowed value
+     * @property {object} validate - ensure not less than minCount
+     *
+     * @since 1.6.0
+     * @version 0.1.0
+     * @instance
+     * @example
+     * 20
+     */
+    maxCount: {
+      type: Number,
+      min: 0,
+      validate: {
+        validator: function isValidMaxCount(value) {
+          return _.isNil(this.minCount) || value >= this.minCount;
+        },
+        message: '{PATH} must not be less than minCount',
+      },
+    },
+
+    /**
+     * @name questions
+     * @description Ordered set of questions belongs to a section.
+     *
+     * @type {object}
+     * @property {object} type - schema(data) type
+     * @property {string} ref - referenced collection
+     * @property {boolean} exists - ensure ref exists before save
+     * @property {boolean} index - ensure database index
+     * @property {object} autopopulate - auto population(eager loading) options
+     *
+     * @since 1.6.0
+     * @version 0.1.0
+     * @instance
+     */
+    questions: {
+      type: [ObjectId],
+      ref: Question.MODEL_NAME,
+      index: true,
+      exists: true,
+      autopopulate: true,
+    },
+  },
+  SUB_SCHEMA_OPTIONS
+);
+
 /**
  * @name QuestionnaireSchema
  * @type {Schema}
@@ -190,13 +514,14 @@ const QuestionnaireSchema = new Schema(
      * aid data analysis and exploratory.
      *
      * @type {object}
-     * @property {object} type - schema(data) type
+     * @property {object} type - localized schema(data) type
      * @property {boolean} trim - force trimming
      * @property {boolean} required - mark required
      * @property {boolean} index - ensure database index
      * @property {boolean} searchable - allow for searching
      * @property {boolean} taggable - allow field use for tagging
      * @property {object} fake - fake data generator options
+     * @property {function} set - allow plain text of default locale
      *
      * @since 1.0.0
      * @version 0.1.0
@@ -205,16 +530,19 @@ const QuestionnaireSchema = new Schema(
      * water_supply
      */
     title: {
-      type: String,
-      trim: true,
+      type: localize({
+        trim: true,
+        required: true,
+        index: true,
+        searchable: true,
+        taggable: true,
+        fake: {
+          generator: 'lorem',
+          type: 'sentence',
+        },
+      }),
       required: true,
-      index: true,
-      searchable: true,
-      taggable: true,
-      fake: {
-        generator: 'lorem',
-        type: 'sentence',
-      },
+      set: localized,
     },
 
     /**
@@ -223,31 +551,58 @@ const QuestionnaireSchema = new Schema(
      * additional details that clarify about a questionnaire.
      *
      * @type {object}
-     * @property {object} type - schema(data) type
+     * @property {object} type - localized schema(data) type
      * @property {boolean} trim - force trimming
      * @property {boolean} index - ensure database index
      * @property {boolean} searchable - allow for searching
      * @property {object} fake - fake data generator options
+     * @property {function} set - allow plain text of default locale
      *
      * @since 1.0.0
      * @version 0.1.0
      * @instance
      */
     description: {
-      type: String,
-      trim: true,
-      index: true,
-      searchable: true,
-      fake: {
-        generator: 'lorem',
-        type: 'sentence',
-      },
+      type: localize({
+        trim: true,
+        index: true,
+        searchable: true,
+        fake: {
+          generator: 'lorem',
+          type: 'sentence',
+        },
+      }),
+      set: localized,
+    },
+
+    /**
+     * @name sections
+     * @description Ordered set of sections(i.e pages, groups or repeat
+     * groups) in which questions of a questionnaire live.
+     *
+     * If not provided a single section holding all questions will be
+     * created.
+     *
+     * @type {object}
+     * @property {object} type - schema(data) type
+     * @property {boolean} default - default value set when none provided
+     *
+     * @author lally elias <lallyelias87@gmail.com>
+     * @since 1.6.0
+     * @version 0.1.0
+     * @instance
+     */
+    sections: {
+      type: [SectionSchema],
+      default: undefined,
     },
 
     /**
      * @name questions
      * @description A set of questions belongs to a questionnaire.
      *
+     * It is derived from sections questions in their order on save.
+     *
      * @type {object}
      * @property {object} type - schema(data) type
      * @property {string} ref - referenced collection
@@ -268,8 +623,82 @@ const QuestionnaireSchema = new Schema(
       exists: true,
       autopopulate: true,
     },
+
+    /**
+     * @name status
+     * @description Publication status of a questionnaire. A questionnaire is
+     * published using publish action and revert to draft when its content
+     * changed.
+     *
+     * @type {object}
+     * @property {object} type - schema(data) type
+     * @property {boolean} trim - force trimming
+     * @property {string[]} enum - collection of allowed values
+     * @property {boolean} index - ensure database index
+     * @property {boolean} searchable - allow for searching
+     * @property {boolean} taggable - allow field use for tagging
+     * @property {boolean} default - default value set when none provided
+     *
+     * @author lally elias <lallyelias87@gmail.com>
+     * @since 1.6.0
+     * @version 0.1.0
+     * @instance
+     * @example
+     * Published
+     */
+    status: {
+      type: String,
+      trim: true,
+      enum: STATUSES,
+      index: true,
+      searchable: true,
+      taggable: true,
+      default: STATUS_DRAFT,
+    },
+
+    /**
+     * @name version
+     * @description Number of latest published version of a questionnaire.
+     *
+     * @type {object}
+     * @property {object} type - schema(data) type
+     * @property {number} min - minimum allowed value
+     * @property {boolean} index - ensure database index
+     * @property {boolean} default - default value set when none provided
+     *
+     * @author lally elias <lallyelias87@gmail.com>
+     * @since 1.6.0
+     * @version 0.1.0
+     * @instance
+     * @example
+     * 2
+     */
+    version: {
+      type: Number,
+      min: 0,
+      index: true,
+      default: 0,
+    },
+
+    /**
+     * @name publishedAt
+     * @description Date when latest version of a questionnaire was published.
+     *
+     * @type {object}
+     * @property {object} type - schema(data) type
+     * @property {boolean} index - ensure database index
+     *
+     * @author lally elias <lallyelias87@gmail.com>
+     * @since 1.6.0
+     * @version 0.1.0
+     * @instance
+     */
+    publishedAt: {
+      type: Date,
+      index: true,
+    },
   },
-  SCHEMA_OPTIONS
+  _.merge({}, SCHEMA_OPTIONS, { collection: COLLECTION_NAME })
 );
 
 /*
@@ -278,7 +707,7 @@ const QuestionnaireSchema = new Schema(
  *------------------------------------------------------------------------------
  */
 
-const uniqueIndex = { title: 1 };
+const uniqueIndex = { [localizedPath('title')]: 1 };
 QuestionnaireSchema.index(uniqueIndex, { unique: true });
 
 /*
@@ -307,8 +736,160 @@ QuestionnaireSchema.pre('validate', function preValidate(next) {
  * @instance
  */
 QuestionnaireSchema.methods.preValidate = function preValidate(done) {
-  // continue
-  return done();
+  // ref
+  const questionnaire = this;
+
+  // ensure status
+  this.ensureStatus();
+
+  // ensure sections and their questions
+  const error = this.ensureSections();
+  if (error) {
+    return done(error);
+  }
+
+  // obtain question ids
+  const ids = _.map(this.questions, question =>
+    _.get(question, '_id', question)
+  );
+  if (_.isEmpty(ids)) {
+    return done();
+  }
+
+  // validate questions skip logic and constraint references
+  const criteria = { _id: { $in: ids } };
+  return Question.find(criteria)
+    .select({ name: 1, relevant: 1, constraint: 1 })
+    .lean()
+    .exec((error, questions) => {
+      if (error) {
+        return done(error);
+      }
+      return done(questionnaire.validateExpressions(questions));
+    });
+};
+
+/**
+ * @name ensureStatus
+ * @function ensureStatus
+ * @description ensure published questionnaire revert to draft when its
+ * content changed. Status is also not allowed to be set to published other
+ * than by publish action.
+ * @since 1.6.0
+ * @version 0.1.0
+ * @instance
+ */
+QuestionnaireSchema.methods.ensureStatus = function ensureStatus() {
+  const isPublished = this.status === STATUS_PUBLISHED;
+  const isModified = path => this.isModified(path);
+  const isChanged = _.some(['status', ...CONTENT_PATHS], isModified);
+  if (isPublished && isChanged) {
+    this.status = STATUS_DRAFT;
+  }
+};
+
+/**
+ * @name ensureSections
+ * @function ensureSections
+ * @description ensure questionnaire has named sections and derive
+ * questionnaire questions from sections questions. When only questions are
+ * updated, removed questions are dropped from sections, remaining ones
+ * follow questions order and new ones are added to last section.
+ * @return {ValidationError|undefined} validation error if sections are
+ * invalid
+ * @since 1.6.0
+ * @version 0.1.0
+ * @instance
+ */
+QuestionnaireSchema.methods.ensureSections = function ensureSections() {
+  // sync sections with directly updated questions
+  const idOf = question => _.get(question, '_id', question);
+  const isModified = path => !this.isNew && this.isModified(path);
+  const isSynced = isModified('questions') && !isModified('sections');
+  if (isSynced && !_.isEmpty(this.sections)) {
+    const ids = _.map(this.questions, question => _.toString(idOf(question)));
+    const positionOf = question => _.indexOf(ids, _.toString(idOf(question)));
+    const kept = _.map(this.sections, section => {
+      const questions = _.filter(section.questions, question => {
+        return positionOf(question) > -1;
+      });
+      section.questions = _.map(_.sortBy(questions, positionOf), idOf);
+      return _.map(section.questions, _.toString);
+    });
+    const added = _.difference(ids, _.flatten(kept));
+    const last = _.last(this.sections);
+    last.questions = [..._.map(last.questions, idOf), ...added];
+  }
+
+  // ensure default section
+  if (_.isEmpty(this.sections) && !_.isEmpty(this.questions)) {
+    const title = translate(this.title) ? this.title : DEFAULT_SECTION_TITLE;
+    const questions = _.map(this.questions, idOf);
+    this.sections = [{ title, questions }];
+  }
+
+  // ensure sections name
+  _.forEach(this.sections, section => {
+    if (_.isEmpty(section.name)) {
+      section.name = _.snakeCase(translate(section.title));
+    }
+  });
+
+  // derive questions from sections
+  const ids = _.flatMap(this.sections, section => {
+    return _.map(section.questions, idOf);
+  });
+  this.questions = _.uniqBy(ids, _.toString);
+
+  // ensure unique sections name
+  const names = _.map(this.sections, 'name');
+  const duplicates = _.uniq(
+    _.filter(names, (name, i) => _.includes(names, name, i + 1))
+  );
+  if (_.isEmpty(duplicates)) {
+    return undefined;
+  }
+  const error = new ValidationError(this);
+  const path = 'sections';
+  const message = `Duplicate section name ${duplicates.join(', ')}`;
+  error.addError(path, new ValidatorError({ path, message, type: 'unique' }));
+  return error;
+};
+
+/**
+ * @name validateExpressions
+ * @function validateExpressions
+ * @description validate that questions skip logic and constraint expressions
+ * reference only questions of the questionnaire
+ * @param {Object[]} questions valid questionnaire questions
+ * @return {ValidationError|undefined} validation error if references are
+ * invalid
+ * @since 1.6.0
+ * @version 0.1.0
+ * @instance
+ */
+QuestionnaireSchema.methods.validateExpressions = function validateExpressions(
+  questions
+) {
+  // validate references
+  const errors = [
+    ...validateReferences(questions, 'relevant'),
+    ...validateReferences(questions, 'constraint'),
+  ];
+  if (_.isEmpty(errors)) {
+    return undefined;
+  }
+
+  // prepare per question validation error
+  const error = new ValidationError(this);
+  _.forEach(errors, ({ name, field, message }) => {
+    const path = `questions.${name}.${field}`;
+    const props = { path, message, type: field };
+    error.addError(path, new ValidatorError(props));
+  });
+
+  // return validation error
+  return error;
 };
 
 /*
@@ -329,9 +910,20 @@ QuestionnaireSchema.statics.ASSESS = ASSESS;
 QuestionnaireSchema.statics.DEFAULT_STAGE = DEFAULT_STAGE;
 QuestionnaireSchema.statics.STAGES = STAGES;
 
+QuestionnaireSchema.statics.DEFAULT_SECTION_TITLE = DEFAULT_SECTION_TITLE;
+
 QuestionnaireSchema.statics.DEFAULT_PHASE = DEFAULT_PHASE;
 QuestionnaireSchema.statics.PHASES = PHASES;
 
+QuestionnaireSchema.statics.STATUS_DRAFT = STATUS_DRAFT;
+QuestionnaireSchema.statics.STATUS_PUBLISHED = STATUS_PUBLISHED;
+QuestionnaireSchema.statics.STATUSES = STATUSES;
+
+QuestionnaireSchema.statics.CONTENT_PATHS = CONTENT_PATHS;
+QuestionnaireSchema.statics.LOCALIZED_PATHS = localizedPathsOf(
+  QuestionnaireSchema
+);
+
 /**
  * @name prepareSeedCriteria
  * @function prepareSeedCriteria
@@ -348,10 +940,1038 @@ QuestionnaireSchema.statics.prepareSeedCriteria = seed => {
   // prepare questionnaire upsert criteria by _id or fields
   let criteria = copyInstance(seed);
   criteria = criteria._id ? _.pick(criteria, '_id') : _.pick(criteria, 'title');
+  // query title by its default locale text
+  if (criteria.title) {
+    criteria[localizedPath('title')] = translate(criteria.title);
+    criteria = _.omit(criteria, 'title');
+  }
   // return questionnaire upsert criteria
   return criteria;
 };
 
+/**
+ * @name exportXLSForm
+ * @function exportXLSForm
+ * @description export existing questionnaire and its questions as
+ * XLSForm workbook
+ * @param {Object|String} optns valid questionnaire id or get by id options
+ * @param {Function} done callback to invoke on success or error
+ * @return {Object|Error} XLSForm workbook filename and buffer or error
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * Questionnaire.exportXLSForm(_id, (error, { filename, buffer }) => { ... });
+ */
+QuestionnaireSchema.statics.exportXLSForm = function exportXLSForm(
+  optns,
+  done
+) {
+  // ref
+  const Questionnaire = this;
+
+  // normalize options
+  const options = _.isPlainObject(optns) ? _.merge({}, optns) : { _id: optns };
+
+  // find questionnaire with its questions
+  const findQuestionnaire = next => Questionnaire.getById(options, next);
+
+  // map questionnaire to xlsform workbook
+  const writeWorkbook = (questionnaire, next) => {
+    const filename = `${formIdOf(questionnaire)}.xlsx`;
+    const xlsform = toXLSForm(questionnaire);
+    writeXLSForm(xlsform, (error, buffer) => next(error, { filename, buffer }));
+  };
+
+  // do export
+  return waterfall([findQuestionnaire, writeWorkbook], done);
+};
+
+/**
+ * @name importXLSForm
+ * @function importXLSForm
+ * @description import XLSForm workbook as questionnaire, questions and
+ * indicators.
+ *
+ * Questions are upserted by their name and indicators are resolved(or
+ * created) by their subject and topic from survey indicator column. Whole
+ * form is validated before any of them is saved.
+ *
+ * @param {Buffer} buffer valid XLSForm workbook buffer
+ * @param {Object} [optns] valid import options
+ * @param {String} [optns.indicatorColumn=indicator] survey column which hold
+ * question indicator i.e `Subject: Topic`
+ * @param {String} [optns.indicator] fallback question indicator
+ * i.e `Subject: Topic`
+ * @param {String} [optns.title] questionnaire title. Default to form title.
+ * @param {String} [optns.assess] assessment type of questionnaire and questions
+ * @param {String} [optns.stage] assessment stage of questionnaire and questions
+ * @param {String} [optns.phase] disaster phase of questionnaire and questions
+ * @param {Function} done callback to invoke on success or error
+ * @return {Object|Error} imported questionnaire, questions, indicators and
+ * skipped survey rows or error
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * Questionnaire.importXLSForm(buffer, (error, imported) => { ... });
+ * //=> { questionnaire: {...}, questions: [...], indicators: [...], skipped: [...] }
+ */
+QuestionnaireSchema.statics.importXLSForm = function importXLSForm(
+  buffer,
+  optns,
+  done
+) {
+  // ref
+  const Questionnaire = this;
+
+  // normalize arguments
+  const cb = _.isFunction(optns) ? optns : done;
+  const options = _.merge({}, _.isFunction(optns) ? {} : optns);
+  const assessment = _.pick(options, 'assess', 'stage', 'phase');
+  const keyOf = indicator => {
+    return `${indicator.subject}:${translate(indicator.topic)}`;
+  };
+
+  // read and map xlsform
+  const readWorkbook = next => readXLSForm(buffer, next);
+  const mapWorkbook = (xlsform, next) => {
+    const mapOptions = _.merge({}, options, {
+      types: Question.TYPES,
+      subjects: Indicator.SUBJECTS,
+    });
+    return next(null, fromXLSForm(xlsform, mapOptions));
+  };
+
+  // resolve or build questions indicators
+  const buildIndicators = (imported, next) => {
+    const indicators = _.uniqBy(_.map(imported.questions, 'indicator'), keyOf);
+    const build = (indicator, then) => findOrBuild(Indicator, indicator, then);
+    mapSeries(indicators, build, (error, built) => {
+      imported.indicators = built;
+      next(error, imported);
+    });
+  };
+
+  // update or build questions by their name
+  const buildQuestions = (imported, next) => {
+    const indicators = _.keyBy(imported.indicators, keyOf);
+    const build = (question, then) => {
+      const data = _.merge({}, assessment, _.omit(question, 'indicator'));
+      data.indicator = indicators[keyOf(question.indicator)]._id;
+      findOrBuild(Question, data, then);
+    };
+    mapSeries(imported.questions, build, (error, built) => {
+      imported.questions = built;
+      next(error, imported);
+    });
+  };
+
+  // update or build questionnaire by its title
+  const buildQuestionnaire = (imported, next) => {
+    const data = _.merge({}, imported.questionnaire, assessment);
+    const questions = _.keyBy(imported.questions, 'name');
+    data.title = options.title || data.title;
+    data.questions = _.map(imported.questions, '_id');
+    data.sections = _.map(data.sections, section => {
+      const ids = _.map(section.questions, name => questions[name]._id);
+      return _.assign({}, section, { questions: ids });
+    });
+    if (_.isEmpty(data.sections)) {
+      data.sections = [{ title: data.title, questions: data.questions }];
+    }
+    findOrBuild(Questionnaire, data, (error, built) => {
+      imported.questionnaire = built;
+      next(error, imported);
+    });
+  };
+
+  // validate whole form before saving. References are checked on save.
+  const validateForm = (imported, next) => {
+    const { indicators, questions, questionnaire } = imported;
+    const instances = [...indicators, ...questions, questionnaire];
+    const error =
+      questionnaire.ensureSections() ||
+      _.find(_.map(instances, instance => instance.validateSync())) ||
+      questionnaire.validateExpressions(_.map(questions, copyInstance));
+    next(error, imported);
+  };
+
+  // save new and updated instances
+  const saveForm = (imported, next) => {
+    const { indicators, questions, questionnaire } = imported;
+    const instances = [...indicators, ...questions, questionnaire];
+    const isChanged = instance => instance.isNew || instance.isModified();
+    const save = (instance, then) => instance.save(then);
+    mapSeries(_.filter(instances, isChanged), save, error => {
+      next(error, imported);
+    });
+  };
+
+  // do import
+  return waterfall(
+    [
+      readWorkbook,
+      mapWorkbook,
+      buildIndicators,
+      buildQuestions,
+      buildQuestionnaire,
+      validateForm,
+      saveForm,
+    ],
+    (error, imported) => {
+      if (error instanceof ValidationError) {
+        error.status = error.status || 400;
+      }
+      cb(error, imported);
+    }
+  );
+};
+
+/**
+ * @name exportXForm
+ * @function exportXForm
+ * @description export latest published version of existing questionnaire
+ * and its questions as ODK XForm. Questionnaire never published is not
+ * found.
+ * @param {Object|String} optns valid questionnaire id or get by id options
+ * @param {String} [optns.locale] locale of xform labels
+ * @param {Function} done callback to invoke on success or error
+ * @return {Object|Error} XForm id, version, hash and xml document or error
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * Questionnaire.exportXForm(_id, (error, { xml }) => { ... });
+ */
+QuestionnaireSchema.statics.exportXForm = function exportXForm(optns, done) {
+  // ref
+  const Questionnaire = this;
+
+  // normalize options
+  const options = _.isPlainObject(optns) ? _.merge({}, optns) : { _id: optns };
+  const { locale } = options;
+
+  // find questionnaire
+  const findQuestionnaire = next => {
+    Questionnaire.getById(_.omit(options, 'locale'), next);
+  };
+
+  // map published snapshot to xform
+  const buildXForm = (snapshot, next) =>
+    next(null, toXForm(snapshot, { locale }));
+
+  // do export
+  return waterfall([findQuestionnaire, findSnapshot, buildXForm], done);
+};
+
+/**
+ * @name exportCodebook
+ * @function exportCodebook
+ * @description export codebook(data dictionary) of latest published
+ * version of existing questionnaire as markdown, html or csv. Questionnaire
+ * never published is exported from its current draft.
+ * @param {Object|String} optns valid questionnaire id or get by id options
+ * @param {String} [optns.format=md] codebook format i.e `md`, `html` or
+ * `csv`
+ * @param {String} [optns.locale] locale of codebook labels
+ * @param {Function} done callback to invoke on success or error
+ * @return {Object|Error} codebook filename, content type and content or
+ * error
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * const optns = { _id: '5c07...', format: 'html' };
+ * Questionnaire.exportCodebook(optns, (error, { content }) => { ... });
+ */
+QuestionnaireSchema.statics.exportCodebook = function exportCodebook(
+  optns,
+  done
+) {
+  // ref
+  const Questionnaire = this;
+
+  // normalize options
+  const options = _.isPlainObject(optns) ? _.merge({}, optns) : { _id: optns };
+  const { format = 'md', locale } = options;
+
+  // ensure format
+  if (!_.has(codebook.FORMATS, format)) {
+    const error = new Error('Unsupported Format');
+    error.status = 400;
+    return done(error);
+  }
+
+  // find questionnaire with its questions
+  const findQuestionnaire = next => {
+    Questionnaire.getById(_.omit(options, 'format', 'locale'), next);
+  };
+
+  // map published questionnaire to codebook
+  const writeCodebook = (questionnaire, next) => {
+    const entries = codebook.toCodebook(questionnaire, { locale });
+    next(null, codebook.writeCodebook(entries, format));
+  };
+
+  // do export
+  return waterfall([findQuestionnaire, findPublished, writeCodebook], done);
+};
+
+/**
+ * @name exportPrintForm
+ * @function exportPrintForm
+ * @description render latest published version of existing questionnaire
+ * as print ready paper form in html or pdf. Questionnaire never published is
+ * rendered from its current draft.
+ * @param {Object|String} optns valid questionnaire id or get by id options
+ * @param {String} [optns.format=html] form format i.e `html` or `pdf`
+ * @param {String} [optns.locale] locale of form texts
+ * @param {Function} done callback to invoke on success or error
+ * @return {Object|Error} form filename, content type and content or error
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * const optns = { _id: '5c07...', format: 'pdf' };
+ * Questionnaire.exportPrintForm(optns, (error, { content }) => { ... });
+ */
+QuestionnaireSchema.statics.exportPrintForm = function exportPrintForm(
+  optns,
+  done
+) {
+  // ref
+  const Questionnaire = this;
+
+  // normalize options
+  const options = _.isPlainObject(optns) ? _.merge({}, optns) : { _id: optns };
+  const { format = 'html', locale } = options;
+
+  // ensure format
+  if (!_.has(printForm.FORMATS, format)) {
+    const error = new Error('Unsupported Format');
+    error.status = 400;
+    return done(error);
+  }
+
+  // find questionnaire with its questions
+  const findQuestionnaire = next => {
+    Questionnaire.getById(_.omit(options, 'format', 'locale'), next);
+  };
+
+  // render published questionnaire as printable form
+  const writePrintForm = (questionnaire, next) => {
+    const form = printForm.toPrintForm(questionnaire, { locale });
+    printForm.writePrintForm(form, format, next);
+  };
+
+  // do export
+  return waterfall([findQuestionnaire, findPublished, writePrintForm], done);
+};
+
+/**
+ * @name getResponseSchema
+ * @function getResponseSchema
+ * @description derive json schema of a valid response submission of latest
+ * published version of existing questionnaire. Questionnaire never published
+ * is derived from its current draft.
+ * @param {Object|String} optns valid questionnaire id or get by id options
+ * @param {String} [optns.locale] locale of answers titles and descriptions
+ * @param {Function} done callback to invoke on success or error
+ * @return {Object|Error} response json schema or error
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * Questionnaire.getResponseSchema(_id, (error, schema) => { ... });
+ */
+QuestionnaireSchema.statics.getResponseSchema = function getResponseSchema(
+  optns,
+  done
+) {
+  // ref
+  const Questionnaire = this;
+
+  // normalize options
+  const options = _.isPlainObject(optns) ? _.merge({}, optns) : { _id: optns };
+  const { locale } = options;
+
+  // find questionnaire with its questions
+  const findQuestionnaire = next => {
+    Questionnaire.getById(_.omit(options, 'locale'), next);
+  };
+
+  // derive response json schema of published questionnaire
+  const buildSchema = (questionnaire, next) =>
+    next(null, toResponseSchema(questionnaire, { locale }));
+
+  // do derive
+  return waterfall([findQuestionnaire, findPublished, buildSchema], done);
+};
+
+/**
+ * @name getFormList
+ * @function getFormList
+ * @description obtain XForms of questionnaires available for download by
+ * OpenRosa compliant clients. Only questionnaires which have been published
+ * are listed, using their latest published version.
+ * @param {Object} [optns] valid find options
+ * @param {Object} [optns.filter] valid questionnaires filter
+ * @param {String} [optns.locale] locale of xforms labels
+ * @param {Function} done callback to invoke on success or error
+ * @return {Object[]|Error} XForms id, version, hash and xml document or error
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * Questionnaire.getFormList((error, xforms) => { ... });
+ */
+QuestionnaireSchema.statics.getFormList = function getFormList(optns, done) {
+  // ref
+  const Questionnaire = this;
+
+  // normalize arguments
+  const cb = _.isFunction(optns) ? optns : done;
+  const options = _.merge({}, _.isFunction(optns) ? {} : optns);
+  const filter = _.merge({}, options.filter);
+  const { locale } = options;
+
+  // find published questionnaires
+  const findQuestionnaires = next => {
+    const published = { version: { $gt: 0 }, deletedAt: null };
+    Questionnaire.find(_.merge({}, filter, published))
+      .setOptions({ autopopulate: false })
+      .select({ version: 1 })
+      .sort({ [localizedPath('title')]: 1 })
+      .exec(next);
+  };
+
+  // find latest published snapshots
+  const findSnapshots = (questionnaires, next) => {
+    mapSeries(questionnaires, findSnapshot, next);
+  };
+
+  // map snapshots to xforms
+  const buildXForms = (snapshots, next) => {
+    const toLocaleXForm = snapshot => toXForm(snapshot, { locale });
+    return next(null, _.map(snapshots, toLocaleXForm));
+  };
+
+  // do build
+  return waterfall([findQuestionnaires, findSnapshots, buildXForms], cb);
+};
+
+/**
+ * @name toCoverage
+ * @function toCoverage
+ * @description build indicators coverage of given questions. Questions are
+ * grouped by their indicator subject and topic, and counted by assessment
+ * type, stage and disaster phase.
+ * @param {Object[]} questions valid questions with populated indicator
+ * @param {String[]} [subjects=SUBJECTS] expected indicator subjects
+ * @return {Object} questions coverage with covered and missing subjects
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * Questionnaire.toCoverage(questions);
+ * //=> { total: 2, subjects: [...], assess: {...}, missing: ['Shelter'] }
+ */
+QuestionnaireSchema.statics.toCoverage = (questions, subjects = SUBJECTS) => {
+  // prepare plain questions
+  const plains = _.map(questions, copyInstance);
+  const subjectOf = question => _.get(question, 'indicator.subject');
+  const topicOf = question => translate(_.get(question, 'indicator.topic'));
+
+  // group questions by indicator subject and topic
+  const indicated = _.filter(plains, subjectOf);
+  const bySubject = _.groupBy(indicated, subjectOf);
+  const toTopic = topicQuestions => {
+    const [first] = topicQuestions;
+    return {
+      topic: _.get(first, 'indicator.topic'),
+      total: topicQuestions.length,
+      questions: _.map(topicQuestions, 'name'),
+    };
+  };
+  const grouped = _.map(bySubject, (subjectQuestions, subject) => {
+    const byTopic = _.groupBy(subjectQuestions, topicOf);
+    const topics = _.sortBy(_.map(byTopic, toTopic), ({ topic }) => {
+      return translate(topic);
+    });
+    return { subject, total: subjectQuestions.length, topics };
+  });
+
+  // count questions by assessment dimension
+  const countBy = (path, values) => {
+    const counts = _.countBy(_.filter(plains, path), path);
+    return _.assign(_.zipObject(values, _.map(values, _.constant(0))), counts);
+  };
+
+  // collect covered and missing subjects
+  const covered = _.keys(bySubject).sort();
+  const missing = _.difference(subjects, covered);
+
+  // return coverage
+  return {
+    total: plains.length,
+    subjects: _.sortBy(grouped, 'subject'),
+    assess: countBy('assess', ASSESS),
+    stages: countBy('stage', STAGES),
+    phases: countBy('phase', PHASES),
+    covered,
+    missing,
+  };
+};
+
+/**
+ * @name getCoverage
+ * @function getCoverage
+ * @description obtain indicators coverage of existing questionnaire
+ * @param {Object|String} optns valid questionnaire id or get by id options
+ * @param {Function} done callback to invoke on success or error
+ * @return {Object|Error} questionnaire coverage or error
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * Questionnaire.getCoverage(_id, (error, coverage) => { ... });
+ * //=> { questionnaire: {...}, total: 2, subjects: [...], missing: [...] }
+ */
+QuestionnaireSchema.statics.getCoverage = function getCoverage(optns, done) {
+  // ref
+  const Questionnaire = this;
+
+  // normalize options
+  const options = _.isPlainObject(optns) ? _.merge({}, optns) : { _id: optns };
+
+  // find questionnaire without populating questions
+  const findQuestionnaire = next => {
+    Questionnaire.findById(options._id)
+      .select({ title: 1, questions: 1 })
+      .setOptions({ autopopulate: false })
+      .orFail()
+      .exec(next);
+  };
+
+  // find questionnaire questions with their indicators
+  const findQuestions = (questionnaire, next) => {
+    const criteria = { _id: { $in: questionnaire.questions } };
+    Question.find(criteria, (error, questions) => {
+      next(error, questionnaire, questions);
+    });
+  };
+
+  // build coverage
+  const buildCoverage = (questionnaire, questions, next) => {
+    const coverage = Questionnaire.toCoverage(questions);
+    const { _id, title } = questionnaire;
+    return next(null, _.assign({ questionnaire: { _id, title } }, coverage));
+  };
+
+  // do build
+  return waterfall([findQuestionnaire, findQuestions, buildCoverage], done);
+};
+
+/**
+ * @name toGeneratedSections
+ * @function toGeneratedSections
+ * @description build questionnaire sections from given indicators and
+ * questions. Each indicator with questions becomes a section. Indicators are
+ * ordered by subject and topic, and their questions by name.
+ * @param {Object[]} indicators valid indicators
+ * @param {Object[]} questions valid questions of the indicators
+ * @param {Object} [optns] valid generate options
+ * @param {Number} [optns.limit] maximum number of questions per indicator
+ * @return {Object[]} questionnaire sections
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * Questionnaire.toGeneratedSections(indicators, questions, { limit: 5 });
+ * //=> [{ name: 'water_supply', title: {...}, questions: [...] }]
+ */
+QuestionnaireSchema.statics.toGeneratedSections = (
+  indicators,
+  questions,
+  optns
+) => {
+  // normalize options
+  const { limit } = _.merge({}, optns);
+  const idOf = value => _.toString(_.get(value, '_id', value));
+  const topicOf = indicator => translate(indicator.topic);
+
+  // order indicators and group their questions
+  const ordered = _.sortBy(_.map(indicators, copyInstance), [
+    'subject',
+    topicOf,
+    idOf,
+  ]);
+  const byIndicator = _.groupBy(_.map(questions, copyInstance), question => {
+    return idOf(question.indicator);
+  });
+
+  // build section per indicator with questions
+  const names = [];
+  const sections = _.map(ordered, indicator => {
+    let indicatorQuestions = _.sortBy(byIndicator[idOf(indicator)], [
+      'name',
+      idOf,
+    ]);
+    if (limit > 0) {
+      indicatorQuestions = _.take(indicatorQuestions, limit);
+    }
+    let name = _.snakeCase(topicOf(indicator));
+    if (_.includes(names, name)) {
+      name = _.snakeCase(`${indicator.subject} ${topicOf(indicator)}`);
+    }
+    names.push(name);
+    return {
+      name,
+      title: indicator.topic,
+      description: indicator.description,
+      questions: _.map(indicatorQuestions, '_id'),
+    };
+  });
+
+  // ignore sections without questions
+  return _.filter(sections, section => !_.isEmpty(section.questions));
+};
+
+/**
+ * @name generate
+ * @function generate
+ * @description generate draft questionnaire from questions matching given
+ * indicators, assessment type, stage and disaster phase criteria. Criteria
+ * values are cast to strings.
+ * @param {Object} criteria valid generate criteria
+ * @param {Object|String} criteria.title questionnaire title
+ * @param {Object|String} [criteria.description] questionnaire description
+ * @param {String[]} [criteria.subjects] indicator subjects i.e Water
+ * @param {String[]} [criteria.indicators] indicator ids
+ * @param {String|String[]} [criteria.assess] questions assessment type
+ * @param {String|String[]} [criteria.stage] questions assessment stage
+ * @param {String|String[]} [criteria.phase] questions disaster phase
+ * @param {Number} [criteria.limit] maximum number of questions per indicator
+ * @param {Function} done callback to invoke on success or error
+ * @return {Object|Error} generated questionnaire or error
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * const criteria = { title: 'Flood Situation Analysis', subjects: ['Water'] };
+ * Questionnaire.generate(criteria, (error, questionnaire) => { ... });
+ */
+QuestionnaireSchema.statics.generate = function generate(criteria, done) {
+  // ref
+  const Questionnaire = this;
+
+  // normalize criteria
+  const options = _.merge({}, criteria);
+  const plain = { autopopulate: false };
+  const stringsOf = value => _.map([].concat(value), _.toString);
+  const conditionOf = value => {
+    // cast to strings to prevent query operators injection
+    return _.isArray(value) ? { $in: stringsOf(value) } : _.toString(value);
+  };
+  const valueOf = value => (_.isArray(value) ? undefined : value);
+
+  // find criteria indicators
+  const findIndicators = next => {
+    const filter = {};
+    if (!_.isEmpty(options.subjects)) {
+      filter.subject = { $in: stringsOf(options.subjects) };
+    }
+    if (!_.isEmpty(options.indicators)) {
+      filter._id = { $in: stringsOf(options.indicators) };
+    }
+    Indicator.find(filter)
+      .setOptions(plain)
+      .exec(next);
+  };
+
+  // find criteria questions of the indicators
+  const findQuestions = (indicators, next) => {
+    const assessment = _.pick(options, 'assess', 'stage', 'phase');
+    const filter = _.merge(_.mapValues(assessment, conditionOf), {
+      indicator: { $in: _.map(indicators, '_id') },
+    });
+    Question.find(filter)
+      .setOptions(plain)
+      .exec((error, questions) => next(error, indicators, questions));
+  };
+
+  // create draft questionnaire
+  const createQuestionnaire = (indicators, questions, next) => {
+    const sections = Questionnaire.toGeneratedSections(
+      indicators,
+      questions,
+      options
+    );
+    if (_.isEmpty(sections)) {
+      const error = new Error('No Matching Questions');
+      error.status = 400;
+      return next(error);
+    }
+    const assessment = _.pick(options, 'assess', 'stage', 'phase');
+    const data = _.assign(
+      _.omitBy(_.mapValues(assessment, valueOf), _.isUndefined),
+      _.pick(options, 'title', 'description'),
+      { sections, status: STATUS_DRAFT }
+    );
+    return Questionnaire.create(data, next);
+  };
+
+  // find generated questionnaire with its questions
+  const findQuestionnaire = (questionnaire, next) => {
+    Questionnaire.getById(questionnaire._id, next);
+  };
+
+  // do generate
+  return waterfall(
+    [findIndicators, findQuestions, createQuestionnaire, findQuestionnaire],
+    done
+  );
+};
+
+/**
+ * @name toCloneTitle
+ * @function toCloneTitle
+ * @description derive collision free title of a questionnaire clone i.e
+ * `Flood Situation Analysis (Copy)`. Text of each locale is suffixed.
+ * @param {Object} title valid localized title of a source questionnaire
+ * @param {String[]} taken default locale titles already taken
+ * @return {Object} localized clone title
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * Questionnaire.toCloneTitle({ en: 'Flood' }, ['Flood (Copy)']);
+ * //=> { en: 'Flood (Copy 2)' }
+ */
+QuestionnaireSchema.statics.toCloneTitle = (title, taken) => {
+  const source = _.omitBy(copyInstance(localized(title)), _.isEmpty);
+  const titleOf = (text, sequence) => {
+    return sequence > 1 ? `${text} (Copy ${sequence})` : `${text} (Copy)`;
+  };
+  const text = translate(source);
+  const sequence = sequenceOf(next => titleOf(text, next), taken);
+  return _.mapValues(source, value => titleOf(value, sequence));
+};
+
+/**
+ * @name toForkedQuestions
+ * @function toForkedQuestions
+ * @description copy given questions under collision free names i.e
+ * `water_supply_copy`. Skip logic and constraint references to the copied
+ * questions are renamed too.
+ * @param {Object[]} questions valid source questions
+ * @param {String[]} taken question names already taken
+ * @return {Object} forked questions data and new names keyed by old names
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * Questionnaire.toForkedQuestions(questions, ['water_supply_copy']);
+ * //=> { questions: [{ name: 'water_supply_copy_2', ... }], renames: {...} }
+ */
+QuestionnaireSchema.statics.toForkedQuestions = (questions, taken) => {
+  // derive new names
+  const sources = _.map(questions, copyInstance);
+  const names = [].concat(taken);
+  const renames = {};
+  _.forEach(sources, ({ name }) => {
+    const nameOf = sequence => {
+      return sequence > 1 ? `${name}_copy_${sequence}` : `${name}_copy`;
+    };
+    renames[name] = nameOf(sequenceOf(nameOf, names));
+    names.push(renames[name]);
+  });
+
+  // copy questions with new names and references
+  const forked = _.map(sources, question => {
+    const data = _.assign(_.omit(question, CLONE_OMIT_PATHS), {
+      name: renames[question.name],
+      relevant: renameReferences(question.relevant, renames),
+      constraint: renameReferences(question.constraint, renames),
+    });
+    return _.omitBy(data, _.isUndefined);
+  });
+  return { questions: forked, renames };
+};
+
+/**
+ * @name clone
+ * @function clone
+ * @description deep copy existing questionnaire into a new draft under a
+ * unique title. Referenced questions are shared unless forked, in which case
+ * they are copied under new names and removed if the clone fails.
+ * @param {Object} optns valid clone options
+ * @param {String} optns._id valid source questionnaire id
+ * @param {Object|String} [optns.title] title of the clone. If not provided
+ * it will be derived from source title i.e `Flood (Copy)`
+ * @param {Boolean} [optns.fork=false] whether to copy referenced questions
+ * @param {Function} done callback to invoke on success or error
+ * @return {Object|Error} cloned questionnaire or error
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * const optns = { _id, title: 'Kinondoni Flood Analysis', fork: true };
+ * Questionnaire.clone(optns, (error, questionnaire) => { ... });
+ */
+QuestionnaireSchema.statics.clone = function clone(optns, done) {
+  // ref
+  const Questionnaire = this;
+
+  // normalize options
+  const options = _.merge({}, optns);
+  const plain = { autopopulate: false };
+  const idOf = value => _.toString(_.get(value, '_id', value));
+
+  // find source questionnaire without populating questions
+  const findSource = next => {
+    Questionnaire.findById(options._id)
+      .setOptions(plain)
+      .orFail()
+      .exec(next);
+  };
+
+  // derive unique clone title if not provided
+  const prepareTitle = (source, next) => {
+    if (!_.isEmpty(options.title)) {
+      return next(null, source, options.title);
+    }
+    const path = localizedPath('title');
+    const text = _.escapeRegExp(translate(source.title));
+    const criteria = { [path]: new RegExp(`^${text} \\(Copy`) };
+    return Questionnaire.find(criteria)
+      .setOptions(plain)
+      .select({ title: 1 })
+      .lean()
+      .exec((error, found) => {
+        const taken = _.map(found, clone => translate(clone.title));
+        next(error, source, Questionnaire.toCloneTitle(source.title, taken));
+      });
+  };
+
+  // copy source questions under new names if forking
+  const forkQuestions = (source, title, next) => {
+    if (!options.fork || _.isEmpty(source.questions)) {
+      return next(null, source, title, {});
+    }
+
+    // find source questions
+    const findQuestions = then => {
+      Question.find({ _id: { $in: source.questions } })
+        .setOptions(plain)
+        .exec(then);
+    };
+
+    // find names already taken by previous forks
+    const findTaken = (questions, then) => {
+      const patterns = _.map(questions, ({ name }) => {
+        return new RegExp(`^${_.escapeRegExp(name)}_copy`);
+      });
+      Question.find({ name: { $in: patterns } })
+        .setOptions(plain)
+        .select({ name: 1 })
+        .lean()
+        .exec((error, found) => then(error, questions, _.map(found, 'name')));
+    };
+
+    // create forked questions and map source to forked ids
+    const createForked = (questions, taken, then) => {
+      const forked = Questionnaire.toForkedQuestions(questions, taken);
+      Question.create(forked.questions, (error, created) => {
+        if (error) {
+          return then(error);
+        }
+        const byName = _.keyBy(created, 'name');
+        const ids = _.mapValues(_.keyBy(questions, idOf), question => {
+          return byName[forked.renames[question.name]]._id;
+        });
+        return then(null, source, title, ids);
+      });
+    };
+
+    return waterfall([findQuestions, findTaken, createForked], next);
+  };
+
+  // create draft clone with copied sections
+  const createQuestionnaire = (source, title, ids, next) => {
+    const questionOf = question => ids[idOf(question)] || question;
+    const omits = [...CLONE_OMIT_PATHS, 'status', 'version', 'publishedAt'];
+    const data = _.omit(copyInstance(source), omits);
+    data.sections = _.map(data.sections, section => {
+      const copy = _.omit(copyInstance(section), '_id');
+      return _.assign(copy, { questions: _.map(copy.questions, questionOf) });
+    });
+    data.questions = _.map(data.questions, questionOf);
+    _.assign(data, { title, status: STATUS_DRAFT });
+    return Questionnaire.create(data, (error, created) => {
+      // remove forked questions if clone not created
+      if (error && !_.isEmpty(ids)) {
+        const criteria = { _id: { $in: _.values(ids) } };
+        return Question.deleteMany(criteria, () => next(error));
+      }
+      return next(error, created);
+    });
+  };
+
+  // find cloned questionnaire with its questions
+  const findClone = (questionnaire, next) => {
+    Questionnaire.getById(questionnaire._id, next);
+  };
+
+  // do clone
+  return waterfall(
+    [findSource, prepareTitle, forkQuestions, createQuestionnaire, findClone],
+    done
+  );
+};
+
+/**
+ * @name getByQuestion
+ * @function getByQuestion
+ * @description obtain paged questionnaires, not deleted, which use existing
+ * question. Fail with `404` if question does not exist.
+ * @param {Object} optns valid get options
+ * @param {String} optns.question valid question id
+ * @param {Function} done callback to invoke on success or error
+ * @return {Object|Error} paged questionnaires or error
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * const optns = { question: _id, page: 1, limit: 10 };
+ * Questionnaire.getByQuestion(optns, (error, results) => { ... });
+ * //=> { data: [...], total: 2, size: 2, limit: 10, page: 1, pages: 1 }
+ */
+QuestionnaireSchema.statics.getByQuestion = function getByQuestion(
+  optns,
+  done
+) {
+  // ref
+  const Questionnaire = this;
+
+  // normalize options
+  const { question } = _.merge({}, optns);
+  const options = _.omit(optns, 'question');
+
+  // ensure question exists
+  const findQuestion = next => findExisting(Question, question, next);
+
+  // find questionnaires using the question
+  const findQuestionnaires = (found, next) => {
+    const filter = { questions: question, deletedAt: null };
+    options.filter = _.merge({}, options.filter, filter);
+    Questionnaire.get(options, next);
+  };
+
+  // do get
+  return waterfall([findQuestion, findQuestionnaires], done);
+};
+
+/**
+ * @name getByIndicator
+ * @function getByIndicator
+ * @description obtain paged questionnaires, not deleted, which use not
+ * deleted questions of existing indicator. Fail with `404` if indicator does
+ * not exist.
+ * @param {Object} optns valid get options
+ * @param {String} optns.indicator valid indicator id
+ * @param {Function} done callback to invoke on success or error
+ * @return {Object|Error} paged questionnaires or error
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * const optns = { indicator: _id, page: 1, limit: 10 };
+ * Questionnaire.getByIndicator(optns, (error, results) => { ... });
+ * //=> { data: [...], total: 2, size: 2, limit: 10, page: 1, pages: 1 }
+ */
+QuestionnaireSchema.statics.getByIndicator = function getByIndicator(
+  optns,
+  done
+) {
+  // ref
+  const Questionnaire = this;
+
+  // normalize options
+  const { indicator } = _.merge({}, optns);
+  const options = _.omit(optns, 'indicator');
+
+  // ensure indicator exists
+  const findIndicator = next => findExisting(Indicator, indicator, next);
+
+  // find ids of indicator questions
+  const findQuestions = (found, next) => {
+    Question.find({ indicator, deletedAt: null })
+      .setOptions({ autopopulate: false })
+      .distinct('_id')
+      .exec(next);
+  };
+
+  // find questionnaires using the questions
+  const findQuestionnaires = (questions, next) => {
+    const filter = { questions: { $in: questions }, deletedAt: null };
+    options.filter = _.merge({}, options.filter, filter);
+    Questionnaire.get(options, next);
+  };
+
+  // do get
+  return waterfall([findIndicator, findQuestions, findQuestionnaires], done);
+};
+
 /*
  *------------------------------------------------------------------------------
  * Plugins
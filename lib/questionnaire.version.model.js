@@ -0,0 +1,478 @@
+'use strict';
+
+/**
+ * @module QuestionnaireVersion
+ * @name QuestionnaireVersion
+ * @description An immutable, numbered snapshot of a published questionnaire
+ * including full content of its questions and their indicators.
+ *
+ * It is used to tie collected responses to the exact wording asked.
+ *
+ * @see {@link https://en.wikipedia.org/wiki/Disaster}
+ * @see {@link http://xlsform.org/en/}
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @license MIT
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ */
+
+/* dependencies */
+const _ = require('lodash');
+const { waterfall } = require('async');
+const { include } = require('@lykmapipo/include');
+const { SCHEMA_OPTIONS } = require('@lykmapipo/mongoose-common');
+const { Schema, SchemaTypes } = require('@lykmapipo/mongoose-common');
+const { model, copyInstance } = require('@lykmapipo/mongoose-common');
+const actions = require('mongoose-rest-actions');
+const { ObjectId, Mixed } = SchemaTypes;
+const Indicator = include(__dirname, 'indicator.model');
+const Question = include(__dirname, 'question.model');
+const Questionnaire = include(__dirname, 'questionnaire.model');
+const {
+  QUESTIONNAIRE_VERSION_MODEL_NAME: MODEL_NAME,
+  QUESTIONNAIRE_VERSION_COLLECTION_NAME: COLLECTION_NAME,
+} = include(__dirname, 'config');
+
+/* queries which are not allowed to change a version */
+const UPDATE_QUERIES = [
+  'update',
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+];
+
+/* queries which are not allowed to delete a version */
+const DELETE_QUERIES = [
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete',
+  'findOneAndRemove',
+  'remove',
+];
+
+/* document actions which are not allowed to delete a version */
+const DELETE_ACTIONS = ['deleteOne', 'remove'];
+
+/**
+ * @name immutableError
+ * @function immutableError
+ * @description create error raised when an existing version is modified
+ * @return {Error} immutable version error
+ * @since 1.6.0
+ * @version 0.1.0
+ * @private
+ */
+const immutableError = () => {
+  const error = new Error('Questionnaire Version Is Immutable');
+  error.status = 409;
+  return error;
+};
+
+/**
+ * @name conflictError
+ * @function conflictError
+ * @description create error raised when same version is published
+ * concurrently
+ * @return {Error} version conflict error
+ * @since 1.6.0
+ * @version 0.1.0
+ * @private
+ */
+const conflictError = () => {
+  const error = new Error('Questionnaire Version Conflict');
+  error.status = 409;
+  return error;
+};
+
+/**
+ * @name isSameContent
+ * @function isSameContent
+ * @description check if two snapshots have same questionnaire content
+ * @param {Object} snapshot valid questionnaire snapshot
+ * @param {Object} other valid questionnaire snapshot
+ * @return {Boolean} whether snapshots content is same
+ * @since 1.6.0
+ * @version 0.1.0
+ * @private
+ */
+const isSameContent = (snapshot, other) => {
+  const contentOf = value => {
+    const content = _.pick(value, Questionnaire.CONTENT_PATHS);
+    return JSON.parse(JSON.stringify(content));
+  };
+  return _.isEqual(contentOf(snapshot), contentOf(other));
+};
+
+/**
+ * @name QuestionnaireVersionSchema
+ * @type {Schema}
+ * @since 1.6.0
+ * @version 0.1.0
+ * @private
+ */
+const QuestionnaireVersionSchema = new Schema(
+  {
+    /**
+     * @name questionnaire
+     * @description Questionnaire a version belongs to.
+     *
+     * @type {object}
+     * @property {object} type - schema(data) type
+     * @property {string} ref - referenced model(or collection)
+     * @property {boolean} required - mark required
+     * @property {boolean} index - ensure database index
+     * @property {boolean} exists - ensure ref exists before save
+     *
+     * @since 1.6.0
+     * @version 0.1.0
+     * @instance
+     * @example
+     * "5c07af709404b82c5efdb438"
+     */
+    questionnaire: {
+      type: ObjectId,
+      ref: Questionnaire.MODEL_NAME,
+      required: true,
+      index: true,
+      exists: true,
+    },
+
+    /**
+     * @name version
+     * @description Sequential number of a questionnaire version.
+     *
+     * @type {object}
+     * @property {object} type - schema(data) type
+     * @property {boolean} required - mark required
+     * @property {number} min - minimum allowed value
+     * @property {boolean} index - ensure database index
+     *
+     * @since 1.6.0
+     * @version 0.1.0
+     * @instance
+     * @example
+     * 1
+     */
+    version: {
+      type: Number,
+      required: true,
+      min: 1,
+      index: true,
+    },
+
+    /**
+     * @name snapshot
+     * @description Full content of a questionnaire at time of publishing.
+     * Sections questions and their indicators are embedded.
+     *
+     * @type {object}
+     * @property {object} type - schema(data) type
+     * @property {boolean} required - mark required
+     *
+     * @since 1.6.0
+     * @version 0.1.0
+     * @instance
+     * @example
+     * {
+     *   "_id": "5c07af709404b82c5efdb438",
+     *   "title": { "en": "Flood Situation Analysis" },
+     *   "sections": [{
+     *     "name": "water_supply",
+     *     "questions": [{
+     *       "name": "water_supply_before",
+     *       "label": { "en": "Was there water supply before the disaster?" },
+     *       "indicator": { "subject": "Water", "topic": { "en": "Supply" } }
+     *     }]
+     *   }]
+     * }
+     */
+    snapshot: {
+      type: Mixed,
+      required: true,
+    },
+
+    /**
+     * @name publishedAt
+     * @description Date when a version was published.
+     *
+     * @type {object}
+     * @property {object} type - schema(data) type
+     * @property {boolean} index - ensure database index
+     * @property {object} default - default value if non provided
+     *
+     * @since 1.6.0
+     * @version 0.1.0
+     * @instance
+     */
+    publishedAt: {
+      type: Date,
+      index: true,
+      default: Date.now,
+    },
+  },
+  _.merge({}, SCHEMA_OPTIONS, { collection: COLLECTION_NAME })
+);
+
+/*
+ *------------------------------------------------------------------------------
+ * Indexes
+ *------------------------------------------------------------------------------
+ */
+
+const uniqueIndex = { questionnaire: 1, version: 1 };
+QuestionnaireVersionSchema.index(uniqueIndex, { unique: true });
+
+/*
+ *------------------------------------------------------------------------------
+ * Hook
+ *------------------------------------------------------------------------------
+ */
+
+QuestionnaireVersionSchema.pre('save', function preSave(next) {
+  // prevent changing existing version
+  return next(this.isNew ? undefined : immutableError());
+});
+
+_.forEach(UPDATE_QUERIES, query => {
+  QuestionnaireVersionSchema.pre(query, function preUpdate(next) {
+    // prevent changing existing versions
+    return next(immutableError());
+  });
+});
+
+_.forEach(DELETE_QUERIES, query => {
+  const document = _.includes(DELETE_ACTIONS, query);
+  const optns = { query: true, document };
+  QuestionnaireVersionSchema.pre(query, optns, function preDelete(next) {
+    // prevent deleting existing versions
+    return next(immutableError());
+  });
+});
+
+/*
+ *------------------------------------------------------------------------------
+ * Statics
+ *------------------------------------------------------------------------------
+ */
+
+/* constants */
+QuestionnaireVersionSchema.statics.MODEL_NAME = MODEL_NAME;
+QuestionnaireVersionSchema.statics.COLLECTION_NAME = COLLECTION_NAME;
+
+/**
+ * @name toSnapshot
+ * @function toSnapshot
+ * @description build questionnaire snapshot with full content of its
+ * sections questions and their indicators
+ * @param {Object} questionnaire valid questionnaire
+ * @param {Object[]} questions valid questionnaire questions
+ * @param {Object[]} indicators valid questions indicators
+ * @return {Object} questionnaire snapshot
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ */
+QuestionnaireVersionSchema.statics.toSnapshot = (
+  questionnaire,
+  questions,
+  indicators
+) => {
+  // prepare lookups
+  const idOf = value => _.toString(_.get(value, '_id', value));
+  const indicatorsById = _.keyBy(_.map(indicators, copyInstance), idOf);
+  const questionsById = _.keyBy(
+    _.map(questions, question => {
+      const plain = copyInstance(question);
+      const indicator = indicatorsById[idOf(plain.indicator)];
+      return _.assign(plain, { indicator: indicator || plain.indicator });
+    }),
+    idOf
+  );
+  const questionOf = question => questionsById[idOf(question)] || question;
+
+  // embed full questions into sections and questionnaire
+  const snapshot = copyInstance(questionnaire);
+  snapshot.sections = _.map(snapshot.sections, section => {
+    const plain = copyInstance(section);
+    return _.assign(plain, { questions: _.map(plain.questions, questionOf) });
+  });
+  snapshot.questions = _.map(snapshot.questions, questionOf);
+
+  // return snapshot
+  return snapshot;
+};
+
+/**
+ * @name publish
+ * @function publish
+ * @description publish existing questionnaire by freezing its current
+ * content into a new numbered version. Latest version is re-used if content
+ * did not change since it was published, so that responses of same content
+ * are not spread across versions. Concurrent publish of same version fail
+ * with conflict error
+ * @param {String} id valid questionnaire id
+ * @param {Function} done callback to invoke on success or error
+ * @return {Object|Error} published questionnaire version or error
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * QuestionnaireVersion.publish(_id, (error, version) => { ... });
+ * //=> { questionnaire: '5c07...', version: 2, snapshot: {...}, ... }
+ */
+QuestionnaireVersionSchema.statics.publish = function publish(id, done) {
+  // ref
+  const QuestionnaireVersion = this;
+  const plain = { autopopulate: false };
+
+  // find questionnaire without populating questions
+  const findQuestionnaire = next => {
+    Questionnaire.findById(id)
+      .setOptions(plain)
+      .exec((error, questionnaire) => {
+        if (!error && !questionnaire) {
+          error = new Error('Not Found');
+          error.status = 404;
+        }
+        const invalid = error ? undefined : questionnaire.ensureSections();
+        next(error || invalid, questionnaire);
+      });
+  };
+
+  // find full content of questionnaire questions
+  const findQuestions = (questionnaire, next) => {
+    const criteria = { _id: { $in: questionnaire.questions } };
+    Question.find(criteria)
+      .setOptions(plain)
+      .exec((error, questions) => next(error, questionnaire, questions));
+  };
+
+  // find full content of questions indicators
+  const findIndicators = (questionnaire, questions, next) => {
+    const ids = _.compact(_.map(questions, 'indicator'));
+    Indicator.find({ _id: { $in: ids } })
+      .setOptions(plain)
+      .exec((error, indicators) => {
+        const snapshot = QuestionnaireVersion.toSnapshot(
+          questionnaire,
+          questions,
+          indicators
+        );
+        next(error, questionnaire, snapshot);
+      });
+  };
+
+  // find latest version
+  const findLatest = (questionnaire, snapshot, next) => {
+    QuestionnaireVersion.findOne({ questionnaire: questionnaire._id })
+      .sort({ version: -1 })
+      .exec((error, latest) => next(error, questionnaire, snapshot, latest));
+  };
+
+  // save snapshot as next version. Unchanged content is not saved again to
+  // keep responses of same content under one version, latest is used instead.
+  // Same version published concurrently is a conflict
+  const createVersion = (questionnaire, snapshot, latest, next) => {
+    if (latest && isSameContent(latest.snapshot, snapshot)) {
+      return next(null, latest);
+    }
+    const version = _.get(latest, 'version', 0) + 1;
+    const publishedAt = new Date();
+    snapshot = _.assign(snapshot, {
+      status: Questionnaire.STATUS_PUBLISHED,
+      version,
+      publishedAt,
+    });
+    const data = { questionnaire: questionnaire._id, version, snapshot };
+    return QuestionnaireVersion.create(
+      _.assign(data, { publishedAt }),
+      (error, created) => {
+        const isConflict = error && error.code === 11000;
+        next(isConflict ? conflictError() : error, created);
+      }
+    );
+  };
+
+  // mark questionnaire as published
+  const markPublished = (published, next) => {
+    const { version, publishedAt } = published;
+    const status = Questionnaire.STATUS_PUBLISHED;
+    const updates = { status, version, publishedAt };
+    Questionnaire.updateOne({ _id: published.questionnaire }, updates, error =>
+      next(error, published)
+    );
+  };
+
+  // do publish
+  return waterfall(
+    [
+      findQuestionnaire,
+      findQuestions,
+      findIndicators,
+      findLatest,
+      createVersion,
+      markPublished,
+    ],
+    done
+  );
+};
+
+/**
+ * @name getVersion
+ * @function getVersion
+ * @description obtain specific version of a questionnaire
+ * @param {Object} optns valid get options
+ * @param {String} optns.questionnaire valid questionnaire id
+ * @param {Number} optns.version valid version number
+ * @param {Function} done callback to invoke on success or error
+ * @return {Object|Error} questionnaire version or error
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * const optns = { questionnaire: _id, version: 2 };
+ * QuestionnaireVersion.getVersion(optns, (error, version) => { ... });
+ */
+QuestionnaireVersionSchema.statics.getVersion = function getVersion(
+  optns,
+  done
+) {
+  // ref
+  const QuestionnaireVersion = this;
+
+  // prepare criteria
+  const { questionnaire, version } = _.merge({}, optns);
+  const criteria = { questionnaire, version: Number(version) };
+
+  // find version
+  return QuestionnaireVersion.findOne(criteria, (error, found) => {
+    if (!error && !found) {
+      error = new Error('Not Found');
+      error.status = 404;
+    }
+    return done(error, found);
+  });
+};
+
+/*
+ *------------------------------------------------------------------------------
+ * Plugins
+ *------------------------------------------------------------------------------
+ */
+
+/* plug mongoose rest actions */
+QuestionnaireVersionSchema.plugin(actions);
+
+/* export questionnaire version model */
+exports = module.exports = model(MODEL_NAME, QuestionnaireVersionSchema);
@@ -0,0 +1,395 @@
+'use strict';
+
+/**
+ * @apiDefine Response Response
+ *
+ * @apiDescription A representation of answers collected from a respondent
+ * using a questionnaire during assessment of need, situation and
+ * characteristics of disaster(or emergency) event.
+ *
+ * @see {@link https://en.wikipedia.org/wiki/Disaster}
+ * @see {@link http://xlsform.org/en/}
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @license MIT
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ */
+
+/**
+ * @apiDefine Response
+ * @apiSuccess {String} _id Unique response identifier
+ * @apiSuccess {Questionnaire} questionnaire Questionnaire used to collect
+ * a response.
+ * @apiSuccess {Object} [respondent] A party who respond to a questionnaire.
+ * @apiSuccess {String} [respondent.name] Full name of a respondent.
+ * @apiSuccess {String} [respondent.mobile] Mobile phone number of a
+ * respondent.
+ * @apiSuccess {String} [respondent.email] Email address of a respondent.
+ * @apiSuccess {Object} [location] A geo-point where a response was collected.
+ * @apiSuccess {Object} answers Answers of a response keyed by question name.
+ * @apiSuccess {Date} [startedAt] Date when a respondent started to respond.
+ * @apiSuccess {Date} submittedAt Date when a response was submitted.
+ * @apiSuccess {Date} createdAt Date when response was created.
+ * @apiSuccess {Date} updatedAt Date when response was last updated.
+ */
+
+/**
+ * @apiDefine Responses
+ * @apiSuccess {Object[]} data List of responses
+ * @apiSuccess {String} data._id Unique response identifier
+ * @apiSuccess {Questionnaire} data.questionnaire Questionnaire used to collect
+ * a response.
+ * @apiSuccess {Object} [data.respondent] A party who respond to a
+ * questionnaire.
+ * @apiSuccess {String} [data.respondent.name] Full name of a respondent.
+ * @apiSuccess {String} [data.respondent.mobile] Mobile phone number of a
+ * respondent.
+ * @apiSuccess {String} [data.respondent.email] Email address of a respondent.
+ * @apiSuccess {Object} [data.location] A geo-point where a response was
+ * collected.
+ * @apiSuccess {Object} data.answers Answers of a response keyed by
+ * question name.
+ * @apiSuccess {Date} [data.startedAt] Date when a respondent started
+ * to respond.
+ * @apiSuccess {Date} data.submittedAt Date when a response was submitted.
+ * @apiSuccess {Date} data.createdAt Date when response was created.
+ * @apiSuccess {Date} data.updatedAt Date when response was last updated.
+ * @apiSuccess {Number} total Total number of response
+ * @apiSuccess {Number} size Number of response returned
+ * @apiSuccess {Number} limit Query limit used
+ * @apiSuccess {Number} skip Query skip/offset used
+ * @apiSuccess {Number} page Page number
+ * @apiSuccess {Number} pages Total number of pages
+ * @apiSuccess {Date} lastModified Date and time at which latest response
+ * was last modified
+ */
+
+/**
+ * @apiDefine ResponseSuccessResponse
+ * @apiSuccessExample {json} Success-Response:
+ *  {
+ *     "_id": "5cf0f3d0f6e6c21bfa2a8f3e",
+ *     "questionnaire":
+ *     {
+ *         "_id": "5c07af709404b82c5efdb438",
+ *         "title": "Flood Situation Analysis"
+ *     },
+ *     "respondent": {
+ *         "name": "Juma Shaban",
+ *         "mobile": "255714989796"
+ *     },
+ *     "location": {
+ *         "type": "Point",
+ *         "coordinates": [39.2083, -6.7924]
+ *     },
+ *     "answers": {
+ *         "water_supply": "yes",
+ *         "household_size": 5
+ *     },
+ *     "submittedAt": "2019-05-31T12:30:00.000Z"
+ *  }
+ */
+
+/**
+ * @apiDefine ResponsesSuccessResponse
+ * @apiSuccessExample {json} Success-Response:
+ *  {
+ *    "data": [
+ *     {
+ *      "_id": "5cf0f3d0f6e6c21bfa2a8f3e",
+ *      "questionnaire":
+ *      {
+ *         "_id": "5c07af709404b82c5efdb438",
+ *         "title": "Flood Situation Analysis"
+ *      },
+ *      "respondent": {
+ *         "name": "Juma Shaban",
+ *         "mobile": "255714989796"
+ *      },
+ *      "location": {
+ *         "type": "Point",
+ *         "coordinates": [39.2083, -6.7924]
+ *      },
+ *      "answers": {
+ *         "water_supply": "yes",
+ *         "household_size": 5
+ *      },
+ *      "submittedAt": "2019-05-31T12:30:00.000Z"
+ *     }
+ *    ],
+ *   "total": 10,
+ *   "size": 2,
+ *   "limit": 2,
+ *   "skip": 0,
+ *   "page": 1,
+ *   "pages": 5,
+ *   "lastModified": "2019-05-31T12:30:00.000Z"
+ * }
+ *
+ */
+
+/* dependencies */
+const _ = require('lodash');
+const { include } = require('@lykmapipo/include');
+const Router = require('@lykmapipo/express-common').Router;
+
+/* constants */
+const PATH_LIST = '/responses';
+const PATH_SINGLE = '/responses/:id';
+const PATH_SCHEMA = '/responses/schema/';
+
+/* declarations */
+const Indicator = include(__dirname, 'indicator.model');
+const Question = include(__dirname, 'question.model');
+const Questionnaire = include(__dirname, 'questionnaire.model');
+const ResponseModel = include(__dirname, 'response.model');
+const { localize } = include(__dirname, 'locale');
+const { API_VERSION } = include(__dirname, 'config');
+const { authenticate, authorize } = include(__dirname, 'auth');
+const router = new Router({
+  version: API_VERSION,
+});
+
+/* authenticate request and authorize its scope */
+router.use(PATH_LIST, authenticate, authorize('response'));
+
+/* negotiate request locale and translate response */
+router.use(PATH_LIST, localize(Indicator, Question, Questionnaire));
+
+/**
+ * @api {get} /responses List Responses
+ * @apiVersion 1.0.0
+ * @apiName GetResponses
+ * @apiGroup Response
+ * @apiDescription Returns a list of responses
+ * @apiUse RequestHeaders
+ * @apiUse Responses
+ *
+ *
+ * @apiUse RequestHeadersExample
+ * @apiUse ResponsesSuccessResponse
+ * @apiUse JWTError
+ * @apiUse JWTErrorExample
+ * @apiUse AuthorizationHeaderError
+ * @apiUse AuthorizationHeaderErrorExample
+ */
+router.get(PATH_LIST, function getResponses(request, response, next) {
+  // obtain request options
+  const options = _.merge({}, request.mquery);
+
+  ResponseModel.get(options, function onGetResponses(error, results) {
+    // forward error
+    if (error) {
+      next(error);
+    }
+
+    // handle response
+    else {
+      response.status(200);
+      response.json(results);
+    }
+  });
+});
+
+/**
+ * @api {get} /responses/schema Get Responses Schema
+ * @apiVersion 1.0.0
+ * @apiName GetResponseSchema
+ * @apiGroup Response
+ * @apiDescription Returns response json schema definition
+ * @apiUse RequestHeaders
+ */
+router.get(PATH_SCHEMA, function getResponseSchema(request, response) {
+  const schema = ResponseModel.jsonSchema();
+  response.status(200);
+  response.json(schema);
+});
+
+/**
+ * @api {post} /responses Create New Responses
+ * @apiVersion 1.0.0
+ * @apiName PostResponse
+ * @apiGroup Response
+ * @apiDescription Create new response
+ * @apiUse RequestHeaders
+ * @apiUse Response
+ *
+ *
+ * @apiUse RequestHeadersExample
+ * @apiUse ResponseSuccessResponse
+ * @apiUse JWTError
+ * @apiUse JWTErrorExample
+ * @apiUse AuthorizationHeaderError
+ * @apiUse AuthorizationHeaderErrorExample
+ */
+router.post(PATH_LIST, function postResponse(request, response, next) {
+  // obtain request body
+  const body = _.merge({}, request.body);
+
+  ResponseModel.post(body, function onPostResponse(error, created) {
+    // forward error
+    if (error) {
+      next(error);
+    }
+
+    // handle response
+    else {
+      response.status(201);
+      response.json(created);
+    }
+  });
+});
+
+/**
+ * @api {get} /responses/:id Get Existing Responses
+ * @apiVersion 1.0.0
+ * @apiName GetResponse
+ * @apiGroup Response
+ * @apiDescription Get existing response
+ * @apiUse RequestHeaders
+ * @apiUse Response
+ *
+ *
+ * @apiUse RequestHeadersExample
+ * @apiUse ResponseSuccessResponse
+ * @apiUse JWTError
+ * @apiUse JWTErrorExample
+ * @apiUse AuthorizationHeaderError
+ * @apiUse AuthorizationHeaderErrorExample
+ */
+router.get(PATH_SINGLE, function getResponse(request, response, next) {
+  // obtain request options
+  const options = _.merge({}, request.mquery);
+
+  // obtain response id
+  options._id = request.params.id;
+
+  ResponseModel.getById(options, function onGetResponse(error, found) {
+    // forward error
+    if (error) {
+      next(error);
+    }
+
+    // handle response
+    else {
+      response.status(200);
+      response.json(found);
+    }
+  });
+});
+
+/**
+ * @api {patch} /responses/:id Patch Existing Responses
+ * @apiVersion 1.0.0
+ * @apiName PatchResponse
+ * @apiGroup Response
+ * @apiDescription Patch existing response
+ * @apiUse RequestHeaders
+ * @apiUse Response
+ *
+ *
+ * @apiUse RequestHeadersExample
+ * @apiUse ResponseSuccessResponse
+ * @apiUse JWTError
+ * @apiUse JWTErrorExample
+ * @apiUse AuthorizationHeaderError
+ * @apiUse AuthorizationHeaderErrorExample
+ */
+router.patch(PATH_SINGLE, function patchResponse(request, response, next) {
+  // obtain response id
+  const { id } = request.params;
+
+  // obtain request body
+  const patches = _.merge({}, request.body);
+
+  ResponseModel.patch(id, patches, function onPatchResponse(error, patched) {
+    // forward error
+    if (error) {
+      next(error);
+    }
+
+    // handle response
+    else {
+      response.status(200);
+      response.json(patched);
+    }
+  });
+});
+
+/**
+ * @api {put} /responses/:id Put Existing Responses
+ * @apiVersion 1.0.0
+ * @apiName PutResponse
+ * @apiGroup Response
+ * @apiDescription Put existing response
+ * @apiUse RequestHeaders
+ * @apiUse Response
+ *
+ *
+ * @apiUse RequestHeadersExample
+ * @apiUse ResponseSuccessResponse
+ * @apiUse JWTError
+ * @apiUse JWTErrorExample
+ * @apiUse AuthorizationHeaderError
+ * @apiUse AuthorizationHeaderErrorExample
+ */
+router.put(PATH_SINGLE, function putResponse(request, response, next) {
+  // obtain response id
+  const { id } = request.params;
+
+  // obtain request body
+  const updates = _.merge({}, request.body);
+
+  ResponseModel.put(id, updates, function onPutResponse(error, updated) {
+    // forward error
+    if (error) {
+      next(error);
+    }
+
+    // handle response
+    else {
+      response.status(200);
+      response.json(updated);
+    }
+  });
+});
+
+/**
+ * @api {delete} /responses/:id Delete Existing Responses
+ * @apiVersion 1.0.0
+ * @apiName DeleteResponse
+ * @apiGroup Response
+ * @apiDescription Delete existing response
+ * @apiUse RequestHeaders
+ * @apiUse Response
+ *
+ *
+ * @apiUse RequestHeadersExample
+ * @apiUse ResponseSuccessResponse
+ * @apiUse JWTError
+ * @apiUse JWTErrorExample
+ * @apiUse AuthorizationHeaderError
+ * @apiUse AuthorizationHeaderErrorExample
+ */
+router.delete(PATH_SINGLE, function deleteResponse(request, response, next) {
+  // obtain response id
+  const { id } = request.params;
+
+  ResponseModel.del(id, function onDeleteResponse(error, deleted) {
+    // forward error
+    if (error) {
+      next(error);
+    }
+
+    // handle response
+    else {
+      response.status(200);
+      response.json(deleted);
+    }
+  });
+});
+
+/* expose response router */
+exports = module.exports = router;
@@ -0,0 +1,579 @@
+'use strict';
+
+/**
+ * @module Response
+ * @name Response
+ * @description A representation of answers collected from a respondent
+ * using a questionnaire during assessment of need, situation and
+ * characteristics of disaster(or emergency) event.
+ *
+ * @see {@link https://en.wikipedia.org/wiki/Disaster}
+ * @see {@link http://xlsform.org/en/}
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @license MIT
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ */
+
+/* dependencies */
+const _ = require('lodash');
+const { mapSeries, waterfall } = require('async');
+const { include } = require('@lykmapipo/include');
+const { SCHEMA_OPTIONS } = require('@lykmapipo/mongoose-common');
+const { Schema, SchemaTypes } = require('@lykmapipo/mongoose-common');
+const { model, copyInstance } = require('@lykmapipo/mongoose-common');
+const { MongooseError } = require('@lykmapipo/mongoose-common');
+const actions = require('mongoose-rest-actions');
+const { ObjectId, Mixed } = SchemaTypes;
+const { ValidationError, ValidatorError } = MongooseError;
+const { Point, Respondent } = include(__dirname, 'common.schema');
+const validator = include(__dirname, 'answer.validator');
+const { ANALYZABLE_TYPES, matchOf } = include(__dirname, 'analytics');
+const { countsPipelineOf, summaryOf } = include(__dirname, 'analytics');
+const { FORMATS, columnsOf, writeResponses } = include(__dirname, 'export');
+const { formIdOf } = include(__dirname, 'xlsform');
+const Question = include(__dirname, 'question.model');
+const Questionnaire = include(__dirname, 'questionnaire.model');
+const QuestionnaireVersion = include(__dirname, 'questionnaire.version.model');
+const {
+  RESPONSE_MODEL_NAME: MODEL_NAME,
+  RESPONSE_COLLECTION_NAME: COLLECTION_NAME,
+} = include(__dirname, 'config');
+
+/* schema options */
+const POPULATION_MAX_DEPTH = 1;
+const OPTION_AUTOPOPULATE = {
+  select: { respondent: 1, submittedAt: 1 },
+  maxDepth: POPULATION_MAX_DEPTH,
+};
+
+/**
+ * @name ResponseSchema
+ * @type {Schema}
+ * @since 1.6.0
+ * @version 0.1.0
+ * @private
+ */
+const ResponseSchema = new Schema(
+  {
+    /**
+     * @name questionnaire
+     * @description Questionnaire used to collect a response.
+     *
+     * @type {object}
+     * @property {object} type - schema(data) type
+     * @property {string} ref - referenced model(or collection)
+     * @property {boolean} required - mark required
+     * @property {boolean} index - ensure database index
+     * @property {boolean} exists - ensure ref exists before save
+     * @property {object} autopopulate - auto population(eager loading) options
+     *
+     * @since 1.6.0
+     * @version 0.1.0
+     * @instance
+     * @example
+     * {
+     *   _id: "5c07af709404b82c5efdb438",
+     *   "title": "Flood Situation Analysis"
+     * }
+     */
+    questionnaire: {
+      type: ObjectId,
+      ref: Questionnaire.MODEL_NAME,
+      required: true,
+      index: true,
+      exists: true,
+      autopopulate: Questionnaire.OPTION_AUTOPOPULATE,
+    },
+
+    /**
+     * @name version
+     * @description Published questionnaire version used to collect a
+     * response. Default to latest published version of the questionnaire.
+     *
+     * @type {object}
+     * @property {object} type - schema(data) type
+     * @property {number} min - minimum allowed value
+     * @property {boolean} index - ensure database index
+     *
+     * @since 1.6.0
+     * @version 0.1.0
+     * @instance
+     * @example
+     * 2
+     */
+    version: {
+      type: Number,
+      min: 1,
+      index: true,
+    },
+
+    /**
+     * @name respondent
+     * @description A party who respond to a questionnaire.
+     *
+     * @type {object}
+     * @property {object} type - schema(data) type
+     *
+     * @since 1.6.0
+     * @version 0.1.0
+     * @instance
+     * @example
+     * {
+     *   "name": "Juma Shaban",
+     *   "mobile": "255714989796"
+     * }
+     */
+    respondent: {
+      type: Respondent,
+    },
+
+    /**
+     * @name location
+     * @description A geo-point where a response was collected.
+     *
+     * @type {object}
+     * @property {object} type - schema(data) type
+     * @property {boolean} index - ensure database index
+     *
+     * @since 1.6.0
+     * @version 0.1.0
+     * @instance
+     * @example
+     * {
+     *   "type": "Point",
+     *   "coordinates": [39.2083, -6.7924]
+     * }
+     */
+    location: {
+      type: Point,
+      index: '2dsphere',
+    },
+
+    /**
+     * @name answers
+     * @description Answers of a response keyed by question name.
+     *
+     * @type {object}
+     * @property {object} type - schema(data) type
+     * @property {object} default - default value if non provided
+     *
+     * @since 1.6.0
+     * @version 0.1.0
+     * @instance
+     * @example
+     * {
+     *   "water_supply": "yes",
+     *   "household_size": 5
+     * }
+     */
+    answers: {
+      type: Mixed,
+      default: {},
+    },
+
+    /**
+     * @name startedAt
+     * @description Date when a respondent started to respond.
+     *
+     * @type {object}
+     * @property {object} type - schema(data) type
+     * @property {boolean} index - ensure database index
+     *
+     * @since 1.6.0
+     * @version 0.1.0
+     * @instance
+     */
+    startedAt: {
+      type: Date,
+      index: true,
+    },
+
+    /**
+     * @name submittedAt
+     * @description Date when a response was submitted.
+     *
+     * @type {object}
+     * @property {object} type - schema(data) type
+     * @property {boolean} index - ensure database index
+     * @property {object} default - default value if non provided
+     *
+     * @since 1.6.0
+     * @version 0.1.0
+     * @instance
+     */
+    submittedAt: {
+      type: Date,
+      index: true,
+      default: Date.now,
+    },
+  },
+  _.merge({}, SCHEMA_OPTIONS, { collection: COLLECTION_NAME })
+);
+
+/*
+ *------------------------------------------------------------------------------
+ * Hook
+ *------------------------------------------------------------------------------
+ */
+
+ResponseSchema.pre('validate', function preValidate(next) {
+  this.preValidate(next);
+});
+
+/*
+ *------------------------------------------------------------------------------
+ *  Instance
+ *------------------------------------------------------------------------------
+ */
+
+/**
+ * @name preValidate
+ * @function preValidate
+ * @description response schema pre validation hook logic
+ * @param {function} done callback to invoke on success or error
+ * @since 1.6.0
+ * @version 0.1.0
+ * @instance
+ */
+ResponseSchema.methods.preValidate = function preValidate(done) {
+  // ref
+  const response = this;
+
+  // obtain questionnaire id
+  const questionnaire = _.get(this.questionnaire, '_id', this.questionnaire);
+  if (!questionnaire) {
+    return done();
+  }
+
+  // validate answers against questionnaire version sections questions
+  const validateVersion = version => {
+    const optns = { questionnaire, version };
+    return QuestionnaireVersion.getVersion(optns, (error, found) => {
+      if (error) {
+        return done(error);
+      }
+      response.version = found.version;
+      return done(response.validateAnswers(found.snapshot.sections));
+    });
+  };
+  if (this.version) {
+    return validateVersion(this.version);
+  }
+
+  // validate answers against latest published version or, if questionnaire
+  // was never published, its current sections questions
+  return Questionnaire.findById(questionnaire, (error, found) => {
+    if (error || !found) {
+      return done(error);
+    }
+    if (found.version) {
+      return validateVersion(found.version);
+    }
+    return done(response.validateAnswers(found.sections));
+  });
+};
+
+/**
+ * @name validateAnswers
+ * @function validateAnswers
+ * @description validate response answers against given sections(or
+ * questions) type and choices using answer validator. Answers of repeatable
+ * section are expected to be a list under the section name.
+ * @param {Object[]} sections valid sections with questions or questions
+ * @return {ValidationError|undefined} validation error if answers are invalid
+ * @since 1.6.0
+ * @version 0.1.0
+ * @instance
+ */
+ResponseSchema.methods.validateAnswers = function validateAnswers(sections) {
+  // normalize plain questions to a single section
+  const plains = _.map(sections, copyInstance);
+  const isSection = section => _.has(section, 'questions');
+  let validSections = plains;
+  if (!_.some(plains, isSection)) {
+    validSections = [{ questions: plains }];
+  }
+
+  // validate answers
+  const errors = validator.validateSections(validSections, this.answers);
+  if (_.isEmpty(errors)) {
+    return undefined;
+  }
+
+  // prepare per answer validation error
+  const error = new ValidationError(this);
+  _.forEach(errors, ({ name, value, message }) => {
+    const path = `answers.${name}`;
+    const props = { path, message, value, type: 'answer' };
+    error.addError(path, new ValidatorError(props));
+  });
+
+  // return validation error
+  return error;
+};
+
+/*
+ *------------------------------------------------------------------------------
+ * Statics
+ *------------------------------------------------------------------------------
+ */
+
+/* constants */
+ResponseSchema.statics.MODEL_NAME = MODEL_NAME;
+ResponseSchema.statics.COLLECTION_NAME = COLLECTION_NAME;
+ResponseSchema.statics.OPTION_AUTOPOPULATE = OPTION_AUTOPOPULATE;
+ResponseSchema.statics.POPULATION_MAX_DEPTH = POPULATION_MAX_DEPTH;
+
+/**
+ * @name prepareSeedCriteria
+ * @function prepareSeedCriteria
+ * @description prepare response seeding upsert criteria
+ * @param {Object} seed plain object response seed
+ * @return {Object} criteria used to upsert response
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ */
+ResponseSchema.statics.prepareSeedCriteria = seed => {
+  // prepare response upsert criteria by _id or fields
+  const criteria = copyInstance(seed);
+  if (criteria._id) {
+    return _.pick(criteria, '_id');
+  }
+  return _.pick(criteria, 'questionnaire', 'respondent', 'submittedAt');
+};
+
+/**
+ * @name findQuestionsOf
+ * @function findQuestionsOf
+ * @description find questionnaire and its questions in questionnaire order.
+ * Questions of repeatable sections have `repeat` set to their section name.
+ * @param {Object} optns valid options
+ * @param {String} optns.questionnaire valid questionnaire id
+ * @param {String[]} [optns.types] question types to find. Default to all.
+ * @param {Function} done callback to invoke on success or error
+ * @return {Object|Error} questionnaire and its questions or error
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * const optns = { questionnaire: '5c07...', types: ['integer'] };
+ * Response.findQuestionsOf(optns, (error, found) => { ... });
+ * //=> { questionnaire: {...}, questions: [{ name: 'member_age', ... }] }
+ */
+ResponseSchema.statics.findQuestionsOf = function findQuestionsOf(optns, done) {
+  // normalize options
+  const { questionnaire: _id, types } = _.merge({}, optns);
+
+  // find questionnaire without populating questions
+  const findQuestionnaire = next => {
+    Questionnaire.findById(_id)
+      .setOptions({ autopopulate: false })
+      .orFail()
+      .exec(next);
+  };
+
+  // find questions and keep questionnaire order
+  const findQuestions = (questionnaire, next) => {
+    const criteria = { _id: { $in: questionnaire.questions } };
+    if (types) {
+      criteria.type = { $in: types };
+    }
+    const order = _.map(questionnaire.questions, _.toString);
+    const byOrder = question => _.indexOf(order, _.toString(question._id));
+    const repeats = {};
+    _.forEach(questionnaire.sections, ({ name, repeatable, questions }) => {
+      _.forEach(repeatable && name ? questions : [], question => {
+        repeats[_.toString(question)] = name;
+      });
+    });
+    const toPlain = question => {
+      const repeat = repeats[_.toString(question._id)];
+      const plain = question.toObject();
+      return repeat ? _.assign(plain, { repeat }) : plain;
+    };
+    Question.find(criteria).exec((error, questions) => {
+      const ordered = _.map(_.sortBy(questions, byOrder), toPlain);
+      next(error, { questionnaire, questions: ordered });
+    });
+  };
+
+  // do find
+  return waterfall([findQuestionnaire, findQuestions], done);
+};
+
+/**
+ * @name analyze
+ * @function analyze
+ * @description summarize responses of a questionnaire per question i.e
+ * choice frequencies of select questions and minimum, maximum, mean and
+ * median of numeric questions. Answers of questions in repeatable sections
+ * are counted per section entry.
+ * @param {Object} optns valid analytics options
+ * @param {String} optns.questionnaire valid questionnaire id
+ * @param {Date|String} [optns.from] minimum submission date
+ * @param {Date|String} [optns.to] maximum submission date
+ * @param {String} [optns.near] longitude and latitude i.e `39.2083,-6.7924`
+ * @param {Number} [optns.radius] distance in meters from `near`
+ * @param {String} [optns.bbox] bounding box i.e `minLng,minLat,maxLng,maxLat`
+ * @param {Function} done callback to invoke on success or error
+ * @return {Object|Error} responses summary or error
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * const optns = { questionnaire: '5c07...', from: '2019-05-01' };
+ * Response.analyze(optns, (error, summary) => { ... });
+ * //=> { questionnaire: '5c07...', total: 10, questions: [...] }
+ */
+ResponseSchema.statics.analyze = function analyze(optns, done) {
+  // ref
+  const Response = this;
+
+  // prepare responses criteria
+  const match = matchOf(optns);
+  if (match instanceof Error) {
+    return done(match);
+  }
+
+  // find questionnaire questions to summarize
+  const findQuestions = next => {
+    const types = ANALYZABLE_TYPES;
+    const criteria = { questionnaire: match.questionnaire, types };
+    Response.findQuestionsOf(criteria, (error, found) => {
+      next(error, error ? undefined : found.questions);
+    });
+  };
+
+  // count responses per distinct answer of each question
+  const summarize = (questions, next) => {
+    const summarizeOne = (question, then) => {
+      const pipeline = countsPipelineOf(match, question);
+      Response.aggregate(pipeline).exec((error, counts) => {
+        then(error, error ? undefined : summaryOf(question, counts));
+      });
+    };
+    mapSeries(questions, summarizeOne, next);
+  };
+
+  // count matched responses
+  const count = (summaries, next) => {
+    Response.countDocuments(match, (error, total) => {
+      const { questionnaire } = match;
+      next(error, { questionnaire, total, questions: summaries });
+    });
+  };
+
+  // do analyze
+  return waterfall([findQuestions, summarize, count], done);
+};
+
+/**
+ * @name exportResponses
+ * @function exportResponses
+ * @description stream responses of a questionnaire as csv, xlsx or json
+ * lines with one column per question. Answers of repeatable sections are
+ * expanded into indexed columns i.e `members[0].member_age`, up to most
+ * entries of matched responses. Accepts same filters as analyze.
+ * @param {Object} optns valid export options
+ * @param {String} optns.questionnaire valid questionnaire id
+ * @param {String} [optns.format=csv] export format i.e `csv`, `xlsx` or
+ * `jsonl`
+ * @param {Function} done callback to invoke on success or error
+ * @return {Object|Error} export filename, content type and stream or error
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * const optns = { questionnaire: '5c07...', format: 'xlsx' };
+ * Response.exportResponses(optns, (error, exported) => {
+ *   exported.stream.pipe(response);
+ * });
+ */
+ResponseSchema.statics.exportResponses = function exportResponses(optns, done) {
+  // ref
+  const Response = this;
+
+  // ensure format
+  const { format } = _.merge({ format: 'csv' }, optns);
+  if (!_.has(FORMATS, format)) {
+    const error = new Error('Unsupported Format');
+    error.status = 400;
+    return done(error);
+  }
+
+  // prepare responses criteria
+  const match = matchOf(optns);
+  if (match instanceof Error) {
+    return done(match);
+  }
+
+  // find questionnaire questions to export
+  const findQuestions = next => {
+    const criteria = { questionnaire: match.questionnaire };
+    Response.findQuestionsOf(criteria, next);
+  };
+
+  // count most entries of each repeatable section
+  const countRepeats = (found, next) => {
+    const names = _.uniq(_.compact(_.map(found.questions, 'repeat')));
+    if (_.isEmpty(names)) {
+      return next(null, found, {});
+    }
+    const group = { _id: null };
+    _.forEach(names, (name, index) => {
+      const path = `$answers.${name}`;
+      const size = { $cond: [{ $isArray: path }, { $size: path }, 0] };
+      group[`repeat${index}`] = { $max: size };
+    });
+    const pipeline = [{ $match: match }, { $group: group }];
+    return Response.aggregate(pipeline).exec((error, results) => {
+      const maxima = _.first(results);
+      const countOf = (name, index) => _.get(maxima, `repeat${index}`, 0);
+      next(error, found, _.zipObject(names, _.map(names, countOf)));
+    });
+  };
+
+  // stream matched responses
+  const streamResponses = ({ questionnaire, questions }, counts, next) => {
+    const filename = `${formIdOf(questionnaire)}_responses.${format}`;
+    const { contentType } = FORMATS[format];
+    const columns = columnsOf(questions, counts);
+    const cursor = Response.find(match)
+      .setOptions({ autopopulate: false })
+      .sort({ submittedAt: 1 })
+      .lean()
+      .cursor();
+    const stream = writeResponses({ format, columns, cursor });
+    next(null, { filename, contentType, stream });
+  };
+
+  // do export
+  return waterfall([findQuestions, countRepeats, streamResponses], done);
+};
+
+/*
+ *------------------------------------------------------------------------------
+ * Plugins
+ *------------------------------------------------------------------------------
+ */
+
+/* plug mongoose rest actions */
+ResponseSchema.plugin(actions);
+
+/* export response model */
+exports = module.exports = model(MODEL_NAME, ResponseSchema);
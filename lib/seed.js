@@ -0,0 +1,319 @@
+'use strict';
+
+/**
+ * @module Seed
+ * @name Seed
+ * @description Manage seeds of indicators, questions and questionnaires i.e
+ * seed database from a directory, export database back into seeds and diff
+ * seeds against database.
+ *
+ * Seeds are JSON files named after model collections i.e `indicators.json`
+ * and are matched against existing instances using each model
+ * `prepareSeedCriteria`.
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @license MIT
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * const { seed, exportSeeds, diffSeeds } = include(__dirname, 'seed');
+ * seed({ path: './seeds' }, (error, results) => { ... });
+ */
+
+/* dependencies */
+const fs = require('fs');
+const path = require('path');
+const _ = require('lodash');
+const { mapSeries } = require('async');
+const { include } = require('@lykmapipo/include');
+const { set } = require('@lykmapipo/env');
+const { copyInstance } = require('@lykmapipo/mongoose-common');
+const { SEEDS_PATH } = include(__dirname, 'config');
+const Indicator = include(__dirname, 'indicator.model');
+const Question = include(__dirname, 'question.model');
+const Questionnaire = include(__dirname, 'questionnaire.model');
+
+/* models in seeding order */
+const SEED_MODELS = [Indicator, Question, Questionnaire];
+
+/* paths not exported into seeds */
+const EXPORT_OMIT_PATHS = [
+  'createdAt',
+  'updatedAt',
+  'deletedAt',
+  'populate',
+  '__v',
+];
+
+/* seed diff actions */
+const ACTION_INSERT = 'insert';
+const ACTION_UPDATE = 'update';
+const ACTION_UNCHANGED = 'unchanged';
+
+/**
+ * @function seedsPathOf
+ * @name seedsPathOf
+ * @description obtain seeds directory. Defaults to `SEEDS_PATH` or `seeds`
+ * directory of `BASE_PATH`.
+ * @param {Object} [optns] valid options
+ * @param {String} [optns.path] valid seeds directory
+ * @return {String} absolute seeds directory
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * seedsPathOf({ path: './examples/seeds' });
+ * //=> '/home/app/examples/seeds'
+ */
+const seedsPathOf = optns => {
+  return path.resolve(_.get(optns, 'path') || SEEDS_PATH);
+};
+
+/**
+ * @function seedFileOf
+ * @name seedFileOf
+ * @description obtain seed file of a model within seeds directory
+ * @param {Model} Model valid mongoose model
+ * @param {String} seedsPath valid seeds directory
+ * @return {String} model seed file
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @private
+ */
+const seedFileOf = (Model, seedsPath) => {
+  return path.join(seedsPath, `${Model.collection.name}.json`);
+};
+
+/**
+ * @function loadSeeds
+ * @name loadSeeds
+ * @description read seeds of a model from seeds directory
+ * @param {Model} Model valid mongoose model
+ * @param {String} seedsPath valid seeds directory
+ * @param {Function} done callback to invoke on success or error
+ * @return {Object[]|Error} model seeds or error. Missing seed file
+ * has no seeds.
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * loadSeeds(Question, '/home/app/seeds', (error, seeds) => { ... });
+ */
+const loadSeeds = (Model, seedsPath, done) => {
+  const file = seedFileOf(Model, seedsPath);
+  fs.readFile(file, 'utf8', (error, json) => {
+    if (error) {
+      return done(error.code === 'ENOENT' ? null : error, []);
+    }
+    try {
+      return done(null, _.compact([].concat(JSON.parse(json))));
+    } catch (invalid) {
+      invalid.message = `${file}: ${invalid.message}`;
+      return done(invalid);
+    }
+  });
+};
+
+/**
+ * @function missingPathsOf
+ * @name missingPathsOf
+ * @description obtain paths of a seed which are not set on an existing
+ * instance. Seeding only fills these paths as existing values are kept.
+ * @param {Object} seed valid seed
+ * @param {Object} found valid existing instance
+ * @return {String[]} missing paths
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * missingPathsOf({ label: { en: 'Yes', sw: 'Ndiyo' } }, { label: { en: 'Yes' } });
+ * //=> ['label.sw']
+ */
+const missingPathsOf = (seed, found) => {
+  const isMissing = value => {
+    const isBlank = _.isString(value) || _.isArray(value);
+    return _.isNil(value) || (isBlank && _.isEmpty(value));
+  };
+  const pathsOf = (value, prefix) => {
+    return _.flatMap(_.keys(value), key => {
+      const current = prefix ? `${prefix}.${key}` : key;
+      const seeded = value[key];
+      if (isMissing(seeded)) {
+        return [];
+      }
+      if (_.isPlainObject(seeded) && !isMissing(_.get(found, current))) {
+        return pathsOf(seeded, current);
+      }
+      return isMissing(_.get(found, current)) ? [current] : [];
+    });
+  };
+  return pathsOf(copyInstance(seed), '');
+};
+
+/**
+ * @function toSeed
+ * @name toSeed
+ * @description convert existing instance into seed
+ * @param {Object} instance valid existing instance
+ * @return {Object} instance seed
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * toSeed(question);
+ * //=> { _id: '5c07...', name: 'water_supply', label: {...}, ... }
+ */
+const toSeed = instance => {
+  const plain = JSON.parse(JSON.stringify(copyInstance(instance)));
+  return _.omit(plain, EXPORT_OMIT_PATHS);
+};
+
+/**
+ * @function seed
+ * @name seed
+ * @description seed models, in order, from seeds directory
+ * @param {Object} [optns] valid seed options
+ * @param {String} [optns.path] valid seeds directory
+ * @param {Function} done callback to invoke on success or error
+ * @return {Object[]|Error} seeded counts per model or error
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * seed({ path: './seeds' }, (error, results) => { ... });
+ * //=> [{ model: 'Indicator', total: 10 }, ...]
+ */
+const seed = (optns, done) => {
+  // models load their seeds from SEEDS_PATH
+  set('SEEDS_PATH', seedsPathOf(optns));
+  const seedModel = (Model, next) => {
+    Model.seed((error, seeded) => {
+      next(error, { model: Model.modelName, total: _.size(seeded) });
+    });
+  };
+  return mapSeries(SEED_MODELS, seedModel, done);
+};
+
+/**
+ * @function exportSeeds
+ * @name exportSeeds
+ * @description dump existing instances of models into seeds directory
+ * @param {Object} [optns] valid export options
+ * @param {String} [optns.path] valid seeds directory
+ * @param {Function} done callback to invoke on success or error
+ * @return {Object[]|Error} exported counts and files per model or error
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * exportSeeds({ path: './seeds' }, (error, results) => { ... });
+ * //=> [{ model: 'Indicator', total: 10, file: './seeds/indicators.json' }]
+ */
+const exportSeeds = (optns, done) => {
+  const seedsPath = seedsPathOf(optns);
+  const exportModel = (Model, next) => {
+    Model.find({ deletedAt: null })
+      .setOptions({ autopopulate: false })
+      .sort({ _id: 1 })
+      .exec((error, instances) => {
+        if (error) {
+          return next(error);
+        }
+        const file = seedFileOf(Model, seedsPath);
+        const seeds = _.map(instances, toSeed);
+        const json = `${JSON.stringify(seeds, null, 2)}\n`;
+        return fs.writeFile(file, json, error => {
+          next(error, { model: Model.modelName, total: _.size(seeds), file });
+        });
+      });
+  };
+  return fs.mkdir(seedsPath, error => {
+    if (error && error.code !== 'EEXIST') {
+      return done(error);
+    }
+    return mapSeries(SEED_MODELS, exportModel, done);
+  });
+};
+
+/**
+ * @function diffSeeds
+ * @name diffSeeds
+ * @description show what seeding from seeds directory would insert or
+ * update without writing anything
+ * @param {Object} [optns] valid diff options
+ * @param {String} [optns.path] valid seeds directory
+ * @param {Function} done callback to invoke on success or error
+ * @return {Object[]|Error} seed changes per model or error
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * diffSeeds({ path: './seeds' }, (error, results) => { ... });
+ * //=> [{ model: 'Question', changes: [{ action: 'insert', ... }] }]
+ */
+const diffSeeds = (optns, done) => {
+  const seedsPath = seedsPathOf(optns);
+  const diffModel = (Model, next) => {
+    const diffOne = (data, then) => {
+      const criteria = Model.prepareSeedCriteria(data);
+      Model.findOne(criteria)
+        .setOptions({ autopopulate: false })
+        .lean()
+        .exec((error, found) => {
+          if (!found) {
+            return then(error, { action: ACTION_INSERT, criteria });
+          }
+          const paths = missingPathsOf(data, found);
+          const action = _.isEmpty(paths) ? ACTION_UNCHANGED : ACTION_UPDATE;
+          return then(error, { action, criteria, _id: found._id, paths });
+        });
+    };
+    loadSeeds(Model, seedsPath, (error, seeds) => {
+      if (error) {
+        return next(error);
+      }
+      return mapSeries(seeds, diffOne, (error, changes) => {
+        next(error, { model: Model.modelName, changes });
+      });
+    });
+  };
+  return mapSeries(SEED_MODELS, diffModel, done);
+};
+
+/* expose */
+exports.SEED_MODELS = SEED_MODELS;
+exports.ACTION_INSERT = ACTION_INSERT;
+exports.ACTION_UPDATE = ACTION_UPDATE;
+exports.ACTION_UNCHANGED = ACTION_UNCHANGED;
+exports.seedsPathOf = seedsPathOf;
+exports.loadSeeds = loadSeeds;
+exports.missingPathsOf = missingPathsOf;
+exports.toSeed = toSeed;
+exports.seed = seed;
+exports.exportSeeds = exportSeeds;
+exports.diffSeeds = diffSeeds;
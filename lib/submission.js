@@ -0,0 +1,323 @@
+'use strict';
+
+/* jshint camelcase: false */
+
+/**
+ * @module Submission
+ * @name Submission
+ * @description Derive JSON Schema of a valid response submission of a
+ * questionnaire so that client apps can validate answers offline using any
+ * standard JSON Schema validator.
+ *
+ * Answers are described by question name and typed from question type,
+ * choices, required flag and range. Skip logic(relevant) and constraint
+ * expressions can not be expressed in JSON Schema and are kept as
+ * `$comment` of their answers.
+ *
+ * @see {@link https://json-schema.org/specification-links.html#draft-7}
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @license MIT
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * const { toResponseSchema } = include(__dirname, 'submission');
+ * toResponseSchema(questionnaire, { locale: 'sw' });
+ * //=> { $schema: 'http://json-schema.org/draft-07/schema#', ... }
+ */
+
+/* dependencies */
+const _ = require('lodash');
+const { include } = require('@lykmapipo/include');
+const { copyInstance } = require('@lykmapipo/mongoose-common');
+const { translate } = include(__dirname, 'locale');
+const { sectionsOf } = include(__dirname, 'xlsform');
+const { DATE_TYPES } = include(__dirname, 'config');
+const {
+  DATE_PATTERN,
+  TIME_PATTERN,
+  MIN_GEOTRACE_POINTS,
+  MIN_GEOSHAPE_POINTS,
+} = include(__dirname, 'answer.validator');
+
+/* json schema dialect */
+const JSON_SCHEMA_DRAFT = 'http://json-schema.org/draft-07/schema#';
+
+/* geopoint as [latitude, longitude, altitude, accuracy] */
+const POINT_SCHEMA = {
+  type: 'array',
+  items: [
+    { type: 'number', minimum: -90, maximum: 90 },
+    { type: 'number', minimum: -180, maximum: 180 },
+  ],
+  additionalItems: { type: 'number' },
+  minItems: 2,
+  maxItems: 4,
+};
+
+/* date and time as iso strings */
+const DATE_TIME_SCHEMA = { type: 'string', format: 'date-time' };
+
+/**
+ * @function enumOf
+ * @name enumOf
+ * @description build enum keyword of given choice names. Question without
+ * choices has no enum, as json schema enum must not be empty.
+ * @param {String[]} names valid choice names
+ * @return {Object} enum keyword or empty object
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @private
+ */
+const enumOf = names => (_.isEmpty(names) ? {} : { enum: names });
+
+/* answer schema per question type. Media are submitted as file names */
+const ANSWER_SCHEMAS = {
+  integer: () => ({ type: 'integer' }),
+  decimal: () => ({ type: 'number' }),
+  text: () => ({ type: 'string' }),
+  select_one: names => _.merge({ type: 'string' }, enumOf(names)),
+  select_multiple: names => {
+    const items = _.merge({ type: 'string' }, enumOf(names));
+    return { type: 'array', items, uniqueItems: true };
+  },
+  geopoint: () => _.cloneDeep(POINT_SCHEMA),
+  geotrace: () => {
+    const items = _.cloneDeep(POINT_SCHEMA);
+    return { type: 'array', items, minItems: MIN_GEOTRACE_POINTS };
+  },
+  geoshape: () => {
+    const items = _.cloneDeep(POINT_SCHEMA);
+    return { type: 'array', items, minItems: MIN_GEOSHAPE_POINTS };
+  },
+  date: () => ({
+    type: 'string',
+    format: 'date',
+    pattern: DATE_PATTERN.source,
+  }),
+  time: () => ({ type: 'string', pattern: TIME_PATTERN.source }),
+  dateTime: () => _.clone(DATE_TIME_SCHEMA),
+};
+const DEFAULT_ANSWER_SCHEMA = () => ({ type: 'string' });
+
+/**
+ * @function isUnset
+ * @name isUnset
+ * @description check if a schema keyword value should be left out
+ * @param {Mixed} value keyword value
+ * @return {Boolean} whether keyword is unset
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @private
+ */
+const isUnset = value => {
+  return _.isNil(value) || (_.isString(value) && _.isEmpty(value));
+};
+
+/**
+ * @function answerSchemaOf
+ * @name answerSchemaOf
+ * @description derive json schema of an answer of a question. Numeric range
+ * is mapped to minimum and maximum, date range, skip logic and constraint
+ * are described in `$comment`.
+ * @param {Object} question valid question
+ * @param {Object} [optns] valid options
+ * @param {String} [optns.locale] locale of title and description. Default
+ * to default locale.
+ * @return {Object} answer json schema
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * answerSchemaOf({ name: 'household_size', type: 'integer', min: 1 });
+ * //=> { type: 'integer', minimum: 1, title: 'Household Size' }
+ */
+const answerSchemaOf = (question, optns) => {
+  const { locale } = _.merge({}, optns);
+  const { type, label, help, choices, min, max } = copyInstance(question);
+  const { required, relevant } = copyInstance(question);
+  const { constraint, constraintMessage } = copyInstance(question);
+
+  // type answer
+  const typeSchemaOf = ANSWER_SCHEMAS[type] || DEFAULT_ANSWER_SCHEMA;
+  const schema = typeSchemaOf(_.map(choices, 'name'));
+
+  // bound numeric answer
+  const isDate = _.includes(DATE_TYPES, type);
+  const bounds = _.omitBy({ minimum: min, maximum: max }, isUnset);
+  if (schema.type === 'integer' || schema.type === 'number') {
+    _.merge(schema, _.omitBy(_.mapValues(bounds, Number), _.isNaN));
+  }
+
+  // describe rules json schema can not express
+  const message = constraintMessage ? ` (${constraintMessage})` : '';
+  const rules = [
+    isDate && !isUnset(min) ? `min: ${min}` : undefined,
+    isDate && !isUnset(max) ? `max: ${max}` : undefined,
+    relevant ? `relevant: ${relevant}` : undefined,
+    required && relevant ? 'required when relevant' : undefined,
+    constraint ? `constraint: ${constraint}${message}` : undefined,
+  ];
+
+  // describe answer
+  const details = {
+    title: translate(label, locale),
+    description: translate(help, locale),
+    $comment: _.compact(rules).join('; '),
+  };
+  return _.merge(schema, _.omitBy(details, isUnset));
+};
+
+/**
+ * @function answersSchemaOf
+ * @name answersSchemaOf
+ * @description derive json schema of answers, keyed by question name, of
+ * given questions. Required questions without skip logic must be answered
+ * and answers of unknown questions are rejected.
+ * @param {Object[]} questions valid questions
+ * @param {Object} [optns] valid options
+ * @param {String} [optns.locale] locale of titles and descriptions
+ * @return {Object} answers json schema
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * answersSchemaOf(questions);
+ * //=> { type: 'object', properties: {...}, required: ['water_supply'] }
+ */
+const answersSchemaOf = (questions, optns) => {
+  const plains = _.map(_.compact(questions), copyInstance);
+  const properties = {};
+  _.forEach(plains, question => {
+    properties[question.name] = answerSchemaOf(question, optns);
+  });
+  const isRequired = ({ required, relevant }) => required && !relevant;
+  const required = _.map(_.filter(plains, isRequired), 'name');
+  return _.omitBy(
+    { type: 'object', properties, required, additionalProperties: false },
+    value => _.isArray(value) && _.isEmpty(value)
+  );
+};
+
+/**
+ * @function toResponseSchema
+ * @name toResponseSchema
+ * @description derive json schema of a valid response submission of a
+ * questionnaire. Answers of repeatable section are list of answers under
+ * section name.
+ * @param {Object} questionnaire valid questionnaire with populated questions
+ * @param {Object} [optns] valid options
+ * @param {String} [optns.locale] locale of titles and descriptions. Default
+ * to default locale.
+ * @return {Object} response json schema
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * toResponseSchema(questionnaire);
+ * //=> { $schema: '...', type: 'object', properties: { answers: {...} } }
+ */
+const toResponseSchema = (questionnaire, optns) => {
+  const { locale } = _.merge({}, optns);
+  const plain = copyInstance(questionnaire);
+  const text = value => translate(value, locale);
+
+  // derive answers of non repeatable sections
+  const isRepeat = section => section.repeatable && !_.isEmpty(section.name);
+  const [repeats, others] = _.partition(sectionsOf(plain), isRepeat);
+  const questions = _.flatMap(others, 'questions');
+  const answers = answersSchemaOf(questions, { locale });
+
+  // derive answers of repeatable sections
+  _.forEach(repeats, section => {
+    const { name, title, minCount, maxCount } = section;
+    answers.properties[name] = _.omitBy(
+      {
+        type: 'array',
+        title: text(title),
+        items: answersSchemaOf(section.questions, { locale }),
+        minItems: minCount,
+        maxItems: maxCount,
+      },
+      isUnset
+    );
+    if (minCount > 0) {
+      answers.required = _.uniq([..._.compact(answers.required), name]);
+    }
+  });
+
+  // derive response details
+  const respondent = {
+    type: 'object',
+    properties: {
+      name: { type: 'string' },
+      mobile: { type: 'string' },
+      email: { type: 'string', format: 'email' },
+    },
+  };
+  const location = {
+    type: 'object',
+    properties: {
+      type: { type: 'string', enum: ['Point'] },
+      coordinates: {
+        type: 'array',
+        items: [
+          { type: 'number', minimum: -180, maximum: 180 },
+          { type: 'number', minimum: -90, maximum: 90 },
+        ],
+        minItems: 2,
+        maxItems: 2,
+      },
+    },
+    required: ['coordinates'],
+  };
+  const questionnaireId = { type: 'string' };
+  if (plain._id) {
+    questionnaireId.const = _.toString(plain._id);
+  }
+  const version = { type: 'integer', minimum: 1 };
+  if (plain.version > 0) {
+    version.default = plain.version;
+  }
+  const properties = {
+    questionnaire: questionnaireId,
+    version,
+    respondent,
+    location,
+    startedAt: _.clone(DATE_TIME_SCHEMA),
+    submittedAt: _.clone(DATE_TIME_SCHEMA),
+    answers,
+  };
+
+  // describe response
+  const schema = {
+    $schema: JSON_SCHEMA_DRAFT,
+    title: text(plain.title),
+    description: text(plain.description),
+    type: 'object',
+    properties,
+    required: ['questionnaire', 'answers'],
+  };
+  return _.omitBy(schema, isUnset);
+};
+
+/* expose */
+exports.JSON_SCHEMA_DRAFT = JSON_SCHEMA_DRAFT;
+exports.answerSchemaOf = answerSchemaOf;
+exports.answersSchemaOf = answersSchemaOf;
+exports.toResponseSchema = toResponseSchema;
@@ -0,0 +1,445 @@
+'use strict';
+
+/* jshint camelcase: false */
+
+/**
+ * @module XForm
+ * @name XForm
+ * @description Conversion of questionnaire(and its questions) into ODK XForm
+ * document and OpenRosa form list used by ODK Collect and other OpenRosa
+ * compliant field data collection tools.
+ *
+ * @see {@link https://getodk.github.io/xforms-spec/}
+ * @see {@link https://docs.getodk.org/openrosa-form-list/}
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @license MIT
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ */
+
+/* dependencies */
+const crypto = require('crypto');
+const _ = require('lodash');
+const { include } = require('@lykmapipo/include');
+const { copyInstance } = require('@lykmapipo/mongoose-common');
+const { DEFAULT_LOCALE, translate } = include(__dirname, 'locale');
+const { formIdOf, formVersionOf, constraintOf, sectionsOf } = include(
+  __dirname,
+  'xlsform'
+);
+
+/* constants */
+const CONTENT_TYPE = 'text/xml; charset=utf-8';
+const OPENROSA_VERSION = '1.0';
+const INSTANCE_ROOT = '/data';
+const XML_DECLARATION = '<?xml version="1.0" encoding="UTF-8"?>';
+const XFORMS_NAMESPACES = {
+  xmlns: 'http://www.w3.org/2002/xforms',
+  'xmlns:ev': 'http://www.w3.org/2001/xml-events',
+  'xmlns:h': 'http://www.w3.org/1999/xhtml',
+  'xmlns:jr': 'http://openrosa.org/javarosa',
+  'xmlns:orx': 'http://openrosa.org/xforms',
+  'xmlns:xsd': 'http://www.w3.org/2001/XMLSchema',
+};
+const FORM_LIST_NAMESPACE = 'http://openrosa.org/xforms/xformsList';
+
+/* question type to xform bind type */
+const BIND_TYPES = {
+  integer: 'int',
+  decimal: 'decimal',
+  text: 'string',
+  select_one: 'string',
+  select_multiple: 'string',
+  geopoint: 'geopoint',
+  geotrace: 'geotrace',
+  geoshape: 'geoshape',
+  date: 'date',
+  time: 'time',
+  dateTime: 'dateTime',
+  image: 'binary',
+  audio: 'binary',
+  video: 'binary',
+  file: 'binary',
+};
+
+/* question type to xform body control */
+const CONTROLS = {
+  select_one: 'select1',
+  select_multiple: 'select',
+  image: 'upload',
+  audio: 'upload',
+  video: 'upload',
+  file: 'upload',
+};
+
+/* question type to upload media type */
+const MEDIA_TYPES = {
+  image: 'image/*',
+  audio: 'audio/*',
+  video: 'video/*',
+  file: 'application/*',
+};
+
+/**
+ * @function escapeXml
+ * @name escapeXml
+ * @description escape xml special characters of a given value
+ * @param {String} value valid value
+ * @return {String} escaped value
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @private
+ */
+const escapeXml = value => {
+  return _.toString(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+};
+
+/**
+ * @function element
+ * @name element
+ * @description build xml element of a given tag, attributes and children
+ * @param {String} tag valid element tag name
+ * @param {Object} [attributes] valid element attributes
+ * @param {String|String[]} [children] valid element text or child elements
+ * @return {String} xml element
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @private
+ */
+const element = (tag, attributes, children) => {
+  // build attributes
+  const attrs = _.map(_.omitBy(attributes, _.isUndefined), (value, key) => {
+    return ` ${key}="${escapeXml(value)}"`;
+  }).join('');
+
+  // build empty element
+  if (_.isUndefined(children)) {
+    return `<${tag}${attrs}/>`;
+  }
+
+  // build element with text or children
+  let content = escapeXml(children);
+  if (_.isArray(children)) {
+    content = _.compact(children).join('');
+  }
+  return `<${tag}${attrs}>${content}</${tag}>`;
+};
+
+/**
+ * @function pathsOf
+ * @name pathsOf
+ * @description build xform instance paths of questions of given sections.
+ * Questions of repeatable section are nested under the section node.
+ * @param {Object[]} sections valid sections with their questions
+ * @return {Object} instance paths keyed by question name
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @private
+ */
+const pathsOf = sections => {
+  const paths = {};
+  _.forEach(sections, section => {
+    const isRepeat = section.repeatable && !_.isEmpty(section.name);
+    const root = isRepeat ? `${INSTANCE_ROOT}/${section.name}` : INSTANCE_ROOT;
+    _.forEach(section.questions, question => {
+      paths[question.name] = `${root}/${question.name}`;
+    });
+  });
+  return paths;
+};
+
+/**
+ * @function pathOf
+ * @name pathOf
+ * @description obtain xform instance path of a question name
+ * @param {String} name valid question name
+ * @param {Object} [paths] instance paths keyed by question name
+ * @return {String} instance path
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @private
+ */
+const pathOf = (name, paths) => {
+  return _.get(paths, name, `${INSTANCE_ROOT}/${name}`);
+};
+
+/**
+ * @function toInstance
+ * @name toInstance
+ * @description build xform primary instance of given sections
+ * @param {String} formId valid form id
+ * @param {String} version valid form version
+ * @param {Object[]} sections valid sections with their questions
+ * @return {String} xform instance element
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @private
+ */
+const toInstance = (formId, version, sections) => {
+  const nodes = _.flatMap(sections, section => {
+    const questions = _.map(section.questions, q => element(q.name));
+    if (section.repeatable && !_.isEmpty(section.name)) {
+      return [element(section.name, { 'jr:template': '' }, questions)];
+    }
+    return questions;
+  });
+  const meta = element('meta', {}, [element('instanceID')]);
+  const data = element('data', { id: formId, version }, [...nodes, meta]);
+  return element('instance', {}, [data]);
+};
+
+/**
+ * @function toXPath
+ * @name toXPath
+ * @description convert XLSForm expression question references into xform
+ * instance paths
+ * @param {String} [expression] valid XLSForm expression
+ * @param {Object} [paths] instance paths keyed by question name
+ * @return {String|undefined} xform expression
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @private
+ */
+const toXPath = (expression, paths) => {
+  if (_.isEmpty(expression)) {
+    return undefined;
+  }
+  return expression.replace(/\$\{\s*([^}\s]+)\s*\}/g, (match, name) => {
+    return pathOf(name, paths);
+  });
+};
+
+/**
+ * @function toBind
+ * @name toBind
+ * @description build xform bind of a given question
+ * @param {Object} question valid question
+ * @param {Object} [paths] instance paths keyed by question name
+ * @return {String} xform bind element
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * toBind(question);
+ * //=> <bind nodeset="/data/household_size" type="int"/>
+ */
+const toBind = (question, paths) => {
+  const nodeset = pathOf(question.name, paths);
+  const type = BIND_TYPES[question.type] || BIND_TYPES.text;
+  const relevant = toXPath(question.relevant, paths);
+  const required = question.required ? 'true()' : undefined;
+  const constraint = toXPath(constraintOf(question), paths);
+  const constraintMsg = constraint ? question.constraintMessage : undefined;
+  return element('bind', {
+    nodeset,
+    type,
+    relevant,
+    required,
+    constraint,
+    'jr:constraintMsg': constraintMsg,
+  });
+};
+
+/**
+ * @function toControl
+ * @name toControl
+ * @description build xform body control of a given question
+ * @param {Object} question valid question
+ * @param {Object} [paths] instance paths keyed by question name
+ * @param {String} [locale] locale of control label and hint
+ * @return {String} xform body control element
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * toControl(question);
+ * //=> <select1 ref="/data/water_supply"><label>...</label>...</select1>
+ */
+const toControl = (question, paths, locale) => {
+  // prepare control
+  const tag = CONTROLS[question.type] || 'input';
+  const ref = pathOf(question.name, paths);
+  const mediatype = MEDIA_TYPES[question.type];
+
+  // prepare control label and hint
+  const label = element('label', {}, translate(question.label, locale));
+  const help = translate(question.help, locale);
+  const hint = help ? element('hint', {}, help) : undefined;
+
+  // prepare control items
+  const items = _.map(question.choices, choice => {
+    const itemLabel = element('label', {}, translate(choice.label, locale));
+    const itemValue = element('value', {}, choice.name);
+    return element('item', {}, [itemLabel, itemValue]);
+  });
+
+  // return control
+  return element(tag, { ref, mediatype }, [label, hint, ...items]);
+};
+
+/**
+ * @function toGroup
+ * @name toGroup
+ * @description build xform body group(or repeat) of a given section
+ * @param {Object} section valid section with its questions
+ * @param {Object} [paths] instance paths keyed by question name
+ * @param {String} [locale] locale of group and controls label and hint
+ * @return {String} xform body group element or controls of unnamed section
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * toGroup(section, paths);
+ * //=> <group ref="/data/members"><label>...</label><repeat ...>...</repeat></group>
+ */
+const toGroup = (section, paths, locale) => {
+  // prepare controls
+  const controls = _.map(section.questions, question => {
+    return toControl(question, paths, locale);
+  });
+  if (_.isEmpty(section.name)) {
+    return controls.join('');
+  }
+
+  // prepare group label and hint
+  const title = translate(section.title, locale);
+  const description = translate(section.description, locale);
+  const label = element('label', {}, title);
+  const hint = description ? element('hint', {}, description) : undefined;
+
+  // return repeat group
+  if (section.repeatable) {
+    const nodeset = `${INSTANCE_ROOT}/${section.name}`;
+    const repeat = element('repeat', { nodeset }, controls);
+    return element('group', { ref: nodeset }, [label, hint, repeat]);
+  }
+
+  // return group
+  return element('group', {}, [label, hint, ...controls]);
+};
+
+/**
+ * @function toXForm
+ * @name toXForm
+ * @description build ODK XForm document of a questionnaire and its
+ * populated sections and questions
+ * @param {Object} questionnaire valid questionnaire with populated questions
+ * @param {Object} [optns] valid build options
+ * @param {String} [optns.locale=DEFAULT_LOCALE] locale of xform labels
+ * @return {Object} xform id, version, hash and xml document
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * toXForm(questionnaire);
+ * //=> { formId: 'flood', version: '201905311230', hash: 'md5:...', xml: '...' }
+ */
+const toXForm = (questionnaire, optns) => {
+  // obtain plain questionnaire
+  const { locale } = _.merge({ locale: DEFAULT_LOCALE }, optns);
+  const plain = copyInstance(questionnaire);
+  const sections = sectionsOf(plain);
+  const questions = _.flatMap(sections, 'questions');
+  const paths = pathsOf(sections);
+  const formId = formIdOf(plain);
+  const version = formVersionOf(plain);
+
+  // build model
+  const instance = toInstance(formId, version, sections);
+  const binds = _.map(questions, question => toBind(question, paths));
+  const metaBind = element('bind', {
+    nodeset: `${INSTANCE_ROOT}/meta/instanceID`,
+    type: 'string',
+    readonly: 'true()',
+    'jr:preload': 'uid',
+  });
+  const model = element('model', {}, [instance, ...binds, metaBind]);
+
+  // build head and body
+  const title = translate(plain.title, locale);
+  const titleElement = element('h:title', {}, title);
+  const head = element('h:head', {}, [titleElement, model]);
+  const groups = _.map(sections, section => {
+    return toGroup(section, paths, locale);
+  });
+  const body = element('h:body', {}, groups);
+
+  // build document
+  const html = element('h:html', XFORMS_NAMESPACES, [head, body]);
+  const xml = `${XML_DECLARATION}${html}`;
+  const digest = crypto.createHash('md5').update(xml);
+  const hash = `md5:${digest.digest('hex')}`;
+
+  // return xform
+  return { _id: plain._id, formId, version, hash, title, xml };
+};
+
+/**
+ * @function toFormList
+ * @name toFormList
+ * @description build OpenRosa form list document of given xforms
+ * @param {Object[]} xforms valid xforms with their download url
+ * @return {String} OpenRosa form list xml document
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * toFormList([{ formId, title, version, hash, downloadUrl }]);
+ * //=> <xforms xmlns="..."><xform><formID>...</formID>...</xform></xforms>
+ */
+const toFormList = xforms => {
+  const items = _.map(xforms, xform => {
+    return element('xform', {}, [
+      element('formID', {}, xform.formId),
+      element('name', {}, xform.title),
+      element('version', {}, xform.version),
+      element('hash', {}, xform.hash),
+      element('downloadUrl', {}, xform.downloadUrl),
+    ]);
+  });
+  const list = element('xforms', { xmlns: FORM_LIST_NAMESPACE }, items);
+  return `${XML_DECLARATION}${list}`;
+};
+
+/* expose */
+exports.CONTENT_TYPE = CONTENT_TYPE;
+exports.OPENROSA_VERSION = OPENROSA_VERSION;
+exports.toBind = toBind;
+exports.toControl = toControl;
+exports.toGroup = toGroup;
+exports.toXForm = toXForm;
+exports.toFormList = toFormList;
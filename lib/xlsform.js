@@ -0,0 +1,731 @@
+'use strict';
+
+/* jshint camelcase: false */
+
+/**
+ * @module XLSForm
+ * @name XLSForm
+ * @description Conversion of questionnaire(and its questions) to and from
+ * XLSForm workbook used by ODK, KoBo and other field data collection tools.
+ *
+ * @see {@link http://xlsform.org/en/}
+ * @see {@link https://docs.opendatakit.org/xlsform/}
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @license MIT
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ */
+
+/* dependencies */
+const _ = require('lodash');
+const { Workbook } = require('exceljs');
+const { include } = require('@lykmapipo/include');
+const { copyInstance } = require('@lykmapipo/mongoose-common');
+const { DEFAULT_LOCALE, LOCALES } = include(__dirname, 'locale');
+const { localized, translate } = include(__dirname, 'locale');
+const {
+  SELECT_TYPES,
+  DATE_TYPES,
+  RANGE_TYPES,
+  DEFAULT_SECTION_TITLE,
+  XLSFORM_INDICATOR_COLUMN: INDICATOR_COLUMN,
+} = include(__dirname, 'config');
+
+/* constants */
+const SHEET_SURVEY = 'survey';
+const SHEET_CHOICES = 'choices';
+const SHEET_SETTINGS = 'settings';
+const INDICATOR_SEPARATOR = ':';
+const LANGUAGE_SEPARATOR = '::';
+const localizedColumns = column => {
+  return _.map(LOCALES, locale => `${column}${LANGUAGE_SEPARATOR}${locale}`);
+};
+const SURVEY_COLUMNS = [
+  'type',
+  'name',
+  ...localizedColumns('label'),
+  ...localizedColumns('hint'),
+  'relevant',
+  'required',
+  'constraint',
+  'constraint_message',
+  INDICATOR_COLUMN,
+];
+const CHOICES_COLUMNS = ['list_name', 'name', ...localizedColumns('label')];
+const SETTINGS_COLUMNS = [
+  'form_title',
+  'form_id',
+  'version',
+  'default_language',
+];
+const REQUIRED_PATTERN = /^(yes|true|true\(\))$/i;
+const GROUP_PATTERN = /^(begin|end)[\s_]+(group|repeat)$/i;
+const CONTENT_TYPE =
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+/**
+ * @function formIdOf
+ * @name formIdOf
+ * @description derive XLSForm form id of a given questionnaire
+ * @param {Object} questionnaire valid questionnaire
+ * @return {String} valid form id
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ */
+const formIdOf = questionnaire => {
+  const title = translate(_.get(questionnaire, 'title'));
+  return _.snakeCase(title) || 'questionnaire';
+};
+
+/**
+ * @function formVersionOf
+ * @name formVersionOf
+ * @description derive XLSForm form version of a given questionnaire
+ * from its last update time i.e yyyymmddHHMM
+ * @param {Object} questionnaire valid questionnaire
+ * @return {String} valid form version
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ */
+const formVersionOf = questionnaire => {
+  const updatedAt = new Date(_.get(questionnaire, 'updatedAt') || Date.now());
+  return updatedAt
+    .toISOString()
+    .replace(/\D/g, '')
+    .slice(0, 12);
+};
+
+/**
+ * @function listNameOf
+ * @name listNameOf
+ * @description derive XLSForm choice list name of a given question
+ * @param {Object} question valid question
+ * @return {String} valid choice list name
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @private
+ */
+const listNameOf = question => _.get(question, 'name');
+
+/**
+ * @function formatIndicator
+ * @name formatIndicator
+ * @description format populated question indicator as XLSForm indicator
+ * column value i.e `Subject: Topic`
+ * @param {Object} indicator valid indicator
+ * @return {String} formatted indicator
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @private
+ */
+const formatIndicator = indicator => {
+  const { subject, topic } = _.merge({}, indicator);
+  if (subject && topic) {
+    return `${subject}${INDICATOR_SEPARATOR} ${translate(topic)}`;
+  }
+  return undefined;
+};
+
+/**
+ * @function parseIndicator
+ * @name parseIndicator
+ * @description parse XLSForm indicator column value i.e `Subject: Topic`
+ * @param {String} value valid indicator column value
+ * @return {Object} parsed indicator subject and topic
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @private
+ */
+const parseIndicator = value => {
+  const [subject, ...topic] = _.split(value, INDICATOR_SEPARATOR);
+  const indicator = {
+    subject: _.trim(subject),
+    topic: _.trim(topic.join(INDICATOR_SEPARATOR)),
+  };
+  return indicator.subject && indicator.topic ? indicator : undefined;
+};
+
+/**
+ * @function constraintOf
+ * @name constraintOf
+ * @description derive XLSForm constraint expression of a given question by
+ * combining its min, max and constraint
+ * @param {Object} question valid question
+ * @return {String|undefined} constraint expression
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * constraintOf({ type: 'integer', min: 0, constraint: '. <= ${size}' });
+ * //=> . >= 0 and (. <= ${size})
+ */
+const constraintOf = question => {
+  // prepare bound expression
+  const { type, min, max, constraint } = _.merge({}, question);
+  const boundOf = value => {
+    const bound = _.isDate(value) ? value.toISOString() : value;
+    return _.includes(DATE_TYPES, type) ? `date('${bound}')` : bound;
+  };
+
+  // collect range and constraint expressions
+  const expressions = [];
+  if (_.includes(RANGE_TYPES, type) && !_.isNil(min)) {
+    expressions.push(`. >= ${boundOf(min)}`);
+  }
+  if (_.includes(RANGE_TYPES, type) && !_.isNil(max)) {
+    expressions.push(`. <= ${boundOf(max)}`);
+  }
+  if (!_.isEmpty(constraint) && !_.isEmpty(expressions)) {
+    expressions.push(`(${constraint})`);
+  } else if (!_.isEmpty(constraint)) {
+    expressions.push(constraint);
+  }
+
+  // return combined constraint
+  return _.isEmpty(expressions) ? undefined : expressions.join(' and ');
+};
+
+/**
+ * @function sectionsOf
+ * @name sectionsOf
+ * @description obtain sections of a given questionnaire. Questionnaire
+ * without sections is treated as a single unnamed section of its questions.
+ * @param {Object} questionnaire valid questionnaire
+ * @return {Object[]} questionnaire sections with their questions
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ */
+const sectionsOf = questionnaire => {
+  const sections = _.get(questionnaire, 'sections');
+  if (!_.isEmpty(sections)) {
+    return _.map(sections, section => {
+      const questions = _.compact([].concat(section.questions));
+      return _.assign({}, section, { questions });
+    });
+  }
+  const questions = _.compact([].concat(_.get(questionnaire, 'questions')));
+  return [{ questions }];
+};
+
+/**
+ * @function toLocalizedCells
+ * @name toLocalizedCells
+ * @description map localized value to XLSForm multi language cells i.e
+ * `label::en` and `label::sw`
+ * @param {String} column valid column name
+ * @param {String|Object} value plain text or localized value
+ * @return {Object} valid multi language cells
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @private
+ */
+const toLocalizedCells = (column, value) => {
+  const texts = localized(value);
+  const cells = _.map(LOCALES, locale => {
+    return [`${column}${LANGUAGE_SEPARATOR}${locale}`, _.get(texts, locale)];
+  });
+  return _.fromPairs(cells);
+};
+
+/**
+ * @function toSurveyRow
+ * @name toSurveyRow
+ * @description map question to XLSForm survey row
+ * @param {Object} question valid question
+ * @return {Object} valid survey row
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * toSurveyRow(question);
+ * //=> { type: 'select_one water_supply', name: 'water_supply', ... }
+ */
+const toSurveyRow = question => {
+  // prepare question type
+  const isSelect = _.includes(SELECT_TYPES, question.type);
+  let type = question.type;
+  if (isSelect) {
+    type = `${question.type} ${listNameOf(question)}`;
+  }
+
+  // return survey row
+  const row = _.assign(
+    { type, name: question.name },
+    toLocalizedCells('label', question.label),
+    toLocalizedCells('hint', question.help),
+    {
+      relevant: question.relevant,
+      required: question.required ? 'yes' : undefined,
+      constraint: constraintOf(question),
+      constraint_message: question.constraintMessage,
+      [INDICATOR_COLUMN]: formatIndicator(question.indicator),
+    }
+  );
+  return _.omitBy(row, _.isUndefined);
+};
+
+/**
+ * @function toChoiceRows
+ * @name toChoiceRows
+ * @description map question choices to XLSForm choices rows
+ * @param {Object} question valid question
+ * @return {Object[]} valid choices rows
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * toChoiceRows(question);
+ * //=> [{ list_name: 'water_supply', name: 'yes', label: 'Yes' }, ...]
+ */
+const toChoiceRows = question => {
+  // ignore non select question
+  const isSelect = _.includes(SELECT_TYPES, question.type);
+  if (!isSelect) {
+    return [];
+  }
+
+  // map choices to rows
+  const list_name = listNameOf(question);
+  return _.map(question.choices, choice => {
+    const labels = toLocalizedCells('label', choice.label);
+    const row = _.assign({ list_name, name: choice.name }, labels);
+    return _.omitBy(row, _.isUndefined);
+  });
+};
+
+/**
+ * @function toSettingsRow
+ * @name toSettingsRow
+ * @description map questionnaire to XLSForm settings row
+ * @param {Object} questionnaire valid questionnaire
+ * @return {Object} valid settings row
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ */
+const toSettingsRow = questionnaire => {
+  return {
+    form_title: translate(questionnaire.title),
+    form_id: formIdOf(questionnaire),
+    version: formVersionOf(questionnaire),
+    default_language: DEFAULT_LOCALE,
+  };
+};
+
+/**
+ * @function toXLSForm
+ * @name toXLSForm
+ * @description map questionnaire and its populated questions to XLSForm
+ * survey, choices and settings sheets rows
+ * @param {Object} questionnaire valid questionnaire with populated questions
+ * @return {Object} valid XLSForm sheets rows
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * toXLSForm(questionnaire);
+ * //=> { survey: [...], choices: [...], settings: [...] }
+ */
+const toXLSForm = questionnaire => {
+  // obtain plain questionnaire
+  const plain = copyInstance(questionnaire);
+  const sections = sectionsOf(plain);
+  const questions = _.flatMap(sections, 'questions');
+
+  // map sections and their questions to survey rows
+  const survey = _.flatMap(sections, section => {
+    const rows = _.map(section.questions, toSurveyRow);
+    if (_.isEmpty(section.name)) {
+      return rows;
+    }
+    const group = section.repeatable ? 'repeat' : 'group';
+    const begin = _.omitBy(
+      _.assign(
+        { type: `begin ${group}`, name: section.name },
+        toLocalizedCells('label', section.title),
+        toLocalizedCells('hint', section.description)
+      ),
+      _.isUndefined
+    );
+    return [begin, ...rows, { type: `end ${group}` }];
+  });
+
+  // map to other sheets
+  const choices = _.flatMap(questions, toChoiceRows);
+  const settings = [toSettingsRow(plain)];
+
+  // return sheets
+  return { survey, choices, settings };
+};
+
+/**
+ * @function writeXLSForm
+ * @name writeXLSForm
+ * @description write XLSForm sheets rows into xlsx workbook buffer
+ * @param {Object} xlsform valid XLSForm sheets rows
+ * @param {Function} done callback to invoke on success or error
+ * @return {Buffer|Error} valid xlsx workbook buffer or error
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * writeXLSForm(toXLSForm(questionnaire), (error, buffer) => { ... });
+ */
+const writeXLSForm = (xlsform, done) => {
+  // prepare workbook
+  const workbook = new Workbook();
+
+  // add sheet with its rows
+  const addSheet = (name, columns) => {
+    const sheet = workbook.addWorksheet(name);
+    sheet.columns = _.map(columns, column => ({ header: column, key: column }));
+    _.forEach(_.get(xlsform, name), row => sheet.addRow(row));
+  };
+  addSheet(SHEET_SURVEY, SURVEY_COLUMNS);
+  addSheet(SHEET_CHOICES, CHOICES_COLUMNS);
+  addSheet(SHEET_SETTINGS, SETTINGS_COLUMNS);
+
+  // write workbook buffer, calling back outside of promise chain
+  const callback = (error, buffer) => setImmediate(done, error, buffer);
+  workbook.xlsx
+    .writeBuffer()
+    .then(buffer => callback(null, Buffer.from(buffer)), callback);
+};
+
+/**
+ * @function readSheet
+ * @name readSheet
+ * @description read worksheet rows as plain objects keyed by their header
+ * @param {Object} sheet valid worksheet
+ * @return {Object[]} worksheet rows
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @private
+ */
+const readSheet = sheet => {
+  // ignore missing sheet
+  const rows = [];
+  if (!sheet) {
+    return rows;
+  }
+
+  // obtain sheet headers
+  const headers = {};
+  sheet.getRow(1).eachCell((cell, column) => {
+    headers[column] = _.trim(cell.text);
+  });
+
+  // read non empty rows
+  sheet.eachRow((row, number) => {
+    if (number > 1) {
+      const values = {};
+      row.eachCell((cell, column) => {
+        const value = _.trim(cell.text);
+        if (headers[column] && !_.isEmpty(value)) {
+          values[headers[column]] = value;
+        }
+      });
+      if (!_.isEmpty(values)) {
+        rows.push(_.merge({ row: number }, values));
+      }
+    }
+  });
+
+  // return rows
+  return rows;
+};
+
+/**
+ * @function readXLSForm
+ * @name readXLSForm
+ * @description read XLSForm sheets rows from xlsx workbook buffer
+ * @param {Buffer} buffer valid xlsx workbook buffer
+ * @param {Function} done callback to invoke on success or error
+ * @return {Object|Error} valid XLSForm sheets rows or error
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * readXLSForm(buffer, (error, { survey, choices, settings }) => { ... });
+ */
+const readXLSForm = (buffer, done) => {
+  // prepare workbook
+  const workbook = new Workbook();
+
+  // handle invalid workbook
+  const onError = error => {
+    error.status = error.status || 400;
+    done(error);
+  };
+
+  // read sheets rows
+  const onLoad = () => {
+    const survey = workbook.getWorksheet(SHEET_SURVEY);
+    if (!survey) {
+      return onError(new Error('Missing XLSForm Survey Sheet'));
+    }
+    return done(null, {
+      survey: readSheet(survey),
+      choices: readSheet(workbook.getWorksheet(SHEET_CHOICES)),
+      settings: readSheet(workbook.getWorksheet(SHEET_SETTINGS)),
+    });
+  };
+
+  // load workbook buffer, calling back outside of promise chain
+  try {
+    workbook.xlsx
+      .load(buffer)
+      .then(() => setImmediate(onLoad), error => setImmediate(onError, error));
+  } catch (error) {
+    onError(error);
+  }
+};
+
+/**
+ * @function valueOf
+ * @name valueOf
+ * @description obtain value of a column from XLSForm row. If not available
+ * first multi language variant i.e `label::English (en)` will be used.
+ * @param {Object} row valid XLSForm row
+ * @param {String} column valid column name
+ * @return {String} column value
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @private
+ */
+const valueOf = (row, column) => {
+  if (_.has(row, column)) {
+    return row[column];
+  }
+  const variant = _.find(_.keys(row), key => _.startsWith(key, `${column}::`));
+  return variant ? row[variant] : undefined;
+};
+
+/**
+ * @function localizedValueOf
+ * @name localizedValueOf
+ * @description obtain localized value of a multi language column from
+ * XLSForm row i.e `label::sw` or `label::Swahili (sw)`. Column without
+ * language is used as default locale text.
+ * @param {Object} row valid XLSForm row
+ * @param {String} column valid column name
+ * @return {Object|undefined} localized value
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @private
+ */
+const localizedValueOf = (row, column) => {
+  // collect text of each supported locale
+  const prefix = `${column}${LANGUAGE_SEPARATOR}`;
+  const keys = _.filter(_.keys(row), key => _.startsWith(key, prefix));
+  const texts = {};
+  _.forEach(LOCALES, locale => {
+    const isLocale = key => {
+      return key === `${prefix}${locale}` || _.endsWith(key, `(${locale})`);
+    };
+    const key = _.find(keys, isLocale);
+    texts[locale] = key ? row[key] : undefined;
+  });
+
+  // ensure default locale text
+  if (_.isEmpty(texts[DEFAULT_LOCALE])) {
+    texts[DEFAULT_LOCALE] = valueOf(row, column);
+  }
+
+  // return localized value
+  const value = _.omitBy(texts, _.isEmpty);
+  return _.isEmpty(value) ? undefined : value;
+};
+
+/**
+ * @function fromXLSForm
+ * @name fromXLSForm
+ * @description map XLSForm survey, choices and settings sheets rows to
+ * questionnaire, its sections and questions. Questions outside of groups are
+ * collected into a single section when a form has groups.
+ * @param {Object} xlsform valid XLSForm sheets rows
+ * @param {Object} [optns] valid mapping options
+ * @param {String[]} [optns.types] supported question types
+ * @param {String[]} [optns.subjects] supported indicator subjects
+ * @param {String} [optns.indicatorColumn=indicator] survey column which hold
+ * question indicator i.e `Subject: Topic`
+ * @param {String} [optns.indicator] fallback indicator i.e `Subject: Topic`
+ * @param {String} [optns.sectionTitle=General] title of section which hold
+ * questions outside of groups
+ * @return {Object} questionnaire, questions and skipped rows
+ *
+ * @author lally elias <lallyelias87@gmail.com>
+ * @since 1.6.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * fromXLSForm(xlsform, { types: Question.TYPES });
+ * //=> { questionnaire: {...}, questions: [...], skipped: [...] }
+ */
+const fromXLSForm = (xlsform, optns) => {
+  // normalize options
+  const defaults = {
+    types: [],
+    subjects: [],
+    indicatorColumn: INDICATOR_COLUMN,
+    sectionTitle: DEFAULT_SECTION_TITLE,
+  };
+  const options = _.merge({}, defaults, optns);
+
+  // group choices by list name
+  const lists = _.groupBy(_.get(xlsform, SHEET_CHOICES), 'list_name');
+
+  // map survey rows to sections and questions
+  const sections = [];
+  const groups = [];
+  let ungrouped;
+  const questions = [];
+  const skipped = [];
+  _.forEach(_.get(xlsform, SHEET_SURVEY), row => {
+    // collect group row i.e begin group, end repeat
+    const [, action, group] = GROUP_PATTERN.exec(_.trim(row.type)) || [];
+    if (_.toLower(action) === 'begin') {
+      const section = {
+        name: row.name,
+        title: localizedValueOf(row, 'label') || row.name,
+        description: localizedValueOf(row, 'hint'),
+        repeatable: _.toLower(group) === 'repeat',
+        questions: [],
+      };
+      sections.push(section);
+      groups.push(section);
+      return;
+    }
+    if (_.toLower(action) === 'end') {
+      groups.pop();
+      return;
+    }
+
+    // parse row type i.e select_one yes_no
+    const [type, listName] = _.split(_.trim(row.type), /\s+/);
+
+    // parse row indicator i.e Water: Water Supply
+    const indicatorColumn = row[options.indicatorColumn] || options.indicator;
+    const indicator = parseIndicator(indicatorColumn);
+
+    // ensure supported type and indicator
+    let reason;
+    if (!_.includes(options.types, type)) {
+      reason = 'Unsupported Question Type';
+    } else if (!indicator || !_.includes(options.subjects, indicator.subject)) {
+      reason = 'Missing or Invalid Question Indicator';
+    }
+
+    // collect skipped row
+    if (reason) {
+      skipped.push({ row: row.row, type: row.type, name: row.name, reason });
+    }
+
+    // collect question
+    else {
+      const question = {
+        type,
+        name: row.name,
+        label: localizedValueOf(row, 'label'),
+        help: localizedValueOf(row, 'hint'),
+        relevant: valueOf(row, 'relevant'),
+        required: REQUIRED_PATTERN.test(row.required) || undefined,
+        constraint: valueOf(row, 'constraint'),
+        constraintMessage: valueOf(row, 'constraint_message'),
+        indicator,
+      };
+      if (_.includes(SELECT_TYPES, type)) {
+        question.choices = _.map(lists[listName], choice => {
+          const label = localizedValueOf(choice, 'label');
+          return { name: choice.name, label };
+        });
+      }
+      questions.push(_.omitBy(question, _.isUndefined));
+
+      // collect question into its section
+      if (_.isEmpty(groups) && !ungrouped) {
+        ungrouped = { title: options.sectionTitle, questions: [] };
+        sections.push(ungrouped);
+      }
+      const section = _.last(groups) || ungrouped;
+      section.questions.push(row.name);
+    }
+  });
+
+  // map settings to questionnaire
+  const settings = _.merge({}, _.first(_.get(xlsform, SHEET_SETTINGS)));
+  const questionnaire = { title: settings.form_title || settings.form_id };
+
+  // map non empty sections if form has groups
+  if (sections.length > 1 || sections[0] !== ungrouped) {
+    questionnaire.sections = _.map(
+      _.filter(sections, section => !_.isEmpty(section.questions)),
+      section => _.omitBy(section, _.isUndefined)
+    );
+  }
+
+  // return mapped questionnaire
+  return { questionnaire, questions, skipped };
+};
+
+/* expose */
+exports.CONTENT_TYPE = CONTENT_TYPE;
+exports.SELECT_TYPES = SELECT_TYPES;
+exports.INDICATOR_COLUMN = INDICATOR_COLUMN;
+exports.formIdOf = formIdOf;
+exports.formVersionOf = formVersionOf;
+exports.constraintOf = constraintOf;
+exports.sectionsOf = sectionsOf;
+exports.toSurveyRow = toSurveyRow;
+exports.toChoiceRows = toChoiceRows;
+exports.toSettingsRow = toSettingsRow;
+exports.toXLSForm = toXLSForm;
+exports.writeXLSForm = writeXLSForm;
+exports.readXLSForm = readXLSForm;
+exports.fromXLSForm = fromXLSForm;
@@ -3,5 +3,7 @@
 /* force environment to be test */
 process.env.NODE_ENV = 'test';
 process.env.DEFAULT_LOCALE = 'en';
+process.env.LOCALES = 'en,sw';
+process.env.JWT_SECRET = 'test-secret';
 
 require('@lykmapipo/mongoose-test-helpers');
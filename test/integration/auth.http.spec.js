@@ -0,0 +1,101 @@
+'use strict';
+
+/* dependencies */
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const { expect } = require('chai');
+const { include } = require('@lykmapipo/include');
+const { app } = include(__dirname, '..', '..');
+const { tokenOf, indicatorOf, questionOf, useFixtures } = require('./helpers');
+
+describe('Authentication and Authorization Rest API', () => {
+  const indicator = indicatorOf('Population', 'Population Before Disaster');
+  const question = questionOf({
+    indicator,
+    type: 'integer',
+    name: 'auth_household_size',
+    label: { en: 'How many people live in this household?' },
+  });
+
+  useFixtures(indicator, question);
+
+  it('should handle HTTP GET on /indicators with required scope', done => {
+    request(app)
+      .get('/v1/indicators')
+      .set('Accept', 'application/json')
+      .set('Authorization', `Bearer ${tokenOf('indicator:view')}`)
+      .expect(200)
+      .expect('Content-Type', /json/)
+      .end((error, response) => {
+        expect(error).to.not.exist;
+        expect(response.body.data).to.have.length(1);
+        done(error, response);
+      });
+  });
+
+  it('should fail HTTP GET on /indicators without token', done => {
+    request(app)
+      .get('/v1/indicators')
+      .set('Accept', 'application/json')
+      .expect(401)
+      .end((error, response) => {
+        expect(error).to.not.exist;
+        done(error, response);
+      });
+  });
+
+  it('should fail HTTP GET on /indicators with invalid token', done => {
+    const token = jwt.sign({ scope: '*' }, 'invalid-secret');
+    request(app)
+      .get('/v1/indicators')
+      .set('Accept', 'application/json')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(401)
+      .end((error, response) => {
+        expect(error).to.not.exist;
+        done(error, response);
+      });
+  });
+
+  it('should fail HTTP GET on /indicators without required scope', done => {
+    request(app)
+      .get('/v1/indicators')
+      .set('Accept', 'application/json')
+      .set('Authorization', `Bearer ${tokenOf('question:view')}`)
+      .expect(403)
+      .end((error, response) => {
+        expect(error).to.not.exist;
+        done(error, response);
+      });
+  });
+
+  it('should handle HTTP POST on /questions/bulk with batch scopes', done => {
+    const patches = [{ _id: question._id, required: true }];
+    request(app)
+      .post('/v1/questions/bulk')
+      .set('Accept', 'application/json')
+      .set('Authorization', `Bearer ${tokenOf('question:edit')}`)
+      .send({ patches })
+      .expect(200)
+      .expect('Content-Type', /json/)
+      .end((error, response) => {
+        expect(error).to.not.exist;
+        expect(response.body.ok).to.be.equal(1);
+        done(error, response);
+      });
+  });
+
+  it('should fail HTTP POST on /questions/bulk without batch scopes', done => {
+    const patches = [{ _id: question._id, required: false }];
+    request(app)
+      .post('/v1/questions/bulk')
+      .set('Accept', 'application/json')
+      .set('Authorization', `Bearer ${tokenOf('question:create')}`)
+      .send({ patches })
+      .expect(403)
+      .end((error, response) => {
+        expect(error).to.not.exist;
+        done(error, response);
+      });
+  });
+});
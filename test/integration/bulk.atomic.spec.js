@@ -0,0 +1,92 @@
+'use strict';
+
+/* dependencies */
+const actions = require('mongoose-rest-actions');
+const { expect } = require('chai');
+const { include } = require('@lykmapipo/include');
+const { Schema, ObjectId, model } = require('@lykmapipo/mongoose-common');
+const { clear, create } = require('@lykmapipo/mongoose-test-helpers');
+const { bulk } = include(__dirname, '..', '..', 'lib', 'bulk');
+const { deletePolicy } = include(__dirname, '..', '..', 'lib', 'delete.policy');
+
+/* toys restrict delete of their child */
+const ToySchema = new Schema({
+  name: { type: String },
+  child: { type: ObjectId, ref: 'BulkChild' },
+});
+ToySchema.plugin(actions);
+const Toy = model('BulkToy', ToySchema);
+
+/* children are cascaded on delete of their parent */
+const ChildSchema = new Schema({
+  name: { type: String },
+  parent: { type: ObjectId, ref: 'BulkParent' },
+});
+ChildSchema.plugin(actions);
+ChildSchema.plugin(deletePolicy, {
+  policy: 'restrict',
+  relations: [{ modelName: 'BulkToy', path: 'child' }],
+});
+const Child = model('BulkChild', ChildSchema);
+
+const ParentSchema = new Schema({ name: { type: String } });
+ParentSchema.plugin(actions);
+ParentSchema.plugin(deletePolicy, {
+  policy: 'cascade',
+  relations: [{ modelName: 'BulkChild', path: 'parent' }],
+});
+ParentSchema.plugin(bulk);
+const Parent = model('BulkParent', ParentSchema);
+
+describe('Bulk Atomic', () => {
+  const parents = [
+    new Parent({ name: 'Juma' }),
+    new Parent({ name: 'Zawadi' }),
+  ];
+  const children = [
+    new Child({ name: 'Baraka', parent: parents[0] }),
+    new Child({ name: 'Neema', parent: parents[1] }),
+  ];
+  const toy = new Toy({ name: 'Ball', child: children[1] });
+  let supported = false;
+
+  before(done => clear(done));
+
+  before(done => create(parents, children, toy, done));
+
+  before(done => {
+    Parent.supportsTransactions((error, supports) => {
+      supported = supports;
+      done(error);
+    });
+  });
+
+  it('should rollback cascaded deletes of failed atomic batch', function(done) {
+    // transactions require replica set or sharded deployment
+    if (!supported) {
+      this.skip();
+    }
+
+    const deletes = [parents[0]._id, parents[1]._id];
+    Parent.bulk({ deletes, atomic: true }, (error, report) => {
+      expect(error).to.not.exist;
+      expect(report.committed).to.be.false;
+      expect(report.failed).to.be.equal(1);
+      expect(report.results[1].error.message).to.be.equal('Has Dependents');
+
+      Child.find({ parent: parents[0]._id }, (error, found) => {
+        expect(error).to.not.exist;
+        expect(found).to.have.length(1);
+        expect(found[0].deletedAt).to.not.exist;
+
+        Parent.countDocuments((error, count) => {
+          expect(error).to.not.exist;
+          expect(count).to.be.equal(2);
+          done(error);
+        });
+      });
+    });
+  });
+
+  after(done => clear(done));
+});
@@ -0,0 +1,70 @@
+'use strict';
+
+/* dependencies */
+const request = require('supertest');
+const { expect } = require('chai');
+const { include } = require('@lykmapipo/include');
+const { app } = include(__dirname, '..', '..');
+const {
+  tokenOf,
+  indicatorOf,
+  questionOf,
+  questionnaireOf,
+  useFixtures,
+} = require('./helpers');
+
+describe('Delete Policy Rest API', () => {
+  const token = tokenOf();
+  const used = indicatorOf('Water', 'Water Supply Before Flood');
+  const unused = indicatorOf('Water', 'Water Supply After Flood');
+  const question = questionOf({
+    indicator: used,
+    type: 'integer',
+    name: 'delete_water_points',
+    label: { en: 'How many water points are there?' },
+  });
+  const questionnaire = questionnaireOf({
+    title: { en: 'Flood Water Analysis' },
+    questions: [question],
+  });
+
+  useFixtures([used, unused], question, questionnaire);
+
+  it('should handle HTTP DELETE on /indicators/:id without dependents', done => {
+    request(app)
+      .delete(`/v1/indicators/${unused._id}`)
+      .set('Accept', 'application/json')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200)
+      .expect('Content-Type', /json/)
+      .end((error, response) => {
+        expect(error).to.not.exist;
+        expect(response.body._id).to.be.equal(unused._id.toString());
+        done(error, response);
+      });
+  });
+
+  it('should fail HTTP DELETE on /indicators/:id with dependents', done => {
+    request(app)
+      .delete(`/v1/indicators/${used._id}`)
+      .set('Accept', 'application/json')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(409)
+      .end((error, response) => {
+        expect(error).to.not.exist;
+        done(error, response);
+      });
+  });
+
+  it('should fail HTTP DELETE on /questions/:id with dependents', done => {
+    request(app)
+      .delete(`/v1/questions/${question._id}`)
+      .set('Accept', 'application/json')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(409)
+      .end((error, response) => {
+        expect(error).to.not.exist;
+        done(error, response);
+      });
+  });
+});
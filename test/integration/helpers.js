@@ -0,0 +1,51 @@
+'use strict';
+
+/* dependencies */
+const jwt = require('jsonwebtoken');
+const { include } = require('@lykmapipo/include');
+const { clear, create } = require('@lykmapipo/mongoose-test-helpers');
+const { Indicator, Question, Questionnaire } = include(__dirname, '..', '..');
+
+/* default assessment of questions and questionnaires fixtures */
+const assessment = {
+  assess: 'Situation',
+  stage: 'During',
+  phase: 'Response',
+};
+
+/* sign token granting given scope */
+const tokenOf = (scope = '*') => jwt.sign({ scope }, process.env.JWT_SECRET);
+
+/* build indicator fixture with english topic */
+const indicatorOf = (subject, topic, optns) => {
+  return new Indicator(Object.assign({ subject, topic: { en: topic } }, optns));
+};
+
+/* build question fixture of default assessment */
+const questionOf = optns => {
+  return new Question(Object.assign({}, assessment, optns));
+};
+
+/* build questionnaire fixture of default assessment */
+const questionnaireOf = optns => {
+  return new Questionnaire(Object.assign({}, assessment, optns));
+};
+
+/* clear database, create fixtures in given order and clear after */
+const useFixtures = (...fixtures) => {
+  before(done => clear(done));
+
+  fixtures.forEach(fixture => {
+    before(done => create(...[].concat(fixture), done));
+  });
+
+  after(done => clear(done));
+};
+
+/* expose */
+exports.assessment = assessment;
+exports.tokenOf = tokenOf;
+exports.indicatorOf = indicatorOf;
+exports.questionOf = questionOf;
+exports.questionnaireOf = questionnaireOf;
+exports.useFixtures = useFixtures;
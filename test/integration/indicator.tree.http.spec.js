@@ -0,0 +1,151 @@
+'use strict';
+
+/* dependencies */
+const _ = require('lodash');
+const request = require('supertest');
+const { expect } = require('chai');
+const { include } = require('@lykmapipo/include');
+const { app } = include(__dirname, '..', '..');
+const { tokenOf, indicatorOf, useFixtures } = require('./helpers');
+
+describe('Indicator Tree Rest API', () => {
+  const token = tokenOf();
+  const root = indicatorOf('Water', 'Water Supply');
+  const child = indicatorOf('Water', 'Water Supply Quality', {
+    base: root,
+  });
+  const grandchild = indicatorOf('Water', 'Water Supply Contamination', {
+    base: child,
+  });
+  const removed = indicatorOf('Water', 'Water Supply Pressure', {
+    base: root,
+    deletedAt: new Date(),
+  });
+  const unknown = indicatorOf('Water', 'Water Supply Quantity');
+  const idsOf = indicators => _.map(indicators, i => _.toString(i._id));
+
+  useFixtures(root, child, [grandchild, removed]);
+
+  it('should handle HTTP GET on /indicators/tree', done => {
+    request(app)
+      .get('/v1/indicators/tree')
+      .set('Accept', 'application/json')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200)
+      .expect('Content-Type', /json/)
+      .end((error, response) => {
+        expect(error).to.not.exist;
+        const tree = response.body.data;
+        expect(idsOf(tree)).to.be.eql(idsOf([root]));
+        expect(idsOf(tree[0].children)).to.be.eql(idsOf([child]));
+        expect(idsOf(tree[0].children[0].children)).to.be.eql(
+          idsOf([grandchild])
+        );
+        done(error, response);
+      });
+  });
+
+  it('should fail HTTP GET on /indicators/tree if invalid filter', done => {
+    request(app)
+      .get('/v1/indicators/tree?filter[base]=invalid')
+      .set('Accept', 'application/json')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(400)
+      .end((error, response) => {
+        expect(error).to.not.exist;
+        done(error, response);
+      });
+  });
+
+  it('should handle HTTP GET on /indicators/:id/children', done => {
+    request(app)
+      .get(`/v1/indicators/${root._id}/children`)
+      .set('Accept', 'application/json')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200)
+      .expect('Content-Type', /json/)
+      .end((error, response) => {
+        expect(error).to.not.exist;
+        expect(idsOf(response.body.data)).to.be.eql(idsOf([child]));
+        done(error, response);
+      });
+  });
+
+  it('should fail HTTP GET on /indicators/:id/children if invalid', done => {
+    request(app)
+      .get('/v1/indicators/invalid/children')
+      .set('Accept', 'application/json')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(400)
+      .end((error, response) => {
+        expect(error).to.not.exist;
+        done(error, response);
+      });
+  });
+
+  it('should handle HTTP GET on /indicators/:id/descendants', done => {
+    request(app)
+      .get(`/v1/indicators/${root._id}/descendants`)
+      .set('Accept', 'application/json')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200)
+      .expect('Content-Type', /json/)
+      .end((error, response) => {
+        expect(error).to.not.exist;
+        expect(idsOf(response.body.data)).to.have.members(
+          idsOf([child, grandchild])
+        );
+        done(error, response);
+      });
+  });
+
+  it('should fail HTTP GET on /indicators/:id/descendants if not exist', done => {
+    request(app)
+      .get(`/v1/indicators/${unknown._id}/descendants`)
+      .set('Accept', 'application/json')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(404)
+      .end((error, response) => {
+        expect(error).to.not.exist;
+        done(error, response);
+      });
+  });
+
+  it('should handle HTTP GET on /indicators/:id/ancestors', done => {
+    request(app)
+      .get(`/v1/indicators/${grandchild._id}/ancestors`)
+      .set('Accept', 'application/json')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200)
+      .expect('Content-Type', /json/)
+      .end((error, response) => {
+        expect(error).to.not.exist;
+        expect(idsOf(response.body.data)).to.be.eql(idsOf([child, root]));
+        done(error, response);
+      });
+  });
+
+  it('should fail HTTP GET on /indicators/:id/ancestors if deleted', done => {
+    request(app)
+      .get(`/v1/indicators/${removed._id}/ancestors`)
+      .set('Accept', 'application/json')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(404)
+      .end((error, response) => {
+        expect(error).to.not.exist;
+        done(error, response);
+      });
+  });
+
+  it('should fail HTTP GET on /indicators/:id/ancestors if not exist', done => {
+    request(app)
+      .get(`/v1/indicators/${unknown._id}/ancestors`)
+      .set('Accept', 'application/json')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(404)
+      .end((error, response) => {
+        expect(error).to.not.exist;
+        done(error, response);
+      });
+  });
+});
@@ -0,0 +1,136 @@
+'use strict';
+
+/* dependencies */
+const request = require('supertest');
+const { expect } = require('chai');
+const { include } = require('@lykmapipo/include');
+const { app, Indicator } = include(__dirname, '..', '..');
+const {
+  tokenOf,
+  indicatorOf,
+  questionOf,
+  questionnaireOf,
+  useFixtures,
+} = require('./helpers');
+
+describe('Lookup Rest API', () => {
+  const token = tokenOf();
+  const indicator = indicatorOf('Shelter', 'Shelter Damage');
+  const damage = questionOf({
+    indicator,
+    type: 'text',
+    name: 'lookup_shelter_damage',
+    label: { en: 'How is the shelter damaged?' },
+  });
+  const repair = questionOf({
+    indicator,
+    type: 'text',
+    name: 'lookup_shelter_repair',
+    label: { en: 'What repair is needed?' },
+  });
+  const removed = questionOf({
+    indicator,
+    type: 'text',
+    name: 'lookup_shelter_material',
+    label: { en: 'What is the shelter material?' },
+    deletedAt: new Date(),
+  });
+  const shelterOf = (title, questions, deletedAt) => {
+    const sections = [{ name: 'lookup_shelter', title, questions }];
+    return questionnaireOf({ title, sections, deletedAt });
+  };
+  const questionnaires = [
+    shelterOf({ en: 'Shelter Damage' }, [damage]),
+    shelterOf({ en: 'Shelter Repair' }, [damage, repair]),
+    shelterOf({ en: 'Shelter Archive' }, [damage], new Date()),
+    shelterOf({ en: 'Shelter Material' }, [removed]),
+  ];
+  const unknown = new Indicator()._id;
+
+  useFixtures(indicator, [damage, repair, removed], questionnaires);
+
+  const get = (path, query, expected, done) => {
+    request(app)
+      .get(`/v1${path}`)
+      .query(query)
+      .set('Accept', 'application/json')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(expected)
+      .end((error, response) => {
+        expect(error).to.not.exist;
+        done(error, response.body);
+      });
+  };
+
+  it('should handle HTTP GET on /questions/:id/questionnaires', done => {
+    get(`/questions/${damage._id}/questionnaires`, {}, 200, (error, body) => {
+      expect(body.total).to.be.equal(2);
+      expect(body.data).to.have.length(2);
+      done(error);
+    });
+  });
+
+  it('should handle HTTP GET on /questions/:id/questionnaires with paging', done => {
+    const path = `/questions/${damage._id}/questionnaires`;
+    get(path, { limit: 1, page: 2 }, 200, (error, body) => {
+      expect(body.total).to.be.equal(2);
+      expect(body.size).to.be.equal(1);
+      expect(body.page).to.be.equal(2);
+      expect(body.pages).to.be.equal(2);
+      done(error);
+    });
+  });
+
+  it('should fail HTTP GET on /questions/:id/questionnaires if unknown', done => {
+    get(`/questions/${unknown}/questionnaires`, {}, 404, done);
+  });
+
+  it('should fail HTTP GET on /questions/:id/questionnaires if deleted', done => {
+    get(`/questions/${removed._id}/questionnaires`, {}, 404, done);
+  });
+
+  it('should handle HTTP GET on /indicators/:id/questions', done => {
+    get(`/indicators/${indicator._id}/questions`, {}, 200, (error, body) => {
+      expect(body.total).to.be.equal(2);
+      expect(body.data).to.have.length(2);
+      done(error);
+    });
+  });
+
+  it('should handle HTTP GET on /indicators/:id/questions with paging', done => {
+    const path = `/indicators/${indicator._id}/questions`;
+    get(path, { limit: 1 }, 200, (error, body) => {
+      expect(body.total).to.be.equal(2);
+      expect(body.size).to.be.equal(1);
+      expect(body.pages).to.be.equal(2);
+      done(error);
+    });
+  });
+
+  it('should fail HTTP GET on /indicators/:id/questions if unknown', done => {
+    get(`/indicators/${unknown}/questions`, {}, 404, done);
+  });
+
+  it('should handle HTTP GET on /indicators/:id/questionnaires', done => {
+    const path = `/indicators/${indicator._id}/questionnaires`;
+    get(path, {}, 200, (error, body) => {
+      expect(body.total).to.be.equal(2);
+      expect(body.data).to.have.length(2);
+      done(error);
+    });
+  });
+
+  it('should handle HTTP GET on /indicators/:id/questionnaires with paging', done => {
+    const path = `/indicators/${indicator._id}/questionnaires`;
+    get(path, { limit: 1, page: 2 }, 200, (error, body) => {
+      expect(body.total).to.be.equal(2);
+      expect(body.size).to.be.equal(1);
+      expect(body.page).to.be.equal(2);
+      done(error);
+    });
+  });
+
+  it('should fail HTTP GET on /indicators/:id/questionnaires if unknown', done => {
+    get(`/indicators/${unknown}/questionnaires`, {}, 404, done);
+  });
+});
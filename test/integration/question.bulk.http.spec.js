@@ -0,0 +1,122 @@
+'use strict';
+
+/* dependencies */
+const request = require('supertest');
+const { expect } = require('chai');
+const { include } = require('@lykmapipo/include');
+const { app } = include(__dirname, '..', '..');
+const {
+  assessment,
+  tokenOf,
+  indicatorOf,
+  questionOf,
+  useFixtures,
+} = require('./helpers');
+
+describe('Bulk Rest API', () => {
+  const token = tokenOf();
+  const indicator = indicatorOf('Population', 'Population After Disaster');
+  const patched = questionOf({
+    indicator,
+    type: 'integer',
+    name: 'bulk_household_size',
+    label: { en: 'How many people live in this household?' },
+  });
+  const deleted = questionOf({
+    indicator,
+    type: 'text',
+    name: 'bulk_household_head',
+    label: { en: 'Who is the household head?' },
+  });
+
+  useFixtures(indicator, [patched, deleted]);
+
+  it('should handle HTTP POST on /questions/bulk', done => {
+    const inserts = [
+      Object.assign({}, assessment, {
+        indicator: indicator._id,
+        type: 'integer',
+        name: 'bulk_household_children',
+        label: { en: 'How many children live in this household?' },
+      }),
+    ];
+    const patches = [{ _id: patched._id, required: true }];
+    const deletes = [deleted._id];
+
+    request(app)
+      .post('/v1/questions/bulk')
+      .set('Accept', 'application/json')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ inserts, patches, deletes })
+      .expect(200)
+      .expect('Content-Type', /json/)
+      .end((error, response) => {
+        expect(error).to.not.exist;
+        const report = response.body;
+        expect(report.committed).to.be.true;
+        expect(report.total).to.be.equal(3);
+        expect(report.ok).to.be.equal(3);
+        expect(report.failed).to.be.equal(0);
+        done(error, response);
+      });
+  });
+
+  it('should fail HTTP POST on /questions/bulk with invalid items', done => {
+    const inserts = [{ name: 'bulk_household_invalid' }];
+    const patches = [{ _id: patched._id, required: false }];
+
+    request(app)
+      .post('/v1/questions/bulk')
+      .set('Accept', 'application/json')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ inserts, patches })
+      .expect(207)
+      .expect('Content-Type', /json/)
+      .end((error, response) => {
+        expect(error).to.not.exist;
+        const report = response.body;
+        expect(report.total).to.be.equal(2);
+        expect(report.ok).to.be.equal(1);
+        expect(report.failed).to.be.equal(1);
+        expect(report.results[0].status).to.be.equal('failed');
+        expect(report.results[0].error).to.exist;
+        done(error, response);
+      });
+  });
+
+  it('should handle HTTP POST on /indicators/bulk', done => {
+    const inserts = [
+      { subject: 'Population', topic: { en: 'Population Displacement' } },
+    ];
+
+    request(app)
+      .post('/v1/indicators/bulk')
+      .set('Accept', 'application/json')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ inserts })
+      .expect(200)
+      .expect('Content-Type', /json/)
+      .end((error, response) => {
+        expect(error).to.not.exist;
+        expect(response.body.ok).to.be.equal(1);
+        done(error, response);
+      });
+  });
+
+  it('should fail HTTP POST on /indicators/bulk with unknown items', done => {
+    const deletes = [patched._id];
+
+    request(app)
+      .post('/v1/indicators/bulk')
+      .set('Accept', 'application/json')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ deletes })
+      .expect(207)
+      .expect('Content-Type', /json/)
+      .end((error, response) => {
+        expect(error).to.not.exist;
+        expect(response.body.failed).to.be.equal(1);
+        done(error, response);
+      });
+  });
+});
@@ -0,0 +1,78 @@
+'use strict';
+
+/* dependencies */
+const request = require('supertest');
+const { expect } = require('chai');
+const { include } = require('@lykmapipo/include');
+const { app } = include(__dirname, '..', '..');
+const {
+  tokenOf,
+  indicatorOf,
+  questionOf,
+  questionnaireOf,
+  useFixtures,
+} = require('./helpers');
+
+describe('Question Expressions Rest API', () => {
+  const token = tokenOf();
+  const indicator = indicatorOf('Water', 'Water Source After Flood');
+  const supply = questionOf({
+    indicator,
+    type: 'select_one',
+    name: 'expressions_water_supply',
+    label: { en: 'Is there water supply?' },
+    choices: [
+      { name: 'yes', label: { en: 'Yes' } },
+      { name: 'no', label: { en: 'No' } },
+    ],
+  });
+  const source = questionOf({
+    indicator,
+    type: 'text',
+    name: 'expressions_water_source',
+    label: { en: 'What is the water source?' },
+  });
+  const questionnaire = questionnaireOf({
+    title: { en: 'Flood Water Source' },
+    sections: [
+      {
+        name: 'expressions_water',
+        title: { en: 'Water' },
+        questions: [supply, source],
+      },
+    ],
+  });
+  const path = `/v1/questions/${source._id}`;
+
+  useFixtures(indicator, [supply, source], questionnaire);
+
+  it('should handle HTTP PATCH on /questions/:id with relevant', done => {
+    const relevant = '${expressions_water_supply} = "yes"';
+    request(app)
+      .patch(path)
+      .set('Accept', 'application/json')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ relevant })
+      .expect(200)
+      .expect('Content-Type', /json/)
+      .end((error, response) => {
+        expect(error).to.not.exist;
+        expect(response.body.relevant).to.be.equal(relevant);
+        done(error, response);
+      });
+  });
+
+  it('should fail HTTP PATCH on /questions/:id with unknown relevant reference', done => {
+    request(app)
+      .patch(path)
+      .set('Accept', 'application/json')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ relevant: '${expressions_water_quality} = "good"' })
+      .expect(400)
+      .end((error, response) => {
+        expect(error).to.not.exist;
+        expect(response.body.errors.relevant).to.exist;
+        done(error, response);
+      });
+  });
+});
@@ -0,0 +1,182 @@
+'use strict';
+
+/* dependencies */
+const _ = require('lodash');
+const request = require('supertest');
+const { expect } = require('chai');
+const { include } = require('@lykmapipo/include');
+const { app, Response: ResponseModel } = include(__dirname, '..', '..');
+const {
+  tokenOf,
+  indicatorOf,
+  questionOf,
+  questionnaireOf,
+  useFixtures,
+} = require('./helpers');
+
+describe('Questionnaire Responses Analytics Rest API', () => {
+  const token = tokenOf();
+  const viewer = tokenOf('questionnaire:view');
+  const water = indicatorOf('Water', 'Water Supply During Flood');
+  const population = indicatorOf(
+    'Population',
+    'Household Members During Flood'
+  );
+  const supply = questionOf({
+    indicator: water,
+    type: 'select_one',
+    name: 'analytics_water_supply',
+    label: { en: 'Is there water supply?' },
+    choices: [
+      { name: 'yes', label: { en: 'Yes' } },
+      { name: 'no', label: { en: 'No' } },
+    ],
+  });
+  const sex = questionOf({
+    indicator: population,
+    type: 'select_one',
+    name: 'analytics_member_sex',
+    label: { en: 'Sex of household member' },
+    choices: [
+      { name: 'female', label: { en: 'Female' } },
+      { name: 'male', label: { en: 'Male' } },
+    ],
+  });
+  const members = 'analytics_members';
+  const questionnaire = questionnaireOf({
+    title: { en: 'Flood Household Analysis' },
+    sections: [
+      {
+        name: 'analytics_household',
+        title: { en: 'Household' },
+        questions: [supply],
+      },
+      {
+        name: members,
+        title: { en: 'Members' },
+        repeatable: true,
+        questions: [sex],
+      },
+    ],
+  });
+  const responses = [
+    new ResponseModel({
+      questionnaire,
+      answers: {
+        [supply.name]: 'yes',
+        [members]: [{ [sex.name]: 'female' }, { [sex.name]: 'male' }],
+      },
+    }),
+    new ResponseModel({
+      questionnaire,
+      answers: {
+        [supply.name]: 'no',
+        [members]: [{ [sex.name]: 'female' }],
+      },
+    }),
+  ];
+  const summaryOf = (summaries, name) => {
+    return _.find(summaries, summary => summary.question.name === name);
+  };
+
+  useFixtures([water, population], [supply, sex], questionnaire, responses);
+
+  it('should handle HTTP GET on /questionnaires/:id/responses/analytics', done => {
+    request(app)
+      .get(`/v1/questionnaires/${questionnaire._id}/responses/analytics`)
+      .set('Accept', 'application/json')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200)
+      .expect('Content-Type', /json/)
+      .end((error, response) => {
+        expect(error).to.not.exist;
+        const { total, questions } = response.body;
+        expect(total).to.be.equal(2);
+
+        const supplied = summaryOf(questions, 'analytics_water_supply');
+        expect(supplied.answered).to.be.equal(2);
+        expect(_.map(supplied.frequencies, 'count')).to.be.eql([1, 1]);
+
+        const sexes = summaryOf(questions, 'analytics_member_sex');
+        expect(sexes.question.repeat).to.be.equal('analytics_members');
+        expect(sexes.answered).to.be.equal(3);
+        expect(_.map(sexes.frequencies, 'count')).to.be.eql([2, 1]);
+        done(error, response);
+      });
+  });
+
+  it('should fail HTTP GET on /questionnaires/:id/responses/analytics if invalid', done => {
+    request(app)
+      .get(`/v1/questionnaires/${questionnaire._id}/responses/analytics`)
+      .query({ from: 'invalid' })
+      .set('Accept', 'application/json')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(400)
+      .end((error, response) => {
+        expect(error).to.not.exist;
+        done(error, response);
+      });
+  });
+
+  it('should handle HTTP GET on /questionnaires/:id/responses/analytics/indicators', done => {
+    request(app)
+      .get(
+        `/v1/questionnaires/${questionnaire._id}/responses/analytics/indicators`
+      )
+      .set('Accept', 'application/json')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200)
+      .expect('Content-Type', /json/)
+      .end((error, response) => {
+        expect(error).to.not.exist;
+        const { total, subjects } = response.body;
+        expect(total).to.be.equal(2);
+        expect(_.map(subjects, 'subject')).to.have.members([
+          'Water',
+          'Population',
+        ]);
+        done(error, response);
+      });
+  });
+
+  it('should fail HTTP GET on /questionnaires/:id/responses/analytics/indicators if invalid', done => {
+    request(app)
+      .get(
+        `/v1/questionnaires/${questionnaire._id}/responses/analytics/indicators`
+      )
+      .query({ near: 'invalid' })
+      .set('Accept', 'application/json')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(400)
+      .end((error, response) => {
+        expect(error).to.not.exist;
+        done(error, response);
+      });
+  });
+
+  it('should fail HTTP GET on /questionnaires/:id/responses/analytics without response scope', done => {
+    request(app)
+      .get(`/v1/questionnaires/${questionnaire._id}/responses/analytics`)
+      .set('Accept', 'application/json')
+      .set('Authorization', `Bearer ${viewer}`)
+      .expect(403)
+      .end((error, response) => {
+        expect(error).to.not.exist;
+        done(error, response);
+      });
+  });
+
+  it('should fail HTTP GET on /questionnaires/:id/responses/analytics/indicators without response scope', done => {
+    request(app)
+      .get(
+        `/v1/questionnaires/${questionnaire._id}/responses/analytics/indicators`
+      )
+      .set('Accept', 'application/json')
+      .set('Authorization', `Bearer ${viewer}`)
+      .expect(403)
+      .end((error, response) => {
+        expect(error).to.not.exist;
+        done(error, response);
+      });
+  });
+});
@@ -0,0 +1,83 @@
+'use strict';
+
+/* dependencies */
+const request = require('supertest');
+const { expect } = require('chai');
+const { include } = require('@lykmapipo/include');
+const { app } = include(__dirname, '..', '..');
+const {
+  tokenOf,
+  indicatorOf,
+  questionOf,
+  questionnaireOf,
+  useFixtures,
+} = require('./helpers');
+
+describe('Questionnaire Codebook Rest API', () => {
+  const token = tokenOf();
+  const indicator = indicatorOf('Water', 'Water Sources');
+  const question = questionOf({
+    indicator,
+    type: 'select_one',
+    name: 'codebook_water_source',
+    label: { en: 'What is the main water source?' },
+    choices: [
+      { name: 'tap', label: { en: 'Tap' } },
+      { name: 'well', label: { en: 'Well' } },
+    ],
+  });
+  const questionnaire = questionnaireOf({
+    title: { en: 'Flood Water Sources' },
+    sections: [
+      {
+        name: 'codebook_water',
+        title: { en: 'Water' },
+        questions: [question],
+      },
+    ],
+  });
+  const path = `/v1/questionnaires/${questionnaire._id}/codebook`;
+
+  useFixtures(indicator, question, questionnaire);
+
+  it('should handle HTTP GET on /questionnaires/:id/codebook', done => {
+    request(app)
+      .get(path)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200)
+      .expect('Content-Type', /text\/markdown/)
+      .end((error, response) => {
+        expect(error).to.not.exist;
+        expect(response.text).to.contain('codebook_water_source');
+        expect(response.text).to.contain('What is the main water source?');
+        done(error, response);
+      });
+  });
+
+  it('should handle HTTP GET on /questionnaires/:id/codebook as csv', done => {
+    request(app)
+      .get(path)
+      .query({ format: 'csv' })
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200)
+      .expect('Content-Type', /text\/csv/)
+      .expect('Content-Disposition', /attachment/)
+      .end((error, response) => {
+        expect(error).to.not.exist;
+        expect(response.text).to.contain('codebook_water_source');
+        done(error, response);
+      });
+  });
+
+  it('should fail HTTP GET on /questionnaires/:id/codebook if unsupported', done => {
+    request(app)
+      .get(path)
+      .query({ format: 'docx' })
+      .set('Authorization', `Bearer ${token}`)
+      .expect(400)
+      .end((error, response) => {
+        expect(error).to.not.exist;
+        done(error, response);
+      });
+  });
+});
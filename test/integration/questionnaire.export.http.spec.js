@@ -0,0 +1,156 @@
+'use strict';
+
+/* dependencies */
+const _ = require('lodash');
+const request = require('supertest');
+const { expect } = require('chai');
+const { Workbook } = require('exceljs');
+const { include } = require('@lykmapipo/include');
+const { app, Response: ResponseModel } = include(__dirname, '..', '..');
+const {
+  tokenOf,
+  indicatorOf,
+  questionOf,
+  questionnaireOf,
+  useFixtures,
+} = require('./helpers');
+
+describe('Questionnaire Responses Export Rest API', () => {
+  const token = tokenOf();
+  const viewer = tokenOf('questionnaire:view');
+  const indicator = indicatorOf('Population', 'Household Members After Flood');
+  const size = questionOf({
+    indicator,
+    type: 'integer',
+    name: 'export_household_size',
+    label: { en: 'How many people live in this household?' },
+  });
+  const age = questionOf({
+    indicator,
+    type: 'integer',
+    name: 'export_member_age',
+    label: { en: 'Age of household member' },
+  });
+  const members = 'export_members';
+  const questionnaire = questionnaireOf({
+    title: { en: 'Flood Members Analysis' },
+    sections: [
+      {
+        name: 'export_household',
+        title: { en: 'Household' },
+        questions: [size],
+      },
+      {
+        name: members,
+        title: { en: 'Members' },
+        repeatable: true,
+        questions: [age],
+      },
+    ],
+  });
+  const responses = [
+    new ResponseModel({
+      questionnaire,
+      answers: {
+        [size.name]: 2,
+        [members]: [{ [age.name]: 34 }, { [age.name]: 5 }],
+      },
+    }),
+    new ResponseModel({
+      questionnaire,
+      answers: {
+        [size.name]: 1,
+        [members]: [{ [age.name]: 61 }],
+      },
+    }),
+  ];
+  const headers = [
+    'export_household_size',
+    'export_members[0].export_member_age',
+    'export_members[1].export_member_age',
+  ];
+  const path = `/v1/questionnaires/${questionnaire._id}/responses/export`;
+
+  useFixtures(indicator, [size, age], questionnaire, responses);
+
+  it('should handle HTTP GET on /questionnaires/:id/responses/export as csv', done => {
+    request(app)
+      .get(path)
+      .query({ format: 'csv' })
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200)
+      .expect('Content-Type', /text\/csv/)
+      .expect('Content-Disposition', /attachment/)
+      .end((error, response) => {
+        expect(error).to.not.exist;
+        const [header, ...rows] = _.compact(_.split(response.text, /\r?\n/));
+        expect(header).to.contain(headers.join(','));
+        expect(rows).to.have.length(2);
+        done(error, response);
+      });
+  });
+
+  it('should handle HTTP GET on /questionnaires/:id/responses/export as xlsx', done => {
+    request(app)
+      .get(path)
+      .query({ format: 'xlsx' })
+      .set('Authorization', `Bearer ${token}`)
+      .responseType('blob')
+      .expect(200)
+      .expect('Content-Type', /spreadsheetml/)
+      .expect('Content-Disposition', /attachment/)
+      .end((error, response) => {
+        expect(error).to.not.exist;
+        const workbook = new Workbook();
+        workbook.xlsx.load(response.body).then(() => {
+          const worksheet = workbook.worksheets[0];
+          expect(worksheet.getRow(1).values).to.include.members(headers);
+          expect(worksheet.rowCount).to.be.equal(3);
+          done();
+        }, done);
+      });
+  });
+
+  it('should handle HTTP GET on /questionnaires/:id/responses/export as jsonl', done => {
+    request(app)
+      .get(path)
+      .query({ format: 'jsonl' })
+      .set('Authorization', `Bearer ${token}`)
+      .buffer(true)
+      .expect(200)
+      .expect('Content-Type', /ndjson/)
+      .expect('Content-Disposition', /attachment/)
+      .end((error, response) => {
+        expect(error).to.not.exist;
+        const lines = _.compact(_.split(response.text, '\n'));
+        const rows = _.map(lines, line => JSON.parse(line));
+        expect(rows).to.have.length(2);
+        expect(rows[0]).to.include.keys(headers);
+        done(error, response);
+      });
+  });
+
+  it('should fail HTTP GET on /questionnaires/:id/responses/export if unsupported', done => {
+    request(app)
+      .get(path)
+      .query({ format: 'pdf' })
+      .set('Authorization', `Bearer ${token}`)
+      .expect(400)
+      .end((error, response) => {
+        expect(error).to.not.exist;
+        done(error, response);
+      });
+  });
+
+  it('should fail HTTP GET on /questionnaires/:id/responses/export without response scope', done => {
+    request(app)
+      .get(path)
+      .query({ format: 'csv' })
+      .set('Authorization', `Bearer ${viewer}`)
+      .expect(403)
+      .end((error, response) => {
+        expect(error).to.not.exist;
+        done(error, response);
+      });
+  });
+});
@@ -0,0 +1,68 @@
+'use strict';
+
+/* dependencies */
+const request = require('supertest');
+const { expect } = require('chai');
+const { include } = require('@lykmapipo/include');
+const { app } = include(__dirname, '..', '..');
+const {
+  tokenOf,
+  indicatorOf,
+  questionOf,
+  questionnaireOf,
+  useFixtures,
+} = require('./helpers');
+
+describe('Questionnaire Print Rest API', () => {
+  const token = tokenOf();
+  const indicator = indicatorOf('Water', 'Water Treatment');
+  const question = questionOf({
+    indicator,
+    type: 'select_one',
+    name: 'print_water_treatment',
+    label: { en: 'Is drinking water treated?' },
+    choices: [
+      { name: 'yes', label: { en: 'Yes' } },
+      { name: 'no', label: { en: 'No' } },
+    ],
+  });
+  const questionnaire = questionnaireOf({
+    title: { en: 'Flood Water Treatment' },
+    sections: [
+      {
+        name: 'print_water',
+        title: { en: 'Water' },
+        questions: [question],
+      },
+    ],
+  });
+  const path = `/v1/questionnaires/${questionnaire._id}/print`;
+
+  useFixtures(indicator, question, questionnaire);
+
+  it('should handle HTTP GET on /questionnaires/:id/print', done => {
+    request(app)
+      .get(path)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200)
+      .expect('Content-Type', /text\/html/)
+      .end((error, response) => {
+        expect(error).to.not.exist;
+        expect(response.text).to.contain('Flood Water Treatment');
+        expect(response.text).to.contain('Is drinking water treated?');
+        done(error, response);
+      });
+  });
+
+  it('should fail HTTP GET on /questionnaires/:id/print if unsupported', done => {
+    request(app)
+      .get(path)
+      .query({ format: 'docx' })
+      .set('Authorization', `Bearer ${token}`)
+      .expect(400)
+      .end((error, response) => {
+        expect(error).to.not.exist;
+        done(error, response);
+      });
+  });
+});
@@ -0,0 +1,122 @@
+'use strict';
+
+/* dependencies */
+const _ = require('lodash');
+const request = require('supertest');
+const { expect } = require('chai');
+const { include } = require('@lykmapipo/include');
+const { app } = include(__dirname, '..', '..');
+const {
+  assessment,
+  tokenOf,
+  indicatorOf,
+  questionOf,
+  useFixtures,
+} = require('./helpers');
+
+describe('Questionnaire Sections Rest API', () => {
+  const token = tokenOf();
+  const indicator = indicatorOf('Population', 'Household Members');
+  const head = questionOf({
+    indicator,
+    type: 'text',
+    name: 'sections_head_name',
+    label: { en: 'Name of household head' },
+  });
+  const age = questionOf({
+    indicator,
+    type: 'integer',
+    name: 'sections_member_age',
+    label: { en: 'Age of household member' },
+  });
+  const idsOf = questions => _.map(questions, q => _.toString(q._id || q));
+  let questionnaire;
+
+  useFixtures(indicator, [head, age]);
+
+  it('should handle HTTP POST on /questionnaires with sections', done => {
+    const body = Object.assign({}, assessment, {
+      title: { en: 'Household Survey' },
+      sections: [
+        {
+          name: 'household',
+          title: { en: 'Household' },
+          questions: [head._id],
+        },
+        {
+          name: 'members',
+          title: { en: 'Members' },
+          repeatable: true,
+          minCount: 1,
+          maxCount: 10,
+          questions: [age._id],
+        },
+      ],
+    });
+
+    request(app)
+      .post('/v1/questionnaires')
+      .set('Accept', 'application/json')
+      .set('Authorization', `Bearer ${token}`)
+      .send(body)
+      .expect(201)
+      .expect('Content-Type', /json/)
+      .end((error, response) => {
+        expect(error).to.not.exist;
+        questionnaire = response.body;
+        expect(questionnaire._id).to.exist;
+        expect(questionnaire.sections).to.have.length(2);
+        expect(questionnaire.sections[1].repeatable).to.be.true;
+        expect(idsOf(questionnaire.questions)).to.be.eql(idsOf([head, age]));
+        done(error, response);
+      });
+  });
+
+  it('should handle HTTP PATCH on /questionnaires/:id with questions', done => {
+    request(app)
+      .patch(`/v1/questionnaires/${questionnaire._id}`)
+      .set('Accept', 'application/json')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ questions: [age._id] })
+      .expect(200)
+      .expect('Content-Type', /json/)
+      .end((error, response) => {
+        expect(error).to.not.exist;
+        const patched = response.body;
+        expect(patched.sections).to.have.length(2);
+        expect(patched.sections[0].questions).to.be.empty;
+        expect(idsOf(patched.sections[1].questions)).to.be.eql(idsOf([age]));
+        expect(idsOf(patched.questions)).to.be.eql(idsOf([age]));
+        done(error, response);
+      });
+  });
+
+  it('should fail HTTP POST on /questionnaires with duplicate sections', done => {
+    const body = Object.assign({}, assessment, {
+      title: { en: 'Duplicate Survey' },
+      sections: [
+        {
+          name: 'household',
+          title: { en: 'Household' },
+          questions: [head._id],
+        },
+        {
+          name: 'household',
+          title: { en: 'Household Members' },
+          questions: [age._id],
+        },
+      ],
+    });
+
+    request(app)
+      .post('/v1/questionnaires')
+      .set('Accept', 'application/json')
+      .set('Authorization', `Bearer ${token}`)
+      .send(body)
+      .expect(400)
+      .end((error, response) => {
+        expect(error).to.not.exist;
+        done(error, response);
+      });
+  });
+});
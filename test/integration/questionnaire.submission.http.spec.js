@@ -0,0 +1,128 @@
+'use strict';
+
+/* dependencies */
+const request = require('supertest');
+const { expect } = require('chai');
+const { include } = require('@lykmapipo/include');
+const { app } = include(__dirname, '..', '..');
+const {
+  tokenOf,
+  indicatorOf,
+  questionOf,
+  questionnaireOf,
+  useFixtures,
+} = require('./helpers');
+
+describe('Questionnaire Response Schema Rest API', () => {
+  const token = tokenOf();
+  const indicator = indicatorOf('Water', 'Water Availability');
+  const question = questionOf({
+    indicator,
+    type: 'select_one',
+    name: 'submission_water_available',
+    label: { en: 'Is water available?', sw: 'Maji yanapatikana?' },
+    required: true,
+    choices: [
+      { name: 'yes', label: { en: 'Yes', sw: 'Ndiyo' } },
+      { name: 'no', label: { en: 'No', sw: 'Hapana' } },
+    ],
+  });
+  const source = questionOf({
+    indicator,
+    type: 'text',
+    name: 'submission_water_source',
+    label: { en: 'What is the water source?' },
+  });
+  const questionnaire = questionnaireOf({
+    title: { en: 'Flood Water Availability' },
+    sections: [
+      {
+        name: 'submission_water',
+        title: { en: 'Water' },
+        questions: [question],
+      },
+    ],
+  });
+
+  useFixtures(indicator, [question, source], questionnaire);
+
+  it('should handle HTTP GET on /questionnaires/:id/response-schema', done => {
+    request(app)
+      .get(`/v1/questionnaires/${questionnaire._id}/response-schema`)
+      .set('Accept', 'application/json')
+      .set('Accept-Language', 'sw')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200)
+      .expect('Content-Type', /json/)
+      .end((error, response) => {
+        expect(error).to.not.exist;
+        const schema = response.body;
+        expect(schema.$schema).to.be.equal(
+          'http://json-schema.org/draft-07/schema#'
+        );
+        expect(schema.properties.questionnaire.const).to.be.equal(
+          questionnaire._id.toString()
+        );
+
+        const { answers } = schema.properties;
+        expect(answers.required).to.be.eql(['submission_water_available']);
+        expect(answers.properties[question.name]).to.be.eql({
+          type: 'string',
+          enum: ['yes', 'no'],
+          title: 'Maji yanapatikana?',
+        });
+        done(error, response);
+      });
+  });
+
+  it('should handle HTTP GET on /questionnaires/:id/response-schema of published version', done => {
+    const path = `/v1/questionnaires/${questionnaire._id}`;
+    const sections = [
+      {
+        name: 'submission_water',
+        title: { en: 'Water' },
+        questions: [question._id, source._id],
+      },
+    ];
+    request(app)
+      .post(`${path}/publish`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(201)
+      .end(error => {
+        expect(error).to.not.exist;
+        request(app)
+          .patch(path)
+          .set('Authorization', `Bearer ${token}`)
+          .send({ sections })
+          .expect(200)
+          .end(error => {
+            expect(error).to.not.exist;
+            request(app)
+              .get(`${path}/response-schema`)
+              .set('Accept', 'application/json')
+              .set('Authorization', `Bearer ${token}`)
+              .expect(200)
+              .end((error, response) => {
+                expect(error).to.not.exist;
+                const { answers } = response.body.properties;
+                expect(answers.properties).to.have.all.keys(
+                  'submission_water_available'
+                );
+                done(error, response);
+              });
+          });
+      });
+  });
+
+  it('should fail HTTP GET on /questionnaires/:id/response-schema if invalid', done => {
+    request(app)
+      .get('/v1/questionnaires/invalid/response-schema')
+      .set('Accept', 'application/json')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(400)
+      .end((error, response) => {
+        expect(error).to.not.exist;
+        done(error, response);
+      });
+  });
+});
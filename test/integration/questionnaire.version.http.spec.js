@@ -0,0 +1,154 @@
+'use strict';
+
+/* dependencies */
+const request = require('supertest');
+const { expect } = require('chai');
+const { include } = require('@lykmapipo/include');
+const { app } = include(__dirname, '..', '..');
+const {
+  tokenOf,
+  indicatorOf,
+  questionOf,
+  questionnaireOf,
+  useFixtures,
+} = require('./helpers');
+
+describe('Questionnaire Version Rest API', () => {
+  const token = tokenOf();
+  const indicator = indicatorOf('Water', 'Water Supply After Disaster');
+  const question = questionOf({
+    indicator,
+    type: 'select_one',
+    name: 'version_water_supply',
+    label: { en: 'Is there water supply?', sw: 'Kuna huduma ya maji?' },
+    choices: [
+      { name: 'yes', label: { en: 'Yes', sw: 'Ndiyo' } },
+      { name: 'no', label: { en: 'No', sw: 'Hapana' } },
+    ],
+  });
+  const questionnaire = questionnaireOf({
+    title: { en: 'Flood Recovery Analysis' },
+    sections: [
+      {
+        name: 'water_supply',
+        title: { en: 'Water Supply' },
+        questions: [question],
+      },
+    ],
+  });
+
+  useFixtures(indicator, question, questionnaire);
+
+  it('should handle HTTP POST on /questionnaires/:id/publish', done => {
+    request(app)
+      .post(`/v1/questionnaires/${questionnaire._id}/publish`)
+      .set('Accept', 'application/json')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(201)
+      .expect('Content-Type', /json/)
+      .end((error, response) => {
+        expect(error).to.not.exist;
+        const published = response.body;
+        expect(published.questionnaire).to.exist;
+        expect(published.version).to.be.equal(1);
+        expect(published.snapshot).to.exist;
+        expect(published.snapshot.status).to.be.equal('Published');
+        done(error, response);
+      });
+  });
+
+  it('should fail HTTP POST on /questionnaires/:id/publish if not exist', done => {
+    request(app)
+      .post(`/v1/questionnaires/${indicator._id}/publish`)
+      .set('Accept', 'application/json')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(404)
+      .end((error, response) => {
+        expect(error).to.not.exist;
+        done(error, response);
+      });
+  });
+
+  it('should handle HTTP GET on /questionnaires/:id/versions', done => {
+    request(app)
+      .get(`/v1/questionnaires/${questionnaire._id}/versions`)
+      .set('Accept', 'application/json')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200)
+      .expect('Content-Type', /json/)
+      .end((error, response) => {
+        expect(error).to.not.exist;
+        expect(response.body.data).to.have.length(1);
+        expect(response.body.total).to.be.equal(1);
+        done(error, response);
+      });
+  });
+
+  it('should fail HTTP GET on /questionnaires/:id/versions if invalid', done => {
+    request(app)
+      .get('/v1/questionnaires/invalid/versions')
+      .set('Accept', 'application/json')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(400)
+      .end((error, response) => {
+        expect(error).to.not.exist;
+        done(error, response);
+      });
+  });
+
+  it('should handle HTTP GET on /questionnaires/:id/versions/:version', done => {
+    request(app)
+      .get(`/v1/questionnaires/${questionnaire._id}/versions/1`)
+      .set('Accept', 'application/json')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200)
+      .expect('Content-Type', /json/)
+      .end((error, response) => {
+        expect(error).to.not.exist;
+        expect(response.body.version).to.be.equal(1);
+        expect(response.body.snapshot.sections).to.have.length(1);
+        done(error, response);
+      });
+  });
+
+  it('should fail HTTP GET on /questionnaires/:id/versions/:version if not exist', done => {
+    request(app)
+      .get(`/v1/questionnaires/${questionnaire._id}/versions/99`)
+      .set('Accept', 'application/json')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(404)
+      .end((error, response) => {
+        expect(error).to.not.exist;
+        done(error, response);
+      });
+  });
+
+  it('should handle HTTP GET on /formList', done => {
+    request(app)
+      .get('/v1/formList')
+      .set('Accept', 'text/xml')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200)
+      .expect('Content-Type', /xml/)
+      .expect('X-OpenRosa-Version', '1.0')
+      .end((error, response) => {
+        expect(error).to.not.exist;
+        expect(response.text).to.contain('<xforms');
+        expect(response.text).to.contain(
+          `/questionnaires/${questionnaire._id}/xform`
+        );
+        done(error, response);
+      });
+  });
+
+  it('should fail HTTP GET on /formList if not authenticated', done => {
+    request(app)
+      .get('/v1/formList')
+      .set('Accept', 'text/xml')
+      .expect(401)
+      .end((error, response) => {
+        expect(error).to.not.exist;
+        done(error, response);
+      });
+  });
+});
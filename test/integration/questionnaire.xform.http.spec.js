@@ -0,0 +1,135 @@
+'use strict';
+
+/* dependencies */
+const request = require('supertest');
+const { expect } = require('chai');
+const { include } = require('@lykmapipo/include');
+const { app, QuestionnaireVersion } = include(__dirname, '..', '..');
+const {
+  tokenOf,
+  indicatorOf,
+  questionOf,
+  questionnaireOf,
+  useFixtures,
+} = require('./helpers');
+
+describe('Questionnaire XForm Rest API', () => {
+  const token = tokenOf();
+  const viewer = tokenOf('questionnaire:view');
+  const indicator = indicatorOf('Water', 'Water Supply Before Disaster');
+  const question = questionOf({
+    indicator,
+    type: 'select_one',
+    name: 'xform_water_supply',
+    label: { en: 'Was there water supply?', sw: 'Kulikuwa na maji?' },
+    choices: [
+      { name: 'yes', label: { en: 'Yes', sw: 'Ndiyo' } },
+      { name: 'no', label: { en: 'No', sw: 'Hapana' } },
+    ],
+  });
+  const published = questionnaireOf({
+    title: { en: 'Flood Situation Analysis' },
+    sections: [
+      {
+        name: 'water_supply',
+        title: { en: 'Water Supply' },
+        questions: [question],
+      },
+    ],
+  });
+  const draft = questionnaireOf({
+    title: { en: 'Flood Response Analysis' },
+    sections: [
+      {
+        name: 'water_supply',
+        title: { en: 'Water Supply' },
+        questions: [question],
+      },
+    ],
+  });
+
+  useFixtures(indicator, question, [published, draft]);
+
+  before(done => QuestionnaireVersion.publish(published._id, done));
+
+  it('should handle HTTP GET on /questionnaires/:id/xform', done => {
+    request(app)
+      .get(`/v1/questionnaires/${published._id}/xform`)
+      .set('Accept', 'text/xml')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200)
+      .expect('Content-Type', /xml/)
+      .expect('X-OpenRosa-Version', '1.0')
+      .end((error, response) => {
+        expect(error).to.not.exist;
+        expect(response.text).to.contain('<h:html');
+        expect(response.text).to.contain('xform_water_supply');
+        done(error, response);
+      });
+  });
+
+  it('should fail HTTP GET on /questionnaires/:id/xform if not published', done => {
+    request(app)
+      .get(`/v1/questionnaires/${draft._id}/xform`)
+      .set('Accept', 'text/xml')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(404)
+      .end((error, response) => {
+        expect(error).to.not.exist;
+        done(error, response);
+      });
+  });
+
+  it('should handle HTTP GET on /questionnaires/:id/xform with basic credentials', done => {
+    request(app)
+      .get(`/v1/questionnaires/${published._id}/xform`)
+      .set('Accept', 'text/xml')
+      .auth('collect', viewer)
+      .expect(200)
+      .expect('Content-Type', /xml/)
+      .end((error, response) => {
+        expect(error).to.not.exist;
+        expect(response.text).to.contain('xform_water_supply');
+        done(error, response);
+      });
+  });
+
+  it('should handle HTTP GET on /formList with basic credentials', done => {
+    request(app)
+      .get('/v1/formList')
+      .set('Accept', 'text/xml')
+      .auth('collect', viewer)
+      .expect(200)
+      .expect('Content-Type', /xml/)
+      .expect('X-OpenRosa-Version', '1.0')
+      .end((error, response) => {
+        expect(error).to.not.exist;
+        expect(response.text).to.contain(`${published._id}/xform`);
+        done(error, response);
+      });
+  });
+
+  it('should challenge HTTP GET on /formList without credentials', done => {
+    request(app)
+      .get('/v1/formList')
+      .set('Accept', 'text/xml')
+      .expect(401)
+      .expect('WWW-Authenticate', /^Basic/)
+      .end((error, response) => {
+        expect(error).to.not.exist;
+        done(error, response);
+      });
+  });
+
+  it('should fail HTTP GET on /questionnaires/:id with basic credentials', done => {
+    request(app)
+      .get(`/v1/questionnaires/${published._id}`)
+      .set('Accept', 'application/json')
+      .auth('collect', viewer)
+      .expect(401)
+      .end((error, response) => {
+        expect(error).to.not.exist;
+        done(error, response);
+      });
+  });
+});
@@ -0,0 +1,131 @@
+'use strict';
+
+/* dependencies */
+const request = require('supertest');
+const { expect } = require('chai');
+const { include } = require('@lykmapipo/include');
+const { toXLSForm, writeXLSForm } = include(
+  __dirname,
+  '..',
+  '..',
+  'lib',
+  'xlsform'
+);
+const { app, Question } = include(__dirname, '..', '..');
+const { tokenOf } = require('./helpers');
+
+describe('Questionnaire XLSForm Import Rest API', () => {
+  const token = tokenOf();
+  const query = {
+    indicator: 'Population: Household Members',
+    assess: 'Situation',
+    stage: 'During',
+    phase: 'Response',
+  };
+  const questionnaire = {
+    title: 'Flood Situation Analysis',
+    questions: [
+      {
+        type: 'select_one',
+        name: 'xlsform_water_supply',
+        label: { en: 'Was there water supply?', sw: 'Kulikuwa na maji?' },
+        indicator: { subject: 'Water', topic: { en: 'Water Supply' } },
+        choices: [
+          { name: 'yes', label: { en: 'Yes', sw: 'Ndiyo' } },
+          { name: 'no', label: { en: 'No', sw: 'Hapana' } },
+        ],
+      },
+      {
+        type: 'integer',
+        name: 'xlsform_household_size',
+        label: 'How many people live in this household?',
+      },
+    ],
+  };
+  const invalid = {
+    title: 'Flood Response Analysis',
+    questions: [
+      {
+        type: 'text',
+        name: 'xlsform_water_source',
+        label: 'What is the source of water?',
+        relevant: '${xlsform_unknown} = "yes"',
+      },
+    ],
+  };
+  let workbook;
+  let invalidWorkbook;
+
+  before(done => {
+    writeXLSForm(toXLSForm(questionnaire), (error, buffer) => {
+      workbook = buffer;
+      done(error);
+    });
+  });
+
+  before(done => {
+    writeXLSForm(toXLSForm(invalid), (error, buffer) => {
+      invalidWorkbook = buffer;
+      done(error);
+    });
+  });
+
+  it('should handle HTTP POST on /questionnaires/xlsform', done => {
+    request(app)
+      .post('/v1/questionnaires/xlsform')
+      .query(query)
+      .set('Accept', 'application/json')
+      .set('Authorization', `Bearer ${token}`)
+      .set('Content-Type', 'application/octet-stream')
+      .send(workbook)
+      .expect(201)
+      .expect('Content-Type', /json/)
+      .end((error, response) => {
+        expect(error).to.not.exist;
+        expect(response.body).to.exist;
+
+        const imported = response.body;
+        expect(imported.questionnaire).to.exist;
+        expect(imported.questionnaire._id).to.exist;
+        expect(imported.questions).to.have.length(2);
+        expect(imported.indicators).to.have.length(2);
+        expect(imported.skipped).to.be.empty;
+        done(error, response);
+      });
+  });
+
+  it('should fail HTTP POST on /questionnaires/xlsform if invalid', done => {
+    request(app)
+      .post('/v1/questionnaires/xlsform')
+      .query(query)
+      .set('Accept', 'application/json')
+      .set('Authorization', `Bearer ${token}`)
+      .set('Content-Type', 'application/octet-stream')
+      .send(Buffer.from('not a workbook'))
+      .expect(400)
+      .end((error, response) => {
+        expect(error).to.not.exist;
+        done(error, response);
+      });
+  });
+
+  it('should not save any of invalid xlsform on HTTP POST', done => {
+    request(app)
+      .post('/v1/questionnaires/xlsform')
+      .query(query)
+      .set('Accept', 'application/json')
+      .set('Authorization', `Bearer ${token}`)
+      .set('Content-Type', 'application/octet-stream')
+      .send(invalidWorkbook)
+      .expect(400)
+      .end(error => {
+        expect(error).to.not.exist;
+        const criteria = { name: 'xlsform_water_source' };
+        Question.countDocuments(criteria, (error, count) => {
+          expect(error).to.not.exist;
+          expect(count).to.be.equal(0);
+          done(error, count);
+        });
+      });
+  });
+});
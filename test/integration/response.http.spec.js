@@ -0,0 +1,146 @@
+'use strict';
+
+/* dependencies */
+const request = require('supertest');
+const { expect } = require('chai');
+const { include } = require('@lykmapipo/include');
+const { app } = include(__dirname, '..', '..');
+const {
+  tokenOf,
+  indicatorOf,
+  questionOf,
+  questionnaireOf,
+  useFixtures,
+} = require('./helpers');
+
+describe('Response Rest API', () => {
+  const token = tokenOf();
+  const indicator = indicatorOf('Population', 'Household Size After Flood');
+  const size = questionOf({
+    stage: 'After',
+    indicator,
+    type: 'integer',
+    name: 'response_household_size',
+    label: { en: 'How many people live in this household?' },
+    required: true,
+    min: 1,
+  });
+  const questionnaire = questionnaireOf({
+    stage: 'After',
+    title: { en: 'Flood Household Size' },
+    sections: [
+      {
+        name: 'response_household',
+        title: { en: 'Household' },
+        questions: [size],
+      },
+    ],
+  });
+  const answersOf = value => ({ [size.name]: value });
+  let response;
+
+  useFixtures(indicator, size, questionnaire);
+
+  const send = (method, path, body, expected, done) => {
+    request(app)
+      [method](`/v1${path}`)
+      .set('Accept', 'application/json')
+      .set('Authorization', `Bearer ${token}`)
+      .send(body)
+      .expect(expected)
+      .expect('Content-Type', /json/)
+      .end((error, res) => {
+        expect(error).to.not.exist;
+        done(error, res.body);
+      });
+  };
+
+  it('should handle HTTP POST on /responses', done => {
+    const body = { questionnaire: questionnaire._id, answers: answersOf(4) };
+    send('post', '/responses', body, 201, (error, created) => {
+      response = created;
+      expect(created._id).to.exist;
+      expect(created.answers[size.name]).to.be.equal(4);
+      expect(created.version).to.not.exist;
+      done(error);
+    });
+  });
+
+  it('should fail HTTP POST on /responses with invalid answers', done => {
+    const body = { questionnaire: questionnaire._id, answers: answersOf(0) };
+    send('post', '/responses', body, 400, (error, body) => {
+      expect(body.errors).to.exist;
+      expect(body.errors[`answers.${size.name}`]).to.exist;
+      done(error);
+    });
+  });
+
+  it('should fail HTTP POST on /responses with missing required answers', done => {
+    const body = { questionnaire: questionnaire._id, answers: {} };
+    send('post', '/responses', body, 400, done);
+  });
+
+  it('should handle HTTP POST on /responses of published questionnaire', done => {
+    const path = `/questionnaires/${questionnaire._id}/publish`;
+    send('post', path, {}, 201, error => {
+      expect(error).to.not.exist;
+      const body = { questionnaire: questionnaire._id, answers: answersOf(2) };
+      send('post', '/responses', body, 201, (error, created) => {
+        expect(created.version).to.be.equal(1);
+        done(error);
+      });
+    });
+  });
+
+  it('should handle HTTP GET on /responses', done => {
+    request(app)
+      .get('/v1/responses')
+      .set('Accept', 'application/json')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200)
+      .expect('Content-Type', /json/)
+      .end((error, res) => {
+        expect(error).to.not.exist;
+        expect(res.body.total).to.be.equal(2);
+        expect(res.body.data).to.have.length(2);
+        done(error, res);
+      });
+  });
+
+  it('should handle HTTP GET on /responses/:id', done => {
+    send('get', `/responses/${response._id}`, {}, 200, (error, found) => {
+      expect(found._id).to.be.equal(response._id);
+      done(error);
+    });
+  });
+
+  it('should handle HTTP PATCH on /responses/:id', done => {
+    const body = { answers: answersOf(6) };
+    const path = `/responses/${response._id}`;
+    send('patch', path, body, 200, (error, patched) => {
+      expect(patched.answers[size.name]).to.be.equal(6);
+      done(error);
+    });
+  });
+
+  it('should fail HTTP PATCH on /responses/:id with invalid answers', done => {
+    const body = { answers: answersOf('many') };
+    send('patch', `/responses/${response._id}`, body, 400, done);
+  });
+
+  it('should handle HTTP PUT on /responses/:id', done => {
+    const body = { answers: answersOf(7) };
+    send('put', `/responses/${response._id}`, body, 200, (error, updated) => {
+      expect(updated.answers[size.name]).to.be.equal(7);
+      done(error);
+    });
+  });
+
+  it('should handle HTTP DELETE on /responses/:id', done => {
+    const path = `/responses/${response._id}`;
+    send('delete', path, {}, 200, (error, deleted) => {
+      expect(deleted._id).to.be.equal(response._id);
+      done(error);
+    });
+  });
+});
@@ -0,0 +1,172 @@
+'use strict';
+
+/* dependencies */
+const { expect } = require('chai');
+const { include } = require('@lykmapipo/include');
+const { matchOf, countsPipelineOf, summaryOf, rollup } = include(
+  __dirname,
+  '..',
+  '..',
+  'lib',
+  'analytics'
+);
+const { frequenciesOf, statisticsOf } = include(
+  __dirname,
+  '..',
+  '..',
+  'lib',
+  'analytics'
+);
+
+describe('Analytics', () => {
+  const questionnaire = '5c07af709404b82c5efdb438';
+  const water = { _id: 'w', subject: 'Water', topic: 'Water Supply' };
+  const shelter = { _id: 's', subject: 'Shelter', topic: 'Housing' };
+  const choices = [
+    { name: 'yes', label: { en: 'Yes' } },
+    { name: 'no', label: { en: 'No' } },
+  ];
+
+  it('should build responses criteria', () => {
+    const match = matchOf({ questionnaire, from: '2019-05-01' });
+    expect(match.questionnaire.toString()).to.be.equal(questionnaire);
+    expect(match.deletedAt).to.be.null;
+    expect(match.submittedAt.$gte).to.be.eql(new Date('2019-05-01'));
+    expect(match.submittedAt.$lte).to.not.exist;
+    expect(match.location).to.not.exist;
+  });
+
+  it('should build responses criteria with location', () => {
+    const near = '39.2083,-6.7924';
+    const bbox = '39.1,-6.9,39.3,-6.7';
+
+    let match = matchOf({ questionnaire, near, radius: 6378.1 });
+    expect(match.location.$geoWithin.$centerSphere).to.be.eql([
+      [39.2083, -6.7924],
+      0.001,
+    ]);
+
+    match = matchOf({ questionnaire, bbox });
+    const { coordinates } = match.location.$geoWithin.$geometry;
+    expect(coordinates[0]).to.have.length(5);
+    expect(coordinates[0][0]).to.be.eql([39.1, -6.9]);
+
+    match = matchOf({ questionnaire, near, radius: 100, bbox });
+    expect(match.location).to.not.exist;
+    expect(match.$and).to.have.length(2);
+  });
+
+  it('should fail to build criteria with invalid options', () => {
+    expect(matchOf({})).to.be.an('error');
+    expect(matchOf({ questionnaire, from: 'never' }).status).to.be.equal(400);
+    expect(matchOf({ questionnaire, near: '39.2' }).message).to.be.equal(
+      'Invalid Location'
+    );
+    expect(matchOf({ questionnaire, near: '39.2,-6.7' })).to.be.an('error');
+    expect(matchOf({ questionnaire, bbox: '1,2,3' })).to.be.an('error');
+  });
+
+  it('should build answer counts pipeline', () => {
+    const match = matchOf({ questionnaire });
+
+    const flat = countsPipelineOf(match, { name: 'water_supply' });
+    expect(flat).to.be.eql([
+      { $match: match },
+      { $group: { _id: '$answers.water_supply', count: { $sum: 1 } } },
+    ]);
+
+    const repeat = { name: 'member_age', repeat: 'members' };
+    const repeated = countsPipelineOf(match, repeat);
+    expect(repeated).to.have.length(3);
+    expect(repeated[1]).to.be.eql({ $unwind: '$answers.members' });
+    expect(repeated[2].$group._id).to.be.equal('$answers.members.member_age');
+    expect(summaryOf(repeat, []).question.repeat).to.be.equal('members');
+  });
+
+  it('should count choice frequencies', () => {
+    const question = { type: 'select_multiple', choices };
+    const counts = [
+      { _id: 'yes', count: 2 },
+      { _id: ['yes', 'no'], count: 1 },
+      { _id: 'no maybe', count: 3 },
+    ];
+
+    expect(frequenciesOf(question, counts)).to.be.eql([
+      { name: 'yes', label: { en: 'Yes' }, count: 3 },
+      { name: 'no', label: { en: 'No' }, count: 4 },
+      { name: 'maybe', count: 3 },
+    ]);
+  });
+
+  it('should compute numeric statistics', () => {
+    const counts = [
+      { _id: 2, count: 1 },
+      { _id: '4', count: 1 },
+      { _id: 4, count: 1 },
+      { _id: 'many', count: 1 },
+    ];
+    expect(statisticsOf(counts)).to.be.eql({
+      count: 3,
+      min: 2,
+      max: 4,
+      mean: 10 / 3,
+      median: 4,
+    });
+
+    counts.push({ _id: 10, count: 1 });
+    expect(statisticsOf(counts).median).to.be.equal(4);
+    const even = [{ _id: 1, count: 1 }, { _id: 2, count: 1 }];
+    expect(statisticsOf(even).median).to.be.equal(1.5);
+    expect(statisticsOf([])).to.be.eql({ count: 0 });
+  });
+
+  it('should summarize question answers', () => {
+    const question = {
+      _id: 'q',
+      name: 'water_supply',
+      label: { en: 'Water Supply' },
+      type: 'select_one',
+      indicator: water,
+      choices,
+    };
+    const counts = [{ _id: 'yes', count: 2 }, { _id: null, count: 3 }];
+
+    const summary = summaryOf(question, counts);
+    expect(summary.question).to.be.eql({
+      _id: 'q',
+      name: 'water_supply',
+      label: { en: 'Water Supply' },
+      type: 'select_one',
+    });
+    expect(summary.indicator).to.be.eql(water);
+    expect(summary.answered).to.be.equal(2);
+    expect(summary.frequencies).to.have.length(2);
+    expect(summary.statistics).to.not.exist;
+
+    const size = { name: 'household_size', type: 'integer' };
+    const numeric = summaryOf(size, [{ _id: 5, count: 2 }]);
+    expect(numeric.indicator).to.not.exist;
+    expect(numeric.statistics.mean).to.be.equal(5);
+  });
+
+  it('should rollup summaries by subject and topic', () => {
+    const summaries = [
+      { question: { name: 'a' }, indicator: water },
+      { question: { name: 'b' }, indicator: shelter },
+      { question: { name: 'c' }, indicator: water },
+      { question: { name: 'd' } },
+    ];
+
+    const subjects = rollup(summaries);
+    expect(subjects).to.have.length(2);
+    expect(subjects[0].subject).to.be.equal('Shelter');
+    expect(subjects[1].subject).to.be.equal('Water');
+    expect(subjects[1].topics).to.be.eql([
+      {
+        indicator: 'w',
+        topic: 'Water Supply',
+        questions: [{ question: { name: 'a' } }, { question: { name: 'c' } }],
+      },
+    ]);
+  });
+});
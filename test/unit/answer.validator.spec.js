@@ -0,0 +1,230 @@
+'use strict';
+
+/* jshint camelcase: false */
+
+/* dependencies */
+const { expect } = require('chai');
+const { include } = require('@lykmapipo/include');
+const { validateAnswer, validateAnswers, validateSections } = include(
+  __dirname,
+  '..',
+  '..',
+  'lib',
+  'answer.validator'
+);
+
+describe('Answer Validator', () => {
+  const choices = [{ name: 'yes' }, { name: 'no' }];
+  const questions = [
+    { type: 'integer', name: 'household_size' },
+    { type: 'decimal', name: 'water_cost' },
+    { type: 'date', name: 'visited_on' },
+    { type: 'time', name: 'visited_at' },
+    { type: 'dateTime', name: 'reported_at' },
+    { type: 'geopoint', name: 'location' },
+    { type: 'geotrace', name: 'road' },
+    { type: 'geoshape', name: 'camp' },
+    {
+      type: 'select_one',
+      name: 'water_supply',
+      choices,
+    },
+    {
+      type: 'select_multiple',
+      name: 'water_sources',
+      choices: [{ name: 'tap' }, { name: 'well' }, { name: 'river' }],
+    },
+  ];
+  const question = name => questions.find(q => q.name === name);
+
+  it('should validate integer answer', () => {
+    expect(validateAnswer(question('household_size'), 5)).to.not.exist;
+    expect(validateAnswer(question('household_size'), '5')).to.not.exist;
+    expect(validateAnswer(question('household_size'), 5.5)).to.exist;
+    expect(validateAnswer(question('household_size'), 'five')).to.exist;
+    expect(validateAnswer(question('household_size'), '')).to.not.exist;
+  });
+
+  it('should validate decimal answer', () => {
+    expect(validateAnswer(question('water_cost'), 5.5)).to.not.exist;
+    expect(validateAnswer(question('water_cost'), '5.5')).to.not.exist;
+    expect(validateAnswer(question('water_cost'), 'cheap')).to.exist;
+  });
+
+  it('should validate date and time answers', () => {
+    expect(validateAnswer(question('visited_on'), '2019-05-31')).to.not.exist;
+    expect(validateAnswer(question('visited_on'), '2019-13-31')).to.exist;
+    expect(validateAnswer(question('visited_on'), 'yesterday')).to.exist;
+    expect(validateAnswer(question('visited_at'), '12:30')).to.not.exist;
+    expect(validateAnswer(question('visited_at'), '12:30:15.000+03:00')).to.not
+      .exist;
+    expect(validateAnswer(question('visited_at'), '25:30')).to.exist;
+    expect(validateAnswer(question('reported_at'), '2019-05-31T12:30:00Z')).to
+      .not.exist;
+    expect(validateAnswer(question('reported_at'), new Date())).to.not.exist;
+    expect(validateAnswer(question('reported_at'), 'now')).to.exist;
+  });
+
+  it('should validate date answers strictly', () => {
+    expect(validateAnswer(question('visited_on'), '2020-02-29')).to.not.exist;
+    expect(validateAnswer(question('visited_on'), '2020-02-31')).to.exist;
+    expect(validateAnswer(question('visited_on'), '2021-02-29')).to.exist;
+    expect(validateAnswer(question('visited_on'), '2019-05-31T12:30')).to.exist;
+    expect(validateAnswer(question('reported_at'), '2021-02-29T12:30:00Z')).to
+      .exist;
+    expect(validateAnswer(question('reported_at'), '2019-05-31')).to.exist;
+    expect(validateAnswer(question('reported_at'), 'May 31, 2019')).to.exist;
+  });
+
+  it('should validate geo answers', () => {
+    const point = [-6.7924, 39.2083, 10, 5];
+    const shape = [[-6.1, 39.1], [-6.2, 39.1], [-6.2, 39.2], [-6.1, 39.1]];
+
+    expect(validateAnswer(question('location'), point)).to.not.exist;
+    expect(validateAnswer(question('location'), '-6.7924 39.2083 10 5')).to.not
+      .exist;
+    expect(validateAnswer(question('location'), [-96, 39])).to.exist;
+    expect(validateAnswer(question('location'), [-6])).to.exist;
+    expect(validateAnswer(question('road'), [point, point])).to.not.exist;
+    expect(validateAnswer(question('road'), [point])).to.exist;
+    expect(validateAnswer(question('camp'), shape)).to.not.exist;
+    expect(validateAnswer(question('camp'), shape.slice(0, 3))).to.exist;
+  });
+
+  it('should validate select answers', () => {
+    expect(validateAnswer(question('water_supply'), 'yes')).to.not.exist;
+    expect(validateAnswer(question('water_supply'), 'maybe')).to.exist;
+    expect(validateAnswer(question('water_sources'), ['tap', 'well'])).to.not
+      .exist;
+    expect(validateAnswer(question('water_sources'), 'tap river')).to.not.exist;
+    expect(validateAnswer(question('water_sources'), ['tap', 'lake'])).to.exist;
+  });
+
+  it('should validate answer range', () => {
+    const size = { type: 'integer', name: 'household_size', min: 1, max: 50 };
+    const date = { type: 'date', name: 'visited_on', max: '2019-12-31' };
+
+    expect(validateAnswer(size, 5)).to.not.exist;
+    expect(validateAnswer(size, -1)).to.exist;
+    expect(validateAnswer(size, 51)).to.exist;
+    expect(validateAnswer(date, '2019-05-31')).to.not.exist;
+    expect(validateAnswer(date, '2020-01-01')).to.exist;
+  });
+
+  it('should validate answer constraint', () => {
+    const children = {
+      type: 'integer',
+      name: 'children_count',
+      constraint: '. <= ${household_size}',
+      constraintMessage: 'Must not exceed household size',
+    };
+
+    expect(validateAnswer(children, 2, { household_size: 5 })).to.not.exist;
+    expect(validateAnswer(children, 6, { household_size: 5 })).to.be.eql({
+      name: 'children_count',
+      type: 'integer',
+      value: 6,
+      message: 'Must not exceed household size',
+    });
+  });
+
+  it('should reject answers of expressions that can not be evaluated', () => {
+    const patterned = [
+      { type: 'text', name: 'pattern' },
+      { type: 'text', name: 'code', constraint: 'regex(., ${pattern})' },
+      { type: 'text', name: 'notes', relevant: 'regex(${code}, ${pattern})' },
+    ];
+
+    const errors = validateAnswers(patterned, { pattern: '[', code: 'A1' });
+    expect(errors).to.have.length(2);
+    expect(errors[0].name).to.be.equal('code');
+    expect(errors[0].message).to.match(/code constraint can not be evaluated/);
+    expect(errors[1].name).to.be.equal('notes');
+    expect(errors[1].message).to.match(/notes relevant can not be evaluated/);
+  });
+
+  it('should validate required relevant answers', () => {
+    const required = [
+      { type: 'select_one', name: 'water_supply', required: true, choices },
+      {
+        type: 'text',
+        name: 'water_quality',
+        required: true,
+        relevant: '${water_supply} = "yes"',
+      },
+    ];
+
+    expect(validateAnswers(required, { water_supply: 'no' })).to.be.empty;
+
+    const errors = validateAnswers(required, { water_supply: 'yes' });
+    expect(errors).to.have.length(1);
+    expect(errors[0].name).to.be.equal('water_quality');
+    expect(errors[0].message).to.be.equal('water_quality is required');
+
+    expect(validateAnswers(required, {})).to.have.length(1);
+  });
+
+  it('should validate repeat section answers', () => {
+    const sections = [
+      { questions: [{ type: 'integer', name: 'household_size' }] },
+      {
+        name: 'members',
+        repeatable: true,
+        minCount: 1,
+        maxCount: 2,
+        questions: [
+          {
+            type: 'integer',
+            name: 'member_age',
+            required: true,
+            relevant: '${household_size} > 0',
+          },
+        ],
+      },
+    ];
+
+    const valid = { household_size: 2, members: [{ member_age: 5 }] };
+    expect(validateSections(sections, valid)).to.be.empty;
+
+    const invalid = {
+      household_size: 2,
+      members: [{ member_age: 5.5 }, {}, { member_age: 3 }],
+    };
+    const errors = validateSections(sections, invalid);
+    expect(errors).to.have.length(3);
+    expect(errors[0].name).to.be.equal('members');
+    expect(errors[0].message).to.be.equal(
+      'members must have at most 2 entries'
+    );
+    expect(errors[1].name).to.be.equal('members[0].member_age');
+    expect(errors[2].name).to.be.equal('members[1].member_age');
+    expect(errors[2].message).to.be.equal('member_age is required');
+
+    const missing = validateSections(sections, { household_size: 2 });
+    expect(missing).to.have.length(1);
+    expect(missing[0].message).to.contain('at least 1');
+  });
+
+  it('should return structured answer error', () => {
+    const error = validateAnswer(question('household_size'), 5.5);
+
+    expect(error).to.be.eql({
+      name: 'household_size',
+      type: 'integer',
+      value: 5.5,
+      message: 'household_size must be a whole number',
+    });
+  });
+
+  it('should validate answers keyed by question name', () => {
+    const answers = { household_size: 5, water_supply: 'maybe', other: 1 };
+    const errors = validateAnswers(questions, answers);
+
+    expect(errors).to.have.length(2);
+    expect(errors[0].name).to.be.equal('water_supply');
+    expect(errors[1].name).to.be.equal('other');
+    expect(
+      validateAnswers(questions, answers, { strict: false })
+    ).to.have.length(1);
+  });
+});
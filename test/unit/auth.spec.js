@@ -0,0 +1,202 @@
+'use strict';
+
+/* dependencies */
+const path = require('path');
+const { expect } = require('chai');
+const jwt = require('jsonwebtoken');
+const { include } = require('@lykmapipo/include');
+const {
+  isAuthEnabled,
+  tokenOf,
+  basicTokenOf,
+  scopesOf,
+  scopeOf,
+  hasScope,
+  authenticate,
+  authenticateOpenRosa,
+  authorize,
+  authorizeBulk,
+} = include(__dirname, '..', '..', 'lib', 'auth');
+
+describe('Auth', () => {
+  const secret = 'test-secret';
+  const requestOf = (method, token) => {
+    const authorization = token ? `Bearer ${token}` : undefined;
+    return { method, get: () => authorization };
+  };
+
+  const basicRequestOf = (method, username, password) => {
+    const credentials = Buffer.from(`${username}:${password}`);
+    const authorization = `Basic ${credentials.toString('base64')}`;
+    return { method, get: () => authorization };
+  };
+  const responseOf = () => {
+    const headers = {};
+    return { headers, set: (key, value) => (headers[key] = value) };
+  };
+
+  // load auth with a given environment
+  const authWith = env => {
+    const lib = path.join(__dirname, '..', '..', 'lib');
+    const files = [path.join(lib, 'config.js'), path.join(lib, 'auth.js')];
+    const previous = Object.assign({}, process.env);
+    Object.assign(process.env, env);
+    files.forEach(file => delete require.cache[file]);
+    const auth = require(path.join(lib, 'auth'));
+    files.forEach(file => delete require.cache[file]);
+    Object.keys(env).forEach(key => delete process.env[key]);
+    Object.assign(process.env, previous);
+    return auth;
+  };
+
+  it('should obtain request bearer token', () => {
+    expect(tokenOf(requestOf('GET', 'abc'))).to.be.equal('abc');
+    expect(tokenOf({ get: () => 'Basic abc' })).to.be.undefined;
+    expect(tokenOf(requestOf('GET'))).to.be.undefined;
+  });
+
+  it('should obtain request basic credentials token', () => {
+    const request = basicRequestOf('GET', 'collect', 'abc');
+    expect(basicTokenOf(request)).to.be.equal('abc');
+    expect(basicTokenOf(basicRequestOf('GET', 'collect', ''))).to.be.undefined;
+    expect(basicTokenOf(requestOf('GET', 'abc'))).to.be.undefined;
+    expect(basicTokenOf({ get: () => 'Basic ' })).to.be.undefined;
+  });
+
+  it('should obtain required and granted scopes', () => {
+    expect(scopeOf('questionnaire', 'POST')).to.be.equal(
+      'questionnaire:create'
+    );
+    expect(scopeOf('question', 'delete')).to.be.equal('question:delete');
+    expect(scopeOf('indicator', 'PATCH')).to.be.equal('indicator:edit');
+    expect(scopesOf({ scope: 'question:view question:create' })).to.be.eql([
+      'question:view',
+      'question:create',
+    ]);
+    expect(scopesOf({ scopes: ['question:*'] })).to.be.eql(['question:*']);
+    expect(scopesOf()).to.be.empty;
+  });
+
+  it('should check granted scopes', () => {
+    expect(hasScope(['question:delete'], 'question:delete')).to.be.true;
+    expect(hasScope(['question:*'], 'question:delete')).to.be.true;
+    expect(hasScope(['*'], 'question:delete')).to.be.true;
+    expect(hasScope(['question:view'], 'question:delete')).to.be.false;
+    expect(hasScope(['questionnaire:*'], 'question:delete')).to.be.false;
+  });
+
+  it('should let request through if disabled', done => {
+    const auth = authWith({ AUTH_DISABLED: 'true', JWT_SECRET: '' });
+    expect(auth.isAuthEnabled()).to.be.false;
+    auth.authenticate(requestOf('DELETE'), {}, error => {
+      expect(error).to.not.exist;
+      auth.authorize('question')(requestOf('DELETE'), {}, done);
+    });
+  });
+
+  it('should fail to authenticate if not configured', done => {
+    const auth = authWith({ JWT_SECRET: '' });
+    const token = jwt.sign({ scope: '*' }, secret);
+    expect(auth.isAuthEnabled()).to.be.true;
+    auth.authenticate(requestOf('GET', token), {}, error => {
+      expect(error).to.exist;
+      expect(error.status).to.be.equal(500);
+      expect(error.message).to.be.equal('Authentication Not Configured');
+      done();
+    });
+  });
+
+  it('should authenticate and authorize request', done => {
+    expect(isAuthEnabled()).to.be.true;
+    const token = jwt.sign({ scope: 'questionnaire:create' }, secret);
+    const request = requestOf('POST', token);
+
+    authenticate(request, {}, error => {
+      expect(error).to.not.exist;
+      expect(request.jwt).to.exist;
+      authorize('questionnaire')(request, {}, error => {
+        expect(error).to.not.exist;
+        request.method = 'DELETE';
+        authorize('questionnaire')(request, {}, error => {
+          expect(error).to.exist;
+          expect(error.status).to.be.equal(403);
+          done();
+        });
+      });
+    });
+  });
+
+  it('should authorize bulk request operations', done => {
+    const request = requestOf('POST');
+    request.jwt = { scope: 'question:create question:edit' };
+    request.body = { inserts: [{}], patches: [{}] };
+
+    authorizeBulk('question')(request, {}, error => {
+      expect(error).to.not.exist;
+      request.body.deletes = ['5c07af709404b82c5efdb438'];
+      authorizeBulk('question')(request, {}, error => {
+        expect(error).to.exist;
+        expect(error.status).to.be.equal(403);
+        expect(error.message).to.be.equal('Insufficient Scope question:delete');
+        done();
+      });
+    });
+  });
+
+  it('should fail to authenticate invalid request', done => {
+    const token = jwt.sign({ scope: '*' }, 'other-secret');
+
+    authenticate(requestOf('GET'), {}, error => {
+      expect(error).to.exist;
+      expect(error.status).to.be.equal(401);
+      authenticate(requestOf('GET', token), {}, error => {
+        expect(error).to.exist;
+        expect(error.status).to.be.equal(401);
+        done();
+      });
+    });
+  });
+
+  it('should authenticate OpenRosa request with basic credentials', done => {
+    const token = jwt.sign({ scope: 'questionnaire:view' }, secret);
+    const request = basicRequestOf('GET', 'collect', token);
+
+    authenticateOpenRosa(request, responseOf(), error => {
+      expect(error).to.not.exist;
+      expect(request.jwt).to.exist;
+      authenticate(request, responseOf(), error => {
+        expect(error).to.exist;
+        expect(error.status).to.be.equal(401);
+        done();
+      });
+    });
+  });
+
+  it('should authenticate OpenRosa request with bearer token', done => {
+    const token = jwt.sign({ scope: 'questionnaire:view' }, secret);
+    const request = requestOf('GET', token);
+
+    authenticateOpenRosa(request, responseOf(), error => {
+      expect(error).to.not.exist;
+      expect(request.jwt).to.exist;
+      done();
+    });
+  });
+
+  it('should challenge unauthenticated OpenRosa request', done => {
+    const token = jwt.sign({ scope: '*' }, 'other-secret');
+    const response = responseOf();
+
+    authenticateOpenRosa(requestOf('GET'), response, error => {
+      expect(error).to.exist;
+      expect(error.status).to.be.equal(401);
+      expect(response.headers['WWW-Authenticate']).to.match(/^Basic/);
+      const request = basicRequestOf('GET', 'collect', token);
+      authenticateOpenRosa(request, responseOf(), error => {
+        expect(error).to.exist;
+        expect(error.status).to.be.equal(401);
+        done();
+      });
+    });
+  });
+});
@@ -0,0 +1,90 @@
+'use strict';
+
+/* dependencies */
+const { expect } = require('chai');
+const { include } = require('@lykmapipo/include');
+const { toItems, toReport } = include(__dirname, '..', '..', 'lib', 'bulk');
+const { Indicator, Question } = include(__dirname, '..', '..');
+
+describe('Bulk', () => {
+  it('should be plugged into models', () => {
+    expect(Indicator.bulk).to.be.a('function');
+    expect(Question.bulk).to.be.a('function');
+  });
+
+  it('should flatten batch into items', () => {
+    const question = new Question({ name: 'water_supply' });
+    const items = toItems({
+      inserts: [{ name: 'water_supply' }, { name: 'water_quality' }],
+      patches: [{ _id: question._id, name: 'water_source' }],
+      deletes: [question._id],
+    });
+
+    expect(items).to.have.length(4);
+    expect(items[1]).to.be.eql({
+      operation: 'insert',
+      index: 1,
+      data: { name: 'water_quality' },
+    });
+    expect(items[2].operation).to.be.equal('patch');
+    expect(items[3].operation).to.be.equal('delete');
+    expect(items[3].index).to.be.equal(0);
+    expect(items[3].data._id).to.be.equal(question._id);
+  });
+
+  it('should report items results', () => {
+    const instance = new Question({ name: 'water_supply' });
+    const items = [
+      { operation: 'insert', index: 0, data: {}, instance },
+      {
+        operation: 'delete',
+        index: 0,
+        data: { _id: instance._id },
+        error: new Error('Not Found'),
+      },
+    ];
+
+    const report = toReport(items);
+    expect(report.atomic).to.be.false;
+    expect(report.committed).to.be.true;
+    expect(report.total).to.be.equal(2);
+    expect(report.ok).to.be.equal(1);
+    expect(report.failed).to.be.equal(1);
+    expect(report.results[0]).to.be.eql({
+      operation: 'insert',
+      index: 0,
+      _id: instance._id,
+      status: 'ok',
+    });
+    expect(report.results[1].error).to.be.eql({
+      name: 'Error',
+      message: 'Not Found',
+    });
+
+    items[0].instance = undefined;
+    const atomic = toReport(items, { atomic: true });
+    expect(atomic.committed).to.be.false;
+    expect(atomic.skipped).to.be.equal(1);
+    expect(atomic.results[0].status).to.be.equal('skipped');
+  });
+
+  it('should report patch without id', done => {
+    const batch = { patches: [{ name: 'water_supply' }] };
+    Question.bulk(batch, (error, report) => {
+      expect(error).to.not.exist;
+      expect(report.failed).to.be.equal(1);
+      expect(report.results[0].error.message).to.be.equal(
+        'Missing Instance Id'
+      );
+      done();
+    });
+  });
+
+  it('should fail on empty batch', done => {
+    Question.bulk({}, error => {
+      expect(error).to.exist;
+      expect(error.status).to.be.equal(400);
+      done();
+    });
+  });
+});
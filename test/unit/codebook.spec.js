@@ -0,0 +1,168 @@
+'use strict';
+
+/* dependencies */
+const { expect } = require('chai');
+const { include } = require('@lykmapipo/include');
+const { toCodebook, toMarkdown, toHtml, toCsv, writeCodebook } = include(
+  __dirname,
+  '..',
+  '..',
+  'lib',
+  'codebook'
+);
+
+describe('Codebook', () => {
+  const indicator = {
+    subject: 'Water',
+    topic: { en: 'Water Supply', sw: 'Huduma ya Maji' },
+  };
+  const questionnaire = {
+    title: { en: 'Flood Situation Analysis' },
+    description: { en: 'Assess water <access>' },
+    sections: [
+      {
+        name: 'water',
+        title: { en: 'Water', sw: 'Maji' },
+        questions: [
+          {
+            name: 'water_sources',
+            label: { en: 'Water sources | today', sw: 'Vyanzo vya maji' },
+            help: { en: 'Select all that apply' },
+            type: 'select_multiple',
+            indicator,
+            choices: [
+              { name: 'tap', label: { en: 'Tap', sw: 'Bomba' } },
+              { name: 'well', label: { en: 'Well' } },
+            ],
+          },
+          { name: 'household_size', label: 'Household Size', type: 'integer' },
+        ],
+      },
+    ],
+  };
+
+  it('should build codebook of questionnaire', () => {
+    const codebook = toCodebook(questionnaire, { locale: 'sw' });
+
+    expect(codebook.formId).to.be.equal('flood_situation_analysis');
+    expect(codebook.title).to.be.equal('Flood Situation Analysis');
+    expect(codebook.sections).to.have.length(1);
+    expect(codebook.sections[0].title).to.be.equal('Maji');
+
+    const [sources, size] = codebook.sections[0].questions;
+    expect(sources).to.be.eql({
+      name: 'water_sources',
+      label: 'Vyanzo vya maji',
+      type: 'select_multiple',
+      help: 'Select all that apply',
+      subject: 'Water',
+      topic: 'Huduma ya Maji',
+      choices: [
+        { name: 'tap', label: 'Bomba' },
+        { name: 'well', label: 'Well' },
+      ],
+      columns: ['water_sources_tap', 'water_sources_well'],
+    });
+    expect(size.label).to.be.equal('Household Size');
+    expect(size.subject).to.not.exist;
+    expect(size.choices).to.be.empty;
+    expect(size.columns).to.be.eql(['household_size']);
+  });
+
+  it('should build codebook columns of repeatable sections', () => {
+    const repeated = {
+      title: { en: 'Flood Household Analysis' },
+      sections: [
+        {
+          name: 'household',
+          title: { en: 'Household' },
+          questions: [{ name: 'household_size', type: 'integer' }],
+        },
+        {
+          name: 'members',
+          title: { en: 'Members' },
+          repeatable: true,
+          questions: [
+            { name: 'member_age', type: 'integer' },
+            {
+              name: 'member_needs',
+              type: 'select_multiple',
+              choices: [{ name: 'food' }, { name: 'water' }],
+            },
+          ],
+        },
+      ],
+    };
+
+    const [household, members] = toCodebook(repeated).sections;
+    expect(household.questions[0].columns).to.be.eql(['household_size']);
+    expect(members.questions[0].columns).to.be.eql(['members[0].member_age']);
+    expect(members.questions[1].columns).to.be.eql([
+      'members[0].member_needs_food',
+      'members[0].member_needs_water',
+    ]);
+
+    const counted = toCodebook(repeated, { counts: { members: 2 } });
+    expect(counted.sections[1].questions[0].columns).to.be.eql([
+      'members[0].member_age',
+      'members[1].member_age',
+    ]);
+  });
+
+  it('should format codebook as markdown', () => {
+    const markdown = toMarkdown(toCodebook(questionnaire));
+
+    expect(markdown).to.contain('# Flood Situation Analysis Codebook\n');
+    expect(markdown).to.contain('## Water\n');
+    expect(markdown).to.contain('### water_sources\n');
+    expect(markdown).to.contain('- **Label:** Water sources \\| today\n');
+    expect(markdown).to.contain('- **Topic:** Water Supply\n');
+    expect(markdown).to.contain('| tap | Tap |\n');
+    expect(markdown).to.contain('`water_sources_tap`, `water_sources_well`');
+  });
+
+  it('should format codebook as html', () => {
+    const html = toHtml(toCodebook(questionnaire));
+
+    expect(html).to.contain('<title>Flood Situation Analysis Codebook</title>');
+    expect(html).to.contain('<p>Assess water &lt;access&gt;</p>');
+    expect(html).to.contain('<li><code>tap</code> Tap</li>');
+    expect(html).to.contain('<td><code>household_size</code></td>');
+  });
+
+  it('should format codebook as csv', () => {
+    const lines = toCsv(toCodebook(questionnaire)).split('\r\n');
+
+    expect(lines).to.have.length(4);
+    expect(lines[0]).to.be.equal(
+      'section,name,label,type,help,subject,topic,choices,columns'
+    );
+    expect(lines[1]).to.be.equal(
+      [
+        'Water',
+        'water_sources',
+        'Water sources | today',
+        'select_multiple',
+        'Select all that apply',
+        'Water',
+        'Water Supply',
+        'tap=Tap; well=Well',
+        'water_sources_tap water_sources_well',
+      ].join(',')
+    );
+  });
+
+  it('should write codebook in a given format', () => {
+    const codebook = toCodebook(questionnaire);
+
+    const markdown = writeCodebook(codebook);
+    expect(markdown.filename).to.be.equal(
+      'flood_situation_analysis_codebook.md'
+    );
+    expect(markdown.contentType).to.contain('text/markdown');
+
+    const csv = writeCodebook(codebook, 'csv');
+    expect(csv.filename).to.be.equal('flood_situation_analysis_codebook.csv');
+    expect(csv.content).to.be.equal(toCsv(codebook));
+  });
+});
@@ -0,0 +1,58 @@
+'use strict';
+
+/* dependencies */
+const { expect } = require('chai');
+const { include } = require('@lykmapipo/include');
+const config = include(__dirname, '..', '..', 'lib', 'config');
+const {
+  Indicator,
+  Question,
+  Questionnaire,
+  QuestionnaireVersion,
+  Response: ResponseModel,
+} = include(__dirname, '..', '..');
+
+describe('Config', () => {
+  it('should have namespaced model names', () => {
+    expect(Indicator.MODEL_NAME).to.be.equal(config.INDICATOR_MODEL_NAME);
+    expect(Question.MODEL_NAME).to.be.equal(config.QUESTION_MODEL_NAME);
+    expect(Questionnaire.MODEL_NAME).to.be.equal(
+      config.QUESTIONNAIRE_MODEL_NAME
+    );
+    expect(QuestionnaireVersion.MODEL_NAME).to.be.equal(
+      config.QUESTIONNAIRE_VERSION_MODEL_NAME
+    );
+    expect(ResponseModel.MODEL_NAME).to.be.equal(config.RESPONSE_MODEL_NAME);
+  });
+
+  it('should have namespaced collection names', () => {
+    expect(Indicator.collection.name).to.be.equal(
+      config.INDICATOR_COLLECTION_NAME
+    );
+    expect(Question.collection.name).to.be.equal(
+      config.QUESTION_COLLECTION_NAME
+    );
+    expect(Questionnaire.collection.name).to.be.equal(
+      config.QUESTIONNAIRE_COLLECTION_NAME
+    );
+    expect(QuestionnaireVersion.collection.name).to.be.equal(
+      config.QUESTIONNAIRE_VERSION_COLLECTION_NAME
+    );
+    expect(ResponseModel.collection.name).to.be.equal(
+      config.RESPONSE_COLLECTION_NAME
+    );
+  });
+
+  it('should share enums between models', () => {
+    expect(Question.TYPES).to.be.equal(config.TYPES);
+    expect(Question.ASSESS).to.be.equal(config.ASSESS);
+    expect(Questionnaire.ASSESS).to.be.equal(config.ASSESS);
+    expect(Question.STAGES).to.be.equal(config.STAGES);
+    expect(Questionnaire.STAGES).to.be.equal(config.STAGES);
+    expect(Question.PHASES).to.be.equal(config.PHASES);
+    expect(Questionnaire.PHASES).to.be.equal(config.PHASES);
+    expect(Indicator.SUBJECTS).to.be.equal(config.SUBJECTS);
+    expect(config.TYPES).to.include.members(config.SELECT_TYPES);
+    expect(config.TYPES).to.include.members(config.RANGE_TYPES);
+  });
+});
@@ -0,0 +1,138 @@
+'use strict';
+
+/* dependencies */
+const _ = require('lodash');
+const sinon = require('sinon');
+const { expect } = require('chai');
+const { include } = require('@lykmapipo/include');
+const { Schema, Query } = require('@lykmapipo/mongoose-common');
+const {
+  pullPathOf,
+  sessionOptionsOf,
+  isRequiredRelation,
+  dependentsError,
+  deletePolicy,
+} = include(__dirname, '..', '..', 'lib', 'delete.policy');
+const { Indicator, Question } = include(__dirname, '..', '..');
+
+describe('Delete Policy', () => {
+  it('should apply delete policy on models', () => {
+    expect(Indicator.DELETE_POLICY).to.be.equal('restrict');
+    expect(Indicator.SOFT_DELETE).to.be.false;
+    expect(Indicator.DELETE_RELATIONS).to.have.length(2);
+    expect(Question.DELETE_POLICY).to.be.equal('restrict');
+    expect(Question.DELETE_RELATIONS).to.have.length(2);
+    expect(new Indicator().beforeDelete).to.be.a('function');
+    expect(new Question().beforeDelete).to.be.a('function');
+  });
+
+  it('should reject unknown delete policy', () => {
+    const schema = new Schema({});
+    const plug = () => schema.plugin(deletePolicy, { policy: 'ignore' });
+    expect(plug).to.throw('Unknown Delete Policy ignore');
+  });
+
+  it('should derive pull path of array references', () => {
+    expect(pullPathOf('questions')).to.be.equal('questions');
+    expect(pullPathOf('sections.questions')).to.be.equal(
+      'sections.$[].questions'
+    );
+  });
+
+  it('should check required relations', () => {
+    const indicator = { modelName: 'Question', path: 'indicator' };
+    const base = { modelName: 'Indicator', path: 'base' };
+    const questions = { modelName: 'Questionnaire', path: 'questions' };
+    expect(isRequiredRelation(indicator)).to.be.true;
+    expect(isRequiredRelation(base)).to.be.false;
+    expect(isRequiredRelation(Object.assign({ array: true }, questions))).to.be
+      .false;
+  });
+
+  it('should list dependents on restrict error', () => {
+    const question = new Question({ name: 'water_supply' });
+    const error = dependentsError([
+      {
+        modelName: 'Question',
+        path: 'indicator',
+        _id: question._id,
+        label: question.name,
+      },
+    ]);
+
+    expect(error.status).to.be.equal(409);
+    expect(error.message).to.be.equal('Has Dependents');
+    expect(error.errors[`Question.${question._id}`]).to.be.eql({
+      message: 'water_supply',
+      name: 'Question',
+      kind: 'restrict',
+      path: 'indicator',
+      value: question._id.toString(),
+    });
+  });
+
+  describe('within session', () => {
+    const session = { id: 'session' };
+
+    afterEach(() => sinon.restore());
+
+    it('should obtain session options of instance', () => {
+      const indicator = new Indicator();
+      expect(sessionOptionsOf(indicator)).to.be.eql({});
+      indicator.$session(session);
+      expect(sessionOptionsOf(indicator).session).to.be.equal(session);
+    });
+
+    it('should find dependents within session of instance', done => {
+      const exec = sinon.stub(Query.prototype, 'exec').yields(null, []);
+      const indicator = new Indicator();
+      indicator.$session(session);
+
+      indicator.findDependents((error, dependents) => {
+        expect(error).to.not.exist;
+        expect(dependents).to.be.empty;
+        expect(exec.callCount).to.be.equal(2);
+        _.forEach(exec.thisValues, query => {
+          expect(query.options.session).to.be.equal(session);
+        });
+        done(error);
+      });
+    });
+
+    it('should nullify dependents within session of instance', done => {
+      const updates = [
+        sinon.stub(Question, 'updateMany').yields(null),
+        sinon.stub(Indicator, 'updateMany').yields(null),
+      ];
+      const indicator = new Indicator();
+      indicator.$session(session);
+
+      indicator.nullifyDependents(error => {
+        expect(error).to.not.exist;
+        _.forEach(updates, updateMany => {
+          expect(updateMany.calledOnce).to.be.true;
+          expect(updateMany.firstCall.args[2]).to.be.eql({ session });
+        });
+        done(error);
+      });
+    });
+
+    it('should cascade delete dependents within session of instance', done => {
+      const question = new Question({ name: 'water_supply' });
+      const del = sinon.stub(question, 'del').yields(null, question);
+      const exec = sinon.stub(Query.prototype, 'exec').yields(null, question);
+      const indicator = new Indicator();
+      indicator.$session(session);
+
+      const dependents = [{ modelName: 'Question', _id: question._id }];
+      indicator.cascadeDependents(dependents, error => {
+        expect(error).to.not.exist;
+        expect(exec.firstCall.thisValue.options.session).to.be.equal(session);
+        expect(question.$session()).to.be.equal(session);
+        expect(del.calledOnce).to.be.true;
+        expect(del.firstCall.args[0]).to.be.eql({ soft: false });
+        done(error);
+      });
+    });
+  });
+});
@@ -0,0 +1,228 @@
+'use strict';
+
+/* jshint camelcase: false */
+
+/* dependencies */
+const { Readable } = require('stream');
+const { expect } = require('chai');
+const { Workbook } = require('exceljs');
+const { include } = require('@lykmapipo/include');
+const { columnsOf, toRow, toCsvLine, writeResponses } = include(
+  __dirname,
+  '..',
+  '..',
+  'lib',
+  'export'
+);
+
+describe('Export', () => {
+  const questions = [
+    { name: 'household_size', type: 'integer' },
+    {
+      name: 'water_sources',
+      type: 'select_multiple',
+      choices: [{ name: 'tap' }, { name: 'well' }],
+    },
+    { name: 'household_location', type: 'geopoint' },
+  ];
+  const responses = [
+    {
+      _id: '5cf0f3d0f6e6c21bfa2a8f3e',
+      respondent: { name: 'Juma Shaban' },
+      location: { type: 'Point', coordinates: [39.2083, -6.7924] },
+      answers: {
+        household_size: 5,
+        water_sources: 'tap',
+        household_location: '-6.7924 39.2083 12 5',
+      },
+      submittedAt: new Date('2019-05-31T12:30:00.000Z'),
+    },
+    {
+      _id: '5cf0f3d0f6e6c21bfa2a8f3f',
+      answers: { household_size: 3, water_sources: ['tap', 'well'] },
+    },
+  ];
+  const columns = columnsOf(questions);
+  const headers = columns.map(column => column.header);
+
+  const cursorOf = items => {
+    const cursor = new Readable({ objectMode: true, read: () => {} });
+    items.forEach(item => cursor.push(item));
+    cursor.push(null);
+    return cursor;
+  };
+
+  const read = (stream, done) => {
+    const chunks = [];
+    stream.on('data', chunk => chunks.push(Buffer.from(chunk)));
+    stream.on('error', done);
+    stream.on('end', () => done(null, Buffer.concat(chunks)));
+  };
+
+  it('should derive columns of questions', () => {
+    expect(headers).to.include.members(['_id', '_submitted_at', '_latitude']);
+    expect(headers.slice(9)).to.be.eql([
+      'household_size',
+      'water_sources_tap',
+      'water_sources_well',
+      'household_location_lat',
+      'household_location_lon',
+      'household_location_alt',
+      'household_location_accuracy',
+    ]);
+  });
+
+  it('should flatten response into row', () => {
+    const row = toRow(columns, responses[0]);
+    expect(row._id).to.be.equal('5cf0f3d0f6e6c21bfa2a8f3e');
+    expect(row._respondent_name).to.be.equal('Juma Shaban');
+    expect(row._respondent_email).to.be.null;
+    expect(row._latitude).to.be.equal(-6.7924);
+    expect(row._longitude).to.be.equal(39.2083);
+    expect(row.household_size).to.be.equal(5);
+    expect(row.water_sources_tap).to.be.equal(1);
+    expect(row.water_sources_well).to.be.equal(0);
+    expect(row.household_location_lat).to.be.equal(-6.7924);
+    expect(row.household_location_accuracy).to.be.equal(5);
+
+    const other = toRow(columns, responses[1]);
+    expect(other.water_sources_well).to.be.equal(1);
+    expect(other.household_location_lat).to.be.null;
+    expect(toRow(columns, { answers: {} }).water_sources_tap).to.be.null;
+  });
+
+  it('should derive columns of repeatable sections', () => {
+    const repeated = [
+      { name: 'household_size', type: 'integer' },
+      { name: 'member_age', type: 'integer', repeat: 'members' },
+      { name: 'member_sex', type: 'text', repeat: 'members' },
+    ];
+    const columns = columnsOf(repeated, { members: 2 });
+    expect(columns.map(column => column.header).slice(9)).to.be.eql([
+      'household_size',
+      'members[0].member_age',
+      'members[0].member_sex',
+      'members[1].member_age',
+      'members[1].member_sex',
+    ]);
+
+    const answers = {
+      household_size: 3,
+      members: [{ member_age: 35, member_sex: 'female' }],
+    };
+    const row = toRow(columns, { answers });
+    expect(row.household_size).to.be.equal(3);
+    expect(row['members[0].member_age']).to.be.equal(35);
+    expect(row['members[0].member_sex']).to.be.equal('female');
+    expect(row['members[1].member_age']).to.be.null;
+    expect(columnsOf(repeated)).to.have.length(10);
+  });
+
+  it('should convert values into csv line', () => {
+    const date = new Date('2019-05-31T12:30:00.000Z');
+    expect(toCsvLine(['a', 'Yes, "piped"', 1, null, date, [1]])).to.be.equal(
+      'a,"Yes, ""piped""",1,,2019-05-31T12:30:00.000Z,[1]\r\n'
+    );
+  });
+
+  it('should escape formula like values', () => {
+    const values = ['=HYPERLINK("x")', '+1', '-1+2', '@SUM(A1)', -1, 'a=b'];
+    expect(toCsvLine(values)).to.be.equal(
+      `"'=HYPERLINK(""x"")",'+1,'-1+2,'@SUM(A1),-1,a=b\r\n`
+    );
+  });
+
+  it('should stream responses as csv', done => {
+    const cursor = cursorOf(responses);
+    read(writeResponses({ format: 'csv', columns, cursor }), (error, csv) => {
+      expect(error).to.not.exist;
+      const lines = csv.toString().split('\r\n');
+      expect(lines).to.have.length(4);
+      expect(lines[0]).to.be.equal(headers.join(','));
+      expect(lines[1]).to.contain('5cf0f3d0f6e6c21bfa2a8f3e,');
+      expect(lines[3]).to.be.empty;
+      done();
+    });
+  });
+
+  it('should stream responses as json lines', done => {
+    const cursor = cursorOf(responses);
+    read(
+      writeResponses({ format: 'jsonl', columns, cursor }),
+      (error, jsonl) => {
+        expect(error).to.not.exist;
+        const lines = jsonl
+          .toString()
+          .trim()
+          .split('\n');
+        expect(lines).to.have.length(2);
+        expect(JSON.parse(lines[1]).water_sources_tap).to.be.equal(1);
+        done();
+      }
+    );
+  });
+
+  it('should stream responses as xlsx', done => {
+    const cursor = cursorOf(responses);
+    read(writeResponses({ format: 'xlsx', columns, cursor }), (error, xlsx) => {
+      expect(error).to.not.exist;
+      const workbook = new Workbook();
+      workbook.xlsx
+        .load(xlsx)
+        .then(() => {
+          const sheet = workbook.getWorksheet('responses');
+          expect(sheet.rowCount).to.be.equal(3);
+          expect(sheet.getRow(1).getCell(1).value).to.be.equal('_id');
+          expect(sheet.getRow(3).getCell(10).value).to.be.equal(3);
+          done();
+        })
+        .catch(done);
+    });
+  });
+
+  it('should close cursor once csv stream is destroyed', done => {
+    const cursor = new Readable({ objectMode: true, read: () => {} });
+    cursor.close = callback => {
+      expect(cursor.destroyed).to.be.true;
+      callback();
+      done();
+    };
+    const stream = writeResponses({ format: 'csv', columns, cursor });
+    stream.once('close', () => cursor.emit('cursor'));
+    stream.destroy();
+  });
+
+  it('should close stalled cursor once xlsx stream is destroyed', done => {
+    const cursor = new Readable({ objectMode: true, read: () => {} });
+    cursor.cursor = {};
+    cursor.close = callback => {
+      expect(cursor.destroyed).to.be.true;
+      callback();
+      done();
+    };
+    const stream = writeResponses({ format: 'xlsx', columns, cursor });
+    cursor.pause();
+    stream.destroy();
+  });
+
+  it('should stream formula like values as xlsx text', done => {
+    const spoofed = [{ _id: '=cmd|" /C calc"!A0', answers: {} }];
+    const cursor = cursorOf(spoofed);
+    read(writeResponses({ format: 'xlsx', columns, cursor }), (error, xlsx) => {
+      expect(error).to.not.exist;
+      const workbook = new Workbook();
+      workbook.xlsx
+        .load(xlsx)
+        .then(() => {
+          const cell = workbook
+            .getWorksheet('responses')
+            .getRow(2)
+            .getCell(1);
+          expect(cell.formula).to.not.exist;
+          expect(cell.value).to.be.equal(`'=cmd|" /C calc"!A0`);
+          done();
+        })
+        .catch(done);
+    });
+  });
+});
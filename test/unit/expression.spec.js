@@ -0,0 +1,127 @@
+'use strict';
+
+/* jshint camelcase: false */
+
+/* dependencies */
+const { expect } = require('chai');
+const { include } = require('@lykmapipo/include');
+const {
+  parse,
+  referencesOf,
+  renameReferences,
+  evaluate,
+  isRelevant,
+  relevantQuestionsOf,
+  validateReferences,
+} = include(__dirname, '..', '..', 'lib', 'expression');
+
+describe('Expression', () => {
+  const questions = [
+    { name: 'water_supply' },
+    { name: 'water_quality', relevant: '${water_supply} = "yes"' },
+    {
+      name: 'water_treatment',
+      relevant: '${water_quality} = "poor" and ${household_size} > 2',
+    },
+    { name: 'household_size' },
+  ];
+
+  it('should parse valid expression', () => {
+    expect(parse('${water_supply} = "yes"')).to.be.a('function');
+    expect(parse('selected(${sources}, "tap") or not(${other})')).to.be.a(
+      'function'
+    );
+  });
+
+  it('should fail to parse invalid expression', () => {
+    expect(() => parse('${water_supply} = ')).to.throw(/Unexpected End/);
+    expect(() => parse('${water_supply} # 2')).to.throw(/Invalid Expression/);
+    expect(() => parse('(${household_size} > 2')).to.throw(/Expected \)/);
+    expect(() => parse('hasOwnProperty(.)')).to.throw(/Unexpected/);
+    expect(() => parse('valueOf(.)')).to.throw(/Unexpected/);
+    expect(() => parse('regex(., "[")')).to.throw(/Invalid Pattern/);
+  });
+
+  it('should fail to evaluate expression with invalid pattern', () => {
+    const expression = 'regex(., ${pattern})';
+    expect(parse(expression)).to.be.a('function');
+    expect(() => evaluate(expression, { pattern: '[' }, 'abc')).to.throw(
+      /Invalid Expression/
+    );
+  });
+
+  it('should obtain expression references', () => {
+    const expression = '${household_size} > 2 and ${ water_supply } != ${x}';
+    expect(referencesOf(expression)).to.be.eql([
+      'household_size',
+      'water_supply',
+      'x',
+    ]);
+    expect(referencesOf()).to.be.empty;
+  });
+
+  it('should evaluate expression', () => {
+    const answers = { water_supply: 'yes', household_size: '5', sources: [] };
+
+    expect(evaluate('${water_supply} = "yes"', answers)).to.be.true;
+    expect(evaluate('${household_size} >= 5', answers)).to.be.true;
+    expect(evaluate('${household_size} div 2 + 1', answers)).to.be.equal(3.5);
+    expect(evaluate('${missing} > 0', answers)).to.be.false;
+    expect(evaluate('${missing} != 0', answers)).to.be.true;
+    expect(evaluate('count-selected(${sources}) = 0', answers)).to.be.true;
+    expect(evaluate('selected("tap well", \'well\')', answers)).to.be.true;
+    expect(evaluate('. > 1 and . < 10', answers, 5)).to.be.true;
+    expect(evaluate('regex(., "^[a-z]+$")', answers, 'abc')).to.be.true;
+  });
+
+  it('should check question relevance', () => {
+    expect(isRelevant(questions[0], {})).to.be.true;
+    expect(isRelevant(questions[1], {})).to.be.false;
+    expect(isRelevant(questions[1], { water_supply: 'yes' })).to.be.true;
+  });
+
+  it('should obtain relevant questions of partial answers', () => {
+    const none = relevantQuestionsOf(questions, { water_supply: 'no' });
+    expect(none.map(q => q.name)).to.be.eql(['water_supply', 'household_size']);
+
+    const all = relevantQuestionsOf(questions, {
+      water_supply: 'yes',
+      water_quality: 'poor',
+      household_size: 5,
+    });
+    expect(all).to.have.length(4);
+
+    const skipped = relevantQuestionsOf(questions, {
+      water_supply: 'no',
+      water_quality: 'poor',
+      household_size: 5,
+    });
+    expect(skipped.map(q => q.name)).to.not.include('water_treatment');
+  });
+
+  it('should rename expression references', () => {
+    const renames = { water_supply: 'water_supply_copy' };
+    const expression = '${water_supply} = "yes" and ${ household_size } > 2';
+
+    expect(renameReferences(expression, renames)).to.be.equal(
+      '${water_supply_copy} = "yes" and ${ household_size } > 2'
+    );
+    expect(renameReferences(undefined, renames)).to.not.exist;
+  });
+
+  it('should validate expression references', () => {
+    expect(validateReferences(questions)).to.be.empty;
+
+    const errors = validateReferences([
+      { name: 'water_quality', relevant: '${water_supply} = "yes"' },
+      { name: 'household_size', relevant: '${household_size} > 0' },
+      { name: 'water_cost', relevant: '${water_quality} = ' },
+    ]);
+    expect(errors).to.have.length(3);
+    expect(errors[0].name).to.be.equal('water_quality');
+    expect(errors[0].field).to.be.equal('relevant');
+    expect(errors[0].message).to.contain('water_supply');
+    expect(errors[1].message).to.contain('references itself');
+    expect(errors[2].message).to.contain('Unexpected End');
+  });
+});
@@ -1,9 +1,11 @@
 'use strict';
 
 /* dependencies */
+const sinon = require('sinon');
 const { expect } = require('chai');
 const { include } = require('@lykmapipo/include');
 const { Schema } = require('mongoose');
+const { Query } = require('@lykmapipo/mongoose-common');
 const { Indicator } = include(__dirname, '..', '..');
 
 describe('Indicator Schema', () => {
@@ -41,9 +43,11 @@ describe('Indicator Schema', () => {
   });
 
   it('should have topic field', () => {
-    const topic = Indicator.path('topic');
+    const topic = Indicator.path('topic.en');
+    const topicSw = Indicator.path('topic.sw');
 
     expect(topic).to.exist;
+    expect(topicSw).to.exist;
     expect(topic).to.be.instanceof(Schema.Types.String);
     expect(topic.options).to.exist;
     expect(topic.options).to.be.an('object');
@@ -58,9 +62,11 @@ describe('Indicator Schema', () => {
   });
 
   it('should have description field', () => {
-    const description = Indicator.path('description');
+    const description = Indicator.path('description.en');
+    const descriptionSw = Indicator.path('description.sw');
 
     expect(description).to.exist;
+    expect(descriptionSw).to.exist;
     expect(description).to.be.instanceof(Schema.Types.String);
     expect(description.options).to.exist;
     expect(description.options).to.be.an('object');
@@ -98,4 +104,116 @@ describe('Indicator Schema', () => {
     expect(icon.options.trim).to.be.true;
     expect(icon.options.fake).to.not.exist;
   });
+
+  it('should not allow indicator to be its own base', done => {
+    const indicator = new Indicator({ subject: 'Water', topic: 'Supply' });
+    indicator.base = indicator._id;
+
+    indicator.validateHierarchy(error => {
+      expect(error).to.exist;
+      expect(error.name).to.be.equal('ValidationError');
+      expect(error.errors.base).to.exist;
+      expect(error.errors.base.kind).to.be.equal('cycle');
+      done();
+    });
+  });
+
+  it('should build indicators tree', () => {
+    const water = new Indicator({ subject: 'Water', topic: 'Water' });
+    const supply = new Indicator({
+      subject: 'Water',
+      topic: 'Supply',
+      base: water._id,
+    });
+    const quality = new Indicator({
+      subject: 'Water',
+      topic: 'Quality',
+      base: supply._id,
+    });
+    const health = new Indicator({ subject: 'Health', topic: 'Health' });
+
+    const tree = Indicator.toTree([water, supply, quality, health]);
+    expect(tree).to.have.length(2);
+    expect(tree[0].topic).to.be.eql({ en: 'Water' });
+    expect(tree[0].children).to.have.length(1);
+    expect(tree[0].children[0].topic).to.be.eql({ en: 'Supply' });
+    expect(tree[0].children[0].children[0].topic).to.be.eql({ en: 'Quality' });
+    expect(tree[1].children).to.be.empty;
+
+    const shallow = Indicator.toTree([water, supply, quality], 2);
+    expect(shallow[0].children[0].children).to.be.empty;
+    expect(Indicator.toTree([supply, quality])).to.have.length(1);
+  });
+
+  describe('hierarchy', () => {
+    const root = new Indicator({ subject: 'Water', topic: 'Supply' });
+    const child = new Indicator({ subject: 'Water', base: root._id });
+
+    afterEach(() => sinon.restore());
+
+    it('should get tree without deleted indicators', done => {
+      const exec = sinon.stub(Query.prototype, 'exec').yields(null, []);
+      Indicator.getTree({ filter: { subject: 'Water' } }, error => {
+        expect(error).to.not.exist;
+        expect(exec.firstCall.thisValue.getQuery()).to.be.eql({
+          subject: 'Water',
+          deletedAt: null,
+        });
+        done(error);
+      });
+    });
+
+    it('should get ancestors without deleted indicators', done => {
+      const exec = sinon.stub(Query.prototype, 'exec');
+      exec.onCall(0).yields(null, { _id: child._id });
+      exec.onCall(1).yields(null, { base: root._id });
+      exec.onCall(2).yields(null, {});
+      exec.onCall(3).yields(null, [root]);
+      Indicator.getAncestors(child._id, (error, ancestors) => {
+        expect(error).to.not.exist;
+        expect(ancestors).to.have.length(1);
+        const queries = exec.getCalls().map(call => call.thisValue.getQuery());
+        expect(queries[0]).to.be.eql({ _id: child._id, deletedAt: null });
+        expect(queries[1]).to.be.eql({ _id: child._id, deletedAt: null });
+        expect(queries[2]).to.be.eql({ _id: root._id, deletedAt: null });
+        expect(queries[3]).to.be.eql({
+          _id: { $in: [root._id] },
+          deletedAt: null,
+        });
+        done(error);
+      });
+    });
+
+    it('should get descendants without deleted indicators', done => {
+      const exec = sinon.stub(Query.prototype, 'exec');
+      exec.onCall(0).yields(null, { _id: root._id });
+      exec.onCall(1).yields(null, [{ _id: child._id }]);
+      exec.onCall(2).yields(null, []);
+      exec.onCall(3).yields(null, [child]);
+      Indicator.getDescendants(root._id, (error, descendants) => {
+        expect(error).to.not.exist;
+        expect(descendants).to.have.length(1);
+        const queries = exec.getCalls().map(call => call.thisValue.getQuery());
+        expect(queries[1]).to.be.eql({
+          base: { $in: [root._id] },
+          deletedAt: null,
+        });
+        expect(queries[3]).to.be.eql({
+          _id: { $in: [child._id.toString()] },
+          deletedAt: null,
+        });
+        done(error);
+      });
+    });
+
+    it('should fail to get ancestors of deleted indicator', done => {
+      const exec = sinon.stub(Query.prototype, 'exec').yields(null, null);
+      Indicator.getAncestors(child._id, error => {
+        expect(error).to.exist;
+        expect(error.status).to.be.equal(404);
+        expect(exec.calledOnce).to.be.true;
+        done();
+      });
+    });
+  });
 });
@@ -0,0 +1,112 @@
+'use strict';
+
+/* dependencies */
+const { expect } = require('chai');
+const { include } = require('@lykmapipo/include');
+const {
+  LOCALES,
+  isLocalized,
+  localized,
+  localizedPath,
+  localizedPathsOf,
+  translate,
+  translateDeep,
+  negotiateLocale,
+} = include(__dirname, '..', '..', 'lib', 'locale');
+const { Indicator, Question, Questionnaire } = include(__dirname, '..', '..');
+
+describe('Locale', () => {
+  const requestOf = (query, language) => {
+    return {
+      query,
+      get: () => language,
+      acceptsLanguages: locales => {
+        const accepted = (language || '').split(/[,;-]/);
+        return accepted.find(locale => locales.includes(locale)) || false;
+      },
+    };
+  };
+
+  it('should have supported locales', () => {
+    expect(LOCALES).to.be.eql(['en', 'sw']);
+  });
+
+  it('should check localized value', () => {
+    expect(isLocalized({ en: 'Yes', sw: 'Ndiyo' })).to.be.true;
+    expect(isLocalized({ en: 'Yes' })).to.be.true;
+    expect(isLocalized({ en: { type: 'string' } })).to.be.false;
+    expect(isLocalized({ name: 'yes' })).to.be.false;
+    expect(isLocalized('Yes')).to.be.false;
+  });
+
+  it('should normalize plain text to localized value', () => {
+    expect(localized('Yes')).to.be.eql({ en: 'Yes' });
+    expect(localized({ sw: 'Ndiyo' })).to.be.eql({ sw: 'Ndiyo' });
+    expect(localized()).to.be.undefined;
+    expect(localizedPath('title')).to.be.equal('title.en');
+  });
+
+  it('should obtain localized paths of schema', () => {
+    expect(localizedPathsOf(Indicator.schema)).to.be.eql([
+      'topic',
+      'description',
+    ]);
+    expect(Question.LOCALIZED_PATHS).to.be.eql([
+      'label',
+      'help',
+      'choices.label',
+    ]);
+    expect(Questionnaire.LOCALIZED_PATHS).to.include('sections.title');
+  });
+
+  it('should translate localized value', () => {
+    const label = { en: 'Yes', sw: 'Ndiyo' };
+
+    expect(translate(label, 'sw')).to.be.equal('Ndiyo');
+    expect(translate(label)).to.be.equal('Yes');
+    expect(translate({ en: 'No' }, 'sw')).to.be.equal('No');
+    expect(translate('Yes', 'sw')).to.be.equal('Yes');
+    expect(translate(undefined)).to.be.undefined;
+  });
+
+  it('should translate localized values deeply', () => {
+    const question = {
+      name: 'water_supply',
+      label: { en: 'Water supply?', sw: 'Huduma ya maji?' },
+      choices: [{ name: 'yes', label: { en: 'Yes', sw: 'Ndiyo' } }],
+      indicator: { subject: 'Water', topic: { en: 'Water Supply' } },
+    };
+
+    const paths = ['label', 'choices.label', 'topic'];
+
+    expect(translateDeep(question, 'sw', paths)).to.be.eql({
+      name: 'water_supply',
+      label: 'Huduma ya maji?',
+      choices: [{ name: 'yes', label: 'Ndiyo' }],
+      indicator: { subject: 'Water', topic: 'Water Supply' },
+    });
+  });
+
+  it('should not translate values out of localized paths', () => {
+    const response = {
+      questionnaire: { title: { en: 'Flood', sw: 'Mafuriko' } },
+      answers: { greeting: { en: 'Hello', sw: 'Habari' } },
+    };
+
+    expect(translateDeep(response, 'sw', ['title'])).to.be.eql({
+      questionnaire: { title: 'Mafuriko' },
+      answers: { greeting: { en: 'Hello', sw: 'Habari' } },
+    });
+    expect(translateDeep(response, 'sw')).to.be.eql(response);
+  });
+
+  it('should negotiate request locale', () => {
+    expect(negotiateLocale(requestOf({ locale: 'sw' }))).to.be.equal('sw');
+    expect(negotiateLocale(requestOf({ locale: 'fr' }, 'sw'))).to.be.equal(
+      'sw'
+    );
+    expect(negotiateLocale(requestOf({}, 'sw-TZ,en;q=0.8'))).to.be.equal('sw');
+    expect(negotiateLocale(requestOf({}, 'fr'))).to.be.undefined;
+    expect(negotiateLocale(requestOf({}))).to.be.undefined;
+  });
+});
@@ -0,0 +1,139 @@
+'use strict';
+
+/* dependencies */
+const sinon = require('sinon');
+const { expect } = require('chai');
+const { include } = require('@lykmapipo/include');
+const {
+  MIGRATE_MODELS,
+  legacyCriteriaOf,
+  localizeLegacy,
+  isLegacyIndex,
+  migrateModel,
+} = include(__dirname, '..', '..', 'lib', 'migrate');
+const { Indicator, Question, Questionnaire } = include(__dirname, '..', '..');
+
+describe('Migrate', () => {
+  afterEach(() => sinon.restore());
+
+  it('should migrate models in order', () => {
+    expect(MIGRATE_MODELS).to.be.eql([Indicator, Question, Questionnaire]);
+  });
+
+  it('should obtain legacy documents criteria', () => {
+    expect(legacyCriteriaOf(['label', 'choices.label'])).to.be.eql({
+      $or: [
+        { label: { $type: 'string' } },
+        { 'choices.label': { $type: 'string' } },
+      ],
+    });
+  });
+
+  it('should localize plain text of legacy document', () => {
+    const doc = {
+      name: 'water_supply',
+      label: 'Water Supply',
+      help: { en: 'Tap or well' },
+      choices: [
+        { name: 'yes', label: 'Yes' },
+        { name: 'no', label: { en: 'No', sw: 'Hapana' } },
+      ],
+    };
+
+    expect(localizeLegacy(doc, Question.LOCALIZED_PATHS)).to.be.eql({
+      label: { en: 'Water Supply' },
+      choices: [
+        { name: 'yes', label: { en: 'Yes' } },
+        { name: 'no', label: { en: 'No', sw: 'Hapana' } },
+      ],
+    });
+  });
+
+  it('should localize plain text of many sub document paths', () => {
+    const doc = {
+      title: 'Flood',
+      sections: [{ name: 'water', title: 'Water', description: 'Supply' }],
+    };
+
+    expect(localizeLegacy(doc, Questionnaire.LOCALIZED_PATHS)).to.be.eql({
+      title: { en: 'Flood' },
+      sections: [
+        {
+          name: 'water',
+          title: { en: 'Water' },
+          description: { en: 'Supply' },
+        },
+      ],
+    });
+  });
+
+  it('should not update already localized document', () => {
+    const doc = { subject: 'Water', topic: { en: 'Water Supply' } };
+
+    expect(localizeLegacy(doc, Indicator.LOCALIZED_PATHS)).to.be.empty;
+  });
+
+  it('should check legacy index', () => {
+    const paths = Indicator.LOCALIZED_PATHS;
+    const legacy = { name: 'subject_1_topic_1', key: { subject: 1, topic: 1 } };
+    const current = {
+      name: 'subject_1_topic.en_1',
+      key: { subject: 1, 'topic.en': 1 },
+    };
+
+    expect(isLegacyIndex(legacy, paths)).to.be.true;
+    expect(isLegacyIndex(current, paths)).to.be.false;
+    expect(isLegacyIndex({ name: '_id_', key: { _id: 1 } }, paths)).to.be.false;
+  });
+
+  it('should migrate model', done => {
+    const doc = { _id: 1, subject: 'Water', topic: 'Water Supply' };
+    const { collection } = Indicator;
+    const find = sinon
+      .stub(collection, 'find')
+      .returns({ toArray: next => next(null, [doc]) });
+    const updateOne = sinon.stub(collection, 'updateOne').yields(null);
+    sinon
+      .stub(collection, 'indexes')
+      .yields(null, [
+        { name: '_id_', key: { _id: 1 } },
+        { name: 'subject_1_topic_1', key: { subject: 1, topic: 1 } },
+      ]);
+    const dropIndex = sinon.stub(collection, 'dropIndex').yields(null);
+    const createIndexes = sinon.stub(Indicator, 'createIndexes').yields(null);
+
+    migrateModel(Indicator, (error, result) => {
+      expect(error).to.not.exist;
+      expect(result).to.be.eql({
+        model: 'Indicator',
+        total: 1,
+        indexes: ['subject_1_topic_1'],
+      });
+      expect(find.firstCall.args[0]).to.be.eql(
+        legacyCriteriaOf(Indicator.LOCALIZED_PATHS)
+      );
+      expect(updateOne.firstCall.args.slice(0, 2)).to.be.eql([
+        { _id: 1 },
+        { $set: { topic: { en: 'Water Supply' } } },
+      ]);
+      expect(dropIndex.calledOnceWith('subject_1_topic_1')).to.be.true;
+      expect(createIndexes.calledOnce).to.be.true;
+      done();
+    });
+  });
+
+  it('should migrate model without collection', done => {
+    const { collection } = Indicator;
+    const missing = Object.assign(new Error('ns not found'), { code: 26 });
+    sinon.stub(collection, 'find').returns({ toArray: next => next(null, []) });
+    sinon.stub(collection, 'indexes').yields(missing);
+    sinon.stub(Indicator, 'createIndexes').yields(null);
+
+    migrateModel(Indicator, (error, result) => {
+      expect(error).to.not.exist;
+      expect(result.total).to.be.equal(0);
+      expect(result.indexes).to.be.empty;
+      done();
+    });
+  });
+});
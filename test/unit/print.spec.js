@@ -0,0 +1,163 @@
+'use strict';
+
+/* dependencies */
+const { expect } = require('chai');
+const { include } = require('@lykmapipo/include');
+const { toPrintForm, toPrintHtml, writePrintForm } = include(
+  __dirname,
+  '..',
+  '..',
+  'lib',
+  'print'
+);
+
+describe('Print', () => {
+  const questionnaire = {
+    title: { en: 'Flood Situation Analysis', sw: 'Uchambuzi wa Mafuriko' },
+    sections: [
+      {
+        name: 'water',
+        title: { en: 'Water' },
+        questions: [
+          {
+            name: 'water_sources',
+            label: { en: 'Water <sources>' },
+            help: { en: 'Ask about the last week' },
+            type: 'select_multiple',
+            choices: [
+              { name: 'tap', label: { en: 'Tap', sw: 'Bomba' } },
+              { name: 'well', label: { en: 'Well' } },
+            ],
+          },
+          {
+            name: 'household_size',
+            label: 'Household Size',
+            type: 'integer',
+            required: true,
+          },
+          { name: 'notes', label: 'Notes', type: 'text' },
+          { name: 'visit_date', label: 'Visit Date', type: 'date' },
+          { name: 'location', label: 'Location', type: 'geopoint' },
+        ],
+      },
+    ],
+  };
+
+  it('should build printable form of questionnaire', () => {
+    const form = toPrintForm(questionnaire, { locale: 'sw' });
+
+    expect(form.formId).to.be.equal('flood_situation_analysis');
+    expect(form.title).to.be.equal('Uchambuzi wa Mafuriko');
+
+    const [sources, size, notes, date, location] = form.sections[0].questions;
+    expect(sources.number).to.be.equal(1);
+    expect(sources.hints).to.be.eql([
+      'Ask about the last week',
+      'Weka alama kwa yote yanayohusika',
+    ]);
+    expect(sources.choices).to.be.eql(['Bomba', 'Well']);
+    expect(sources.lines).to.be.equal(0);
+    expect(size.number).to.be.equal(2);
+    expect(size.required).to.be.true;
+    expect(size.lines).to.be.equal(1);
+    expect(notes.lines).to.be.equal(3);
+    expect(date.hints).to.be.eql(['Siku / Mwezi / Mwaka']);
+    expect(location.fields).to.be.eql(['Latitudo', 'Longitudo']);
+    expect(form.details).to.include('Mhojiwa');
+
+    const english = toPrintForm(questionnaire);
+    expect(english.sections[0].questions[0].hints).to.include(
+      'Tick all that apply'
+    );
+    expect(english.sections[0].questions[3].hints).to.be.eql([
+      'DD / MM / YYYY',
+    ]);
+    expect(english.details).to.be.eql([
+      'Respondent',
+      'Mobile',
+      'Date',
+      'Location',
+    ]);
+  });
+
+  it('should build printable form with skip instructions and repeats', () => {
+    const repeated = {
+      title: { en: 'Flood Household Analysis' },
+      sections: [
+        {
+          name: 'household',
+          title: { en: 'Household' },
+          questions: [
+            { name: 'has_members', label: 'Has Members', type: 'text' },
+          ],
+        },
+        {
+          name: 'members',
+          title: { en: 'Members' },
+          repeatable: true,
+          questions: [
+            {
+              name: 'member_age',
+              label: 'Member Age',
+              type: 'integer',
+              relevant: '${has_members} = "yes"',
+            },
+          ],
+        },
+      ],
+    };
+
+    const form = toPrintForm(repeated, { entries: 2 });
+    const [household, members] = form.sections;
+    expect(household.repeatable).to.be.false;
+    expect(household.entries).to.be.empty;
+    expect(members.repeatable).to.be.true;
+    expect(members.hints).to.be.eql(['Fill this section once for each entry']);
+    expect(members.entries).to.be.eql(['Entry 1', 'Entry 2']);
+    expect(members.questions[0].number).to.be.equal(2);
+    expect(members.questions[0].hints).to.be.eql(['Answer only if Q1 = "yes"']);
+
+    const translated = toPrintForm(repeated, { locale: 'sw' });
+    expect(translated.sections[1].entries).to.have.length(3);
+    expect(translated.sections[1].entries[0]).to.be.equal('Ingizo 1');
+    expect(translated.sections[1].questions[0].hints).to.be.eql([
+      'Jibu tu kama Q1 = "yes"',
+    ]);
+
+    const html = toPrintHtml(form);
+    expect(html).to.contain('<h3 class="title">Entry 2</h3>');
+    expect(html).to.contain(
+      '<div class="hint">Answer only if Q1 = &quot;yes&quot;</div>'
+    );
+    expect(html.match(/2\. Member Age/g)).to.have.length(2);
+  });
+
+  it('should format printable form as html', () => {
+    const html = toPrintHtml(toPrintForm(questionnaire));
+
+    expect(html).to.contain('<title>Flood Situation Analysis</title>');
+    expect(html).to.contain('@page');
+    expect(html).to.contain('<h2 class="title">Water</h2>');
+    expect(html).to.contain('1. Water &lt;sources&gt;');
+    expect(html).to.contain('<div class="hint">Ask about the last week</div>');
+    expect(html).to.contain('<span class="box"></span> Tap');
+    expect(html).to.contain('2. Household Size *');
+  });
+
+  it('should render printable form in a given format', done => {
+    const form = toPrintForm(questionnaire);
+    writePrintForm(form, 'html', (error, html) => {
+      expect(error).to.not.exist;
+      expect(html.filename).to.be.equal('flood_situation_analysis.html');
+      expect(html.content).to.be.equal(toPrintHtml(form));
+
+      writePrintForm(form, 'pdf', (error, pdf) => {
+        expect(error).to.not.exist;
+        expect(pdf.filename).to.be.equal('flood_situation_analysis.pdf');
+        expect(pdf.contentType).to.be.equal('application/pdf');
+        expect(pdf.content.toString('utf8', 0, 5)).to.be.equal('%PDF-');
+        done();
+      });
+    });
+  });
+});
@@ -1,10 +1,12 @@
 'use strict';
 
 /* dependencies */
+const sinon = require('sinon');
 const { expect } = require('chai');
 const { include } = require('@lykmapipo/include');
 const { Schema } = require('mongoose');
-const { Indicator, Question } = include(__dirname, '..', '..');
+const { Query } = require('@lykmapipo/mongoose-common');
+const { Indicator, Question, Questionnaire } = include(__dirname, '..', '..');
 
 describe('Question Schema', () => {
   it('should have indicator field', () => {
@@ -121,9 +123,11 @@ describe('Question Schema', () => {
   });
 
   it('should have label field', () => {
-    const label = Question.path('label');
+    const label = Question.path('label.en');
+    const labelSw = Question.path('label.sw');
 
     expect(label).to.exist;
+    expect(labelSw).to.exist;
     expect(label).to.be.instanceof(Schema.Types.String);
     expect(label.options).to.exist;
     expect(label.options).to.be.an('object');
@@ -138,9 +142,11 @@ describe('Question Schema', () => {
   });
 
   it('should have help field', () => {
-    const help = Question.path('help');
+    const help = Question.path('help.en');
+    const helpSw = Question.path('help.sw');
 
     expect(help).to.exist;
+    expect(helpSw).to.exist;
     expect(help).to.be.instanceof(Schema.Types.String);
     expect(help.options).to.exist;
     expect(help.options).to.be.an('object');
@@ -152,6 +158,73 @@ describe('Question Schema', () => {
     expect(help.options.fake).to.be.an('object');
   });
 
+  it('should have relevant field', () => {
+    const relevant = Question.path('relevant');
+
+    expect(relevant).to.exist;
+    expect(relevant).to.be.instanceof(Schema.Types.String);
+    expect(relevant.options).to.exist;
+    expect(relevant.options).to.be.an('object');
+    expect(relevant.options.type).to.exist;
+    expect(relevant.options.trim).to.be.true;
+    expect(relevant.options.validate).to.exist;
+  });
+
+  it('should have required field', () => {
+    const required = Question.path('required');
+
+    expect(required).to.exist;
+    expect(required).to.be.instanceof(Schema.Types.Boolean);
+    expect(required.options).to.exist;
+    expect(required.options).to.be.an('object');
+    expect(required.options.type).to.exist;
+    expect(required.options.index).to.be.true;
+    expect(required.options.default).to.be.false;
+  });
+
+  it('should have constraint field', () => {
+    const constraint = Question.path('constraint');
+
+    expect(constraint).to.exist;
+    expect(constraint).to.be.instanceof(Schema.Types.String);
+    expect(constraint.options).to.exist;
+    expect(constraint.options).to.be.an('object');
+    expect(constraint.options.type).to.exist;
+    expect(constraint.options.trim).to.be.true;
+    expect(constraint.options.validate).to.exist;
+  });
+
+  it('should have constraintMessage field', () => {
+    const constraintMessage = Question.path('constraintMessage');
+
+    expect(constraintMessage).to.exist;
+    expect(constraintMessage).to.be.instanceof(Schema.Types.String);
+    expect(constraintMessage.options).to.exist;
+    expect(constraintMessage.options).to.be.an('object');
+    expect(constraintMessage.options.type).to.exist;
+    expect(constraintMessage.options.trim).to.be.true;
+  });
+
+  it('should have min field', () => {
+    const min = Question.path('min');
+
+    expect(min).to.exist;
+    expect(min).to.be.instanceof(Schema.Types.Mixed);
+    expect(min.options).to.exist;
+    expect(min.options).to.be.an('object');
+    expect(min.options.type).to.exist;
+  });
+
+  it('should have max field', () => {
+    const max = Question.path('max');
+
+    expect(max).to.exist;
+    expect(max).to.be.instanceof(Schema.Types.Mixed);
+    expect(max.options).to.exist;
+    expect(max.options).to.be.an('object');
+    expect(max.options.type).to.exist;
+  });
+
   it('should have choices field', () => {
     const choices = Question.path('choices');
 
@@ -163,9 +236,11 @@ describe('Question Schema', () => {
   });
 
   it('should have choice label field', () => {
-    const label = Question.path('choices.label');
+    const label = Question.path('choices.label.en');
+    const labelSw = Question.path('choices.label.sw');
 
     expect(label).to.exist;
+    expect(labelSw).to.exist;
     expect(label).to.be.instanceof(Schema.Types.String);
     expect(label.options).to.exist;
     expect(label.options).to.be.an('object');
@@ -191,4 +266,219 @@ describe('Question Schema', () => {
     expect(name.options.fake).to.exist;
     expect(name.options.fake).to.be.an('object');
   });
+
+  it('should accept plain text of localized fields', () => {
+    const question = new Question({
+      label: 'Was there water supply?',
+      choices: [{ name: 'yes', label: { en: 'Yes', sw: 'Ndiyo' } }],
+    });
+
+    expect(question.label.en).to.be.equal('Was there water supply?');
+    expect(question.choices[0].label.en).to.be.equal('Yes');
+    expect(question.choices[0].label.sw).to.be.equal('Ndiyo');
+  });
+
+  it('should derive name from default locale label', done => {
+    const question = new Question({
+      label: { en: 'Water Supply', sw: 'Huduma ya Maji' },
+    });
+
+    question.preValidate(error => {
+      expect(error).to.not.exist;
+      expect(question.name).to.be.equal('water_supply');
+      done(error);
+    });
+  });
+
+  describe('min and max', () => {
+    const validate = (optns, done) => {
+      const question = new Question(optns);
+      question.preValidate(() => {
+        done(question, question.validateSync(['min', 'max']));
+      });
+    };
+
+    it('should cast numeric bounds to number', done => {
+      validate(
+        { type: 'integer', min: '0', max: '12.5' },
+        (question, error) => {
+          expect(error).to.not.exist;
+          expect(question.min).to.be.equal(0);
+          expect(question.max).to.be.equal(12.5);
+          done();
+        }
+      );
+    });
+
+    it('should cast date bounds to iso date', done => {
+      const max = new Date('2019-05-31T12:30:00.000Z');
+      validate({ type: 'date', min: '2019-01-01', max }, (question, error) => {
+        expect(error).to.not.exist;
+        expect(question.min).to.be.equal('2019-01-01');
+        expect(question.max).to.be.equal('2019-05-31');
+        done();
+      });
+    });
+
+    it('should cast dateTime bounds to iso date time', done => {
+      const optns = { type: 'dateTime', min: '2019-01-01T08:00:00Z' };
+      validate(optns, (question, error) => {
+        expect(error).to.not.exist;
+        expect(question.min).to.be.equal('2019-01-01T08:00:00.000Z');
+        done();
+      });
+    });
+
+    it('should reject numeric bounds which do not parse', done => {
+      validate({ type: 'decimal', min: 'zero', max: {} }, (question, error) => {
+        expect(error).to.exist;
+        expect(error.errors.min).to.exist;
+        expect(error.errors.max).to.exist;
+        done();
+      });
+    });
+
+    it('should reject date bounds which do not parse', done => {
+      const optns = { type: 'date', min: 'yesterday', max: '31/05/2019' };
+      validate(optns, (question, error) => {
+        expect(error).to.exist;
+        expect(error.errors.min).to.exist;
+        expect(error.errors.max).to.exist;
+        done();
+      });
+    });
+
+    it('should reject bounds of non ranged question', done => {
+      validate({ type: 'text', min: 1 }, (question, error) => {
+        expect(error).to.exist;
+        expect(error.errors.min).to.exist;
+        done();
+      });
+    });
+
+    it('should reject numeric min greater than max', done => {
+      validate({ type: 'integer', min: 10, max: '5' }, (question, error) => {
+        expect(error).to.exist;
+        expect(error.errors.max).to.exist;
+        expect(error.errors.max.message).to.contain('less than min');
+        done();
+      });
+    });
+
+    it('should reject date min greater than max', done => {
+      const optns = { type: 'date', min: '2019-05-31', max: '2019-01-01' };
+      validate(optns, (question, error) => {
+        expect(error).to.exist;
+        expect(error.errors.max).to.exist;
+        done();
+      });
+    });
+  });
+
+  describe('expressions', () => {
+    const supply = new Question({ name: 'water_supply' });
+    const source = new Question({ name: 'water_source' });
+    const questionnaire = new Questionnaire({
+      questions: [supply, source],
+    });
+    const existing = () => {
+      const question = new Question({ name: 'water_source' });
+      question.isNew = false;
+      question._id = source._id;
+      return question;
+    };
+    const stubFind = () => {
+      const exec = sinon.stub(Query.prototype, 'exec');
+      exec.onFirstCall().yields(null, [questionnaire.toObject()]);
+      exec.onSecondCall().yields(null, [supply.toObject()]);
+      return exec;
+    };
+
+    afterEach(() => sinon.restore());
+
+    it('should skip validation of unchanged expressions', done => {
+      const exec = sinon.stub(Query.prototype, 'exec');
+      existing().validateExpressions(error => {
+        expect(error).to.not.exist;
+        expect(exec.called).to.be.false;
+        done(error);
+      });
+    });
+
+    it('should validate changed relevant within questionnaires', done => {
+      const exec = stubFind();
+      const question = existing();
+      question.relevant = '${water_supply} = "yes"';
+      question.validateExpressions(error => {
+        expect(error).to.not.exist;
+        expect(exec.firstCall.thisValue.getQuery()).to.be.eql({
+          questions: source._id,
+          deletedAt: null,
+        });
+        done(error);
+      });
+    });
+
+    it('should fail on changed relevant referencing unknown question', done => {
+      stubFind();
+      const question = existing();
+      question.relevant = '${water_quality} = "good"';
+      question.validateExpressions(error => {
+        expect(error).to.exist;
+        expect(error.name).to.be.equal('ValidationError');
+        expect(error.errors.relevant).to.exist;
+        expect(error.errors.relevant.message).to.contain('water_quality');
+        done();
+      });
+    });
+
+    it('should fail on changed constraint referencing unknown question', done => {
+      stubFind();
+      const question = existing();
+      question.constraint = '. <= ${household_size}';
+      question.validateExpressions(error => {
+        expect(error).to.exist;
+        expect(error.errors.constraint).to.exist;
+        done();
+      });
+    });
+  });
+
+  describe('lookups', () => {
+    const indicator = new Indicator();
+    const paged = { data: [], total: 0, size: 0, limit: 1, page: 2 };
+
+    afterEach(() => sinon.restore());
+
+    it('should get paged questions of an indicator', done => {
+      const exec = sinon.stub(Query.prototype, 'exec');
+      exec.yields(null, { _id: indicator._id });
+      const get = sinon.stub(Question, 'get').yields(null, paged);
+      const optns = { indicator: indicator._id, limit: 1, page: 2 };
+      Question.getByIndicator(optns, (error, results) => {
+        expect(error).to.not.exist;
+        expect(results).to.be.eql(paged);
+        expect(exec.firstCall.thisValue.getQuery()).to.be.eql({
+          _id: indicator._id,
+          deletedAt: null,
+        });
+        const { filter, limit, page } = get.firstCall.args[0];
+        expect(filter).to.be.eql({ indicator: indicator._id, deletedAt: null });
+        expect(limit).to.be.equal(1);
+        expect(page).to.be.equal(2);
+        done(error);
+      });
+    });
+
+    it('should fail to get questions of unknown indicator', done => {
+      sinon.stub(Query.prototype, 'exec').yields(null, null);
+      const get = sinon.stub(Question, 'get');
+      Question.getByIndicator({ indicator: indicator._id }, error => {
+        expect(error).to.exist;
+        expect(error.status).to.be.equal(404);
+        expect(get.called).to.be.false;
+        done();
+      });
+    });
+  });
 });
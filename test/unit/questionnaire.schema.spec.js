@@ -1,10 +1,18 @@
 'use strict';
 
+/* jshint camelcase: false */
+
 /* dependencies */
+const sinon = require('sinon');
 const { expect } = require('chai');
 const { include } = require('@lykmapipo/include');
 const { Schema } = require('mongoose');
-const { Question, Questionnaire } = include(__dirname, '..', '..');
+const { Query } = require('@lykmapipo/mongoose-common');
+const { Indicator, Question, Questionnaire, QuestionnaireVersion } = include(
+  __dirname,
+  '..',
+  '..'
+);
 
 describe('Questionnaire Schema', () => {
   it('should have assess field', () => {
@@ -68,9 +76,11 @@ describe('Questionnaire Schema', () => {
   });
 
   it('should have title field', () => {
-    const title = Questionnaire.path('title');
+    const title = Questionnaire.path('title.en');
+    const titleSw = Questionnaire.path('title.sw');
 
     expect(title).to.exist;
+    expect(titleSw).to.exist;
     expect(title).to.be.instanceof(Schema.Types.String);
     expect(title.options).to.exist;
     expect(title.options).to.be.an('object');
@@ -85,9 +95,11 @@ describe('Questionnaire Schema', () => {
   });
 
   it('should have description field', () => {
-    const description = Questionnaire.path('description');
+    const description = Questionnaire.path('description.en');
+    const descriptionSw = Questionnaire.path('description.sw');
 
     expect(description).to.exist;
+    expect(descriptionSw).to.exist;
     expect(description).to.be.instanceof(Schema.Types.String);
     expect(description.options).to.exist;
     expect(description.options).to.be.an('object');
@@ -99,6 +111,105 @@ describe('Questionnaire Schema', () => {
     expect(description.options.fake).to.be.an('object');
   });
 
+  it('should have sections field', () => {
+    const sections = Questionnaire.path('sections');
+    const name = Questionnaire.path('sections.name');
+    const title = Questionnaire.path('sections.title.en');
+    const repeatable = Questionnaire.path('sections.repeatable');
+    const minCount = Questionnaire.path('sections.minCount');
+    const maxCount = Questionnaire.path('sections.maxCount');
+    const questions = Questionnaire.path('sections.questions');
+
+    expect(sections).to.exist;
+    expect(sections).to.be.instanceof(Schema.Types.DocumentArray);
+    expect(name).to.be.instanceof(Schema.Types.String);
+    expect(title).to.be.instanceof(Schema.Types.String);
+    expect(title.options.required).to.be.true;
+    expect(repeatable).to.be.instanceof(Schema.Types.Boolean);
+    expect(repeatable.options.default).to.be.false;
+    expect(minCount).to.be.instanceof(Schema.Types.Number);
+    expect(maxCount).to.be.instanceof(Schema.Types.Number);
+    expect(questions).to.be.instanceof(Schema.Types.Array);
+    expect(questions.options.ref).to.be.equal(Question.MODEL_NAME);
+    expect(questions.options.autopopulate).to.be.exist;
+  });
+
+  it('should derive questions from sections', () => {
+    const [a, b, c] = [new Question(), new Question(), new Question()];
+    const questionnaire = new Questionnaire({
+      title: 'Flood Situation Analysis',
+      sections: [
+        { title: 'Water Supply', questions: [a._id, b._id] },
+        { title: 'Members', repeatable: true, questions: [c._id] },
+      ],
+    });
+
+    expect(questionnaire.ensureSections()).to.not.exist;
+    expect(questionnaire.sections[0].name).to.be.equal('water_supply');
+    expect(questionnaire.sections[1].name).to.be.equal('members');
+    expect(questionnaire.questions).to.have.length(3);
+  });
+
+  it('should sync sections with updated questions', () => {
+    const [a, b, c, d] = [
+      new Question(),
+      new Question(),
+      new Question(),
+      new Question(),
+    ];
+    const questionnaire = Questionnaire.hydrate({
+      _id: new Questionnaire()._id,
+      title: { en: 'Flood Situation Analysis' },
+      sections: [
+        { name: 'water', title: { en: 'Water' }, questions: [a._id, b._id] },
+        { name: 'members', title: { en: 'Members' }, questions: [c._id] },
+      ],
+      questions: [a._id, b._id, c._id],
+    });
+    questionnaire.questions = [c._id, a._id, d._id];
+
+    expect(questionnaire.ensureSections()).to.not.exist;
+    const idsOf = questions => questions.map(String);
+    expect(idsOf(questionnaire.sections[0].questions)).to.be.eql([
+      String(a._id),
+    ]);
+    expect(idsOf(questionnaire.sections[1].questions)).to.be.eql([
+      String(c._id),
+      String(d._id),
+    ]);
+    expect(idsOf(questionnaire.questions)).to.be.eql([
+      String(a._id),
+      String(c._id),
+      String(d._id),
+    ]);
+  });
+
+  it('should ensure default section of questions', () => {
+    const question = new Question();
+    const questionnaire = new Questionnaire({
+      title: 'Flood Situation Analysis',
+      questions: [question._id],
+    });
+
+    expect(questionnaire.ensureSections()).to.not.exist;
+    expect(questionnaire.sections).to.have.length(1);
+    expect(questionnaire.sections[0].name).to.be.equal(
+      'flood_situation_analysis'
+    );
+    expect(questionnaire.sections[0].questions).to.have.length(1);
+  });
+
+  it('should reject duplicate sections name', () => {
+    const questionnaire = new Questionnaire({
+      sections: [{ title: 'Water' }, { name: 'water', title: 'Water Supply' }],
+    });
+
+    const error = questionnaire.ensureSections();
+    expect(error).to.exist;
+    expect(error.name).to.be.equal('ValidationError');
+    expect(error.errors.sections).to.exist;
+  });
+
   it('should have questions field', () => {
     const questions = Questionnaire.path('questions');
 
@@ -113,4 +224,404 @@ describe('Questionnaire Schema', () => {
     expect(questions.options.index).to.be.true;
     expect(questions.options.autopopulate).to.be.exist;
   });
+
+  it('should have status field', () => {
+    const status = Questionnaire.path('status');
+
+    expect(status).to.exist;
+    expect(status).to.be.instanceof(Schema.Types.String);
+    expect(status.options).to.exist;
+    expect(status.options).to.be.an('object');
+    expect(status.options.type).to.exist;
+    expect(status.options.trim).to.be.true;
+    expect(status.options.enum).to.exist;
+    expect(status.options.enum).to.be.eql(Questionnaire.STATUSES);
+    expect(status.options.index).to.be.true;
+    expect(status.options.searchable).to.be.true;
+    expect(status.options.default).to.be.eql(Questionnaire.STATUS_DRAFT);
+  });
+
+  it('should have version field', () => {
+    const version = Questionnaire.path('version');
+
+    expect(version).to.exist;
+    expect(version).to.be.instanceof(Schema.Types.Number);
+    expect(version.options).to.exist;
+    expect(version.options).to.be.an('object');
+    expect(version.options.type).to.exist;
+    expect(version.options.index).to.be.true;
+    expect(version.options.default).to.be.equal(0);
+  });
+
+  it('should have publishedAt field', () => {
+    const publishedAt = Questionnaire.path('publishedAt');
+
+    expect(publishedAt).to.exist;
+    expect(publishedAt).to.be.instanceof(Schema.Types.Date);
+    expect(publishedAt.options).to.exist;
+    expect(publishedAt.options).to.be.an('object');
+    expect(publishedAt.options.type).to.exist;
+    expect(publishedAt.options.index).to.be.true;
+  });
+
+  it('should revert published questionnaire to draft on changes', () => {
+    const questionnaire = Questionnaire.hydrate({
+      title: { en: 'Flood Assessment' },
+      status: Questionnaire.STATUS_PUBLISHED,
+      version: 1,
+    });
+
+    questionnaire.ensureStatus();
+    expect(questionnaire.status).to.be.equal(Questionnaire.STATUS_PUBLISHED);
+
+    questionnaire.title = 'Flood Situation Analysis';
+    questionnaire.ensureStatus();
+    expect(questionnaire.status).to.be.equal(Questionnaire.STATUS_DRAFT);
+    expect(questionnaire.version).to.be.equal(1);
+
+    const draft = new Questionnaire({ status: Questionnaire.STATUS_PUBLISHED });
+    draft.ensureStatus();
+    expect(draft.status).to.be.equal(Questionnaire.STATUS_DRAFT);
+  });
+
+  it('should build questions indicators coverage', () => {
+    const water = { subject: 'Water', topic: { en: 'Water Supply' } };
+    const health = { subject: 'Health', topic: { en: 'Disease' } };
+    const questions = [
+      { name: 'water_supply', assess: 'Need', indicator: water },
+      { name: 'water_source', assess: 'Need', indicator: water },
+      { name: 'disease_outbreak', assess: 'Situation', indicator: health },
+      { name: 'remarks', assess: 'Need' },
+    ];
+    const subjects = ['Health', 'Shelter', 'Water'];
+
+    const coverage = Questionnaire.toCoverage(questions, subjects);
+    expect(coverage.total).to.be.equal(4);
+    expect(coverage.subjects).to.have.length(2);
+    expect(coverage.subjects[1].subject).to.be.equal('Water');
+    expect(coverage.subjects[1].total).to.be.equal(2);
+    expect(coverage.subjects[1].topics).to.be.eql([
+      {
+        topic: { en: 'Water Supply' },
+        total: 2,
+        questions: ['water_supply', 'water_source'],
+      },
+    ]);
+    expect(coverage.assess.Need).to.be.equal(3);
+    expect(coverage.assess.Situation).to.be.equal(1);
+    expect(coverage.assess.Other).to.be.equal(0);
+    expect(coverage.stages).to.have.all.keys(Questionnaire.STAGES);
+    expect(coverage.phases).to.have.all.keys(Questionnaire.PHASES);
+    expect(coverage.covered).to.be.eql(['Health', 'Water']);
+    expect(coverage.missing).to.be.eql(['Shelter']);
+  });
+
+  it('should generate sections from indicators questions', () => {
+    const supply = new Indicator({ subject: 'Water', topic: 'Water Supply' });
+    const shelter = new Indicator({ subject: 'Shelter', topic: 'Housing' });
+    const other = new Indicator({ subject: 'Health', topic: 'Disease' });
+    const questionOf = (name, indicator) => {
+      return new Question({ name, label: name, indicator: indicator._id });
+    };
+    const questions = [
+      questionOf('water_source', supply),
+      questionOf('house_damage', shelter),
+      questionOf('water_access', supply),
+      questionOf('water_cost', supply),
+    ];
+    const indicators = [supply, shelter, other];
+
+    const sections = Questionnaire.toGeneratedSections(indicators, questions);
+    expect(sections).to.have.length(2);
+    expect(sections[0].name).to.be.equal('housing');
+    expect(sections[1].name).to.be.equal('water_supply');
+    expect(sections[1].title).to.be.eql({ en: 'Water Supply' });
+    expect(sections[1].questions).to.be.eql([
+      questions[2]._id,
+      questions[3]._id,
+      questions[0]._id,
+    ]);
+
+    const limited = Questionnaire.toGeneratedSections(indicators, questions, {
+      limit: 1,
+    });
+    expect(limited[1].questions).to.be.eql([questions[2]._id]);
+  });
+
+  it('should cast generate criteria to strings', done => {
+    const exec = sinon.stub(Query.prototype, 'exec').yields(null, []);
+    const criteria = {
+      title: 'Flood',
+      subjects: [{ $ne: null }],
+      assess: { $ne: null },
+      stage: ['During', { $gt: '' }],
+    };
+    Questionnaire.generate(criteria, error => {
+      sinon.restore();
+      expect(error).to.exist;
+      expect(error.status).to.be.equal(400);
+      const [indicators, questions] = exec
+        .getCalls()
+        .map(call => call.thisValue.getQuery());
+      expect(indicators.subject).to.be.eql({ $in: ['[object Object]'] });
+      expect(questions.assess).to.be.equal('[object Object]');
+      expect(questions.stage).to.be.eql({
+        $in: ['During', '[object Object]'],
+      });
+      done();
+    });
+  });
+
+  it('should derive unique clone title', () => {
+    const title = { en: 'Flood', sw: 'Mafuriko' };
+
+    expect(Questionnaire.toCloneTitle(title, [])).to.be.eql({
+      en: 'Flood (Copy)',
+      sw: 'Mafuriko (Copy)',
+    });
+    expect(
+      Questionnaire.toCloneTitle(title, ['Flood (Copy)', 'Flood (Copy 2)'])
+    ).to.be.eql({ en: 'Flood (Copy 3)', sw: 'Mafuriko (Copy 3)' });
+  });
+
+  it('should fork questions under unique names', () => {
+    const questions = [
+      new Question({ name: 'water_supply', label: 'Water Supply' }),
+      new Question({
+        name: 'water_quality',
+        label: 'Water Quality',
+        relevant: '${water_supply} = "yes"',
+      }),
+    ];
+    const taken = ['water_supply_copy'];
+
+    const forked = Questionnaire.toForkedQuestions(questions, taken);
+    expect(forked.renames).to.be.eql({
+      water_supply: 'water_supply_copy_2',
+      water_quality: 'water_quality_copy',
+    });
+    expect(forked.questions).to.have.length(2);
+    expect(forked.questions[0]._id).to.not.exist;
+    expect(forked.questions[0].name).to.be.equal('water_supply_copy_2');
+    expect(forked.questions[1].relevant).to.be.equal(
+      '${water_supply_copy_2} = "yes"'
+    );
+  });
+
+  it('should validate questions expressions references', () => {
+    const questionnaire = new Questionnaire();
+    const valid = [
+      { name: 'water_supply' },
+      { name: 'water_quality', relevant: '${water_supply} = "yes"' },
+    ];
+    const invalid = [
+      { name: 'water_quality', relevant: '${water_supply} = "yes"' },
+      { name: 'water_cost', constraint: '. <= ${water_budget}' },
+    ];
+
+    expect(questionnaire.validateExpressions(valid)).to.not.exist;
+
+    const error = questionnaire.validateExpressions(invalid);
+    expect(error).to.exist;
+    expect(error.name).to.be.equal('ValidationError');
+    expect(error.errors['questions.water_quality.relevant']).to.exist;
+    expect(error.errors['questions.water_cost.constraint']).to.exist;
+  });
+
+  describe('published', () => {
+    const draftOf = version => {
+      const label = { en: 'Water Supply' };
+      const question = { name: 'water_supply', type: 'text', label };
+      const sections = [{ name: 'water', questions: [question] }];
+      const { _id } = new Questionnaire();
+      return { _id, version, sections, questions: [question] };
+    };
+    const snapshotOf = questionnaire => {
+      const label = { en: 'Water Source' };
+      const question = { name: 'water_source', type: 'text', label };
+      const sections = [{ name: 'water', questions: [question] }];
+      const { _id } = questionnaire;
+      return { _id, version: 1, sections, questions: [question] };
+    };
+    const stubFind = questionnaire => {
+      sinon.stub(Questionnaire, 'getById').yields(null, questionnaire);
+      const snapshot = snapshotOf(questionnaire);
+      return sinon.stub(QuestionnaireVersion, 'getVersion').yields(null, {
+        snapshot,
+      });
+    };
+
+    afterEach(() => sinon.restore());
+
+    it('should derive response schema of published version', done => {
+      const questionnaire = draftOf(1);
+      const getVersion = stubFind(questionnaire);
+      Questionnaire.getResponseSchema(questionnaire._id, (error, schema) => {
+        expect(error).to.not.exist;
+        expect(getVersion.firstCall.args[0]).to.be.eql({
+          questionnaire: questionnaire._id,
+          version: 1,
+        });
+        const { properties } = schema.properties.answers;
+        expect(properties).to.have.all.keys('water_source');
+        done(error);
+      });
+    });
+
+    it('should export codebook of published version', done => {
+      const questionnaire = draftOf(1);
+      stubFind(questionnaire);
+      const optns = { _id: questionnaire._id, format: 'csv' };
+      Questionnaire.exportCodebook(optns, (error, exported) => {
+        expect(error).to.not.exist;
+        expect(exported.content).to.contain('water_source');
+        expect(exported.content).to.not.contain('water_supply');
+        done(error);
+      });
+    });
+
+    it('should export print form of published version', done => {
+      const questionnaire = draftOf(1);
+      stubFind(questionnaire);
+      Questionnaire.exportPrintForm(questionnaire._id, (error, exported) => {
+        expect(error).to.not.exist;
+        expect(exported.content).to.contain('Water Source');
+        expect(exported.content).to.not.contain('Water Supply');
+        done(error);
+      });
+    });
+
+    it('should derive response schema of never published draft', done => {
+      const questionnaire = draftOf();
+      const getVersion = stubFind(questionnaire);
+      Questionnaire.getResponseSchema(questionnaire._id, (error, schema) => {
+        expect(error).to.not.exist;
+        expect(getVersion.called).to.be.false;
+        const { properties } = schema.properties.answers;
+        expect(properties).to.have.all.keys('water_supply');
+        done(error);
+      });
+    });
+  });
+
+  describe('lookups', () => {
+    const indicator = new Indicator();
+    const question = new Question({ indicator });
+    const paged = { data: [], total: 0, size: 0, limit: 1, page: 2 };
+
+    afterEach(() => sinon.restore());
+
+    it('should get paged questionnaires of a question', done => {
+      sinon.stub(Query.prototype, 'exec').yields(null, { _id: question._id });
+      const get = sinon.stub(Questionnaire, 'get').yields(null, paged);
+      const optns = { question: question._id, limit: 1, page: 2 };
+      Questionnaire.getByQuestion(optns, (error, results) => {
+        expect(error).to.not.exist;
+        expect(results).to.be.eql(paged);
+        const { filter, limit, page } = get.firstCall.args[0];
+        expect(filter).to.be.eql({ questions: question._id, deletedAt: null });
+        expect(limit).to.be.equal(1);
+        expect(page).to.be.equal(2);
+        done(error);
+      });
+    });
+
+    it('should fail to get questionnaires of unknown question', done => {
+      const exec = sinon.stub(Query.prototype, 'exec').yields(null, null);
+      const get = sinon.stub(Questionnaire, 'get');
+      Questionnaire.getByQuestion({ question: question._id }, error => {
+        expect(error).to.exist;
+        expect(error.status).to.be.equal(404);
+        expect(exec.firstCall.thisValue.getQuery()).to.be.eql({
+          _id: question._id,
+          deletedAt: null,
+        });
+        expect(get.called).to.be.false;
+        done();
+      });
+    });
+
+    it('should get paged questionnaires of an indicator', done => {
+      const exec = sinon.stub(Query.prototype, 'exec');
+      exec.onFirstCall().yields(null, { _id: indicator._id });
+      exec.onSecondCall().yields(null, [question._id]);
+      const get = sinon.stub(Questionnaire, 'get').yields(null, paged);
+      const optns = { indicator: indicator._id, limit: 1, page: 2 };
+      Questionnaire.getByIndicator(optns, (error, results) => {
+        expect(error).to.not.exist;
+        expect(results).to.be.eql(paged);
+        expect(exec.secondCall.thisValue.getQuery()).to.be.eql({
+          indicator: indicator._id,
+          deletedAt: null,
+        });
+        const { filter, limit, page } = get.firstCall.args[0];
+        expect(filter).to.be.eql({
+          questions: { $in: [question._id] },
+          deletedAt: null,
+        });
+        expect(limit).to.be.equal(1);
+        expect(page).to.be.equal(2);
+        done(error);
+      });
+    });
+
+    it('should fail to get questionnaires of unknown indicator', done => {
+      const exec = sinon.stub(Query.prototype, 'exec').yields(null, null);
+      const get = sinon.stub(Questionnaire, 'get');
+      Questionnaire.getByIndicator({ indicator: indicator._id }, error => {
+        expect(error).to.exist;
+        expect(error.status).to.be.equal(404);
+        expect(exec.calledOnce).to.be.true;
+        expect(get.called).to.be.false;
+        done();
+      });
+    });
+  });
+
+  describe('clone', () => {
+    const question = new Question({ name: 'water_supply', type: 'text' });
+    const source = new Questionnaire({
+      title: 'Flood',
+      sections: [{ title: 'Water', questions: [question._id] }],
+    });
+    source.ensureSections();
+
+    afterEach(() => sinon.restore());
+
+    it('should remove forked questions if clone creation fail', done => {
+      const exec = sinon.stub(Query.prototype, 'exec');
+      exec.onCall(0).yields(null, source);
+      exec.onCall(1).yields(null, [question]);
+      exec.onCall(2).yields(null, []);
+      const forked = new Question({ name: 'water_supply_copy' });
+      sinon.stub(Question, 'create').yields(null, [forked]);
+      const failed = new Error('Clone Failed');
+      sinon.stub(Questionnaire, 'create').yields(failed);
+      const remove = sinon.stub(Question, 'deleteMany').yields(null);
+
+      const optns = { _id: source._id, title: 'Flood Copy', fork: true };
+      Questionnaire.clone(optns, error => {
+        expect(error).to.be.equal(failed);
+        expect(remove.calledOnce).to.be.true;
+        expect(remove.firstCall.args[0]).to.be.eql({
+          _id: { $in: [forked._id] },
+        });
+        done();
+      });
+    });
+
+    it('should not remove shared questions if clone creation fail', done => {
+      sinon.stub(Query.prototype, 'exec').yields(null, source);
+      const failed = new Error('Clone Failed');
+      sinon.stub(Questionnaire, 'create').yields(failed);
+      const remove = sinon.stub(Question, 'deleteMany');
+
+      const optns = { _id: source._id, title: 'Flood Copy' };
+      Questionnaire.clone(optns, error => {
+        expect(error).to.be.equal(failed);
+        expect(remove.called).to.be.false;
+        done();
+      });
+    });
+  });
 });
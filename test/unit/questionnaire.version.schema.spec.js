@@ -0,0 +1,215 @@
+'use strict';
+
+/* dependencies */
+const sinon = require('sinon');
+const { expect } = require('chai');
+const { include } = require('@lykmapipo/include');
+const { Schema } = require('mongoose');
+const { Query } = require('@lykmapipo/mongoose-common');
+const { Indicator, Question, Questionnaire, QuestionnaireVersion } = include(
+  __dirname,
+  '..',
+  '..'
+);
+
+describe('QuestionnaireVersion Schema', () => {
+  afterEach(() => sinon.restore());
+
+  it('should have questionnaire field', () => {
+    const questionnaire = QuestionnaireVersion.path('questionnaire');
+
+    expect(questionnaire).to.exist;
+    expect(questionnaire).to.be.an.instanceof(Schema.Types.ObjectId);
+    expect(questionnaire.options).to.exist;
+    expect(questionnaire.options).to.be.an('object');
+    expect(questionnaire.options.type).to.exist;
+    expect(questionnaire.options.ref).to.be.eql(Questionnaire.MODEL_NAME);
+    expect(questionnaire.options.required).to.be.true;
+    expect(questionnaire.options.index).to.be.true;
+    expect(questionnaire.options.exists).to.be.true;
+  });
+
+  it('should have version field', () => {
+    const version = QuestionnaireVersion.path('version');
+
+    expect(version).to.exist;
+    expect(version).to.be.instanceof(Schema.Types.Number);
+    expect(version.options).to.exist;
+    expect(version.options).to.be.an('object');
+    expect(version.options.type).to.exist;
+    expect(version.options.required).to.be.true;
+    expect(version.options.min).to.be.equal(1);
+    expect(version.options.index).to.be.true;
+  });
+
+  it('should have snapshot field', () => {
+    const snapshot = QuestionnaireVersion.path('snapshot');
+
+    expect(snapshot).to.exist;
+    expect(snapshot).to.be.instanceof(Schema.Types.Mixed);
+    expect(snapshot.options).to.exist;
+    expect(snapshot.options).to.be.an('object');
+    expect(snapshot.options.type).to.exist;
+    expect(snapshot.options.required).to.be.true;
+  });
+
+  it('should have publishedAt field', () => {
+    const publishedAt = QuestionnaireVersion.path('publishedAt');
+
+    expect(publishedAt).to.exist;
+    expect(publishedAt).to.be.instanceof(Schema.Types.Date);
+    expect(publishedAt.options).to.exist;
+    expect(publishedAt.options).to.be.an('object');
+    expect(publishedAt.options.type).to.exist;
+    expect(publishedAt.options.index).to.be.true;
+    expect(publishedAt.options.default).to.exist;
+  });
+
+  it('should build snapshot with full questions and indicators', () => {
+    const indicator = new Indicator({ subject: 'Water', topic: 'Supply' });
+    const question = new Question({
+      type: 'text',
+      label: 'Was there water supply?',
+      indicator: indicator._id,
+    });
+    const questionnaire = new Questionnaire({
+      title: 'Flood Assessment',
+      sections: [{ title: 'Water', questions: [question._id] }],
+    });
+    questionnaire.ensureSections();
+
+    const snapshot = QuestionnaireVersion.toSnapshot(
+      questionnaire,
+      [question],
+      [indicator]
+    );
+
+    expect(snapshot.title).to.be.eql({ en: 'Flood Assessment' });
+    expect(snapshot.sections).to.have.length(1);
+    expect(snapshot.questions).to.have.length(1);
+
+    const [snapped] = snapshot.sections[0].questions;
+    expect(snapped.label).to.be.eql({ en: 'Was there water supply?' });
+    expect(snapped.indicator.subject).to.be.equal('Water');
+    expect(snapped.indicator.topic).to.be.eql({ en: 'Supply' });
+  });
+
+  it('should not allow updating existing version', done => {
+    const updates = { version: 2 };
+    QuestionnaireVersion.updateOne({}, updates, error => {
+      expect(error).to.exist;
+      expect(error.status).to.be.equal(409);
+      done();
+    });
+  });
+
+  it('should not allow deleting existing version', done => {
+    QuestionnaireVersion.deleteOne({}, error => {
+      expect(error).to.exist;
+      expect(error.status).to.be.equal(409);
+      done();
+    });
+  });
+
+  it('should not allow deleting many existing versions', done => {
+    QuestionnaireVersion.deleteMany({}, error => {
+      expect(error).to.exist;
+      expect(error.status).to.be.equal(409);
+      done();
+    });
+  });
+
+  it('should not allow find and delete existing version', done => {
+    QuestionnaireVersion.findOneAndDelete({}, error => {
+      expect(error).to.exist;
+      expect(error.status).to.be.equal(409);
+      done();
+    });
+  });
+
+  it('should not allow removing existing version instance', done => {
+    const version = new QuestionnaireVersion({ version: 1, snapshot: {} });
+    version.remove(error => {
+      expect(error).to.exist;
+      expect(error.status).to.be.equal(409);
+      done();
+    });
+  });
+
+  describe('publish', () => {
+    const indicator = new Indicator({ subject: 'Water', topic: 'Supply' });
+    const question = new Question({
+      type: 'text',
+      label: 'Was there water supply?',
+      indicator: indicator._id,
+    });
+    const questionnaire = new Questionnaire({
+      title: 'Flood Assessment',
+      sections: [{ title: 'Water', questions: [question._id] }],
+    });
+    questionnaire.ensureSections();
+
+    const stubFind = latest => {
+      const exec = sinon.stub(Query.prototype, 'exec');
+      exec.onCall(0).yields(null, questionnaire);
+      exec.onCall(1).yields(null, [question]);
+      exec.onCall(2).yields(null, [indicator]);
+      exec.onCall(3).yields(null, latest);
+      sinon.stub(Questionnaire, 'updateOne').yields(null, { n: 1 });
+      return exec;
+    };
+
+    it('should re-use latest version if content not changed', done => {
+      const latest = new QuestionnaireVersion({
+        questionnaire: questionnaire._id,
+        version: 1,
+        snapshot: QuestionnaireVersion.toSnapshot(
+          questionnaire,
+          [question],
+          [indicator]
+        ),
+      });
+      stubFind(latest);
+      const create = sinon.stub(QuestionnaireVersion, 'create');
+
+      QuestionnaireVersion.publish(questionnaire._id, (error, published) => {
+        expect(error).to.not.exist;
+        expect(create.called).to.be.false;
+        expect(published.version).to.be.equal(1);
+        done();
+      });
+    });
+
+    it('should create next version if content changed', done => {
+      const latest = new QuestionnaireVersion({
+        questionnaire: questionnaire._id,
+        version: 1,
+        snapshot: { title: { en: 'Flood Assessment Draft' } },
+      });
+      stubFind(latest);
+      const create = sinon
+        .stub(QuestionnaireVersion, 'create')
+        .callsFake((data, cb) => cb(null, new QuestionnaireVersion(data)));
+
+      QuestionnaireVersion.publish(questionnaire._id, (error, published) => {
+        expect(error).to.not.exist;
+        expect(create.calledOnce).to.be.true;
+        expect(published.version).to.be.equal(2);
+        done();
+      });
+    });
+
+    it('should fail with conflict if same version published concurrently', done => {
+      stubFind(null);
+      const duplicate = new Error('E11000 duplicate key error');
+      duplicate.code = 11000;
+      sinon.stub(QuestionnaireVersion, 'create').yields(duplicate);
+
+      QuestionnaireVersion.publish(questionnaire._id, error => {
+        expect(error).to.exist;
+        expect(error.status).to.be.equal(409);
+        done();
+      });
+    });
+  });
+});
@@ -0,0 +1,183 @@
+'use strict';
+
+/* jshint camelcase: false */
+
+/* dependencies */
+const { expect } = require('chai');
+const { include } = require('@lykmapipo/include');
+const { Schema } = require('mongoose');
+const { Questionnaire, Response: ResponseModel } = include(
+  __dirname,
+  '..',
+  '..'
+);
+
+describe('Response Schema', () => {
+  it('should have questionnaire field', () => {
+    const questionnaire = ResponseModel.path('questionnaire');
+
+    expect(questionnaire).to.exist;
+    expect(questionnaire).to.be.an.instanceof(Schema.Types.ObjectId);
+    expect(questionnaire.options).to.exist;
+    expect(questionnaire.options).to.be.an('object');
+    expect(questionnaire.options.type).to.exist;
+    expect(questionnaire.options.ref).to.exist;
+    expect(questionnaire.options.ref).to.be.eql(Questionnaire.MODEL_NAME);
+    expect(questionnaire.options.required).to.be.true;
+    expect(questionnaire.options.index).to.be.true;
+    expect(questionnaire.options.exists).to.be.true;
+    expect(questionnaire.options.autopopulate).to.exist;
+    expect(questionnaire.options.autopopulate).to.be.an('object');
+  });
+
+  it('should have version field', () => {
+    const version = ResponseModel.path('version');
+
+    expect(version).to.exist;
+    expect(version).to.be.instanceof(Schema.Types.Number);
+    expect(version.options).to.exist;
+    expect(version.options).to.be.an('object');
+    expect(version.options.type).to.exist;
+    expect(version.options.min).to.be.equal(1);
+    expect(version.options.index).to.be.true;
+  });
+
+  it('should have respondent name field', () => {
+    const name = ResponseModel.path('respondent.name');
+
+    expect(name).to.exist;
+    expect(name).to.be.instanceof(Schema.Types.String);
+    expect(name.options).to.exist;
+    expect(name.options).to.be.an('object');
+    expect(name.options.type).to.exist;
+    expect(name.options.trim).to.be.true;
+    expect(name.options.index).to.be.true;
+    expect(name.options.searchable).to.be.true;
+    expect(name.options.fake).to.exist;
+    expect(name.options.fake).to.be.an('object');
+  });
+
+  it('should have respondent mobile field', () => {
+    const mobile = ResponseModel.path('respondent.mobile');
+
+    expect(mobile).to.exist;
+    expect(mobile).to.be.instanceof(Schema.Types.String);
+    expect(mobile.options).to.exist;
+    expect(mobile.options).to.be.an('object');
+    expect(mobile.options.type).to.exist;
+    expect(mobile.options.trim).to.be.true;
+    expect(mobile.options.index).to.be.true;
+    expect(mobile.options.searchable).to.be.true;
+    expect(mobile.options.fake).to.exist;
+    expect(mobile.options.fake).to.be.an('object');
+  });
+
+  it('should have respondent email field', () => {
+    const email = ResponseModel.path('respondent.email');
+
+    expect(email).to.exist;
+    expect(email).to.be.instanceof(Schema.Types.String);
+    expect(email.options).to.exist;
+    expect(email.options).to.be.an('object');
+    expect(email.options.type).to.exist;
+    expect(email.options.trim).to.be.true;
+    expect(email.options.lowercase).to.be.true;
+    expect(email.options.index).to.be.true;
+    expect(email.options.searchable).to.be.true;
+    expect(email.options.fake).to.exist;
+    expect(email.options.fake).to.be.an('object');
+  });
+
+  it('should have location field', () => {
+    const location = ResponseModel.path('location');
+
+    expect(location).to.exist;
+    expect(location).to.be.instanceof(Schema.Types.Embedded);
+    expect(location.options).to.exist;
+    expect(location.options).to.be.an('object');
+    expect(location.options.type).to.exist;
+    expect(location.options.index).to.be.equal('2dsphere');
+  });
+
+  it('should have answers field', () => {
+    const answers = ResponseModel.path('answers');
+
+    expect(answers).to.exist;
+    expect(answers).to.be.instanceof(Schema.Types.Mixed);
+    expect(answers.options).to.exist;
+    expect(answers.options).to.be.an('object');
+    expect(answers.options.type).to.exist;
+  });
+
+  it('should have startedAt field', () => {
+    const startedAt = ResponseModel.path('startedAt');
+
+    expect(startedAt).to.exist;
+    expect(startedAt).to.be.instanceof(Schema.Types.Date);
+    expect(startedAt.options).to.exist;
+    expect(startedAt.options).to.be.an('object');
+    expect(startedAt.options.type).to.exist;
+    expect(startedAt.options.index).to.be.true;
+  });
+
+  it('should have submittedAt field', () => {
+    const submittedAt = ResponseModel.path('submittedAt');
+
+    expect(submittedAt).to.exist;
+    expect(submittedAt).to.be.instanceof(Schema.Types.Date);
+    expect(submittedAt.options).to.exist;
+    expect(submittedAt.options).to.be.an('object');
+    expect(submittedAt.options.type).to.exist;
+    expect(submittedAt.options.index).to.be.true;
+    expect(submittedAt.options.default).to.exist;
+  });
+
+  it('should validate answers against questions', () => {
+    const questions = [
+      {
+        type: 'select_one',
+        name: 'water_supply',
+        choices: [{ name: 'yes' }, { name: 'no' }],
+      },
+      { type: 'integer', name: 'household_size' },
+    ];
+    const valid = new ResponseModel({
+      answers: { water_supply: 'yes', household_size: 5 },
+    });
+    const invalid = new ResponseModel({
+      answers: { water_supply: 'maybe', household_size: 5.5, other: 'x' },
+    });
+
+    expect(valid.validateAnswers(questions)).to.not.exist;
+
+    const error = invalid.validateAnswers(questions);
+    expect(error).to.exist;
+    expect(error.name).to.be.equal('ValidationError');
+    expect(error.errors['answers.water_supply']).to.exist;
+    expect(error.errors['answers.household_size']).to.exist;
+    expect(error.errors['answers.other']).to.exist;
+  });
+
+  it('should validate repeat answers against sections', () => {
+    const sections = [
+      {
+        name: 'members',
+        title: 'Members',
+        repeatable: true,
+        questions: [{ type: 'integer', name: 'member_age' }],
+      },
+    ];
+    const valid = new ResponseModel({
+      answers: { members: [{ member_age: 5 }] },
+    });
+    const invalid = new ResponseModel({
+      answers: { members: [{ member_age: 'five' }] },
+    });
+
+    expect(valid.validateAnswers(sections)).to.not.exist;
+
+    const error = invalid.validateAnswers(sections);
+    expect(error).to.exist;
+    expect(error.errors['answers.members[0].member_age']).to.exist;
+  });
+});
@@ -0,0 +1,69 @@
+'use strict';
+
+/* dependencies */
+const path = require('path');
+const { expect } = require('chai');
+const { include } = require('@lykmapipo/include');
+const { SEED_MODELS, seedsPathOf, loadSeeds, missingPathsOf, toSeed } = include(
+  __dirname,
+  '..',
+  '..',
+  'lib',
+  'seed'
+);
+const { Indicator, Question, Questionnaire } = include(__dirname, '..', '..');
+
+describe('Seed', () => {
+  const seedsPath = path.join(__dirname, '..', '..', 'examples', 'seeds');
+
+  it('should seed models in order', () => {
+    expect(SEED_MODELS).to.be.eql([Indicator, Question, Questionnaire]);
+  });
+
+  it('should obtain seeds directory', () => {
+    expect(seedsPathOf({ path: 'examples/seeds' })).to.be.equal(
+      path.resolve('examples/seeds')
+    );
+    expect(seedsPathOf()).to.be.equal(path.resolve('seeds'));
+  });
+
+  it('should load model seeds', done => {
+    loadSeeds(Question, seedsPath, (error, seeds) => {
+      expect(error).to.not.exist;
+      expect(seeds).to.not.be.empty;
+      expect(seeds[0]._id).to.exist;
+      done();
+    });
+  });
+
+  it('should load no seeds if file is missing', done => {
+    loadSeeds(Question, __dirname, (error, seeds) => {
+      expect(error).to.not.exist;
+      expect(seeds).to.be.empty;
+      done();
+    });
+  });
+
+  it('should obtain seed paths missing on existing instance', () => {
+    const seed = {
+      name: 'water_supply',
+      label: { en: 'Water Supply', sw: 'Huduma ya Maji' },
+      choices: [{ name: 'yes' }],
+    };
+    const found = { name: 'water_supply', label: { en: 'Water Supply' } };
+
+    expect(missingPathsOf(seed, found)).to.be.eql(['label.sw', 'choices']);
+    expect(missingPathsOf(seed, seed)).to.be.empty;
+  });
+
+  it('should convert instance into seed', () => {
+    const question = new Question({ name: 'water_supply', label: 'Water' });
+    question.createdAt = new Date();
+
+    const seed = toSeed(question);
+    expect(seed._id).to.be.equal(question._id.toString());
+    expect(seed.name).to.be.equal('water_supply');
+    expect(seed.label).to.be.eql({ en: 'Water' });
+    expect(seed.createdAt).to.not.exist;
+  });
+});
@@ -0,0 +1,146 @@
+'use strict';
+
+/* dependencies */
+const { expect } = require('chai');
+const { include } = require('@lykmapipo/include');
+const { answerSchemaOf, answersSchemaOf, toResponseSchema } = include(
+  __dirname,
+  '..',
+  '..',
+  'lib',
+  'submission'
+);
+
+describe('Submission', () => {
+  const choices = [
+    { name: 'yes', label: { en: 'Yes', sw: 'Ndiyo' } },
+    { name: 'no', label: { en: 'No', sw: 'Hapana' } },
+  ];
+
+  it('should derive answer schema from question type', () => {
+    expect(answerSchemaOf({ type: 'integer', min: 1, max: '20' })).to.be.eql({
+      type: 'integer',
+      minimum: 1,
+      maximum: 20,
+    });
+    expect(answerSchemaOf({ type: 'decimal' })).to.be.eql({ type: 'number' });
+    expect(answerSchemaOf({ type: 'select_one', choices })).to.be.eql({
+      type: 'string',
+      enum: ['yes', 'no'],
+    });
+    expect(answerSchemaOf({ type: 'select_multiple', choices })).to.be.eql({
+      type: 'array',
+      items: { type: 'string', enum: ['yes', 'no'] },
+      uniqueItems: true,
+    });
+    expect(answerSchemaOf({ type: 'dateTime' })).to.be.eql({
+      type: 'string',
+      format: 'date-time',
+    });
+    expect(answerSchemaOf({ type: 'image' })).to.be.eql({ type: 'string' });
+
+    const point = answerSchemaOf({ type: 'geopoint' });
+    expect(point.type).to.be.equal('array');
+    expect(point.items[0]).to.be.eql({
+      type: 'number',
+      minimum: -90,
+      maximum: 90,
+    });
+    expect(point.minItems).to.be.equal(2);
+    expect(point.maxItems).to.be.equal(4);
+    expect(answerSchemaOf({ type: 'geoshape' }).minItems).to.be.equal(4);
+  });
+
+  it('should describe answer rules not expressed by json schema', () => {
+    const question = {
+      name: 'visited_on',
+      type: 'date',
+      label: { en: 'Visited On', sw: 'Tarehe ya Kutembelea' },
+      help: { en: 'Date of visit' },
+      min: '2019-01-01',
+      required: true,
+      relevant: '${water_supply} = "yes"',
+      constraint: '. >= ${started_on}',
+      constraintMessage: 'Must be after start',
+    };
+    const schema = answerSchemaOf(question, { locale: 'sw' });
+
+    expect(schema.type).to.be.equal('string');
+    expect(schema.format).to.be.equal('date');
+    expect(schema.minimum).to.not.exist;
+    expect(schema.title).to.be.equal('Tarehe ya Kutembelea');
+    expect(schema.description).to.be.equal('Date of visit');
+    expect(schema.$comment).to.be.equal(
+      'min: 2019-01-01; ' +
+        'relevant: ${water_supply} = "yes"; ' +
+        'required when relevant; ' +
+        'constraint: . >= ${started_on} (Must be after start)'
+    );
+  });
+
+  it('should derive answers schema of questions', () => {
+    const questions = [
+      { name: 'water_supply', type: 'select_one', choices, required: true },
+      {
+        name: 'water_source',
+        type: 'text',
+        required: true,
+        relevant: '${water_supply} = "yes"',
+      },
+    ];
+    const schema = answersSchemaOf(questions);
+
+    expect(schema.type).to.be.equal('object');
+    expect(schema.properties).to.have.all.keys('water_supply', 'water_source');
+    expect(schema.required).to.be.eql(['water_supply']);
+    expect(schema.additionalProperties).to.be.false;
+    expect(answersSchemaOf([{ name: 'notes' }]).required).to.not.exist;
+  });
+
+  it('should derive response schema of questionnaire', () => {
+    const questionnaire = {
+      _id: '5c07af709404b82c5efdb438',
+      title: { en: 'Flood Situation Analysis' },
+      version: 2,
+      sections: [
+        {
+          title: { en: 'General' },
+          questions: [
+            { name: 'water_supply', type: 'select_one', choices, required: 1 },
+          ],
+        },
+        {
+          name: 'members',
+          title: { en: 'Members', sw: 'Wanakaya' },
+          repeatable: true,
+          minCount: 1,
+          maxCount: 10,
+          questions: [{ name: 'member_age', type: 'integer', required: true }],
+        },
+      ],
+    };
+    const schema = toResponseSchema(questionnaire, { locale: 'sw' });
+
+    expect(schema.$schema).to.be.equal(
+      'http://json-schema.org/draft-07/schema#'
+    );
+    expect(schema.title).to.be.equal('Flood Situation Analysis');
+    expect(schema.type).to.be.equal('object');
+    expect(schema.required).to.be.eql(['questionnaire', 'answers']);
+    expect(schema.properties.questionnaire).to.be.eql({
+      type: 'string',
+      const: '5c07af709404b82c5efdb438',
+    });
+    expect(schema.properties.version.default).to.be.equal(2);
+    expect(schema.properties.location.required).to.be.eql(['coordinates']);
+
+    const { answers } = schema.properties;
+    expect(answers.properties).to.have.all.keys('water_supply', 'members');
+    expect(answers.required).to.be.eql(['water_supply', 'members']);
+    expect(answers.properties.members.type).to.be.equal('array');
+    expect(answers.properties.members.title).to.be.equal('Wanakaya');
+    expect(answers.properties.members.minItems).to.be.equal(1);
+    expect(answers.properties.members.maxItems).to.be.equal(10);
+    expect(answers.properties.members.items.required).to.be.eql(['member_age']);
+  });
+});
@@ -0,0 +1,223 @@
+'use strict';
+
+/* jshint camelcase: false */
+
+/* dependencies */
+const { expect } = require('chai');
+const { include } = require('@lykmapipo/include');
+const { toBind, toControl, toGroup, toXForm, toFormList } = include(
+  __dirname,
+  '..',
+  '..',
+  'lib',
+  'xform'
+);
+
+describe('XForm', () => {
+  const questionnaire = {
+    _id: '5c07af709404b82c5efdb438',
+    title: 'Flood Situation Analysis',
+    updatedAt: new Date('2019-05-31T12:30:00.000Z'),
+    questions: [
+      {
+        type: 'select_one',
+        name: 'water_supply',
+        label: 'Was there water supply before the disaster?',
+        help: 'Ask household head',
+        choices: [{ name: 'yes', label: 'Yes' }, { name: 'no', label: 'No' }],
+      },
+      {
+        type: 'integer',
+        name: 'household_size',
+        label: 'How many people live in this household?',
+      },
+      { type: 'geopoint', name: 'location', label: 'Location' },
+      { type: 'image', name: 'photo', label: 'Photo' },
+    ],
+  };
+
+  it('should build question bind', () => {
+    const [water, size, location, photo] = questionnaire.questions;
+
+    expect(toBind(water)).to.be.equal(
+      '<bind nodeset="/data/water_supply" type="string"/>'
+    );
+    expect(toBind(size)).to.be.equal(
+      '<bind nodeset="/data/household_size" type="int"/>'
+    );
+    expect(toBind(location)).to.be.equal(
+      '<bind nodeset="/data/location" type="geopoint"/>'
+    );
+    expect(toBind(photo)).to.be.equal(
+      '<bind nodeset="/data/photo" type="binary"/>'
+    );
+  });
+
+  it('should build question bind with relevant', () => {
+    const question = {
+      type: 'text',
+      name: 'water_quality',
+      relevant: '${water_supply} = "yes"',
+    };
+
+    expect(toBind(question)).to.be.equal(
+      '<bind nodeset="/data/water_quality" type="string" ' +
+        'relevant="/data/water_supply = &quot;yes&quot;"/>'
+    );
+  });
+
+  it('should build question bind with constraints', () => {
+    const question = {
+      type: 'integer',
+      name: 'children_count',
+      required: true,
+      min: 0,
+      constraint: '. <= ${household_size}',
+      constraintMessage: 'Must not exceed household size',
+    };
+
+    expect(toBind(question)).to.be.equal(
+      '<bind nodeset="/data/children_count" type="int" required="true()" ' +
+        'constraint=". &gt;= 0 and (. &lt;= /data/household_size)" ' +
+        'jr:constraintMsg="Must not exceed household size"/>'
+    );
+  });
+
+  it('should build question body control', () => {
+    const [water, size, , photo] = questionnaire.questions;
+
+    expect(toControl(water)).to.be.equal(
+      '<select1 ref="/data/water_supply">' +
+        '<label>Was there water supply before the disaster?</label>' +
+        '<hint>Ask household head</hint>' +
+        '<item><label>Yes</label><value>yes</value></item>' +
+        '<item><label>No</label><value>no</value></item>' +
+        '</select1>'
+    );
+    expect(toControl(size)).to.be.equal(
+      '<input ref="/data/household_size">' +
+        '<label>How many people live in this household?</label>' +
+        '</input>'
+    );
+    expect(toControl(photo)).to.be.equal(
+      '<upload ref="/data/photo" mediatype="image/*">' +
+        '<label>Photo</label>' +
+        '</upload>'
+    );
+  });
+
+  it('should build xform document', () => {
+    const xform = toXForm(questionnaire);
+
+    expect(xform.formId).to.be.equal('flood_situation_analysis');
+    expect(xform.version).to.be.equal('201905311230');
+    expect(xform.hash).to.match(/^md5:[a-f0-9]{32}$/);
+    expect(xform.xml).to.contain('<h:title>Flood Situation Analysis</h:title>');
+    expect(xform.xml).to.contain(
+      '<data id="flood_situation_analysis" version="201905311230">'
+    );
+    expect(xform.xml).to.contain('<water_supply/><household_size/>');
+    expect(xform.xml).to.contain('<meta><instanceID/></meta>');
+    expect(xform.xml).to.contain('jr:preload="uid"');
+  });
+
+  it('should build section body group and repeat', () => {
+    const questions = [{ type: 'integer', name: 'member_age', label: 'Age' }];
+    const group = { name: 'members', title: 'Members', questions };
+    const repeat = Object.assign({ repeatable: true }, group);
+    const paths = { member_age: '/data/members/member_age' };
+
+    expect(toGroup({ questions })).to.be.equal(
+      '<input ref="/data/member_age"><label>Age</label></input>'
+    );
+    expect(toGroup(group)).to.be.equal(
+      '<group><label>Members</label>' +
+        '<input ref="/data/member_age"><label>Age</label></input>' +
+        '</group>'
+    );
+    expect(toGroup(repeat, paths)).to.be.equal(
+      '<group ref="/data/members"><label>Members</label>' +
+        '<repeat nodeset="/data/members">' +
+        '<input ref="/data/members/member_age"><label>Age</label></input>' +
+        '</repeat></group>'
+    );
+  });
+
+  it('should build xform document with sections', () => {
+    const [water, size] = questionnaire.questions;
+    const age = {
+      type: 'integer',
+      name: 'member_age',
+      label: 'Age',
+      relevant: '${household_size} > 0',
+    };
+    const xform = toXForm({
+      title: 'Flood Situation Analysis',
+      sections: [
+        { name: 'household', title: 'Household', questions: [water, size] },
+        {
+          name: 'members',
+          title: 'Members',
+          repeatable: true,
+          questions: [age],
+        },
+      ],
+    });
+
+    expect(xform.xml).to.contain(
+      '<water_supply/><household_size/>' +
+        '<members jr:template=""><member_age/></members>'
+    );
+    expect(xform.xml).to.contain(
+      '<bind nodeset="/data/members/member_age" type="int" ' +
+        'relevant="/data/household_size &gt; 0"/>'
+    );
+    expect(xform.xml).to.contain('<group><label>Household</label>');
+    expect(xform.xml).to.contain('<repeat nodeset="/data/members">');
+  });
+
+  it('should build xform document in given locale', () => {
+    const xform = toXForm(
+      {
+        title: { en: 'Flood Situation Analysis', sw: 'Uchambuzi wa Mafuriko' },
+        questions: [
+          {
+            type: 'select_one',
+            name: 'water_supply',
+            label: { en: 'Water supply?', sw: 'Huduma ya maji?' },
+            choices: [{ name: 'yes', label: { en: 'Yes', sw: 'Ndiyo' } }],
+          },
+        ],
+      },
+      { locale: 'sw' }
+    );
+
+    expect(xform.formId).to.be.equal('flood_situation_analysis');
+    expect(xform.title).to.be.equal('Uchambuzi wa Mafuriko');
+    expect(xform.xml).to.contain('<label>Huduma ya maji?</label>');
+    expect(xform.xml).to.contain('<label>Ndiyo</label>');
+  });
+
+  it('should escape xform document values', () => {
+    const xform = toXForm({ title: 'Food & Water <Need>' });
+
+    expect(xform.xml).to.contain(
+      '<h:title>Food &amp; Water &lt;Need&gt;</h:title>'
+    );
+  });
+
+  it('should build openrosa form list', () => {
+    const xform = toXForm(questionnaire);
+    const downloadUrl = 'http://0.0.0.0/v1/questionnaires/5c07a/xform';
+    const formList = toFormList([Object.assign({ downloadUrl }, xform)]);
+
+    expect(formList).to.contain(
+      '<xforms xmlns="http://openrosa.org/xforms/xformsList">'
+    );
+    expect(formList).to.contain('<formID>flood_situation_analysis</formID>');
+    expect(formList).to.contain('<name>Flood Situation Analysis</name>');
+    expect(formList).to.contain('<version>201905311230</version>');
+    expect(formList).to.contain(`<hash>${xform.hash}</hash>`);
+    expect(formList).to.contain(`<downloadUrl>${downloadUrl}</downloadUrl>`);
+  });
+});
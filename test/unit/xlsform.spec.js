@@ -0,0 +1,322 @@
+'use strict';
+
+/* jshint camelcase: false */
+
+/* dependencies */
+const { expect } = require('chai');
+const { Workbook } = require('exceljs');
+const { include } = require('@lykmapipo/include');
+const {
+  constraintOf,
+  toXLSForm,
+  writeXLSForm,
+  readXLSForm,
+  fromXLSForm,
+} = include(__dirname, '..', '..', 'lib', 'xlsform');
+
+describe('XLSForm', () => {
+  const questionnaire = {
+    title: 'Flood Situation Analysis',
+    updatedAt: new Date('2019-05-31T12:30:00.000Z'),
+    questions: [
+      {
+        type: 'select_one',
+        name: 'water_supply',
+        label: {
+          en: 'Was there water supply before the disaster?',
+          sw: 'Kulikuwa na huduma ya maji kabla ya maafa?',
+        },
+        help: 'Ask household head',
+        indicator: { subject: 'Water', topic: { en: 'Water Supply' } },
+        choices: [
+          { name: 'yes', label: { en: 'Yes', sw: 'Ndiyo' } },
+          { name: 'no', label: 'No' },
+        ],
+      },
+      {
+        type: 'integer',
+        name: 'household_size',
+        label: 'How many people live in this household?',
+      },
+    ],
+  };
+
+  it('should map questions to survey sheet', () => {
+    const { survey } = toXLSForm(questionnaire);
+
+    expect(survey).to.exist.and.to.have.length(2);
+    expect(survey[0]).to.be.eql({
+      type: 'select_one water_supply',
+      name: 'water_supply',
+      'label::en': 'Was there water supply before the disaster?',
+      'label::sw': 'Kulikuwa na huduma ya maji kabla ya maafa?',
+      'hint::en': 'Ask household head',
+      indicator: 'Water: Water Supply',
+    });
+    expect(survey[1].type).to.be.equal('integer');
+    expect(survey[1].name).to.be.equal('household_size');
+  });
+
+  it('should map question relevant to survey sheet', () => {
+    const relevant = '${water_supply} = "yes"';
+    const question = { type: 'text', name: 'water_quality', relevant };
+    const { survey } = toXLSForm({ questions: [question] });
+
+    expect(survey[0].relevant).to.be.equal(relevant);
+  });
+
+  it('should map question constraints to survey sheet', () => {
+    const question = {
+      type: 'integer',
+      name: 'children_count',
+      required: true,
+      min: 0,
+      max: 20,
+      constraint: '. <= ${household_size}',
+      constraintMessage: 'Must not exceed household size',
+    };
+    const { survey } = toXLSForm({ questions: [question] });
+
+    expect(survey[0].required).to.be.equal('yes');
+    expect(survey[0].constraint).to.be.equal(
+      '. >= 0 and . <= 20 and (. <= ${household_size})'
+    );
+    expect(survey[0].constraint_message).to.be.equal(
+      'Must not exceed household size'
+    );
+  });
+
+  it('should derive question constraint', () => {
+    expect(constraintOf({ type: 'text' })).to.be.undefined;
+    expect(constraintOf({ type: 'text', min: 1 })).to.be.undefined;
+    expect(constraintOf({ type: 'decimal', max: 1.5 })).to.be.equal('. <= 1.5');
+    expect(constraintOf({ type: 'date', min: '2019-01-01' })).to.be.equal(
+      `. >= date('2019-01-01')`
+    );
+    expect(
+      constraintOf({ type: 'text', constraint: 'regex(., "^a")' })
+    ).to.be.equal('regex(., "^a")');
+  });
+
+  it('should map question choices to choices sheet', () => {
+    const { choices } = toXLSForm(questionnaire);
+
+    expect(choices).to.exist.and.to.have.length(2);
+    expect(choices[0]).to.be.eql({
+      list_name: 'water_supply',
+      name: 'yes',
+      'label::en': 'Yes',
+      'label::sw': 'Ndiyo',
+    });
+    expect(choices[1]).to.be.eql({
+      list_name: 'water_supply',
+      name: 'no',
+      'label::en': 'No',
+    });
+  });
+
+  it('should map questionnaire to settings sheet', () => {
+    const { settings } = toXLSForm(questionnaire);
+
+    expect(settings).to.exist.and.to.have.length(1);
+    expect(settings[0]).to.be.eql({
+      form_title: 'Flood Situation Analysis',
+      form_id: 'flood_situation_analysis',
+      version: '201905311230',
+      default_language: 'en',
+    });
+  });
+
+  it('should write xlsform workbook', done => {
+    writeXLSForm(toXLSForm(questionnaire), (error, buffer) => {
+      expect(error).to.not.exist;
+      expect(buffer).to.be.an.instanceof(Buffer);
+
+      const workbook = new Workbook();
+      workbook.xlsx.load(buffer).then(() => {
+        const survey = workbook.getWorksheet('survey');
+        expect(survey.getRow(1).values).to.include('type');
+        expect(survey.getRow(2).values).to.include('select_one water_supply');
+        expect(workbook.getWorksheet('choices').rowCount).to.be.equal(3);
+        expect(workbook.getWorksheet('settings').rowCount).to.be.equal(2);
+        done();
+      }, done);
+    });
+  });
+
+  it('should call back outside of workbook promise', done => {
+    const listeners = process.listeners('uncaughtException');
+    const finish = error => {
+      process.removeAllListeners('uncaughtException');
+      process.removeAllListeners('unhandledRejection');
+      listeners.forEach(listener => process.on('uncaughtException', listener));
+      done(error);
+    };
+    process.removeAllListeners('uncaughtException');
+    process.once('uncaughtException', error => {
+      finish(error.message === 'Callback Failed' ? undefined : error);
+    });
+    process.once('unhandledRejection', () => finish(new Error('Rejected')));
+
+    writeXLSForm(toXLSForm(questionnaire), () => {
+      throw new Error('Callback Failed');
+    });
+  });
+
+  it('should read xlsform workbook', done => {
+    writeXLSForm(toXLSForm(questionnaire), (error, buffer) => {
+      readXLSForm(buffer, (error, xlsform) => {
+        expect(error).to.not.exist;
+        expect(xlsform.survey).to.have.length(2);
+        expect(xlsform.survey[0].type).to.be.equal('select_one water_supply');
+        expect(xlsform.survey[0].indicator).to.be.equal('Water: Water Supply');
+        expect(xlsform.choices).to.have.length(2);
+        expect(xlsform.settings).to.have.length(1);
+        done();
+      });
+    });
+  });
+
+  it('should fail to read invalid xlsform workbook', done => {
+    readXLSForm(Buffer.from('invalid'), error => {
+      expect(error).to.exist;
+      expect(error.status).to.be.equal(400);
+      done();
+    });
+  });
+
+  it('should map xlsform to questionnaire and questions', () => {
+    const xlsform = {
+      survey: [
+        {
+          row: 2,
+          type: 'select_one yes_no',
+          name: 'water_supply',
+          'label::English (en)': 'Was there water supply?',
+          'label::sw': 'Kulikuwa na maji?',
+          indicator: 'Water: Water Supply',
+        },
+        { row: 3, type: 'begin group', name: 'household' },
+        { row: 4, type: 'integer', name: 'household_size', label: 'Size' },
+      ],
+      choices: [
+        { list_name: 'yes_no', name: 'yes', label: 'Yes' },
+        { list_name: 'yes_no', name: 'no', label: 'No' },
+      ],
+      settings: [{ form_title: 'Flood Situation Analysis' }],
+    };
+    const types = ['select_one', 'integer'];
+    const subjects = ['Water'];
+    const mapped = fromXLSForm(xlsform, { types, subjects });
+
+    expect(mapped.questionnaire.title).to.be.equal('Flood Situation Analysis');
+    expect(mapped.questions).to.have.length(1);
+    expect(mapped.questions[0]).to.be.eql({
+      type: 'select_one',
+      name: 'water_supply',
+      label: { en: 'Was there water supply?', sw: 'Kulikuwa na maji?' },
+      indicator: { subject: 'Water', topic: 'Water Supply' },
+      choices: [
+        { name: 'yes', label: { en: 'Yes' } },
+        { name: 'no', label: { en: 'No' } },
+      ],
+    });
+    expect(mapped.skipped).to.have.length(1);
+    expect(mapped.skipped[0].row).to.be.equal(4);
+  });
+
+  it('should map questionnaire sections to survey groups', () => {
+    const [water, size] = questionnaire.questions;
+    const { survey } = toXLSForm({
+      title: 'Flood Situation Analysis',
+      sections: [
+        { name: 'water', title: 'Water Supply', questions: [water] },
+        {
+          name: 'household',
+          title: 'Household',
+          description: 'Each household',
+          repeatable: true,
+          questions: [size],
+        },
+      ],
+    });
+
+    expect(survey).to.have.length(6);
+    expect(survey[0]).to.be.eql({
+      type: 'begin group',
+      name: 'water',
+      'label::en': 'Water Supply',
+    });
+    expect(survey[1].name).to.be.equal('water_supply');
+    expect(survey[2]).to.be.eql({ type: 'end group' });
+    expect(survey[3]).to.be.eql({
+      type: 'begin repeat',
+      name: 'household',
+      'label::en': 'Household',
+      'hint::en': 'Each household',
+    });
+    expect(survey[4].name).to.be.equal('household_size');
+    expect(survey[5]).to.be.eql({ type: 'end repeat' });
+  });
+
+  it('should map xlsform groups to questionnaire sections', () => {
+    const xlsform = {
+      survey: [
+        { row: 2, type: 'integer', name: 'household_size', label: 'Size' },
+        { row: 3, type: 'begin_repeat', name: 'members', label: 'Members' },
+        { row: 4, type: 'integer', name: 'member_age', label: 'Age' },
+        { row: 5, type: 'end_repeat' },
+      ],
+    };
+    const types = ['integer'];
+    const subjects = ['Population'];
+    const indicator = 'Population: Household';
+    const mapped = fromXLSForm(xlsform, { types, subjects, indicator });
+
+    expect(mapped.questions).to.have.length(2);
+    expect(mapped.questionnaire.sections).to.have.length(2);
+    expect(mapped.questionnaire.sections[0].questions).to.be.eql([
+      'household_size',
+    ]);
+    expect(mapped.questionnaire.sections[1]).to.be.eql({
+      name: 'members',
+      title: { en: 'Members' },
+      repeatable: true,
+      questions: ['member_age'],
+    });
+    expect(mapped.skipped).to.be.empty;
+  });
+
+  it('should map xlsform questions using fallback indicator', () => {
+    const xlsform = {
+      survey: [
+        {
+          row: 2,
+          type: 'integer',
+          name: 'household_size',
+          relevant: '${water_supply} = "yes"',
+          required: 'yes',
+          constraint: '. > 0',
+          'constraint_message::English (en)': 'Must be positive',
+        },
+      ],
+    };
+    const types = ['integer'];
+    const subjects = ['Population'];
+    const indicator = 'Population: Household';
+    const mapped = fromXLSForm(xlsform, { types, subjects, indicator });
+
+    expect(mapped.questions).to.have.length(1);
+    expect(mapped.questions[0].indicator).to.be.eql({
+      subject: 'Population',
+      topic: 'Household',
+    });
+    expect(mapped.questions[0].relevant).to.be.equal('${water_supply} = "yes"');
+    expect(mapped.questions[0].required).to.be.true;
+    expect(mapped.questions[0].constraint).to.be.equal('. > 0');
+    expect(mapped.questions[0].constraintMessage).to.be.equal(
+      'Must be positive'
+    );
+    expect(mapped.skipped).to.be.empty;
+  });
+});